@@ -1,5 +1,6 @@
-const { app, BrowserWindow, Menu } = require("electron");
+const { app, BrowserWindow, Menu, ipcMain } = require("electron");
 const path = require("path");
+const { OctreeCacheStore } = require("./octreeCache.cjs");
 
 function createWindow() {
   const win = new BrowserWindow({
@@ -26,7 +27,41 @@ function createWindow() {
   Menu.setApplicationMenu(Menu.buildFromTemplate(menuTemplate));
 }
 
+// Octree caches of large files, converted here and read by the renderer
+function registerOctreeCache() {
+  const store = new OctreeCacheStore(path.join(app.getPath("userData"), "octree-cache"));
+  // "<webContents id>:<job>" -> running conversion
+  const conversions = new Map();
+
+  ipcMain.handle("octree-cache:find", (event, filePath, format) => store.find(filePath, format));
+  ipcMain.handle("octree-cache:convert", async (event, job, filePath, format) => {
+    const key = `${event.sender.id}:${job}`;
+    const conversion = store.convert(filePath, format, progress => {
+      if (!event.sender.isDestroyed()) event.sender.send("octree-cache:progress", job, progress);
+    });
+    conversions.set(key, conversion);
+    try {
+      return await conversion.promise;
+    } finally {
+      conversions.delete(key);
+    }
+  });
+  ipcMain.handle("octree-cache:cancel", (event, job) => {
+    const conversion = conversions.get(`${event.sender.id}:${job}`);
+    if (conversion) conversion.cancel();
+  });
+  ipcMain.handle("octree-cache:read", (event, id, byteOffset, byteSize) => store.readNode(id, byteOffset, byteSize));
+  ipcMain.handle("octree-cache:release", (event, id) => store.closeHandle(id));
+  ipcMain.handle("octree-cache:usage", () => store.usage());
+  ipcMain.handle("octree-cache:clear", (event, keep) => store.clear(keep));
+  app.on("will-quit", () => {
+    conversions.forEach(conversion => conversion.cancel());
+    store.close();
+  });
+}
+
 app.whenReady().then(() => {
+  registerOctreeCache();
   createWindow();
   app.on("activate", () => {
     if (BrowserWindow.getAllWindows().length === 0) createWindow();
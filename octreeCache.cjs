@@ -0,0 +1,256 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Worker } = require("worker_threads");
+
+/**
+ * Octree cache store (main process)
+ * Converts point cloud files into on-disk octrees (see
+ * renderer/octreeCache.js for the format) in a worker thread and serves
+ * their nodes back. A cache is found again by the file's fingerprint (size
+ * plus a hash of its first and last megabyte) and the text column format it
+ * was read with, and is only reused while the file's size and modification
+ * time are unchanged. Converting a file removes the older caches of the
+ * same path (metadata.source.path), and the caches least recently used are
+ * removed once all of them take more than maxBytes.
+ */
+
+// Bytes hashed at each end of a file
+const FINGERPRINT_BYTES = 1 << 20;
+const CACHE_ID = /^[0-9a-f]{40}$/;
+const DEFAULT_MAX_BYTES = 20 * 1024 * 1024 * 1024;
+
+class OctreeCacheStore {
+  constructor(folder, { maxBytes = DEFAULT_MAX_BYTES } = {}) {
+    this.folder = folder;
+    this.maxBytes = maxBytes;
+    // Cache id -> promise of { file (open octree.bin handle), nodes (node
+    // byteOffset -> byteSize) }; only the cache last read from stays open
+    this.handles = new Map();
+  }
+
+  /**
+   * Cache of a file: { id, metadata }, or null when there is no up-to-date one
+   */
+  async find(filePath, format = null) {
+    const [stat, id] = await Promise.all([fs.promises.stat(filePath), this.cacheId(filePath, format)]);
+    let metadata;
+    try {
+      metadata = JSON.parse(await fs.promises.readFile(path.join(this.folder, id, "metadata.json"), "utf8"));
+    } catch (err) {
+      return null;
+    }
+    const { CACHE_VERSION } = await import("./renderer/octreeCache.js");
+    const { source } = metadata;
+    if (metadata.version !== CACHE_VERSION || source.size !== stat.size || source.mtimeMs !== stat.mtimeMs) return null;
+    await this.touch(id);
+    return { id, metadata };
+  }
+
+  /**
+   * Convert a file, replacing any older cache of it
+   * Returns { promise, cancel }; the promise resolves with
+   * { id, metadata, diagnostics }, or null when cancelled.
+   */
+  convert(filePath, format = null, onProgress = () => {}) {
+    let worker = null;
+    let cancelled = false;
+    let partial = null;
+
+    const promise = (async () => {
+      const [stat, id] = await Promise.all([fs.promises.stat(filePath), this.cacheId(filePath, format)]);
+      if (cancelled) return null;
+      const target = path.join(this.folder, id);
+      partial = `${target}.partial`;
+      await fs.promises.rm(partial, { recursive: true, force: true });
+      await fs.promises.mkdir(partial, { recursive: true });
+
+      const source = { path: filePath, size: stat.size, mtimeMs: stat.mtimeMs, format };
+      const result = await new Promise((resolve, reject) => {
+        if (cancelled) {
+          resolve(null);
+          return;
+        }
+        worker = new Worker(path.join(__dirname, "octreeConverter.mjs"), {
+          workerData: { filePath, format, folder: partial, source }
+        });
+        worker.on("message", message => {
+          if (message.type === "progress") onProgress(message.progress);
+          else if (message.type === "result") resolve(message.result);
+          else reject(new Error(message.message));
+        });
+        worker.on("error", reject);
+        worker.on("exit", () => resolve(null));
+      });
+      if (worker) worker.terminate();
+      if (!result || cancelled) {
+        await fs.promises.rm(partial, { recursive: true, force: true });
+        return null;
+      }
+
+      await this.closeHandle(id);
+      await fs.promises.rm(target, { recursive: true, force: true });
+      await fs.promises.rename(partial, target);
+      // Caches of earlier versions of the file are never found again
+      const caches = await this.list();
+      await Promise.all(caches
+        .filter(cache => cache.id !== id && cache.source && cache.source.path === filePath)
+        .map(cache => this.remove(cache.id)));
+      await this.trim(id);
+      return { id, ...result };
+    })();
+
+    promise.catch(() => {
+      if (partial) fs.promises.rm(partial, { recursive: true, force: true }).catch(() => {});
+    });
+
+    return {
+      promise,
+      cancel: () => {
+        cancelled = true;
+        if (worker) worker.terminate();
+      }
+    };
+  }
+
+  /**
+   * Bytes of a node (its byteOffset and byteSize in the metadata)
+   * Reading from another cache closes the one read from before.
+   */
+  async readNode(id, byteOffset, byteSize) {
+    if (!CACHE_ID.test(id)) throw new Error(`Invalid octree cache id: ${id}`);
+    if (!this.handles.has(id)) {
+      await this.close();
+      const opened = this.openCache(id);
+      opened.catch(() => {
+        if (this.handles.get(id) === opened) this.handles.delete(id);
+      });
+      this.handles.set(id, opened);
+    }
+    const { file, nodes } = await this.handles.get(id);
+    // Offsets and sizes come from the renderer: only whole nodes are read
+    if (nodes.get(byteOffset) !== byteSize) {
+      throw new Error(`Octree cache ${id} has no node at ${byteOffset} of ${byteSize} bytes`);
+    }
+    const bytes = Buffer.alloc(byteSize);
+    const { bytesRead } = await file.read(bytes, 0, byteSize, byteOffset);
+    if (bytesRead !== byteSize) throw new Error(`Octree cache ${id} is truncated`);
+    return bytes;
+  }
+
+  async openCache(id) {
+    const folder = path.join(this.folder, id);
+    const metadata = JSON.parse(await fs.promises.readFile(path.join(folder, "metadata.json"), "utf8"));
+    const file = await fs.promises.open(path.join(folder, "octree.bin"), "r");
+    const { size } = await file.stat();
+    const nodes = new Map();
+    metadata.nodes.forEach(({ byteOffset, byteSize }) => {
+      if (byteOffset + byteSize <= size) nodes.set(byteOffset, byteSize);
+    });
+    return { file, nodes };
+  }
+
+  async closeHandle(id) {
+    const handle = this.handles.get(id);
+    if (!handle) return;
+    this.handles.delete(id);
+    try {
+      await (await handle).file.close();
+    } catch (err) {
+      // Never opened
+    }
+  }
+
+  /**
+   * Every cache: [{ id, source, bytes, lastUsed }]
+   */
+  async list() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.folder);
+    } catch (err) {
+      return [];
+    }
+    return Promise.all(names.filter(name => CACHE_ID.test(name)).map(async id => {
+      const folder = path.join(this.folder, id);
+      try {
+        const metadataPath = path.join(folder, "metadata.json");
+        const [metadata, stat] = await Promise.all([fs.promises.readFile(metadataPath, "utf8"), fs.promises.stat(metadataPath)]);
+        const files = await fs.promises.readdir(folder);
+        const sizes = await Promise.all(files.map(name => fs.promises.stat(path.join(folder, name)).then(s => s.size)));
+        return { id, source: JSON.parse(metadata).source, bytes: sizes.reduce((a, b) => a + b, 0), lastUsed: stat.mtimeMs };
+      } catch (err) {
+        // Unreadable: counted as the oldest, so it goes first
+        return { id, source: null, bytes: 0, lastUsed: 0 };
+      }
+    }));
+  }
+
+  /**
+   * Disk use of the caches: { count, bytes }
+   */
+  async usage() {
+    const caches = await this.list();
+    return { count: caches.length, bytes: caches.reduce((sum, cache) => sum + cache.bytes, 0) };
+  }
+
+  /**
+   * Remove every cache but `keep` (the id of one in use, or null)
+   * Returns the disk use freed: { count, bytes }
+   */
+  async clear(keep = null) {
+    const removed = (await this.list()).filter(cache => cache.id !== keep);
+    await Promise.all(removed.map(cache => this.remove(cache.id)));
+    return { count: removed.length, bytes: removed.reduce((sum, cache) => sum + cache.bytes, 0) };
+  }
+
+  async remove(id) {
+    await this.closeHandle(id);
+    await fs.promises.rm(path.join(this.folder, id), { recursive: true, force: true });
+  }
+
+  // Remove the least recently used caches, never `keep`, until they fit
+  // in maxBytes
+  async trim(keep) {
+    const caches = (await this.list()).sort((a, b) => a.lastUsed - b.lastUsed);
+    let total = caches.reduce((sum, cache) => sum + cache.bytes, 0);
+    for (const cache of caches) {
+      if (total <= this.maxBytes) break;
+      if (cache.id === keep) continue;
+      await this.remove(cache.id);
+      total -= cache.bytes;
+    }
+  }
+
+  // Mark a cache as used now (the modification time of its metadata)
+  async touch(id) {
+    const now = new Date();
+    await fs.promises.utimes(path.join(this.folder, id, "metadata.json"), now, now).catch(() => {});
+  }
+
+  async close() {
+    await Promise.all(Array.from(this.handles.keys(), id => this.closeHandle(id)));
+  }
+
+  async cacheId(filePath, format) {
+    const file = await fs.promises.open(filePath, "r");
+    try {
+      const { size } = await file.stat();
+      const hash = crypto.createHash("sha1");
+      hash.update(`${size}\n${JSON.stringify(format)}\n`);
+      const head = Buffer.alloc(Math.min(FINGERPRINT_BYTES, size));
+      await file.read(head, 0, head.length, 0);
+      hash.update(head);
+      if (size > FINGERPRINT_BYTES) {
+        const tail = Buffer.alloc(Math.min(FINGERPRINT_BYTES, size - FINGERPRINT_BYTES));
+        await file.read(tail, 0, tail.length, size - tail.length);
+        hash.update(tail);
+      }
+      return hash.digest("hex");
+    } finally {
+      await file.close();
+    }
+  }
+}
+
+module.exports = { OctreeCacheStore };
@@ -0,0 +1,70 @@
+/**
+ * Octree Converter
+ * Worker thread of the main process (see octreeCache.cjs): parses a file
+ * with the renderer's parsers, builds its octree and writes octree.bin and
+ * metadata.json into the given folder.
+ *
+ * workerData:   { filePath, format, folder, source }
+ * Messages out: { type: 'progress', progress: { fraction, pointCount } }
+ *               { type: 'result', result: { metadata, diagnostics } }
+ *               { type: 'error', message }
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parentPort, workerData } from 'node:worker_threads';
+import { loadPointCloudFile } from './renderer/cloudLoader.js';
+import { ParseDiagnostics } from './renderer/parseDiagnostics.js';
+import { buildOctree } from './renderer/octree.js';
+import { createCacheMetadata, encodeOctreeNode } from './renderer/octreeCache.js';
+
+// Don't flood the main process with progress messages
+const PROGRESS_THROTTLE_MS = 100;
+// Share of the progress bar taken by parsing and by building the octree
+const PARSE_SHARE = 0.7;
+const OCTREE_SHARE = 0.2;
+
+async function convert({ filePath, format, folder, source }) {
+  let lastProgress = 0;
+  const progress = (fraction, pointCount) => {
+    const now = Date.now();
+    if (now - lastProgress < PROGRESS_THROTTLE_MS) return;
+    lastProgress = now;
+    parentPort.postMessage({ type: 'progress', progress: { fraction, pointCount } });
+  };
+
+  const file = new File([await fs.openAsBlob(filePath)], path.basename(filePath));
+  const diagnostics = new ParseDiagnostics();
+  const cloud = await loadPointCloudFile(file, {
+    format,
+    diagnostics,
+    onProgress: ({ bytesProcessed, totalBytes, pointCount }) => {
+      progress(totalBytes ? bytesProcessed / totalBytes * PARSE_SHARE : 0, pointCount);
+    }
+  });
+
+  const octree = buildOctree(cloud, {
+    onProgress: fraction => progress(PARSE_SHARE + fraction * OCTREE_SHARE)
+  });
+  const metadata = createCacheMetadata(cloud, octree, source);
+
+  const done = PARSE_SHARE + OCTREE_SHARE;
+  const bin = fs.openSync(path.join(folder, 'octree.bin'), 'w');
+  try {
+    metadata.nodes.forEach((node, index) => {
+      const { start, count } = octree.nodes[index];
+      fs.writeSync(bin, encodeOctreeNode(cloud, octree.order.subarray(start, start + count), metadata.attributes));
+      progress(done + (1 - done) * (index + 1) / metadata.nodes.length);
+    });
+  } finally {
+    fs.closeSync(bin);
+  }
+  // Written last: a folder without metadata is never taken for a cache
+  fs.writeFileSync(path.join(folder, 'metadata.json'), JSON.stringify(metadata));
+
+  return { metadata, diagnostics: diagnostics.toJSON() };
+}
+
+convert(workerData)
+  .then(result => parentPort.postMessage({ type: 'result', result }))
+  .catch(err => parentPort.postMessage({ type: 'error', message: err.message }));
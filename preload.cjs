@@ -1,2 +1,43 @@
 // preload.cjs
-// Currently empty, can be used later for secure bridge between main and renderer processes
+// Bridge between the renderer and the main process
+const { contextBridge, ipcRenderer, webUtils } = require("electron");
+
+let nextJob = 1;
+
+// Octree caches of large files (see octreeCache.cjs)
+contextBridge.exposeInMainWorld("octreeCache", {
+  // Path of a file picked in the renderer ("" when it has none)
+  pathForFile: (file) => webUtils.getPathForFile(file),
+
+  // { id, metadata } of an up-to-date cache, or null
+  find: (filePath, format) => ipcRenderer.invoke("octree-cache:find", filePath, format),
+
+  // { promise, cancel } like a worker pool task; resolves with
+  // { id, metadata, diagnostics }, or null when cancelled
+  convert: (filePath, format, onProgress) => {
+    const job = nextJob++;
+    const listener = (event, id, progress) => {
+      if (id === job) onProgress(progress);
+    };
+    ipcRenderer.on("octree-cache:progress", listener);
+    const promise = ipcRenderer.invoke("octree-cache:convert", job, filePath, format)
+      .finally(() => ipcRenderer.removeListener("octree-cache:progress", listener));
+    return {
+      promise,
+      cancel: () => ipcRenderer.invoke("octree-cache:cancel", job)
+    };
+  },
+
+  // Bytes of a node, as a Uint8Array
+  readNode: (id, byteOffset, byteSize) => ipcRenderer.invoke("octree-cache:read", id, byteOffset, byteSize),
+
+  // Close the cache with this id until its nodes are read again
+  release: (id) => ipcRenderer.invoke("octree-cache:release", id),
+
+  // Disk use of all caches: { count, bytes }
+  usage: () => ipcRenderer.invoke("octree-cache:usage"),
+
+  // Remove every cache but the one with id `keep` (in use); resolves with
+  // the disk use freed, { count, bytes }
+  clear: (keep) => ipcRenderer.invoke("octree-cache:clear", keep)
+});
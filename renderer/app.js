@@ -1,18 +1,125 @@
-import { parseXYZ } from './xyzParser.js';
 import * as THREE from './lib/three.module.js';
 import { OrbitControls } from './lib/OrbitControls.js';
-import { reducePointCloud, invertZValues, exportToXYZ } from './pointCloudReducer.js';
+import { exportToXYZ, invertZValues } from './pointCloudReducer.js';
+import { exportToLAS } from './lasWriter.js';
+import { exportToPLY } from './plyWriter.js';
+import { exportToPCD } from './pcdWriter.js';
+import { triangulateGrid } from './surfaceGenerator.js';
+import { PointCloud } from './pointCloud.js';
+import { createCloudGeometry, localOrigin } from './cloudGeometry.js';
+import { EyeDomeLighting } from './eyeDomeLighting.js';
+import {
+  createPointMaterial,
+  setPointViewport,
+  setPointSize,
+  setSplatShape,
+  fieldOffset,
+  setColoringUniforms,
+  setVertexColors,
+  bindColoringAttributes,
+  setClipping
+} from './pointMaterial.js';
+import { OctreeRenderer } from './octreeRenderer.js';
+import { decodeOctreeNode, readWholeCache } from './octreeCache.js';
+import { pickPoint, pointValues, createPickMarker } from './pointPicking.js';
+import { showPickTooltip, hidePickTooltip } from './pickTooltip.js';
+import { MEASUREMENT_TOOLS, measure, formatQuantity, measurementsToCSV } from './measurements.js';
+import { MeasurementOverlay } from './measurementOverlay.js';
+import { MAX_CLIP_PLANES, createClipping, clippingActive, positionShownTest, pointShownTest, clipPointCloud, clipBoxAround, clipPlane } from './clipping.js';
+import { ClippingEditor } from './clippingEditor.js';
+import { extractProfile, profileCorridor, profileToCSV } from './profile.js';
+import { showProfilePanel, hideProfilePanel } from './profilePanel.js';
+import { rectanglePolygon, polygonArea, selectPoints, combineSelection, maskIndices } from './selection.js';
+import { EditableCloud } from './cloudEdits.js';
+import { CommandHistory } from './commandHistory.js';
+import { coloringSources, fieldRange, fieldColorLegend } from './fieldColoring.js';
+import { drawColorLegend } from './colorLegend.js';
+import { WorkerPool } from './workerPool.js';
+import { TEXT_EXTENSIONS, fileExtension } from './cloudLoader.js';
+import { chooseTextFormat } from './columnMappingDialog.js';
+import { showParseReport, hideParseReport } from './parseReportPanel.js';
 
 let scene, camera, renderer, controls;
+// Eye-Dome Lighting pass, used instead of a plain render when enabled
+let edl;
+let edlEnabled = false;
+// Marker over the picked point
+let pickMarker;
+// Measuring: the selected tool ('none': clicks show point info), finished
+// measurements ({ id, tool, points }) and the one being picked
+let measureTool = 'none';
+let measurements = [];
+let draftMeasurement = null;
+let nextMeasurementId = 1;
+let measurementOverlay;
+// Clip box and planes (see clipping.js), in the cloud's own coordinates
+let clipping = createClipping();
+let clippingEditor;
+let saveClipped = false;
+// Profile: the line being drawn ({ points }, null when not drawing), the
+// profile shown (see profile.js) and its corridor drawn in the scene
+let profileDrawing = null;
+let profileWidth = 1;
+let profile = null;
+let profileOutline = null;
+// Selection: the tool dragging on the view draws with ('none', 'lasso' or
+// 'rectangle'), the mask of selected points of editableCloud.source and its
+// highlight, and the layers drawn next to the cloud ({ layer, points })
+let selectTool = 'none';
+let selection = null;
+let selectionHighlight = null;
+let layerObjects = [];
+// What is drawn: one THREE.Points (cloud), or an octree within the point
+// budget (octreeView) for larger clouds; both use pointMaterial
 let cloud = null;
-let originalPoints = [];
-let currentPoints = [];
-let pointSize = 0.1;
-let useZColor = true;
+let octreeView = null;
+let pointMaterial = null;
+let pointBudget = 3000000;
+// Local origin the drawn geometry is relative to (see localOrigin); the
+// scene itself stays in the cloud's own, global coordinates
+let cloudOrigin = { x: 0, y: 0, z: 0 };
+let cloudBounds = { min: { x: 0, y: 0, z: 0 }, max: { x: 0, y: 0, z: 0 } };
+// The loaded cloud with its edits (crops, deletions, layers split off) and
+// the edited cloud reductions start from; null while the cloud is only
+// viewed from its octree cache
+let editableCloud = null;
+// Undo and redo of the edits and the reduction settings (see commandHistory.js)
+const editHistory = new CommandHistory({ onChange: updateHistoryPanel });
+let originalCloud = null;
+let currentCloud = null;
+// Octree cache the cloud is viewed from ({ id, metadata }); currentCloud is
+// then its root node and there is no originalCloud until an operation reads
+// the whole cloud (see loadWholeCloud)
+let openedCache = null;
+let wholeCloudRequest = null;
+// Point size per size mode: pixels, world units or multiples of the point spacing
+let pointSizeMode = 'attenuated';
+const pointSizes = { fixed: 3, attenuated: 0.1, adaptive: 1.5 };
+let splatShape = 'round';
+// Colouring panel: source ('rgb', 'z' or an attribute name), colour map,
+// value range (null: the range of the values) and options
+let colorSource = 'z';
+let colorMapName = 'viridis';
+let colorRange = null;
+let colorClamp = true;
+let colorEqualize = false;
 let reductionMethod = 'none';
 let reductionPercent = 100;
+let gradientNeighbours = 8;
+let voxelMode = 'target';
+let voxelSize = 1;
 let invertZ = false;
 let decimalPlaces = 6;
+let exportFormat = 'xyz';
+let exportFaces = false;
+
+// Parsing, reduction and stats run in background workers
+const workerPool = new WorkerPool(new URL('./cloudWorker.js', import.meta.url));
+// Running worker tasks by kind ('load', 'reduce', 'stats', 'spacing', 'octree')
+const runningTasks = new Map();
+// Files from this size on are converted into an octree cache (Electron only)
+// and reopened from it
+const OCTREE_CACHE_MIN_FILE_SIZE = 256 * 1024 * 1024;
 
 function init() {
   scene = new THREE.Scene();
@@ -36,35 +143,133 @@ function init() {
   scene.add(directionalLight);
 
   controls = new OrbitControls(camera, renderer.domElement);
+  clippingEditor = new ClippingEditor(scene, camera, renderer.domElement, applyClipping);
+  clippingEditor.setViewport(window.innerHeight, renderer.getPixelRatio());
+  edl = new EyeDomeLighting(renderer);
+  pickMarker = createPickMarker();
+  setPointViewport(pickMarker.material, window.innerHeight, renderer.getPixelRatio());
+  scene.add(pickMarker);
+  measurementOverlay = new MeasurementOverlay(scene, document.getElementById("measurementLabels"));
+  measurementOverlay.setViewport(window.innerHeight, renderer.getPixelRatio());
+  listenForPicks(renderer.domElement);
+  listenForSelection(renderer.domElement);
 
   document.getElementById("file").addEventListener("change", loadXYZ);
   document.getElementById("loadSampleWave").addEventListener("click", loadSampleWave);
+  document.getElementById("pointSizeMode").addEventListener("change", (e) => {
+    pointSizeMode = e.target.value;
+    updatePointSizeOptions();
+    applyPointSize();
+  });
   document.getElementById("pointSize").addEventListener("input", (e) => {
-    pointSize = parseFloat(e.target.value);
-    if (cloud) {
-      cloud.material.size = pointSize;
-      cloud.material.needsUpdate = true;
-    }
+    pointSizes[pointSizeMode] = parseFloat(e.target.value);
+    updatePointSizeOptions();
+    applyPointSize();
+  });
+  document.getElementById("edlToggle").addEventListener("change", (e) => {
+    edlEnabled = e.target.checked;
+    document.getElementById("edlOptions").style.display = edlEnabled ? '' : 'none';
+  });
+  document.getElementById("edlStrength").addEventListener("input", (e) => {
+    edl.strength = parseFloat(e.target.value);
+  });
+  document.getElementById("edlRadius").addEventListener("input", (e) => {
+    edl.radius = parseFloat(e.target.value);
+  });
+  document.getElementById("splatShape").addEventListener("change", (e) => {
+    splatShape = e.target.value;
+    if (pointMaterial) setSplatShape(pointMaterial, splatShape);
+  });
+  document.getElementById("pointBudget").addEventListener("change", (e) => {
+    const millions = parseFloat(e.target.value);
+    if (millions > 0) pointBudget = Math.round(millions * 1e6);
+    document.getElementById("pointBudget").value = pointBudget / 1e6;
+    if (!currentCloud) return;
+    // Rebuild when the cloud moves between direct and octree drawing
+    if (drawnAsOctree(currentCloud) !== (octreeView !== null)) buildCloud(currentCloud);
+    else if (octreeView) octreeView.pointBudget = pointBudget;
+  });
+  document.getElementById("clearOctreeCache").addEventListener("click", clearOctreeCache);
+  document.getElementById("colorSource").addEventListener("change", (e) => {
+    colorSource = e.target.value;
+    colorRange = null;
+    applyColoring();
+  });
+  
+  document.getElementById("colorMap").addEventListener("change", (e) => {
+    colorMapName = e.target.value;
+    applyColoring();
+  });
+  
+  const updateColorRange = () => {
+    const min = parseFloat(document.getElementById("colorMin").value);
+    const max = parseFloat(document.getElementById("colorMax").value);
+    if (Number.isFinite(min) && Number.isFinite(max) && min < max) colorRange = { min, max };
+    applyColoring();
+  };
+  document.getElementById("colorMin").addEventListener("change", updateColorRange);
+  document.getElementById("colorMax").addEventListener("change", updateColorRange);
+  document.getElementById("colorRangeAuto").addEventListener("click", () => {
+    colorRange = null;
+    applyColoring();
+  });
+  
+  document.getElementById("colorClamp").addEventListener("change", (e) => {
+    colorClamp = e.target.checked;
+    applyColoring();
   });
-  document.getElementById("zColorToggle").addEventListener("change", (e) => {
-    useZColor = e.target.checked;
-    if (currentPoints.length > 0) buildCloud(currentPoints);
+  
+  document.getElementById("colorEqualize").addEventListener("change", (e) => {
+    colorEqualize = e.target.checked;
+    applyColoring();
   });
   
+  // Reduction settings change through the history, so they undo like edits
   document.getElementById("reductionMethod").addEventListener("change", (e) => {
-    reductionMethod = e.target.value;
-    applyReductionAndInversion();
+    changeReduction('Reduction method', { reductionMethod: e.target.value });
+  });
+  
+  document.getElementById("voxelMode").addEventListener("change", (e) => {
+    changeReduction('Voxel mode', { voxelMode: e.target.value });
+  });
+  
+  document.getElementById("voxelSize").addEventListener("change", (e) => {
+    const value = parseFloat(e.target.value);
+    changeReduction('Voxel size', { voxelSize: value > 0 ? value : voxelSize });
   });
   
   document.getElementById("reductionPercent").addEventListener("input", (e) => {
-    reductionPercent = parseFloat(e.target.value);
-    document.getElementById("reductionPercentLabel").textContent = `${reductionPercent}%`;
-    applyReductionAndInversion();
+    changeReduction('Target points', { reductionPercent: parseFloat(e.target.value) });
+  });
+  
+  document.getElementById("gradientNeighbours").addEventListener("change", (e) => {
+    changeReduction('Slope neighbours', { gradientNeighbours: Math.max(3, Math.min(64, parseInt(e.target.value) || 8)) });
   });
   
   document.getElementById("invertZ").addEventListener("change", (e) => {
-    invertZ = e.target.checked;
-    applyReductionAndInversion();
+    changeReduction('Invert Z', { invertZ: e.target.checked });
+  });
+  
+  document.getElementById("clipMode").addEventListener("change", (e) => {
+    clipping.mode = e.target.value;
+    updateClippingPanel();
+  });
+  document.getElementById("clipBox").addEventListener("change", (e) => {
+    clipping.box = e.target.checked ? clipBoxAround(cloudBounds) : null;
+    updateClippingPanel();
+  });
+  document.getElementById("resetClipBox").addEventListener("click", () => {
+    clipping.box = clipBoxAround(cloudBounds);
+    updateClippingPanel();
+  });
+  document.getElementById("addClipPlane").addEventListener("click", () => {
+    if (clipping.planes.length >= MAX_CLIP_PLANES) return;
+    // Through the orbit centre, keeping what lies beyond it
+    clipping.planes.push(clipPlane(camera.getWorldDirection(new THREE.Vector3()), controls.target));
+    updateClippingPanel();
+  });
+  document.getElementById("saveClipped").addEventListener("change", (e) => {
+    saveClipped = e.target.checked;
   });
   
   document.getElementById("decimalPlaces").addEventListener("change", (e) => {
@@ -72,46 +277,459 @@ function init() {
     document.getElementById("decimalPlaces").value = decimalPlaces;
   });
   
+  document.getElementById("exportFormat").addEventListener("change", (e) => {
+    exportFormat = e.target.value;
+    updateExportOptions();
+  });
+
+  document.getElementById("exportFaces").addEventListener("change", (e) => {
+    exportFaces = e.target.checked;
+  });
+  
   document.getElementById("saveReduced").addEventListener("click", saveReducedCloud);
   document.getElementById("calculateDistance").addEventListener("click", calculateDistanceStats);
+  document.getElementById("measureTool").addEventListener("change", (e) => {
+    measureTool = e.target.value;
+    draftMeasurement = null;
+    hidePick();
+    updateMeasurements();
+  });
+  document.getElementById("finishMeasurement").addEventListener("click", finishMeasurement);
+  document.getElementById("clearMeasurements").addEventListener("click", () => {
+    measurements = [];
+    draftMeasurement = null;
+    updateMeasurements();
+  });
+  document.getElementById("exportMeasurements").addEventListener("click", exportMeasurements);
+  document.getElementById("profileWidth").addEventListener("change", (e) => {
+    const value = parseFloat(e.target.value);
+    if (value > 0) profileWidth = value;
+    document.getElementById("profileWidth").value = profileWidth;
+    if (profile) showProfile({ ...profile.line, width: profileWidth });
+  });
+  document.getElementById("drawProfile").addEventListener("click", startProfileLine);
+  document.getElementById("selectTool").addEventListener("change", async (e) => {
+    // Selections are made on the whole cloud
+    if (e.target.value !== 'none' && !(await loadWholeCloud())) e.target.value = 'none';
+    selectTool = e.target.value;
+    // Dragging draws the selection instead of turning the view
+    controls.enabled = selectTool === 'none';
+    hidePick();
+  });
+  document.getElementById("cropSelection").addEventListener("click", () => editSelection('crop'));
+  document.getElementById("deleteSelection").addEventListener("click", () => editSelection('delete'));
+  document.getElementById("splitSelection").addEventListener("click", () => editSelection('split'));
+  document.getElementById("clearSelection").addEventListener("click", clearSelection);
+  document.getElementById("undo").addEventListener("click", () => editHistory.undo());
+  document.getElementById("redo").addEventListener("click", () => editHistory.redo());
+  document.getElementById("cancelTask").addEventListener("click", cancelAllTasks);
 
   window.addEventListener("resize", () => {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
+    edl.setSize(window.innerWidth, window.innerHeight);
+    if (pointMaterial) setPointViewport(pointMaterial, window.innerHeight, renderer.getPixelRatio());
+    setPointViewport(pickMarker.material, window.innerHeight, renderer.getPixelRatio());
+    measurementOverlay.setViewport(window.innerHeight, renderer.getPixelRatio());
+    clippingEditor.setViewport(window.innerHeight, renderer.getPixelRatio());
   });
 
+  updatePointSizeOptions();
+  updateReductionOptions();
+  updateExportOptions();
+  updateHistoryPanel();
+  updateOctreeCacheUsage();
   animate();
 }
 
+// Pointer travel (CSS pixels) up to which a press and release is a click,
+// not a camera drag
+const CLICK_TOLERANCE = 4;
+
+// Clicking the view picks the point under the pointer (or adds it to the
+// measurement or profile line being picked)
+function listenForPicks(element) {
+  let pressedAt = null;
+  element.addEventListener("pointerdown", (e) => {
+    pressedAt = e.button === 0 ? { x: e.clientX, y: e.clientY } : null;
+  });
+  element.addEventListener("pointerup", (e) => {
+    if (!pressedAt) return;
+    const moved = Math.hypot(e.clientX - pressedAt.x, e.clientY - pressedAt.y);
+    pressedAt = null;
+    if (moved <= CLICK_TOLERANCE && selectTool === 'none') pickAt(e);
+  });
+  window.addEventListener("keydown", (e) => {
+    if (e.key === 'Escape') {
+      hidePick();
+      draftMeasurement = null;
+      updateMeasurements();
+      stopProfileLine();
+    } else if (e.key === 'Enter' && draftMeasurement) {
+      finishMeasurement();
+    } else if (e.key === 'Delete' && selection && e.target === document.body) {
+      editSelection('delete');
+    } else if ((e.ctrlKey || e.metaKey) && !e.target.matches('input[type="number"], input[type="text"], textarea')) {
+      // Text fields keep their own undo
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) editHistory.undo();
+      else if (key === 'y' || (key === 'z' && e.shiftKey)) editHistory.redo();
+      else return;
+      e.preventDefault();
+    }
+  });
+}
+
+function pickAt(event) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  const targets = [
+    ...(cloud ? [{ points: cloud, cloud: currentCloud }] : octreeView ? octreeView.pickTargets() : []),
+    ...layerObjects.map(({ points, cloud: layerCloud }) => ({ points, cloud: layerCloud }))
+  ];
+  const picked = pickPoint(targets, camera,
+    { x: event.clientX - rect.left, y: event.clientY - rect.top },
+    { width: rect.width, height: rect.height },
+    { isShown: pointShownTest(clipping) });
+  if (profileDrawing) {
+    const point = picked ? pickedPosition(picked) : groundPoint(event, rect);
+    if (point) addProfilePoint(point);
+    return;
+  }
+  if (!picked) {
+    hidePick();
+    return;
+  }
+
+  const position = picked.cloud.getAttribute('position');
+  const i = picked.index * 3;
+  // Measurements snap to the picked point
+  if (measureTool !== 'none') {
+    addMeasurementPoint({ x: position[i], y: position[i + 1], z: position[i + 2] });
+    return;
+  }
+  pickMarker.position.set(position[i], position[i + 1], position[i + 2]);
+  pickMarker.visible = true;
+  showPickTooltip(pointValues(picked.cloud, picked.index), { x: event.clientX, y: event.clientY });
+}
+
+function hidePick() {
+  pickMarker.visible = false;
+  hidePickTooltip();
+}
+
+function pickedPosition({ cloud: pointCloud, index }) {
+  const position = pointCloud.getAttribute('position');
+  return { x: position[index * 3], y: position[index * 3 + 1], z: position[index * 3 + 2] };
+}
+
+// Where the pointer ray meets the horizontal plane through the middle of
+// the cloud, for clicks that miss every point
+function groundPoint(event, rect) {
+  const raycaster = new THREE.Raycaster();
+  raycaster.setFromCamera(new THREE.Vector2(
+    (event.clientX - rect.left) / rect.width * 2 - 1,
+    1 - (event.clientY - rect.top) / rect.height * 2
+  ), camera);
+  const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), -(cloudBounds.min.z + cloudBounds.max.z) / 2);
+  const hit = raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+  return hit ? { x: hit.x, y: hit.y, z: hit.z } : null;
+}
+
+// Look straight down on the cloud and take the next two clicks as the ends
+// of a profile line
+function startProfileLine() {
+  if (!currentCloud) return;
+  hidePick();
+  draftMeasurement = null;
+  updateMeasurements();
+  profileDrawing = { points: [] };
+  document.getElementById("profileHint").style.display = '';
+
+  const { min, max } = cloudBounds;
+  const center = new THREE.Vector3((min.x + max.x) / 2, (min.y + max.y) / 2, (min.z + max.z) / 2);
+  const height = Math.max(max.x - min.x, max.y - min.y, 1);
+  // Slightly south of straight above, so the Z-up camera keeps north up
+  camera.position.set(center.x, center.y - height * 1e-3, max.z + height);
+  controls.target.copy(center);
+  controls.update();
+}
+
+function stopProfileLine() {
+  profileDrawing = null;
+  document.getElementById("profileHint").style.display = 'none';
+}
+
+function addProfilePoint(point) {
+  profileDrawing.points.push(point);
+  if (profileDrawing.points.length < 2) return;
+  const [start, end] = profileDrawing.points;
+  stopProfileLine();
+  showProfile({ start, end, width: profileWidth });
+}
+
+// Extract the profile of `line` from the displayed cloud and show it
+function showProfile(line) {
+  profile = extractProfile(profileSource(), line);
+  showProfileOutline();
+  showProfilePanel(profile, { onExport: exportProfile, onClose: clearProfile });
+}
+
+// Clouds from the octree cache are only in memory as far as they are drawn
+function profileSource() {
+  if (!openedCache || !octreeView) return currentCloud;
+  const drawn = new PointCloud(0);
+  octreeView.pickTargets().forEach(({ cloud: node }) => drawn.append(node));
+  return drawn;
+}
+
+// The corridor and the line, over the top of the cloud
+function showProfileOutline() {
+  removeProfileOutline();
+  const z = cloudBounds.max.z - cloudOrigin.z;
+  const local = ({ x, y }) => [x - cloudOrigin.x, y - cloudOrigin.y, z];
+  const corners = profileCorridor(profile.line);
+  const positions = [];
+  corners.forEach((corner, i) => positions.push(...local(corner), ...local(corners[(i + 1) % 4])));
+  positions.push(...local(profile.line.start), ...local(profile.line.end));
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
+  profileOutline = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: 0xd81b60, depthTest: false, depthWrite: false }));
+  profileOutline.position.set(cloudOrigin.x, cloudOrigin.y, cloudOrigin.z);
+  profileOutline.renderOrder = 1;
+  profileOutline.frustumCulled = false;
+  scene.add(profileOutline);
+}
+
+function removeProfileOutline() {
+  if (!profileOutline) return;
+  scene.remove(profileOutline);
+  profileOutline.geometry.dispose();
+  profileOutline.material.dispose();
+  profileOutline = null;
+}
+
+function clearProfile() {
+  stopProfileLine();
+  profile = null;
+  removeProfileOutline();
+  hideProfilePanel();
+}
+
+function exportProfile(format) {
+  if (!profile || profile.cloud.length === 0) return;
+  if (format === 'csv') {
+    downloadBlob(new Blob([profileToCSV(profile, decimalPlaces)], { type: 'text/csv' }), 'profile.csv');
+  } else {
+    downloadBlob(new Blob([exportToXYZ(profile.cloud, decimalPlaces)], { type: 'text/plain' }), `profile_${profile.cloud.length}pts.xyz`);
+  }
+}
+
+function addMeasurementPoint(point) {
+  if (!draftMeasurement) draftMeasurement = { tool: measureTool, points: [] };
+  draftMeasurement.points.push(point);
+  if (draftMeasurement.points.length >= MEASUREMENT_TOOLS[measureTool].maxPoints) finishMeasurement();
+  else updateMeasurements();
+}
+
+// Keep the measurement being picked if it has enough points
+function finishMeasurement() {
+  if (!draftMeasurement) return;
+  const { tool, points } = draftMeasurement;
+  if (points.length >= MEASUREMENT_TOOLS[tool].minPoints) {
+    measurements.push({ id: nextMeasurementId++, tool, points });
+  }
+  draftMeasurement = null;
+  updateMeasurements();
+}
+
+// Redraw the measurements and refresh the measuring panel
+function updateMeasurements() {
+  measurementOverlay.setMeasurements(measurements, draftMeasurement);
+
+  const tool = MEASUREMENT_TOOLS[measureTool];
+  document.getElementById("measureOptions").style.display = tool ? '' : 'none';
+  if (tool) {
+    const picked = draftMeasurement ? draftMeasurement.points.length : 0;
+    const wanted = Number.isFinite(tool.maxPoints)
+      ? `Click ${tool.maxPoints} points on the cloud${measureTool === 'angle' ? ' (the second is the vertex)' : ''}`
+      : `Click ${tool.minPoints} or more points, then Finish`;
+    document.getElementById("measureHint").textContent = `${wanted}: ${picked} picked.`;
+    document.getElementById("finishMeasurement").disabled = picked < tool.minPoints;
+  }
+
+  const list = document.getElementById("measurementList");
+  list.innerHTML = '';
+  measurements.forEach(measurement => {
+    const [main] = measure(measurement.tool, measurement.points);
+    const item = document.createElement('li');
+    item.textContent = `#${measurement.id} ${MEASUREMENT_TOOLS[measurement.tool].label}: ${main.label} ${formatQuantity(main)} `;
+    const remove = document.createElement('button');
+    remove.textContent = '×';
+    remove.title = 'Delete measurement';
+    remove.onclick = () => {
+      measurements = measurements.filter(m => m !== measurement);
+      updateMeasurements();
+    };
+    item.appendChild(remove);
+    list.appendChild(item);
+  });
+  document.getElementById("exportMeasurements").disabled = measurements.length === 0;
+  document.getElementById("clearMeasurements").disabled = measurements.length === 0;
+}
+
+function exportMeasurements() {
+  if (measurements.length === 0) return;
+  downloadBlob(new Blob([measurementsToCSV(measurements)], { type: 'text/csv' }), 'measurements.csv');
+}
+
+// Slider range and label of the selected point size mode
+const POINT_SIZE_RANGES = {
+  fixed: { min: 1, max: 20, step: 0.5, unit: 'px' },
+  attenuated: { min: 0.01, max: 1, step: 0.01, unit: '' },
+  adaptive: { min: 0.5, max: 5, step: 0.1, unit: '× spacing' }
+};
+
+function updatePointSizeOptions() {
+  const range = POINT_SIZE_RANGES[pointSizeMode];
+  const slider = document.getElementById("pointSize");
+  slider.min = range.min;
+  slider.max = range.max;
+  slider.step = range.step;
+  slider.value = pointSizes[pointSizeMode];
+  document.getElementById("pointSizeLabel").textContent = `${pointSizes[pointSizeMode]} ${range.unit}`.trim();
+}
+
+function applyPointSize() {
+  if (!pointMaterial) return;
+  setPointSize(pointMaterial, pointSizeMode, pointSizes[pointSizeMode]);
+  updatePointSpacing();
+}
+
+// Adaptive sizes need the local point spacing, estimated once per cloud
+// (octree nodes carry their own spacing)
+async function updatePointSpacing() {
+  if (pointSizeMode !== 'adaptive' || !cloud || cloud.geometry.hasAttribute('spacing')) return;
+  const points = cloud;
+  const result = await runWorkerTask('spacing', 'Estimating point spacing', 'spacing', {
+    cloud: currentCloud.toTransferable()
+  });
+  if (!result || points !== cloud) return;
+  cloud.geometry.setAttribute('spacing', new THREE.BufferAttribute(result.spacing, 1));
+}
+
+// Only show the options of the selected reduction method
+function updateReductionOptions() {
+  document.getElementById("voxelOptions").style.display = reductionMethod === 'voxel' ? '' : 'none';
+  document.getElementById("gradientOptions").style.display = reductionMethod === 'zgradient' ? '' : 'none';
+  document.getElementById("voxelSize").disabled = voxelMode !== 'size';
+  document.getElementById("reductionPercent").disabled = reductionMethod === 'voxel' && voxelMode === 'size';
+}
+
+// The reduction and Z inversion settings, as the history keeps them
+function reductionSettings() {
+  return { reductionMethod, reductionPercent, voxelMode, voxelSize, gradientNeighbours, invertZ };
+}
+
+// What the settings do to the cloud, e.g. 'Voxel, 25% of the points, Z
+// inverted'; settings with the same effect read the same
+function describeReduction(settings) {
+  const percent = `${settings.reductionPercent}% of the points`;
+  const parts = {
+    none: ['No reduction'],
+    voxel: ['Voxel', settings.voxelMode === 'size' ? `voxel size ${settings.voxelSize}` : percent],
+    zgradient: ['Z-gradient', percent, `${settings.gradientNeighbours} neighbours`]
+  }[settings.reductionMethod];
+  return [...parts, ...(settings.invertZ ? ['Z inverted'] : [])].join(', ');
+}
+
+// Whether the settings reduce or invert the cloud
+function changesCloud(settings) {
+  return settings.reductionMethod !== 'none' || settings.invertZ;
+}
+
+// Change reduction settings as a command in the history
+async function changeReduction(label, changes) {
+  const before = reductionSettings();
+  const after = { ...before, ...changes };
+  if (Object.keys(changes).every(key => after[key] === before[key])) {
+    // Put back whatever the control was set to
+    setReduction(before);
+    return;
+  }
+  // A cloud viewed from its octree cache is read whole first; the settings
+  // stay as they were if that is cancelled
+  if (changesCloud(after) && !(await loadWholeCloud())) {
+    setReduction(before);
+    return;
+  }
+  editHistory.execute({
+    label,
+    details: describeReduction(after),
+    bytes: 0,
+    mergeKey: label,
+    do: () => setReduction(after),
+    undo: () => setReduction(before)
+  });
+}
+
+// Show reduction settings in the panel, and reduce again when they change
+// what the cloud looks like
+function setReduction(settings) {
+  const changed = describeReduction(settings) !== describeReduction(reductionSettings());
+  ({ reductionMethod, reductionPercent, voxelMode, voxelSize, gradientNeighbours, invertZ } = settings);
+  document.getElementById("reductionMethod").value = reductionMethod;
+  document.getElementById("voxelMode").value = voxelMode;
+  document.getElementById("voxelSize").value = voxelSize;
+  document.getElementById("reductionPercent").value = reductionPercent;
+  document.getElementById("reductionPercentLabel").textContent = `${reductionPercent}%`;
+  document.getElementById("gradientNeighbours").value = gradientNeighbours;
+  document.getElementById("invertZ").checked = invertZ;
+  updateReductionOptions();
+  if (changed) applyReductionAndInversion();
+}
+
+function showReductionResult(info = {}) {
+  const resultDiv = document.getElementById("reductionResult");
+  if (openedCache && changesCloud(reductionSettings())) {
+    resultDiv.textContent = 'Not applied: the cloud is only viewed from its octree cache';
+    return;
+  }
+  if (!originalCloud || !currentCloud || reductionMethod === 'none') {
+    resultDiv.textContent = '';
+    return;
+  }
+  const achieved = currentCloud.length / originalCloud.length * 100;
+  let text = `Achieved: ${achieved.toFixed(1)}% (${currentCloud.length.toLocaleString()} of ${originalCloud.length.toLocaleString()} points)`;
+  if (info.voxelSize !== undefined) text += `, voxel size ${info.voxelSize.toPrecision(4)}`;
+  resultDiv.textContent = text;
+}
+
 function generateWaveData(width = 20, height = 20, wavelength = 4, amplitude = 5) {
-  const points = [];
+  const cloud = new PointCloud();
   const step = width / 40; // Create a grid of points
   
   for (let x = -width / 2; x < width / 2; x += step) {
     for (let y = -height / 2; y < height / 2; y += step) {
       const z = amplitude * Math.sin((x + y) / wavelength) * Math.cos(x / wavelength);
-      points.push({
-        x: x,
-        y: y,
-        z: z,
-        r: null,
-        g: null,
-        b: null
-      });
+      cloud.addPoint(x, y, z);
     }
   }
   
-  return points;
+  return cloud.trim();
 }
 
 function loadSampleWave() {
-  const loadingDiv = document.getElementById('loading');
-  loadingDiv.style.display = 'block';
-  loadingDiv.textContent = 'Generating wave...';
+  hideParseReport();
+  showLoading('Generating wave...');
 
   setTimeout(() => {
-    originalPoints = generateWaveData();
+    releaseOpenedCache();
+    editableCloud = new EditableCloud(generateWaveData());
+    originalCloud = editableCloud.cloud;
+    colorRange = null;
+    resetCloudTools();
     
     setTimeout(() => {
       // Enable save button
@@ -120,162 +738,587 @@ function loadSampleWave() {
       // Apply current reduction and inversion settings
       applyReductionAndInversion();
       
-      loadingDiv.style.display = 'none';
+      updateLoading();
     }, 10);
   }, 10);
 }
 
-// Create a circle texture for points
-function createCircleTexture() {
-  const size = 64;
-  const canvas = document.createElement('canvas');
-  canvas.width = size;
-  canvas.height = size;
-  
-  const ctx = canvas.getContext('2d');
-  ctx.fillStyle = 'rgba(255, 255, 255, 1)';
-  ctx.beginPath();
-  ctx.arc(size / 2, size / 2, size / 2, 0, Math.PI * 2);
-  ctx.fill();
-  
-  const texture = new THREE.CanvasTexture(canvas);
-  return texture;
+function showLoading(text, fraction = null) {
+  const loadingDiv = document.getElementById('loading');
+  const progress = document.getElementById('loadingProgress');
+  loadingDiv.style.display = 'block';
+  document.getElementById('loadingText').textContent = text;
+  if (fraction === null) progress.removeAttribute('value');
+  else progress.value = fraction;
+  document.getElementById('cancelTask').style.display = runningTasks.size > 0 ? '' : 'none';
+}
+
+// Hide the loading panel once no worker task is left
+function updateLoading() {
+  if (runningTasks.size === 0) document.getElementById('loading').style.display = 'none';
+}
+
+/**
+ * Run a task in the worker pool, cancelling any running task of the same kind
+ * Resolves with the task result, or null if the task was cancelled
+ */
+function runWorkerTask(kind, label, task, payload, options = {}) {
+  return runTask(kind, label, onProgress => workerPool.run(task, payload, { ...options, onProgress }));
+}
+
+/**
+ * Track a cancellable task ({ promise, cancel } returned by start(onProgress))
+ * in the loading panel, cancelling any running task of the same kind
+ */
+async function runTask(kind, label, start) {
+  if (runningTasks.has(kind)) runningTasks.get(kind).cancel();
+
+  const handle = start(({ fraction, pointCount }) => {
+    const percent = Math.round(fraction * 100);
+    const points = pointCount !== undefined ? ` (${pointCount.toLocaleString()} points)` : '';
+    showLoading(`${label}... ${percent}%${points}`, fraction);
+  });
+  runningTasks.set(kind, handle);
+  showLoading(`${label}...`);
+
+  try {
+    return await handle.promise;
+  } catch (err) {
+    if (err.name !== 'AbortError') {
+      console.error(`${label} failed:`, err);
+      alert(`${label} failed: ${err.message}`);
+    }
+    return null;
+  } finally {
+    if (runningTasks.get(kind) === handle) runningTasks.delete(kind);
+    updateLoading();
+  }
 }
 
-const circleTexture = createCircleTexture();
+function cancelAllTasks() {
+  runningTasks.forEach(handle => handle.cancel());
+}
 
-function loadXYZ(e) {
+async function loadXYZ(e) {
   const file = e.target.files[0];
   if (!file) return;
 
-  const loadingDiv = document.getElementById('loading');
-  loadingDiv.style.display = 'block';
-  loadingDiv.textContent = 'Loading...';
+  // Text files may need a column mapping; plain x y z [r g b] XYZ doesn't
+  let format;
+  const extension = fileExtension(file);
+  if (TEXT_EXTENSIONS.includes(extension)) {
+    format = await chooseTextFormat(file, { skipIfPlain: extension === 'xyz' });
+    if (format === null) {
+      // Allow picking the same file again
+      e.target.value = '';
+      return;
+    }
+  }
 
-  const reader = new FileReader();
-  reader.onload = () => {
-    loadingDiv.textContent = 'Parsing file...';
-    const points = parseXYZ(reader.result);
-    originalPoints = points;
-    
-    setTimeout(() => {
-      // Enable save button
-      document.getElementById("saveReduced").disabled = false;
-      
-      // Apply current reduction and inversion settings
-      applyReductionAndInversion();
-      
-      loadingDiv.style.display = 'none';
-    }, 10);
-  };
-  reader.readAsText(file);
+  // A new file replaces whatever is still being processed for the old one
+  ['load', 'reduce'].forEach(kind => {
+    if (runningTasks.has(kind)) runningTasks.get(kind).cancel();
+  });
+
+  hideParseReport();
+  if (await openFromOctreeCache(file, format || null)) return;
+
+  const result = await runWorkerTask('load', 'Parsing file', 'parse', { file, format });
+  if (!result) return;
+  releaseOpenedCache();
+  editableCloud = new EditableCloud(PointCloud.fromTransferable(result.cloud));
+  originalCloud = editableCloud.cloud;
+  colorRange = null;
+  resetCloudTools();
+  showParseReport(result.diagnostics, file.name);
+
+  // Enable save button
+  document.getElementById("saveReduced").disabled = false;
+
+  // Apply current reduction and inversion settings
+  applyReductionAndInversion();
 }
 
-function applyReductionAndInversion() {
-  if (originalPoints.length === 0) return;
-  
-  const loadingDiv = document.getElementById('loading');
-  loadingDiv.style.display = 'block';
-  loadingDiv.textContent = 'Processing...';
-  
-  // Use setTimeout to allow UI to update before heavy computation
-  setTimeout(() => {
-    let processedPoints = [...originalPoints];
-    
-    // Apply reduction if method is not 'none'
-    if (reductionMethod !== 'none') {
-      processedPoints = reducePointCloud(processedPoints, reductionMethod, reductionPercent);
+/**
+ * Open a large file from its octree cache, converting it first when there
+ * is no up-to-date cache (Electron only)
+ * Returns false when the file should be parsed as usual.
+ */
+async function openFromOctreeCache(file, format) {
+  const filePath = window.octreeCache && file.size >= OCTREE_CACHE_MIN_FILE_SIZE ? window.octreeCache.pathForFile(file) : '';
+  if (!filePath) return false;
+
+  let cache = await window.octreeCache.find(filePath, format).catch(err => {
+    console.warn('Could not look up the octree cache:', err);
+    return null;
+  });
+  let diagnostics = null;
+  if (!cache) {
+    const result = await runTask('load', 'Converting to octree cache', onProgress => {
+      const conversion = window.octreeCache.convert(filePath, format, onProgress);
+      return {
+        cancel: conversion.cancel,
+        // Formats the converter can't read are still parsed here
+        promise: conversion.promise.catch(err => {
+          console.warn('Octree cache conversion failed, parsing the file instead:', err);
+          return false;
+        })
+      };
+    });
+    if (result === false) return false;
+    if (!result) return true;
+    cache = result;
+    diagnostics = result.diagnostics;
+  }
+
+  // The root node stands in for the whole cloud in the colouring panel. A
+  // cache that can't be read (removed or cut short meanwhile) is left for
+  // parsing the file.
+  let root;
+  try {
+    root = await readCachedNode(cache, cache.metadata.nodes[0]);
+  } catch (err) {
+    console.warn('Could not read the octree cache, parsing the file instead:', err);
+    window.octreeCache.release(cache.id);
+    return false;
+  }
+  if (runningTasks.has('reduce')) runningTasks.get('reduce').cancel();
+  // Reading the root closed the cache viewed before in the main process
+  openedCache = cache;
+  editableCloud = null;
+  originalCloud = null;
+  currentCloud = root;
+  colorRange = null;
+  resetCloudTools();
+  if (diagnostics) showParseReport(diagnostics, file.name);
+  document.getElementById("saveReduced").disabled = false;
+  buildCloud(currentCloud);
+  showReductionResult();
+  updateOctreeCacheUsage();
+  // Reading the whole cloud when the reduction settings need it
+  applyReductionAndInversion({ keepView: true });
+  return true;
+}
+
+// Disk use of the octree caches (Electron only)
+async function updateOctreeCacheUsage() {
+  if (!window.octreeCache) return;
+  const { count, bytes } = await window.octreeCache.usage();
+  document.getElementById("octreeCacheOptions").style.display = '';
+  document.getElementById("octreeCacheUsage").textContent =
+    `Octree cache: ${count} ${count === 1 ? 'file' : 'files'}, ${(bytes / 1024 / 1024).toFixed(0)} MB`;
+  document.getElementById("clearOctreeCache").disabled = count === 0 || (count === 1 && openedCache !== null);
+}
+
+// Remove the octree caches, except the one being viewed
+async function clearOctreeCache() {
+  if (!confirm('Remove the octree caches? Large files are converted again when next opened.')) return;
+  await window.octreeCache.clear(openedCache ? openedCache.id : null);
+  updateOctreeCacheUsage();
+}
+
+// Let go of the octree cache being viewed (its file stays open in the main
+// process until then)
+function releaseOpenedCache() {
+  if (openedCache) window.octreeCache.release(openedCache.id);
+  openedCache = null;
+}
+
+async function readCachedNode(cache, node) {
+  const bytes = await window.octreeCache.readNode(cache.id, node.byteOffset, node.byteSize);
+  return decodeOctreeNode(bytes, cache.metadata, node);
+}
+
+/**
+ * Make sure the whole cloud is in memory for the operations that need every
+ * point (reducing, inverting Z, selecting, saving, distance stats): a cloud
+ * viewed from its octree cache is read node by node and becomes the edited
+ * cloud. Resolves to false when the reading was cancelled or failed.
+ */
+function loadWholeCloud() {
+  if (!openedCache) return Promise.resolve(true);
+  if (!wholeCloudRequest) {
+    wholeCloudRequest = readOpenedCache().finally(() => {
+      wholeCloudRequest = null;
+    });
+  }
+  return wholeCloudRequest;
+}
+
+async function readOpenedCache() {
+  const cache = openedCache;
+  const wholeCloud = await runTask('load', 'Reading the octree cache', onProgress => {
+    const controller = new AbortController();
+    const promise = readWholeCache(cache.metadata, node => window.octreeCache.readNode(cache.id, node.byteOffset, node.byteSize), {
+      signal: controller.signal,
+      onProgress: (fraction, pointCount) => onProgress({ fraction, pointCount })
+    });
+    return { promise, cancel: () => controller.abort() };
+  });
+  // Cancelled, failed, or another file was opened meanwhile
+  if (!wholeCloud || openedCache !== cache) return false;
+  releaseOpenedCache();
+  editableCloud = new EditableCloud(wholeCloud);
+  originalCloud = editableCloud.cloud;
+  currentCloud = originalCloud;
+  updateOctreeCacheUsage();
+  await applyReductionAndInversion({ keepView: true });
+  return true;
+}
+
+// keepView: leave the camera where it is (after edits)
+async function applyReductionAndInversion({ keepView = false } = {}) {
+  // Viewing from the octree cache needs no more than the cache; reducing and
+  // inverting Z read the whole cloud, which is then reduced like any other
+  if (openedCache) {
+    if (!changesCloud(reductionSettings()) || !(await loadWholeCloud())) showReductionResult();
+    return;
+  }
+  if (!originalCloud || originalCloud.length === 0) return;
+
+  if (reductionMethod === 'none' && !invertZ) {
+    if (runningTasks.has('reduce')) runningTasks.get('reduce').cancel();
+    currentCloud = originalCloud;
+    buildCloud(currentCloud, { keepView });
+    showReductionResult();
+    return;
+  }
+
+  // The original stays on this thread (copied, not transferred) so it can be
+  // reduced again with other settings
+  const result = await runWorkerTask('reduce', 'Processing', 'reduce', {
+    cloud: originalCloud.toTransferable(),
+    method: reductionMethod,
+    percent: reductionPercent,
+    invertZ,
+    options: {
+      neighbours: gradientNeighbours,
+      voxelSize: voxelMode === 'size' ? voxelSize : null
     }
-    
-    // Apply Z inversion if enabled
-    if (invertZ) {
-      processedPoints = invertZValues(processedPoints);
+  });
+  if (!result) return;
+
+  currentCloud = PointCloud.fromTransferable(result.cloud);
+  buildCloud(currentCloud, { keepView });
+  showReductionResult(result.info);
+}
+
+// Dragging on the view with a selection tool draws a lasso or rectangle;
+// Shift adds to the selection, Alt takes away from it
+function listenForSelection(element) {
+  let shape = null;
+  const pointerAt = (e) => {
+    const rect = element.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+  element.addEventListener("pointerdown", (e) => {
+    // The whole cloud may still be being read from the octree cache
+    if (selectTool === 'none' || e.button !== 0 || !editableCloud) return;
+    const at = pointerAt(e);
+    shape = { start: at, polygon: [at], mode: e.shiftKey ? 'add' : e.altKey ? 'subtract' : 'replace' };
+    element.setPointerCapture(e.pointerId);
+  });
+  element.addEventListener("pointermove", (e) => {
+    if (!shape) return;
+    const at = pointerAt(e);
+    if (selectTool === 'rectangle') {
+      shape.polygon = rectanglePolygon(shape.start, at);
+    } else {
+      const last = shape.polygon[shape.polygon.length - 1];
+      if (Math.hypot(at.x - last.x, at.y - last.y) >= CLICK_TOLERANCE) shape.polygon.push(at);
     }
-    
-    currentPoints = processedPoints;
-    buildCloud(processedPoints);
-    loadingDiv.style.display = 'none';
-  }, 10);
+    drawSelectionShape(shape.polygon);
+  });
+  element.addEventListener("pointerup", () => {
+    if (!shape) return;
+    const { polygon, mode } = shape;
+    shape = null;
+    drawSelectionShape(null);
+    // A click without a shape clears the selection
+    if (polygonArea(polygon) < CLICK_TOLERANCE * CLICK_TOLERANCE) {
+      if (mode === 'replace') clearSelection();
+      return;
+    }
+    selectInPolygon(polygon, mode);
+  });
+}
+
+function drawSelectionShape(polygon) {
+  const shape = document.getElementById("selectionShape");
+  shape.setAttribute('points', polygon ? polygon.map(({ x, y }) => `${x},${y}`).join(' ') : '');
+}
+
+// Select the points of the edited cloud under the polygon, as drawn:
+// Z-inverted when Invert Z is on, and only where clipping shows them
+function selectInPolygon(polygon, mode) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  const mask = selectPoints(editableCloud.source, camera, polygon, { width: rect.width, height: rect.height }, {
+    invertZ,
+    skip: editableCloud.removed,
+    isShown: positionShownTest(clipping)
+  });
+  selection = combineSelection(selection, mask, mode);
+  showSelection();
+}
+
+// Selected points drawn in red on top of the cloud
+function showSelection() {
+  removeSelectionHighlight();
+  const indices = selection ? maskIndices(selection) : new Uint32Array(0);
+  updateEditPanel(indices.length);
+  if (indices.length === 0) return;
+
+  const selected = editableCloud.source.select(indices);
+  const geometry = createCloudGeometry(invertZ ? invertZValues(selected) : selected, {
+    origin: cloudOrigin,
+    colors: new Uint8Array(indices.length * 3).map((_, i) => i % 3 === 0 ? 230 : 30)
+  });
+  const material = createPointMaterial();
+  setPointSize(material, 'fixed', 4);
+  setPointViewport(material, window.innerHeight, renderer.getPixelRatio());
+  setVertexColors(material, true);
+  material.depthTest = false;
+  selectionHighlight = new THREE.Points(geometry, material);
+  selectionHighlight.position.set(cloudOrigin.x, cloudOrigin.y, cloudOrigin.z);
+  selectionHighlight.renderOrder = 1;
+  scene.add(selectionHighlight);
+}
+
+function removeSelectionHighlight() {
+  if (!selectionHighlight) return;
+  scene.remove(selectionHighlight);
+  selectionHighlight.geometry.dispose();
+  selectionHighlight.material.dispose();
+  selectionHighlight = null;
+}
+
+function clearSelection() {
+  selection = null;
+  showSelection();
+}
+
+// Crop to, delete or split off the selected points
+function editSelection(operation) {
+  if (!selection || !editableCloud) return;
+  const count = maskIndices(selection).length;
+  if (count === 0) return;
+  if (operation !== 'crop' && count === editableCloud.length) {
+    alert('The selection holds every point; crop to it instead, or select fewer points.');
+    return;
+  }
+  if (operation === 'crop') executeEdit(editableCloud.cropEdit(selection));
+  else if (operation === 'delete') executeEdit(editableCloud.deleteEdit(selection));
+  else executeEdit(editableCloud.splitEdit(selection));
+}
+
+// Run an edit of editableCloud through the history, redrawing the cloud
+// whenever it is done, undone or redone
+function executeEdit(edit) {
+  const redraw = change => () => {
+    change();
+    selection = null;
+    applyEdits();
+  };
+  editHistory.execute({ ...edit, do: redraw(edit.do), undo: redraw(edit.undo) });
+}
+
+// Redraw the edited cloud (reduced and inverted as set) where the view is
+function applyEdits() {
+  originalCloud = editableCloud.cloud;
+  applyReductionAndInversion({ keepView: true });
+}
+
+// Selection count, edit buttons and the layer list
+function updateEditPanel(selectedCount = 0) {
+  document.getElementById("selectionInfo").textContent = selectedCount > 0
+    ? `${selectedCount.toLocaleString()} points selected`
+    : '';
+  ['cropSelection', 'deleteSelection', 'splitSelection', 'clearSelection'].forEach(id => {
+    document.getElementById(id).disabled = selectedCount === 0;
+  });
+
+  const list = document.getElementById("layerList");
+  list.innerHTML = '';
+  (editableCloud ? editableCloud.layers : []).forEach(layer => {
+    const item = document.createElement('li');
+    const visible = document.createElement('input');
+    visible.type = 'checkbox';
+    visible.checked = layer.visible;
+    visible.title = 'Show layer';
+    visible.onchange = () => {
+      layer.visible = visible.checked;
+      buildLayers();
+      applyColoring();
+    };
+    const save = document.createElement('button');
+    save.textContent = 'Save';
+    save.onclick = () => saveLayer(layer);
+    const remove = document.createElement('button');
+    remove.textContent = '×';
+    remove.title = 'Delete layer';
+    remove.onclick = () => executeEdit(editableCloud.deleteLayerEdit(layer));
+    item.append(visible, ` ${layer.name} (${layer.cloud.length.toLocaleString()} points) `, save, remove);
+    list.appendChild(item);
+  });
+}
+
+// The history list, from the loaded cloud on, with what is undone greyed;
+// clicking an entry undoes or redoes up to it
+function updateHistoryPanel() {
+  const undoLabel = editHistory.undoLabel;
+  const redoLabel = editHistory.redoLabel;
+  document.getElementById("undo").disabled = !undoLabel;
+  document.getElementById("undo").title = undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : '';
+  document.getElementById("redo").disabled = !redoLabel;
+  document.getElementById("redo").title = redoLabel ? `Redo ${redoLabel} (Ctrl+Y)` : '';
+  const bytes = editHistory.bytes;
+  document.getElementById("historyInfo").textContent = bytes > 0 ? `${(bytes / 1024 / 1024).toFixed(1)} MB kept for undo` : '';
+
+  const start = editHistory.dropped > 0
+    ? `${editHistory.dropped} older steps forgotten`
+    : 'Loaded cloud';
+  const entries = [{ label: start, details: '', done: true }, ...editHistory.entries()];
+  const list = document.getElementById("historyList");
+  list.innerHTML = '';
+  entries.forEach(({ label, details, done }, i) => {
+    const item = document.createElement('li');
+    if (!done) item.classList.add('undone');
+    if (i === editHistory.done.length) item.classList.add('current');
+    item.textContent = label;
+    if (details) {
+      const span = document.createElement('span');
+      span.className = 'history-details';
+      span.textContent = ` ${details}`;
+      item.appendChild(span);
+    }
+    item.onclick = () => editHistory.jumpTo(i);
+    list.appendChild(item);
+  });
+  list.lastChild.scrollIntoView({ block: 'nearest' });
 }
 
-function saveReducedCloud() {
-  if (currentPoints.length === 0) return;
+// Layers split off the cloud, drawn as they are (not reduced) with its material
+function buildLayers() {
+  removeLayers();
+  if (!editableCloud || !pointMaterial) return;
+  editableCloud.layers.filter(layer => layer.visible).forEach(layer => {
+    const layerCloud = invertZ ? invertZValues(layer.cloud) : layer.cloud;
+    const points = new THREE.Points(createCloudGeometry(layerCloud, { origin: cloudOrigin }), pointMaterial);
+    points.position.set(cloudOrigin.x, cloudOrigin.y, cloudOrigin.z);
+    scene.add(points);
+    layerObjects.push({ layer, points, cloud: layerCloud });
+  });
+}
+
+function removeLayers() {
+  layerObjects.forEach(({ points }) => {
+    scene.remove(points);
+    points.geometry.dispose();
+  });
+  layerObjects = [];
+}
+
+function saveLayer(layer) {
+  const exporter = EXPORTERS[exportFormat];
+  const layerCloud = invertZ ? invertZValues(layer.cloud) : layer.cloud;
+  const blob = new Blob([exporter.write(layerCloud)], { type: exporter.type });
+  downloadBlob(blob, `${layer.name.toLowerCase().replace(/\s+/g, '_')}_${layerCloud.length}pts.${exporter.extension}`);
+}
+
+// Save formats: file extension, MIME type and writer
+const EXPORTERS = {
+  xyz: { extension: 'xyz', type: 'text/plain', write: (pointCloud) => exportToXYZ(pointCloud, decimalPlaces) },
+  las: { extension: 'las', type: 'application/octet-stream', write: (pointCloud) => exportToLAS(pointCloud, { decimalPlaces, onWarning: message => alert(message) }) },
+  'ply-binary': { extension: 'ply', type: 'application/octet-stream', faces: true, write: (pointCloud) => writePLY(pointCloud, 'binary_little_endian') },
+  'ply-ascii': { extension: 'ply', type: 'text/plain', faces: true, write: (pointCloud) => writePLY(pointCloud, 'ascii') },
+  'pcd-binary': { extension: 'pcd', type: 'application/octet-stream', write: (pointCloud) => exportToPCD(pointCloud, { format: 'binary', decimalPlaces }) },
+  'pcd-compressed': { extension: 'pcd', type: 'application/octet-stream', write: (pointCloud) => exportToPCD(pointCloud, { format: 'binary_compressed', decimalPlaces }) },
+  'pcd-ascii': { extension: 'pcd', type: 'text/plain', write: (pointCloud) => exportToPCD(pointCloud, { format: 'ascii', decimalPlaces }) }
+};
+
+// Faces are only written when the cloud forms a grid surface
+function writePLY(pointCloud, format) {
+  const faces = exportFaces ? triangulateGrid(pointCloud) : null;
+  if (exportFaces && !faces) {
+    alert('No grid surface could be built from this cloud; saving the points only.');
+  }
+  return exportToPLY(pointCloud, { format, decimalPlaces, faces });
+}
+
+// Only offer face export for formats that can store faces
+function updateExportOptions() {
+  document.getElementById("exportFacesOption").style.display = EXPORTERS[exportFormat].faces ? '' : 'none';
+}
+
+async function saveReducedCloud() {
+  // Every point is saved, not only those drawn from the octree cache
+  if (!(await loadWholeCloud())) return;
+  if (!currentCloud || currentCloud.length === 0) return;
   
-  const xyzContent = exportToXYZ(currentPoints, decimalPlaces);
-  const blob = new Blob([xyzContent], { type: 'text/plain' });
+  const clipped = saveClipped && clippingActive(clipping);
+  const pointCloud = clipped ? clipPointCloud(currentCloud, clipping) : currentCloud;
+  if (pointCloud.length === 0) {
+    alert('The clipping leaves no points to save.');
+    return;
+  }
+  const exporter = EXPORTERS[exportFormat];
+  const blob = new Blob([exporter.write(pointCloud)], { type: exporter.type });
+  downloadBlob(blob, `${clipped ? 'clipped' : 'reduced'}_cloud_${pointCloud.length}pts.${exporter.extension}`);
+}
+
+function downloadBlob(blob, fileName) {
   const url = URL.createObjectURL(blob);
-  
   const a = document.createElement('a');
   a.href = url;
-  a.download = `reduced_cloud_${currentPoints.length}pts.xyz`;
+  a.download = fileName;
   document.body.appendChild(a);
   a.click();
   document.body.removeChild(a);
   URL.revokeObjectURL(url);
 }
 
-// Build the point cloud geometry from given points (no LOD)
-function buildCloud(points) {
-  if (cloud) scene.remove(cloud);
-
-  const pos = [];
-  const col = [];
-  const hasColor = points.some(p => p.r !== null);
-
-  // Compute min/max for statistics and z-coloring
-  let minX = Infinity, maxX = -Infinity;
-  let minY = Infinity, maxY = -Infinity;
-  let minZ = Infinity, maxZ = -Infinity;
-
-  points.forEach(p => {
-    minX = Math.min(minX, p.x);
-    maxX = Math.max(maxX, p.x);
-    minY = Math.min(minY, p.y);
-    maxY = Math.max(maxY, p.y);
-    minZ = Math.min(minZ, p.z);
-    maxZ = Math.max(maxZ, p.z);
-  });
-
-  points.forEach(p => {
-    pos.push(p.x, p.y, p.z);
-    if (useZColor) {
-      // Blue to red gradient based on Z
-      const normalizedZ = maxZ === minZ ? 0.5 : (p.z - minZ) / (maxZ - minZ);
-      const r = normalizedZ;
-      const g = 0;
-      const b = 1 - normalizedZ;
-      col.push(r, g, b);
-    } else if (hasColor) {
-      if (p.r !== null) col.push(p.r / 255, p.g / 255, p.b / 255);
-      else col.push(1, 1, 1);
-    }
-  });
+// Build the drawing of a cloud: one geometry, or an octree (level of detail)
+// when the cloud has more points than the budget, plus its layers
+function buildCloud(pointCloud, { keepView = false } = {}) {
+  disposeCloud();
 
-  const geometry = new THREE.BufferGeometry();
-  geometry.setAttribute('position', new THREE.Float32BufferAttribute(pos, 3));
-  if (useZColor || hasColor) geometry.setAttribute('color', new THREE.Float32BufferAttribute(col, 3));
+  // Compute min/max for statistics
+  const { min, max } = openedCache ? openedCache.metadata.bounds : pointCloud.computeBounds();
+  const pointCount = openedCache ? openedCache.metadata.pointCount : pointCloud.length;
+  cloudOrigin = localOrigin({ min, max });
+  cloudBounds = { min, max };
 
-  const material = new THREE.PointsMaterial({ 
-    size: pointSize, 
-    sizeAttenuation: true,
-    map: circleTexture,
-    alphaTest: 0.5
-  });
-  if (useZColor || hasColor) {
-    material.vertexColors = true;
-  }
+  pointMaterial = createPointMaterial();
+  setPointViewport(pointMaterial, window.innerHeight, renderer.getPixelRatio());
+  setSplatShape(pointMaterial, splatShape);
+  updateClippingPanel();
+  // The profile follows reductions and Z inversion
+  if (profile) showProfile(profile.line);
 
-  cloud = new THREE.Points(geometry, material);
-  scene.add(cloud);
+  if (openedCache) {
+    const cache = openedCache;
+    showOctree(cache.metadata, pointMaterial, node => readCachedNode(cache, node));
+  } else if (pointCloud.length > pointBudget) {
+    buildOctreeView(pointCloud, pointMaterial);
+  } else {
+    cloud = new THREE.Points(createCloudGeometry(pointCloud, { origin: cloudOrigin }), pointMaterial);
+    cloud.position.set(cloudOrigin.x, cloudOrigin.y, cloudOrigin.z);
+    scene.add(cloud);
+  }
+  buildLayers();
+  showSelection();
+  applyPointSize();
+  updateColoringOptions(pointCloud);
+  applyColoring();
 
   // center camera on the cloud
-  if (pos.length > 0) {
-    geometry.computeBoundingBox();
-    const bbox = geometry.boundingBox;
-    const center = new THREE.Vector3();
-    bbox.getCenter(center);
-    const size = bbox.getSize(new THREE.Vector3()).length();
+  if (pointCount > 0 && !keepView) {
+    const center = new THREE.Vector3((min.x + max.x) / 2, (min.y + max.y) / 2, (min.z + max.z) / 2);
+    const size = new THREE.Vector3(max.x - min.x, max.y - min.y, max.z - min.z).length();
     const distance = Math.max(size * 0.5, 1);
+    // Keep the whole cloud inside the far plane
+    camera.far = Math.max(1000, size * 10);
+    camera.updateProjectionMatrix();
     // Position camera at an angle with Z-up orientation
     camera.position.copy(center.clone().add(new THREE.Vector3(1, 1, 0.5).normalize().multiplyScalar(distance * 2 + 1)));
     controls.target.copy(center);
@@ -285,127 +1328,221 @@ function buildCloud(points) {
 
   const dbg = document.getElementById('debug-info');
   if (dbg) {
-    const sizeX = maxX - minX;
-    const sizeY = maxY - minY;
-    const sizeZ = maxZ - minZ;
+    const sizeX = max.x - min.x;
+    const sizeY = max.y - min.y;
+    const sizeZ = max.z - min.z;
 
     dbg.innerHTML = `
-      Points: ${points.length}<br>
-      X: ${minX.toFixed(2)} to ${maxX.toFixed(2)} (size: ${sizeX.toFixed(2)})<br>
-      Y: ${minY.toFixed(2)} to ${maxY.toFixed(2)} (size: ${sizeY.toFixed(2)})<br>
-      Z: ${minZ.toFixed(2)} to ${maxZ.toFixed(2)} (size: ${sizeZ.toFixed(2)})<br>
+      Points: ${pointCount}${openedCache ? ' (octree cache)' : ''}<br>
+      X: ${min.x.toFixed(2)} to ${max.x.toFixed(2)} (size: ${sizeX.toFixed(2)})<br>
+      Y: ${min.y.toFixed(2)} to ${max.y.toFixed(2)} (size: ${sizeY.toFixed(2)})<br>
+      Z: ${min.z.toFixed(2)} to ${max.z.toFixed(2)} (size: ${sizeZ.toFixed(2)})<br>
       <em>Click "Calculate Distance Stats" to compute distances</em>
     `;
   }
 }
 
-function calculateDistanceStats() {
-  if (currentPoints.length === 0) {
+function disposeCloud() {
+  // The picked point belongs to the cloud being replaced
+  hidePick();
+  if (runningTasks.has('octree')) runningTasks.get('octree').cancel();
+  if (cloud) {
+    scene.remove(cloud);
+    cloud.geometry.dispose();
+    cloud = null;
+  }
+  if (octreeView) {
+    scene.remove(octreeView.group);
+    octreeView.dispose();
+    octreeView = null;
+  }
+  removeLayers();
+  removeSelectionHighlight();
+  showLodInfo();
+  if (pointMaterial) {
+    pointMaterial.dispose();
+    pointMaterial = null;
+  }
+}
+
+// New data: clip boxes, planes, profiles and selections placed on the old
+// cloud don't apply
+function resetCloudTools() {
+  clipping.box = null;
+  clipping.planes = [];
+  clearProfile();
+  clearSelection();
+  editHistory.clear();
+}
+
+// Refresh the clipping panel and the box and plane handles, then clip
+function updateClippingPanel() {
+  document.getElementById("clipOptions").style.display = clipping.mode === 'off' ? 'none' : '';
+  document.getElementById("clipBox").checked = clipping.box !== null;
+  document.getElementById("resetClipBox").disabled = clipping.box === null;
+  document.getElementById("addClipPlane").disabled = clipping.planes.length >= MAX_CLIP_PLANES;
+
+  const list = document.getElementById("clipPlaneList");
+  list.innerHTML = '';
+  clipping.planes.forEach((plane, i) => {
+    const { x, y, z } = plane.normal;
+    const item = document.createElement('li');
+    item.textContent = `Plane ${i + 1} (${x.toFixed(2)}, ${y.toFixed(2)}, ${z.toFixed(2)}) `;
+    const flip = document.createElement('button');
+    flip.textContent = 'Flip';
+    flip.title = 'Keep the other side';
+    flip.onclick = () => {
+      plane.normal = { x: -x, y: -y, z: -z };
+      updateClippingPanel();
+    };
+    const remove = document.createElement('button');
+    remove.textContent = '×';
+    remove.title = 'Delete plane';
+    remove.onclick = () => {
+      clipping.planes = clipping.planes.filter(p => p !== plane);
+      updateClippingPanel();
+    };
+    item.append(flip, remove);
+    list.appendChild(item);
+  });
+
+  const { min, max } = cloudBounds;
+  const size = Math.hypot(max.x - min.x, max.y - min.y, max.z - min.z);
+  clippingEditor.setClipping(clipping.mode === 'off' ? null : clipping, { origin: cloudOrigin, size });
+  applyClipping();
+}
+
+// Clip the drawn points; also called while a handle is dragged
+function applyClipping() {
+  if (pointMaterial) setClipping(pointMaterial, clipping, cloudOrigin);
+}
+
+// Octree nodes are gathered from the cloud in memory as they are needed
+async function buildOctreeView(pointCloud, material) {
+  const { count, attributes } = pointCloud.toTransferable();
+  const octree = await runWorkerTask('octree', 'Building level of detail', 'octree', {
+    cloud: { count, attributes: { position: attributes.position } }
+  });
+  if (!octree || material !== pointMaterial) return;
+  showOctree(octree, material, node => pointCloud.select(octree.order.subarray(node.start, node.start + node.count)));
+}
+
+function showOctree(octree, material, loadNode) {
+  octreeView = new OctreeRenderer(octree, { material, pointBudget, loadNode, origin: cloudOrigin });
+  scene.add(octreeView.group);
+  applyColoring();
+}
+
+// Clouds from an octree cache, and clouds over the point budget, are drawn
+// through an octree
+function drawnAsOctree(pointCloud) {
+  return openedCache !== null || pointCloud.length > pointBudget;
+}
+
+// Offer the sources the cloud has; a source it lacks falls back to Z
+function updateColoringOptions(pointCloud) {
+  const sources = coloringSources(pointCloud);
+  const select = document.getElementById("colorSource");
+  select.innerHTML = '';
+  sources.forEach(source => select.add(new Option(source.label, source.id)));
+  if (!sources.some(source => source.id === colorSource)) {
+    colorSource = 'z';
+    colorRange = null;
+  }
+  select.value = colorSource;
+}
+
+// Colour the displayed cloud with the colouring panel settings
+function applyColoring() {
+  if (!pointMaterial || !currentCloud) return;
+  const continuous = colorSource !== 'rgb' && colorSource !== 'classification';
+  document.getElementById("colorMapOptions").style.display = continuous ? '' : 'none';
+
+  const { min, max } = colorRange || fieldRange(currentCloud, colorSource);
+  if (continuous) {
+    document.getElementById("colorMin").value = +min.toPrecision(8);
+    document.getElementById("colorMax").value = +max.toPrecision(8);
+  }
+  const coloring = { source: colorSource, colorMap: colorMapName, min, max, clamp: colorClamp, equalize: colorEqualize };
+
+  // Z is read from the local positions in the shader
+  const offset = colorSource === 'z' ? cloudOrigin.z : fieldOffset(currentCloud, colorSource);
+  setColoringUniforms(pointMaterial, currentCloud, coloring, offset);
+  setVertexColors(pointMaterial, currentCloud.hasAttribute('color'));
+  if (cloud) bindColoringAttributes(cloud.geometry, currentCloud, colorSource, offset);
+  if (octreeView) octreeView.setColoring(colorSource, offset);
+  layerObjects.forEach(({ points, cloud: layerCloud }) => bindColoringAttributes(points.geometry, layerCloud, colorSource, offset));
+  drawColorLegend(fieldColorLegend(currentCloud, coloring));
+}
+
+async function calculateDistanceStats() {
+  if (!currentCloud || currentCloud.length === 0) {
     alert('Please load a point cloud first');
     return;
   }
+  if (!(await loadWholeCloud())) return;
 
   const dbg = document.getElementById('debug-info');
   if (!dbg) return;
 
-  const points = currentPoints;
+  const pointCloud = currentCloud;
+  const { min, max } = pointCloud.computeBounds();
   
-  // Get bounds
-  let minX = Infinity, maxX = -Infinity;
-  let minY = Infinity, maxY = -Infinity;
-  let minZ = Infinity, maxZ = -Infinity;
-  
-  points.forEach(p => {
-    minX = Math.min(minX, p.x);
-    maxX = Math.max(maxX, p.x);
-    minY = Math.min(minY, p.y);
-    maxY = Math.max(maxY, p.y);
-    minZ = Math.min(minZ, p.z);
-    maxZ = Math.max(maxZ, p.z);
-  });
-  
-  const sizeX = maxX - minX;
-  const sizeY = maxY - minY;
-  const sizeZ = maxZ - minZ;
-
-  dbg.innerHTML = `
-    Points: ${points.length}<br>
-    X: ${minX.toFixed(2)} to ${maxX.toFixed(2)} (size: ${sizeX.toFixed(2)})<br>
-    Y: ${minY.toFixed(2)} to ${maxY.toFixed(2)} (size: ${sizeY.toFixed(2)})<br>
-    Z: ${minZ.toFixed(2)} to ${maxZ.toFixed(2)} (size: ${sizeZ.toFixed(2)})<br>
+  const sizeX = max.x - min.x;
+  const sizeY = max.y - min.y;
+  const sizeZ = max.z - min.z;
+  const boundsHtml = `
+    Points: ${pointCloud.length}<br>
+    X: ${min.x.toFixed(2)} to ${max.x.toFixed(2)} (size: ${sizeX.toFixed(2)})<br>
+    Y: ${min.y.toFixed(2)} to ${max.y.toFixed(2)} (size: ${sizeY.toFixed(2)})<br>
+    Z: ${min.z.toFixed(2)} to ${max.z.toFixed(2)} (size: ${sizeZ.toFixed(2)})<br>`;
+
+  dbg.innerHTML = `${boundsHtml}
     <em>Calculating distances...</em>
   `;
 
-  // Use setTimeout to allow UI to update
-  setTimeout(() => {
-    // Select 100 random points and find average distance to their 3 nearest neighbors
-    let knnDistance = 0;
-    let knnDistX = 0;
-    let knnDistY = 0;
-    let knnDistZ = 0;
-    const knnSamples = Math.min(100, points.length);
-    const K = 3; // Number of nearest neighbors
-    let knnCount = 0;
-    
-    for (let i = 0; i < knnSamples; i++) {
-      const idx = Math.floor(Math.random() * points.length);
-      const p = points[idx];
-      
-      // Find K nearest neighbors by checking all other points
-      const distanceData = [];
-      for (let j = 0; j < points.length; j++) {
-        if (idx !== j) {
-          const p2 = points[j];
-          const dx = p.x - p2.x;
-          const dy = p.y - p2.y;
-          const dz = p.z - p2.z;
-          const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
-          distanceData.push({ dist, dx: Math.abs(dx), dy: Math.abs(dy), dz: Math.abs(dz) });
-        }
-      }
-      
-      // Sort and get K smallest distances
-      distanceData.sort((a, b) => a.dist - b.dist);
-      const kNearest = distanceData.slice(0, K);
-      
-      // Calculate average of K nearest (total and per axis)
-      const avgK = kNearest.reduce((sum, d) => sum + d.dist, 0) / kNearest.length;
-      const avgKX = kNearest.reduce((sum, d) => sum + d.dx, 0) / kNearest.length;
-      const avgKY = kNearest.reduce((sum, d) => sum + d.dy, 0) / kNearest.length;
-      const avgKZ = kNearest.reduce((sum, d) => sum + d.dz, 0) / kNearest.length;
-      
-      knnDistance += avgK;
-      knnDistX += avgKX;
-      knnDistY += avgKY;
-      knnDistZ += avgKZ;
-      knnCount++;
-    }
-    
-    if (knnCount > 0) {
-      knnDistance /= knnCount;
-      knnDistX /= knnCount;
-      knnDistY /= knnCount;
-      knnDistZ /= knnCount;
-    }
+  const stats = await runWorkerTask('stats', 'Calculating distances', 'stats', {
+    cloud: pointCloud.toTransferable()
+  });
+  // The cloud changed meanwhile; buildCloud already refreshed the panel
+  if (pointCloud !== currentCloud) return;
+  if (!stats) {
+    dbg.innerHTML = boundsHtml;
+    return;
+  }
 
-    dbg.innerHTML = `
-      Points: ${points.length}<br>
-      X: ${minX.toFixed(2)} to ${maxX.toFixed(2)} (size: ${sizeX.toFixed(2)})<br>
-      Y: ${minY.toFixed(2)} to ${maxY.toFixed(2)} (size: ${sizeY.toFixed(2)})<br>
-      Z: ${minZ.toFixed(2)} to ${maxZ.toFixed(2)} (size: ${sizeZ.toFixed(2)})<br>
-      Avg K-NN Distance (K=3):<br>
-      &nbsp;&nbsp;Total: ${knnDistance.toFixed(4)}<br>
-      &nbsp;&nbsp;X: ${knnDistX.toFixed(4)}<br>
-      &nbsp;&nbsp;Y: ${knnDistY.toFixed(4)}<br>
-      &nbsp;&nbsp;Z: ${knnDistZ.toFixed(4)}
-    `;
-  }, 10);
+  dbg.innerHTML = `${boundsHtml}
+    Avg K-NN Distance (K=${stats.k}):<br>
+    &nbsp;&nbsp;Total: ${stats.knn.total.toFixed(4)}<br>
+    &nbsp;&nbsp;X: ${stats.knn.x.toFixed(4)}<br>
+    &nbsp;&nbsp;Y: ${stats.knn.y.toFixed(4)}<br>
+    &nbsp;&nbsp;Z: ${stats.knn.z.toFixed(4)}
+  `;
+}
+
+const drawingBufferSize = new THREE.Vector2();
+
+// Points and nodes drawn by the octree (only touches the DOM on changes)
+let lodInfoText = '';
+function showLodInfo() {
+  const text = octreeView
+    ? `Level of detail: ${octreeView.visiblePoints.toLocaleString()} points in ${octreeView.visibleNodes} nodes`
+    : '';
+  if (text === lodInfoText) return;
+  lodInfoText = text;
+  document.getElementById("lodInfo").textContent = text;
 }
 
 function animate() {
   requestAnimationFrame(animate);
   controls.update();
-  renderer.render(scene, camera);
+  if (octreeView) {
+    octreeView.update(camera, renderer.getDrawingBufferSize(drawingBufferSize).y);
+    showLodInfo();
+  }
+  measurementOverlay.update(camera, renderer.domElement.clientWidth, renderer.domElement.clientHeight);
+  if (edlEnabled) edl.render(scene, camera);
+  else renderer.render(scene, camera);
 }
 
 init();
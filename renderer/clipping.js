@@ -0,0 +1,123 @@
+/**
+ * Clipping
+ * A clipping is { mode, box, planes }: an axis-aligned box ({ min, max } or
+ * null) and up to MAX_CLIP_PLANES planes ({ normal, point }, keeping the
+ * side the unit normal points to), all in the cloud's own coordinates. The
+ * clip region is what lies inside the box and on the kept side of every
+ * plane; the mode says what is drawn:
+ *   off        everything
+ *   inside     only the clip region
+ *   outside    only what is not in the clip region
+ *   highlight  everything, with the points outside the region dimmed
+ * The point shader does the clipping per frame (see setClipping in
+ * pointMaterial.js); these functions give the same answer on the CPU, for
+ * picking, selecting and saving the clipped points.
+ */
+
+export const CLIP_MODES = { off: 0, inside: 1, outside: 2, highlight: 3 };
+export const MAX_CLIP_PLANES = 6;
+
+export function createClipping() {
+  return { mode: 'off', box: null, planes: [] };
+}
+
+/**
+ * Whether the clipping changes what is drawn at all
+ */
+export function clippingActive({ mode, box, planes }) {
+  return mode !== 'off' && (box !== null || planes.length > 0);
+}
+
+/**
+ * Test (x, y, z) => whether the point lies in the clip region
+ */
+export function clipRegionTest({ box, planes }) {
+  return (x, y, z) => {
+    if (box && (x < box.min.x || x > box.max.x || y < box.min.y || y > box.max.y || z < box.min.z || z > box.max.z)) {
+      return false;
+    }
+    return planes.every(({ normal: n, point: p }) => n.x * (x - p.x) + n.y * (y - p.y) + n.z * (z - p.z) >= 0);
+  };
+}
+
+/**
+ * Test (x, y, z) => whether a point there is drawn (not clipped away);
+ * points dimmed by 'highlight' are still drawn
+ */
+export function positionShownTest(clipping) {
+  if (!clippingActive(clipping) || clipping.mode === 'highlight') return () => true;
+  const inRegion = clipRegionTest(clipping);
+  const keepInside = clipping.mode === 'inside';
+  return (x, y, z) => inRegion(x, y, z) === keepInside;
+}
+
+/**
+ * positionShownTest for point `index` of a cloud: (cloud, index) => boolean
+ */
+export function pointShownTest(clipping) {
+  const isShown = positionShownTest(clipping);
+  return (cloud, index) => {
+    const position = cloud.getAttribute('position');
+    const i = index * 3;
+    return isShown(position[i], position[i + 1], position[i + 2]);
+  };
+}
+
+/**
+ * The points of `cloud` the clipping keeps, as a new PointCloud: the clip
+ * region for 'inside' and 'highlight', the rest for 'outside'
+ * Returns the cloud itself when nothing is clipped.
+ */
+export function clipPointCloud(cloud, clipping) {
+  if (!clippingActive(clipping)) return cloud;
+  const inRegion = clipRegionTest(clipping);
+  const keepInside = clipping.mode !== 'outside';
+  const position = cloud.getAttribute('position');
+  const indices = [];
+  for (let i = 0; i < cloud.length; i++) {
+    if (inRegion(position[i * 3], position[i * 3 + 1], position[i * 3 + 2]) === keepInside) indices.push(i);
+  }
+  return cloud.select(indices);
+}
+
+/**
+ * The clipping relative to `origin` (see localOrigin), as the shader gets
+ * it: box corners and planes as [nx, ny, nz, constant] with
+ * n · p + constant >= 0 on the kept side
+ * Subtracting the origin here, in double precision, keeps georeferenced
+ * clip positions as precise as the local point positions.
+ */
+export function localClipping({ box, planes }, origin) {
+  const local = p => ({ x: p.x - origin.x, y: p.y - origin.y, z: p.z - origin.z });
+  return {
+    box: box ? { min: local(box.min), max: local(box.max) } : null,
+    planes: planes.map(({ normal: n, point }) => {
+      const p = local(point);
+      return [n.x, n.y, n.z, -(n.x * p.x + n.y * p.y + n.z * p.z)];
+    })
+  };
+}
+
+/**
+ * Starting clip box: the middle `fraction` of the bounds along every axis
+ */
+export function clipBoxAround({ min, max }, fraction = 0.5) {
+  const axis = a => {
+    const centre = (min[a] + max[a]) / 2;
+    const half = (max[a] - min[a]) * fraction / 2;
+    return [centre - half, centre + half];
+  };
+  const [x, y, z] = ['x', 'y', 'z'].map(axis);
+  return { min: { x: x[0], y: y[0], z: z[0] }, max: { x: x[1], y: y[1], z: z[1] } };
+}
+
+/**
+ * Plane through `point` keeping the side `direction` points to
+ */
+export function clipPlane(direction, point) {
+  const length = Math.hypot(direction.x, direction.y, direction.z) || 1;
+  return {
+    normal: { x: direction.x / length, y: direction.y / length, z: direction.z / length },
+    point: { x: point.x, y: point.y, z: point.z }
+  };
+}
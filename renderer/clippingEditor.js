@@ -0,0 +1,253 @@
+import * as THREE from './lib/three.module.js';
+import { createPointMaterial, setPointSize, setPointViewport, setVertexColors } from './pointMaterial.js';
+
+/**
+ * Clipping editor
+ * Draws the clip box and clip planes of a clipping (see clipping.js), with a
+ * handle on every face of the box and on every plane. Dragging a handle
+ * moves its face or plane along its axis and calls onChange(). Handles take
+ * the pointer before the camera controls see it, so grabbing one doesn't
+ * also orbit the view. Everything is drawn relative to the local origin of
+ * the cloud, like the cloud itself.
+ */
+
+// Distance (CSS pixels) from a handle within which pressing grabs it
+const HANDLE_RADIUS = 10;
+const BOX_COLOR = [255, 145, 0];
+const PLANE_COLOR = [0, 200, 200];
+const AXES = ['x', 'y', 'z'];
+
+export class ClippingEditor {
+  constructor(scene, camera, domElement, onChange) {
+    this.camera = camera;
+    this.domElement = domElement;
+    this.onChange = onChange;
+    this.clipping = null;
+    this.origin = { x: 0, y: 0, z: 0 };
+    // Side length of the squares drawn for planes
+    this.planeSize = 1;
+    // { position, axis, grab() } per handle; grab() returns a function
+    // moving the face or plane by a distance along the axis
+    this.handles = [];
+    this.drag = null;
+
+    this.group = new THREE.Group();
+    scene.add(this.group);
+    this.lineMaterials = { box: lineMaterial(BOX_COLOR), plane: lineMaterial(PLANE_COLOR) };
+    this.handleMaterial = createPointMaterial();
+    setPointSize(this.handleMaterial, 'fixed', 12);
+    setVertexColors(this.handleMaterial, true);
+    this.handleMaterial.depthTest = false;
+    this.handleMaterial.depthWrite = false;
+    this.projected = new THREE.Vector3();
+
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    // Capture: the handles come before the camera controls
+    domElement.addEventListener('pointerdown', this.onPointerDown, { capture: true });
+  }
+
+  /**
+   * Edit `clipping`, drawn relative to `origin`; `size` (the size of the
+   * cloud) scales the plane squares
+   */
+  setClipping(clipping, { origin, size }) {
+    this.clipping = clipping;
+    this.origin = origin;
+    this.planeSize = size > 0 ? size : 1;
+    this.update();
+  }
+
+  /**
+   * Redraw after the clipping changed
+   */
+  update() {
+    this.clear();
+    if (!this.clipping) return;
+    const { box, planes } = this.clipping;
+    const { x, y, z } = this.origin;
+    this.group.position.set(x, y, z);
+    const local = p => [p.x - x, p.y - y, p.z - z];
+    const handleColors = [];
+
+    if (box) {
+      const corners = [];
+      for (let i = 0; i < 8; i++) {
+        corners.push(local({
+          x: i & 1 ? box.max.x : box.min.x,
+          y: i & 2 ? box.max.y : box.min.y,
+          z: i & 4 ? box.max.z : box.min.z
+        }));
+      }
+      // Corners differing in one bit share an edge
+      const edges = [];
+      for (let i = 0; i < 8; i++) {
+        [1, 2, 4].forEach(bit => { if (!(i & bit)) edges.push(...corners[i], ...corners[i | bit]); });
+      }
+      this.addLines(edges, 'box');
+
+      AXES.forEach(axis => ['min', 'max'].forEach(side => {
+        const position = {
+          x: (box.min.x + box.max.x) / 2,
+          y: (box.min.y + box.max.y) / 2,
+          z: (box.min.z + box.max.z) / 2
+        };
+        position[axis] = box[side][axis];
+        this.handles.push({
+          position,
+          axis: { x: +(axis === 'x'), y: +(axis === 'y'), z: +(axis === 'z') },
+          grab: () => {
+            const start = box[side][axis];
+            // A face can't be moved past the opposite one
+            return distance => {
+              const value = start + distance;
+              box[side][axis] = side === 'min' ? Math.min(value, box.max[axis]) : Math.max(value, box.min[axis]);
+            };
+          }
+        });
+        handleColors.push(...BOX_COLOR);
+      }));
+    }
+
+    planes.forEach(plane => {
+      const { normal: n, point: p } = plane;
+      const half = this.planeSize / 2;
+      // Two directions spanning the plane
+      const normal = new THREE.Vector3(n.x, n.y, n.z);
+      const u = new THREE.Vector3().crossVectors(normal, Math.abs(n.z) < 0.9 ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(1, 0, 0)).normalize();
+      const v = new THREE.Vector3().crossVectors(normal, u);
+      const corner = (a, b) => local({
+        x: p.x + (u.x * a + v.x * b) * half,
+        y: p.y + (u.y * a + v.y * b) * half,
+        z: p.z + (u.z * a + v.z * b) * half
+      });
+      const square = [corner(-1, -1), corner(1, -1), corner(1, 1), corner(-1, 1)];
+      const lines = [];
+      square.forEach((c, i) => lines.push(...c, ...square[(i + 1) % 4]));
+      // A tick towards the kept side
+      lines.push(...local(p), ...local({ x: p.x + n.x * half * 0.2, y: p.y + n.y * half * 0.2, z: p.z + n.z * half * 0.2 }));
+      this.addLines(lines, 'plane');
+
+      this.handles.push({
+        position: p,
+        axis: n,
+        grab: () => {
+          const start = { ...plane.point };
+          return distance => {
+            plane.point = { x: start.x + n.x * distance, y: start.y + n.y * distance, z: start.z + n.z * distance };
+          };
+        }
+      });
+      handleColors.push(...PLANE_COLOR);
+    });
+
+    if (this.handles.length > 0) {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.handles.flatMap(h => local(h.position))), 3));
+      geometry.setAttribute('color', new THREE.BufferAttribute(new Uint8Array(handleColors), 3, true));
+      const points = new THREE.Points(geometry, this.handleMaterial);
+      points.renderOrder = 2;
+      points.frustumCulled = false;
+      this.group.add(points);
+    }
+  }
+
+  addLines(positions, kind) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
+    const lines = new THREE.LineSegments(geometry, this.lineMaterials[kind]);
+    lines.renderOrder = 1;
+    lines.frustumCulled = false;
+    this.group.add(lines);
+  }
+
+  onPointerDown(e) {
+    if (e.button !== 0 || this.handles.length === 0) return;
+    const rect = this.domElement.getBoundingClientRect();
+    const pointer = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    this.camera.updateMatrixWorld();
+
+    let grabbed = null;
+    let nearest = HANDLE_RADIUS;
+    this.handles.forEach(handle => {
+      const at = this.toScreen(handle.position, rect);
+      const distance = at ? Math.hypot(at.x - pointer.x, at.y - pointer.y) : Infinity;
+      if (distance <= nearest) {
+        nearest = distance;
+        grabbed = handle;
+      }
+    });
+    if (!grabbed) return;
+
+    // Pixels the pointer moves per unit along the handle's axis, measured
+    // over a short step (perspective makes it vary with distance)
+    const { position: p, axis: a } = grabbed;
+    const step = Math.max(this.camera.position.distanceTo(this.projected.set(p.x, p.y, p.z)) * 0.01, 1e-6);
+    const from = this.toScreen(p, rect);
+    const to = this.toScreen({ x: p.x + a.x * step, y: p.y + a.y * step, z: p.z + a.z * step }, rect);
+    if (!to) return;
+    const sx = (to.x - from.x) / step;
+    const sy = (to.y - from.y) / step;
+    // The axis points at the viewer: there is no direction to drag in
+    if (sx * sx + sy * sy < 1e-6) return;
+
+    e.stopImmediatePropagation();
+    e.preventDefault();
+    this.drag = { move: grabbed.grab(), x: e.clientX, y: e.clientY, sx, sy };
+    window.addEventListener('pointermove', this.onPointerMove);
+    window.addEventListener('pointerup', this.onPointerUp);
+  }
+
+  onPointerMove(e) {
+    const { move, x, y, sx, sy } = this.drag;
+    move(((e.clientX - x) * sx + (e.clientY - y) * sy) / (sx * sx + sy * sy));
+    this.update();
+    this.onChange();
+  }
+
+  onPointerUp() {
+    this.drag = null;
+    window.removeEventListener('pointermove', this.onPointerMove);
+    window.removeEventListener('pointerup', this.onPointerUp);
+  }
+
+  // Position on screen (CSS pixels in `rect`), or null behind the camera
+  toScreen(p, rect) {
+    const v = this.projected.set(p.x, p.y, p.z).project(this.camera);
+    if (v.z < -1 || v.z > 1) return null;
+    return { x: (v.x + 1) / 2 * rect.width, y: (1 - v.y) / 2 * rect.height };
+  }
+
+  /**
+   * Size of the drawing buffer, for the handles
+   */
+  setViewport(height, pixelRatio) {
+    setPointViewport(this.handleMaterial, height, pixelRatio);
+  }
+
+  clear() {
+    this.group.children.slice().forEach(child => {
+      this.group.remove(child);
+      child.geometry.dispose();
+    });
+    this.handles = [];
+  }
+
+  dispose() {
+    this.onPointerUp();
+    this.clear();
+    this.group.removeFromParent();
+    this.domElement.removeEventListener('pointerdown', this.onPointerDown, { capture: true });
+    Object.values(this.lineMaterials).forEach(material => material.dispose());
+    this.handleMaterial.dispose();
+  }
+}
+
+function lineMaterial([r, g, b]) {
+  return new THREE.LineBasicMaterial({
+    color: new THREE.Color(r / 255, g / 255, b / 255),
+    depthTest: false,
+    depthWrite: false
+  });
+}
@@ -0,0 +1,165 @@
+/**
+ * Cloud edits
+ * An EditableCloud is a loaded cloud with edits on top of it: points removed
+ * by deleting or cropping, and layers split off into clouds of their own.
+ * The loaded cloud itself never changes. Removed points are a mask over it,
+ * and each edit keeps only the points it removed, as a list of indices or a
+ * bit mask, whichever is smaller, so undoing one needs no copy of the cloud.
+ * Edits are commands for a CommandHistory (see commandHistory.js): the
+ * *Edit methods describe an edit, executing it applies it.
+ */
+export class EditableCloud {
+  constructor(source) {
+    this.source = source;
+    // 1 for every point of source removed by an edit
+    this.removed = new Uint8Array(source.length);
+    this.removedCount = 0;
+    // { id, name, cloud, visible } per layer split off
+    this.layers = [];
+    this.nextLayerId = 1;
+    // The edited cloud, built when first asked for after a change
+    this.edited = source;
+  }
+
+  /**
+   * The loaded cloud without the removed points (a new PointCloud once any
+   * are removed)
+   */
+  get cloud() {
+    if (!this.edited) {
+      const kept = new Uint32Array(this.length);
+      for (let i = 0, k = 0; i < this.removed.length; i++) if (!this.removed[i]) kept[k++] = i;
+      this.edited = this.source.select(kept);
+    }
+    return this.edited;
+  }
+
+  /**
+   * Points left after the edits
+   */
+  get length() {
+    return this.source.length - this.removedCount;
+  }
+
+  /**
+   * Edit removing the selected points (selection: mask over source)
+   */
+  deleteEdit(selection) {
+    const removed = this.indices(selection, 1);
+    return this.edit('Delete points', `${removed.length.toLocaleString()} points`, { removed });
+  }
+
+  /**
+   * Edit removing every point but the selected ones
+   */
+  cropEdit(selection) {
+    const removed = this.indices(selection, 0);
+    const kept = this.length - removed.length;
+    return this.edit('Crop', `${kept.toLocaleString()} points kept, ${removed.length.toLocaleString()} removed`, { removed });
+  }
+
+  /**
+   * Edit moving the selected points into a new layer
+   */
+  splitEdit(selection) {
+    const removed = this.indices(selection, 1);
+    const id = this.nextLayerId++;
+    const layer = { id, name: `Layer ${id}`, cloud: null, visible: true };
+    return this.edit('Split into layer', `${layer.name}, ${removed.length.toLocaleString()} points`, { removed, split: layer });
+  }
+
+  /**
+   * Edit dropping a layer and its points
+   */
+  deleteLayerEdit(layer) {
+    const details = `${layer.name}, ${layer.cloud.length.toLocaleString()} points`;
+    const bytes = layer.cloud.attributeNames().reduce((sum, name) => sum + layer.cloud.getAttribute(name).byteLength, 0);
+    return { ...this.edit('Delete layer', details, { removed: new Uint32Array(0), dropped: layer }), bytes };
+  }
+
+  // A command applying `change`: { removed, split, dropped }
+  edit(label, details, { removed, split = null, dropped = null }) {
+    const change = { removed: packIndices(removed, this.source.length), split, dropped, layerIndex: -1 };
+    return {
+      label,
+      details,
+      bytes: diffBytes(change.removed),
+      do: () => this.apply(change),
+      undo: () => this.revert(change)
+    };
+  }
+
+  apply(change) {
+    this.setRemoved(change.removed, 1);
+    // A split layer's points are taken from the source again on redo
+    if (change.split) {
+      change.split.cloud = this.source.select(unpackIndices(change.removed));
+      this.layers.push(change.split);
+    }
+    if (change.dropped) {
+      change.layerIndex = this.layers.indexOf(change.dropped);
+      this.layers.splice(change.layerIndex, 1);
+    }
+  }
+
+  revert(change) {
+    this.setRemoved(change.removed, 0);
+    if (change.split) {
+      this.layers = this.layers.filter(layer => layer !== change.split);
+      change.split.cloud = null;
+    }
+    if (change.dropped) this.layers.splice(change.layerIndex, 0, change.dropped);
+  }
+
+  setRemoved(diff, value) {
+    forEachIndex(diff, i => { this.removed[i] = value; });
+    this.removedCount += value ? diff.count : -diff.count;
+    if (diff.count > 0) this.edited = this.removedCount === 0 ? this.source : null;
+  }
+
+  // Indices of the points still there whose selection mask is `value`
+  indices(selection, value) {
+    const wanted = i => !this.removed[i] && selection[i] === value;
+    let count = 0;
+    for (let i = 0; i < this.removed.length; i++) if (wanted(i)) count++;
+    const found = new Uint32Array(count);
+    for (let i = 0, k = 0; i < this.removed.length; i++) if (wanted(i)) found[k++] = i;
+    return found;
+  }
+}
+
+// The points an edit removed, out of `total`: { count, indices } when the
+// index list is smaller than a bit mask over every point, { count, bits }
+// otherwise
+function packIndices(indices, total) {
+  const maskBytes = Math.ceil(total / 8);
+  if (indices.byteLength <= maskBytes) return { count: indices.length, indices };
+  const bits = new Uint8Array(maskBytes);
+  indices.forEach(i => { bits[i >> 3] |= 1 << (i & 7); });
+  return { count: indices.length, bits };
+}
+
+function forEachIndex(diff, fn) {
+  if (diff.indices) {
+    diff.indices.forEach(i => fn(i));
+    return;
+  }
+  for (let i = 0, found = 0; found < diff.count; i++) {
+    if (diff.bits[i >> 3] & (1 << (i & 7))) {
+      fn(i);
+      found++;
+    }
+  }
+}
+
+function unpackIndices(diff) {
+  if (diff.indices) return diff.indices;
+  const indices = new Uint32Array(diff.count);
+  let k = 0;
+  forEachIndex(diff, i => { indices[k++] = i; });
+  return indices;
+}
+
+function diffBytes(diff) {
+  return (diff.indices || diff.bits).byteLength;
+}
@@ -0,0 +1,70 @@
+import * as THREE from './lib/three.module.js';
+
+/**
+ * Build a THREE.BufferGeometry from a PointCloud
+ * Colour and every other attribute column (intensity, classification,
+ * normals, scalar fields) are handed to THREE as-is (no copy). Positions are
+ * the only column converted, since WebGL needs 32-bit floats while the model
+ * keeps doubles; other double columns (GPS time) stay out of the geometry.
+ * Positions are stored relative to `origin` (see localOrigin), so place the
+ * object at the origin to draw it in the cloud's own coordinates.
+ * `colors` (RGB bytes, e.g. the selection highlight) replace the cloud's own
+ * colours.
+ */
+export function createCloudGeometry(cloud, { colors = null, origin = null } = {}) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(localPositions(cloud, origin), 3));
+  setGeometryColors(geometry, cloud, colors);
+
+  cloud.attributeNames().forEach(name => {
+    if (name === 'position' || name === 'color') return;
+    const values = cloud.getAttribute(name);
+    if (values instanceof Float64Array) return;
+    geometry.setAttribute(name, new THREE.BufferAttribute(values, cloud.getDescriptor(name).itemSize));
+  });
+
+  return geometry;
+}
+
+/**
+ * Replace the colours of a geometry built by createCloudGeometry: `colors`,
+ * or the cloud's own RGB when null. Returns whether the geometry has colours.
+ */
+export function setGeometryColors(geometry, cloud, colors = null) {
+  const values = colors || cloud.getAttribute('color');
+  if (!values) {
+    geometry.deleteAttribute('color');
+    return false;
+  }
+  geometry.setAttribute('color', new THREE.BufferAttribute(values, 3, true));
+  return true;
+}
+
+/**
+ * Local origin for drawing a cloud with the given bounds: the centre of the
+ * bounds rounded to whole units
+ * Georeferenced coordinates (UTM, state plane) are far too large for 32-bit
+ * floats to resolve centimetres; relative to a nearby origin they aren't.
+ * The object's matrix carries the origin and three.js combines it with the
+ * camera in double precision, so the GPU only ever sees small numbers.
+ */
+export function localOrigin({ min, max }) {
+  const centre = axis => {
+    const value = Math.round((min[axis] + max[axis]) / 2);
+    return Number.isFinite(value) ? value : 0;
+  };
+  return { x: centre('x'), y: centre('y'), z: centre('z') };
+}
+
+// Positions as floats relative to origin (subtracted in double precision)
+function localPositions(cloud, origin) {
+  const position = cloud.getAttribute('position');
+  if (!origin) return new Float32Array(position);
+  const local = new Float32Array(position.length);
+  for (let i = 0; i < position.length; i += 3) {
+    local[i] = position[i] - origin.x;
+    local[i + 1] = position[i + 1] - origin.y;
+    local[i + 2] = position[i + 2] - origin.z;
+  }
+  return local;
+}
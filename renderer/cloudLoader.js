@@ -0,0 +1,43 @@
+import { parseXYZStream } from './xyzParser.js';
+import { parseLAS } from './lasParser.js';
+import { parsePLY } from './plyParser.js';
+import { parsePCD } from './pcdParser.js';
+import { parseDelimitedText } from './delimitedText.js';
+
+/**
+ * Point cloud file loading
+ * Picks the parser from the file extension. Every parser takes the same
+ * options ({ onProgress, signal }) and resolves with a PointCloud.
+ */
+
+const PARSERS = {
+  xyz: parseXYZStream,
+  las: parseLAS,
+  laz: parseLAS,
+  ply: parsePLY,
+  pcd: parsePCD,
+  csv: parseDelimitedText,
+  txt: parseDelimitedText,
+  tsv: parseDelimitedText,
+  asc: parseDelimitedText
+};
+
+export const SUPPORTED_EXTENSIONS = Object.keys(PARSERS).map(ext => `.${ext}`);
+
+// Extensions read as delimited text, with a column mapping chosen by the user
+export const TEXT_EXTENSIONS = ['xyz', 'csv', 'txt', 'tsv', 'asc'];
+
+export function fileExtension(file) {
+  const match = /\.([^.]+)$/.exec(file.name || '');
+  return match ? match[1].toLowerCase() : 'xyz';
+}
+
+/**
+ * options.format: delimited text format (see delimitedText.js) for text files
+ */
+export function loadPointCloudFile(file, options = {}) {
+  if (options.format) return parseDelimitedText(file, options);
+  // Unknown extensions are tried as plain XYZ text
+  const parser = PARSERS[fileExtension(file)] || parseXYZStream;
+  return parser(file, options);
+}
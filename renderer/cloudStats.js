@@ -0,0 +1,75 @@
+/**
+ * Point Cloud Statistics
+ * Bounds and average nearest-neighbour spacing of a PointCloud
+ */
+
+import { getSpatialIndex } from './spatialIndex.js';
+import { findVoxelSize, voxelOccupancy } from './pointCloudReducer.js';
+
+/**
+ * Select `samples` random points and find the average distance to their
+ * K nearest neighbors (total and per axis)
+ */
+export function computeDistanceStats(cloud, { samples = 100, k = 3, onProgress } = {}) {
+  const position = cloud.getAttribute('position');
+  const count = cloud.length;
+  const bounds = cloud.computeBounds();
+  const index = getSpatialIndex(cloud);
+
+  let knnDistance = 0;
+  let knnDistX = 0;
+  let knnDistY = 0;
+  let knnDistZ = 0;
+  const knnSamples = Math.min(samples, count);
+  let knnCount = 0;
+
+  for (let i = 0; i < knnSamples; i++) {
+    if (onProgress) onProgress(i / knnSamples);
+    const idx = Math.floor(Math.random() * count);
+    const px = position[idx * 3], py = position[idx * 3 + 1], pz = position[idx * 3 + 2];
+
+    // Find K nearest neighbors through the shared spatial index
+    const { indices: kNearest, distances } = index.knn(px, py, pz, k, { exclude: idx });
+    if (kNearest.length === 0) continue;
+
+    // Calculate average of K nearest (total and per axis)
+    for (let n = 0; n < kNearest.length; n++) {
+      const j = kNearest[n];
+      knnDistance += distances[n] / kNearest.length;
+      knnDistX += Math.abs(px - position[j * 3]) / kNearest.length;
+      knnDistY += Math.abs(py - position[j * 3 + 1]) / kNearest.length;
+      knnDistZ += Math.abs(pz - position[j * 3 + 2]) / kNearest.length;
+    }
+    knnCount++;
+  }
+
+  if (knnCount > 0) {
+    knnDistance /= knnCount;
+    knnDistX /= knnCount;
+    knnDistY /= knnCount;
+    knnDistZ /= knnCount;
+  }
+
+  return {
+    count,
+    bounds,
+    k,
+    knn: { total: knnDistance, x: knnDistX, y: knnDistY, z: knnDistZ }
+  };
+}
+
+/**
+ * Estimate the local point spacing around every point (Float32Array)
+ * The voxel size is searched so voxels hold about `pointsPerVoxel` points on
+ * average; a voxel of size s holding m points of a surface has a spacing of
+ * about s / sqrt(m).
+ */
+export function computePointSpacing(cloud, { pointsPerVoxel = 8, onProgress } = {}) {
+  const spacing = new Float32Array(cloud.length);
+  if (cloud.length === 0) return spacing;
+  const targetCount = Math.max(1, Math.round(cloud.length / pointsPerVoxel));
+  const voxelSize = findVoxelSize(cloud, targetCount, { tolerance: 0.25, onProgress });
+  const occupancy = voxelOccupancy(cloud, voxelSize);
+  for (let i = 0; i < cloud.length; i++) spacing[i] = voxelSize / Math.sqrt(occupancy[i]);
+  return spacing;
+}
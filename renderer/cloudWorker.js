@@ -0,0 +1,101 @@
+/**
+ * Cloud Worker
+ * Runs parsing, reduction, statistics, point spacing and octree building off
+ * the UI thread.
+ *
+ * Messages in:  { id, task, payload }
+ * Messages out: { id, type: 'progress', progress }
+ *               { id, type: 'result', result }
+ *               { id, type: 'error', message }
+ * Clouds travel as PointCloud.toTransferable() data; results transfer their
+ * columns back instead of copying them.
+ */
+
+import { PointCloud } from './pointCloud.js';
+import { loadPointCloudFile } from './cloudLoader.js';
+import { reducePointCloud, invertZValues } from './pointCloudReducer.js';
+import { computeDistanceStats, computePointSpacing } from './cloudStats.js';
+import { ParseDiagnostics } from './parseDiagnostics.js';
+import { buildOctree } from './octree.js';
+
+// Don't flood the UI thread with progress messages
+const PROGRESS_THROTTLE_MS = 100;
+
+const tasks = {
+  async parse({ file, format }, onProgress) {
+    const diagnostics = new ParseDiagnostics();
+    const cloud = await loadPointCloudFile(file, {
+      format,
+      diagnostics,
+      onProgress: ({ bytesProcessed, totalBytes, pointCount }) => {
+        onProgress({ fraction: totalBytes ? bytesProcessed / totalBytes : 0, pointCount });
+      }
+    });
+    return { cloud: cloud.toTransferable(), diagnostics: diagnostics.toJSON() };
+  },
+
+  reduce({ cloud, method, percent, invertZ, options = {} }, onProgress) {
+    let processedCloud = PointCloud.fromTransferable(cloud);
+    const info = {};
+
+    // Apply reduction if method is not 'none'
+    if (method !== 'none') {
+      processedCloud = reducePointCloud(processedCloud, method, percent, {
+        ...options,
+        onVoxelSize: size => { info.voxelSize = size; },
+        onProgress: fraction => onProgress({ fraction })
+      });
+    }
+
+    // Apply Z inversion if enabled
+    if (invertZ) {
+      processedCloud = invertZValues(processedCloud);
+    }
+
+    return { cloud: processedCloud.toTransferable(), info };
+  },
+
+  stats({ cloud }, onProgress) {
+    return computeDistanceStats(PointCloud.fromTransferable(cloud), {
+      onProgress: fraction => onProgress({ fraction })
+    });
+  },
+
+  spacing({ cloud }, onProgress) {
+    const spacing = computePointSpacing(PointCloud.fromTransferable(cloud), {
+      onProgress: fraction => onProgress({ fraction })
+    });
+    return { spacing };
+  },
+
+  // Only positions are needed (and sent)
+  octree({ cloud }, onProgress) {
+    return buildOctree(PointCloud.fromTransferable(cloud), {
+      onProgress: fraction => onProgress({ fraction })
+    });
+  }
+};
+
+self.onmessage = async (e) => {
+  const { id, task, payload } = e.data;
+  let lastProgress = 0;
+  const onProgress = (progress) => {
+    const now = Date.now();
+    if (now - lastProgress < PROGRESS_THROTTLE_MS) return;
+    lastProgress = now;
+    self.postMessage({ id, type: 'progress', progress });
+  };
+
+  try {
+    if (!tasks[task]) throw new Error(`Unknown worker task: ${task}`);
+    const result = await tasks[task](payload, onProgress);
+    const transfer = result.cloud ? PointCloud.getTransferList(result.cloud) : [];
+    // Per-point arrays (spacing, octree point order) move back as well
+    Object.values(result).forEach(value => {
+      if (ArrayBuffer.isView(value)) transfer.push(value.buffer);
+    });
+    self.postMessage({ id, type: 'result', result }, transfer);
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,101 @@
+import { colorMapLUT } from './colorMaps.js';
+
+/**
+ * Colour legend
+ * Draws the legend described by fieldColorLegend() on the #colorLegend
+ * canvas over the view: a vertical colour bar with value ticks, or a list
+ * of class swatches.
+ */
+
+const BAR_WIDTH = 18;
+const BAR_HEIGHT = 200;
+const PADDING = 8;
+const LINE_HEIGHT = 16;
+
+export function drawColorLegend(legend) {
+  const canvas = document.getElementById('colorLegend');
+  if (!legend) {
+    hideColorLegend();
+    return;
+  }
+
+  const ratio = window.devicePixelRatio || 1;
+  const ctx = canvas.getContext('2d');
+  ctx.font = '12px Arial, sans-serif';
+  const labels = legend.kind === 'ramp'
+    ? legend.ticks.map((tick, t) => rangePrefix(legend, t) + formatTick(tick.value, legend.ticks))
+    : legend.entries.map(entry => entry.label);
+  const labelWidth = Math.max(ctx.measureText(legend.title).width - BAR_WIDTH - 6,
+    ...labels.map(label => ctx.measureText(label).width));
+  const width = Math.ceil(PADDING * 2 + BAR_WIDTH + 6 + labelWidth);
+  const height = legend.kind === 'ramp'
+    ? PADDING * 2 + LINE_HEIGHT + BAR_HEIGHT + LINE_HEIGHT / 2
+    : PADDING * 2 + LINE_HEIGHT * (legend.entries.length + 1);
+
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+  canvas.style.width = `${width}px`;
+  canvas.style.height = `${height}px`;
+  ctx.scale(ratio, ratio);
+  ctx.font = '12px Arial, sans-serif';
+  ctx.textBaseline = 'middle';
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = '#111';
+  ctx.font = 'bold 12px Arial, sans-serif';
+  ctx.fillText(legend.title, PADDING, PADDING + LINE_HEIGHT / 2);
+  ctx.font = '12px Arial, sans-serif';
+
+  const top = PADDING + LINE_HEIGHT;
+  if (legend.kind === 'ramp') {
+    drawRamp(ctx, legend, labels, top);
+  } else {
+    legend.entries.forEach((entry, e) => {
+      const y = top + e * LINE_HEIGHT;
+      ctx.fillStyle = `rgb(${entry.color.join(',')})`;
+      ctx.fillRect(PADDING, y + 2, BAR_WIDTH, LINE_HEIGHT - 4);
+      ctx.fillStyle = '#111';
+      ctx.fillText(labels[e], PADDING + BAR_WIDTH + 6, y + LINE_HEIGHT / 2);
+    });
+  }
+
+  canvas.style.display = 'block';
+}
+
+export function hideColorLegend() {
+  document.getElementById('colorLegend').style.display = 'none';
+}
+
+// High values at the top of the bar
+function drawRamp(ctx, legend, labels, top) {
+  const lut = colorMapLUT(legend.colorMap, BAR_HEIGHT);
+  for (let row = 0; row < BAR_HEIGHT; row++) {
+    const entry = (BAR_HEIGHT - 1 - row) * 3;
+    ctx.fillStyle = `rgb(${lut[entry]},${lut[entry + 1]},${lut[entry + 2]})`;
+    ctx.fillRect(PADDING, top + row, BAR_WIDTH, 1);
+  }
+  ctx.strokeStyle = '#111';
+  ctx.strokeRect(PADDING + 0.5, top + 0.5, BAR_WIDTH - 1, BAR_HEIGHT - 1);
+
+  ctx.fillStyle = '#111';
+  legend.ticks.forEach((tick, t) => {
+    const y = top + (1 - tick.position) * (BAR_HEIGHT - 1);
+    ctx.fillRect(PADDING + BAR_WIDTH, y, 4, 1);
+    ctx.fillText(labels[t], PADDING + BAR_WIDTH + 6, y);
+  });
+}
+
+// Clamped values beyond the range take the end colours (otherwise grey)
+function rangePrefix(legend, t) {
+  if (!legend.clamp) return '';
+  if (t === 0) return '≤ ';
+  return t === legend.ticks.length - 1 ? '≥ ' : '';
+}
+
+// Enough digits to tell neighbouring ticks apart
+function formatTick(value, ticks) {
+  const span = Math.abs(ticks[ticks.length - 1].value - ticks[0].value) / Math.max(1, ticks.length - 1);
+  const decimals = span > 0 ? Math.max(0, Math.min(6, 2 - Math.floor(Math.log10(span)))) : 2;
+  return value.toFixed(decimals);
+}
@@ -0,0 +1,77 @@
+/**
+ * Colour maps
+ * Each map turns a value in 0..1 into an [r, g, b] colour (components 0..1).
+ * Viridis and turbo are perceptually ordered, terrain follows elevation
+ * tints, and the diverging map is blue-grey-red around the middle.
+ */
+
+export const COLOR_MAPS = {
+  viridis: {
+    label: 'Viridis',
+    color: fromStops([
+      [0, '#440154'], [0.125, '#472d7b'], [0.25, '#3b528b'], [0.375, '#2c728e'], [0.5, '#21918c'],
+      [0.625, '#28ae80'], [0.75, '#5ec962'], [0.875, '#addc30'], [1, '#fde725']
+    ])
+  },
+  turbo: { label: 'Turbo', color: turbo },
+  terrain: {
+    label: 'Terrain',
+    color: fromStops([
+      [0, '#333399'], [0.15, '#0099ff'], [0.25, '#00cc66'], [0.5, '#ffff99'], [0.75, '#805c54'], [1, '#ffffff']
+    ])
+  },
+  // Starts above black so low values stay visible on the dark background
+  greyscale: { label: 'Greyscale', color: fromStops([[0, '#303030'], [1, '#ffffff']]) },
+  diverging: {
+    label: 'Diverging (blue-red)',
+    color: fromStops([[0, '#3b4cc0'], [0.25, '#8db0fe'], [0.5, '#dddddd'], [0.75, '#f49a7b'], [1, '#b40426']])
+  }
+};
+
+/**
+ * Colour of `t` (clamped to 0..1) in the named map
+ */
+export function sampleColorMap(name, t) {
+  const map = COLOR_MAPS[name] || COLOR_MAPS.viridis;
+  return map.color(Math.max(0, Math.min(1, t)));
+}
+
+/**
+ * Lookup table of `size` colours spread evenly over the map, as RGB bytes
+ */
+export function colorMapLUT(name, size = 256) {
+  const lut = new Uint8Array(size * 3);
+  for (let i = 0; i < size; i++) {
+    const color = sampleColorMap(name, size > 1 ? i / (size - 1) : 0);
+    for (let c = 0; c < 3; c++) lut[i * 3 + c] = Math.round(color[c] * 255);
+  }
+  return lut;
+}
+
+/**
+ * Piecewise linear map through [position, '#rrggbb'] stops
+ */
+function fromStops(stops) {
+  const points = stops.map(([position, hex]) => [
+    position,
+    [1, 3, 5].map(start => parseInt(hex.slice(start, start + 2), 16) / 255)
+  ]);
+  return (t) => {
+    let s = 1;
+    while (s < points.length - 1 && points[s][0] < t) s++;
+    const [p0, c0] = points[s - 1];
+    const [p1, c1] = points[s];
+    const f = p1 > p0 ? (t - p0) / (p1 - p0) : 0;
+    return [0, 1, 2].map(c => c0[c] + (c1[c] - c0[c]) * f);
+  };
+}
+
+/**
+ * Polynomial approximation of Google's Turbo map
+ */
+function turbo(t) {
+  const r = 0.13572138 + t * (4.61539260 + t * (-42.66032258 + t * (132.13108234 + t * (-152.94239396 + t * 59.28637943))));
+  const g = 0.09140261 + t * (2.19418839 + t * (4.84296658 + t * (-14.18503333 + t * (4.27729857 + t * 2.82956604))));
+  const b = 0.10667330 + t * (12.64194608 + t * (-60.58204836 + t * (110.36276771 + t * (-89.90310912 + t * 27.34824973))));
+  return [r, g, b].map(v => Math.max(0, Math.min(1, v)));
+}
@@ -0,0 +1,185 @@
+import {
+  DELIMITERS,
+  COLUMN_TARGETS,
+  detectDelimitedFormat,
+  previewDelimitedText,
+  suggestColumnMapping,
+  isPlainXYZ,
+  filePattern
+} from './delimitedText.js';
+
+/**
+ * Column mapping dialog for delimited text files
+ * Shows the detected delimiter, decimal separator and header row with a
+ * preview of the first rows, and lets the user map every column to a point
+ * attribute (or skip it). The chosen mapping is remembered per file name
+ * pattern in localStorage.
+ */
+
+const STORAGE_KEY = 'cloudstream3d.columnMappings';
+const SAMPLE_SIZE = 1 << 16;
+
+const DELIMITER_LABELS = {
+  comma: 'Comma (,)',
+  semicolon: 'Semicolon (;)',
+  tab: 'Tab',
+  pipe: 'Pipe (|)',
+  whitespace: 'Spaces'
+};
+
+const TARGET_LABELS = {
+  skip: '(skip)',
+  x: 'X',
+  y: 'Y',
+  z: 'Z',
+  red: 'Red',
+  green: 'Green',
+  blue: 'Blue',
+  intensity: 'Intensity',
+  classification: 'Classification',
+  nx: 'Normal X',
+  ny: 'Normal Y',
+  nz: 'Normal Z',
+  returnNumber: 'Return number',
+  numberOfReturns: 'Number of returns',
+  gpsTime: 'GPS time',
+  scalar: 'Scalar field'
+};
+
+/**
+ * Ask how to read a text file
+ * With skipIfPlain, plain x y z [r g b] files without a remembered mapping
+ * don't open the dialog.
+ * Resolves with the format, undefined when no mapping is needed, or null
+ * when the user cancelled.
+ */
+export async function chooseTextFormat(file, { skipIfPlain = false } = {}) {
+  const complete = file.size <= SAMPLE_SIZE;
+  const sample = await file.slice(0, SAMPLE_SIZE).text();
+  const detected = detectDelimitedFormat(sample, { complete });
+  const remembered = loadRememberedFormat(file.name);
+
+  let initial = detected;
+  if (remembered) {
+    const { headers, preview, columnCount } = previewDelimitedText(sample, remembered, { complete });
+    // Only reuse the mapping when the file still has the same columns
+    if (columnCount === remembered.columns.length) initial = { ...remembered, headers, preview };
+  }
+  if (skipIfPlain && initial === detected && isPlainXYZ(detected)) return undefined;
+
+  return showDialog(file.name, sample, complete, initial);
+}
+
+function showDialog(fileName, sample, complete, initial) {
+  const dialog = document.getElementById('columnMappingDialog');
+  const delimiterSelect = document.getElementById('mappingDelimiter');
+  const decimalSelect = document.getElementById('mappingDecimal');
+  const headerCheckbox = document.getElementById('mappingHeader');
+  const rememberCheckbox = document.getElementById('mappingRemember');
+  const error = document.getElementById('mappingError');
+  const pattern = filePattern(fileName);
+
+  let format = { ...initial };
+
+  delimiterSelect.innerHTML = '';
+  Object.keys(DELIMITERS).forEach(name => delimiterSelect.add(new Option(DELIMITER_LABELS[name], name)));
+  delimiterSelect.value = format.delimiter;
+  decimalSelect.value = format.decimalComma ? 'comma' : 'point';
+  headerCheckbox.checked = format.hasHeader;
+  document.getElementById('mappingFile').textContent = fileName;
+  document.getElementById('mappingPattern').textContent = pattern;
+  error.textContent = '';
+
+  // Delimiter and header changes re-split the sample and suggest new columns
+  const resplit = () => {
+    format.delimiter = delimiterSelect.value;
+    format.decimalComma = decimalSelect.value === 'comma';
+    format.hasHeader = headerCheckbox.checked;
+    const { headers, preview, columnCount } = previewDelimitedText(sample, format, { complete });
+    format = { ...format, headers, preview, columns: suggestColumnMapping(headers, columnCount) };
+    renderPreview(format);
+  };
+  delimiterSelect.onchange = resplit;
+  headerCheckbox.onchange = resplit;
+  decimalSelect.onchange = () => {
+    format.decimalComma = decimalSelect.value === 'comma';
+  };
+
+  renderPreview(format);
+
+  return new Promise(resolve => {
+    const close = (result) => {
+      dialog.close();
+      resolve(result);
+    };
+
+    document.getElementById('mappingCancel').onclick = () => close(null);
+    dialog.oncancel = () => resolve(null);
+    document.getElementById('mappingLoad').onclick = () => {
+      const missing = ['x', 'y', 'z'].filter(axis => format.columns.filter(target => target === axis).length !== 1);
+      if (missing.length > 0) {
+        error.textContent = `Map exactly one column to each of: ${missing.map(axis => axis.toUpperCase()).join(', ')}`;
+        return;
+      }
+      const { preview, ...chosen } = format;
+      if (rememberCheckbox.checked) rememberFormat(pattern, chosen);
+      close(chosen);
+    };
+
+    dialog.showModal();
+  });
+}
+
+/**
+ * Preview table with a target select above every column
+ */
+function renderPreview(format) {
+  const table = document.getElementById('mappingPreview');
+  table.innerHTML = '';
+
+  const selectRow = table.insertRow();
+  format.columns.forEach((target, c) => {
+    const select = document.createElement('select');
+    Object.keys(COLUMN_TARGETS).forEach(name => select.add(new Option(TARGET_LABELS[name], name)));
+    select.value = target;
+    select.onchange = () => {
+      format.columns[c] = select.value;
+    };
+    selectRow.insertCell().appendChild(select);
+  });
+
+  if (format.hasHeader) {
+    const headerRow = table.insertRow();
+    headerRow.className = 'mapping-header';
+    format.columns.forEach((_, c) => {
+      headerRow.insertCell().textContent = format.headers[c] || '';
+    });
+  }
+
+  format.preview.forEach(row => {
+    const tableRow = table.insertRow();
+    format.columns.forEach((_, c) => {
+      tableRow.insertCell().textContent = row[c] !== undefined ? row[c] : '';
+    });
+  });
+}
+
+function loadRememberedFormat(fileName) {
+  try {
+    const formats = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    return formats[filePattern(fileName)] || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function rememberFormat(pattern, format) {
+  try {
+    const formats = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    const { delimiter, decimalComma, hasHeader, headerComment, columns } = format;
+    formats[pattern] = { delimiter, decimalComma, hasHeader, headerComment, columns };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(formats));
+  } catch (e) {
+    console.warn('Could not remember the column mapping:', e);
+  }
+}
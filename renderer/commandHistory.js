@@ -0,0 +1,107 @@
+/**
+ * Command history
+ * Undo and redo over commands: { label, details, bytes, mergeKey, do(),
+ * undo() }. `details` describes the command's parameters and `bytes` is
+ * the memory it holds on to for undoing (removed points, a dropped layer).
+ * execute() runs a command and stacks it, forgetting whatever had been
+ * undone. A command with the mergeKey of the one just before it, executed
+ * within mergeWindow milliseconds, is folded into that one, so dragging a
+ * slider makes a single entry. Once the commands hold more than maxBytes,
+ * or there are more than maxEntries of them, the oldest are forgotten.
+ */
+export class CommandHistory {
+  constructor({ maxEntries = 100, maxBytes = 256 * 1024 * 1024, mergeWindow = 1000, onChange = () => {} } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.mergeWindow = mergeWindow;
+    this.onChange = onChange;
+    // Commands done, oldest first, and undone, the next to redo last
+    this.done = [];
+    this.undone = [];
+    // Commands forgotten to stay within the limits
+    this.dropped = 0;
+    this.lastExecuted = -Infinity;
+  }
+
+  execute(command, now = Date.now()) {
+    command.do();
+    const last = this.done[this.done.length - 1];
+    const merge = command.mergeKey !== undefined && this.undone.length === 0 && last &&
+      last.mergeKey === command.mergeKey && now - this.lastExecuted <= this.mergeWindow;
+    // A merged command undoes back to before the first one
+    if (merge) this.done[this.done.length - 1] = { ...command, undo: last.undo };
+    else this.done.push(command);
+    this.undone = [];
+    this.lastExecuted = now;
+    this.trim();
+    this.onChange();
+  }
+
+  undo() {
+    const command = this.done.pop();
+    if (!command) return null;
+    command.undo();
+    this.undone.push(command);
+    this.lastExecuted = -Infinity;
+    this.onChange();
+    return command;
+  }
+
+  redo() {
+    const command = this.undone.pop();
+    if (!command) return null;
+    command.do();
+    this.done.push(command);
+    this.lastExecuted = -Infinity;
+    this.onChange();
+    return command;
+  }
+
+  /**
+   * Undo or redo until `count` commands are done
+   */
+  jumpTo(count) {
+    while (this.done.length > count && this.done.length > 0) this.undo();
+    while (this.done.length < count && this.undone.length > 0) this.redo();
+  }
+
+  clear() {
+    this.done = [];
+    this.undone = [];
+    this.dropped = 0;
+    this.lastExecuted = -Infinity;
+    this.onChange();
+  }
+
+  get undoLabel() {
+    return this.done.length > 0 ? this.done[this.done.length - 1].label : null;
+  }
+
+  get redoLabel() {
+    return this.undone.length > 0 ? this.undone[this.undone.length - 1].label : null;
+  }
+
+  /**
+   * Memory held by the commands for undoing and redoing
+   */
+  get bytes() {
+    return [...this.done, ...this.undone].reduce((sum, command) => sum + (command.bytes || 0), 0);
+  }
+
+  /**
+   * Every command in order: [{ label, details, done }]
+   */
+  entries() {
+    return [
+      ...this.done.map(({ label, details }) => ({ label, details, done: true })),
+      ...this.undone.slice().reverse().map(({ label, details }) => ({ label, details, done: false }))
+    ];
+  }
+
+  trim() {
+    while (this.done.length > 1 && (this.done.length > this.maxEntries || this.bytes > this.maxBytes)) {
+      this.done.shift();
+      this.dropped++;
+    }
+  }
+}
@@ -0,0 +1,374 @@
+import { POINT_ATTRIBUTES, SCALAR_FIELD } from './pointCloud.js';
+import { parseXYZStream } from './xyzParser.js';
+
+/**
+ * Delimited text (CSV, semicolon, tab, pipe or whitespace separated) import
+ * detectDelimitedFormat() guesses the delimiter, decimal separator and
+ * header row from a sample of the file, suggestColumnMapping() maps the
+ * columns to point attributes from their header names, and the resulting
+ * format drives parseDelimitedText().
+ *
+ * A format is a plain object (so it can be posted to a worker and stored):
+ *  { delimiter: 'comma' | 'semicolon' | 'tab' | 'pipe' | 'whitespace',
+ *    decimalComma, hasHeader, headerComment, headers: [...],
+ *    columns: [target per column] }
+ * headerComment is set when the header is a "# x y z ..." comment line, as
+ * exportToXYZ writes it.
+ */
+
+export const DELIMITERS = {
+  comma: ',',
+  semicolon: ';',
+  tab: '\t',
+  pipe: '|',
+  whitespace: null
+};
+
+// Column target -> [attribute, component]; 'scalar' keeps the column as a
+// named scalar field, 'skip' drops it
+export const COLUMN_TARGETS = {
+  skip: null,
+  x: ['position', 0],
+  y: ['position', 1],
+  z: ['position', 2],
+  red: ['color', 0],
+  green: ['color', 1],
+  blue: ['color', 2],
+  intensity: ['intensity', 0],
+  classification: ['classification', 0],
+  nx: ['normal', 0],
+  ny: ['normal', 1],
+  nz: ['normal', 2],
+  returnNumber: ['returnNumber', 0],
+  numberOfReturns: ['numberOfReturns', 0],
+  gpsTime: ['gpsTime', 0],
+  scalar: null
+};
+
+// Header names (lower case, letters and digits only) per column target
+const HEADER_ALIASES = {
+  x: ['x', 'easting', 'east', 'e', 'lon', 'long', 'longitude', 'posx'],
+  y: ['y', 'northing', 'north', 'n', 'lat', 'latitude', 'posy'],
+  z: ['z', 'elevation', 'elev', 'height', 'h', 'alt', 'altitude', 'posz'],
+  red: ['r', 'red'],
+  green: ['g', 'green'],
+  blue: ['b', 'blue'],
+  intensity: ['i', 'intensity', 'int', 'amplitude'],
+  classification: ['class', 'classification', 'cls', 'classid'],
+  nx: ['nx', 'normalx'],
+  ny: ['ny', 'normaly'],
+  nz: ['nz', 'normalz'],
+  returnNumber: ['returnnumber', 'return', 'returnno'],
+  numberOfReturns: ['numberofreturns', 'numreturns', 'returns'],
+  gpsTime: ['gpstime', 'time', 'timestamp', 't']
+};
+
+// Preference order when several delimiters split the sample equally well
+const DELIMITER_ORDER = ['tab', 'semicolon', 'pipe', 'comma', 'whitespace'];
+
+const COMMENT_PATTERN = /^\s*(#|\/\/)/;
+// "# x y z ..." column header comment; the names are captured
+const HEADER_COMMENT_PATTERN = /^\s*#\s*(x\s+y\s+z(\s.*)?)$/i;
+// U+FFFD is what the decoder makes of bytes that aren't UTF-8
+const BAD_ENCODING_PATTERN = /[\uFFFD\u0000]/;
+const DECIMAL_COMMA_PATTERN = /^[+-]?(\d+|\d{1,3}([. \u00a0\u202f])\d{3}(\2\d{3})*),\d+([eE][+-]?\d+)?$/;
+// Digits grouped in threes before the decimal separator (1.234.567,8 or
+// 1 234 567,8 with a decimal comma, 1,234,567.8 or 1 234 567.8 without);
+// the group separator is captured
+const GROUPED_COMMA_PATTERN = /^[+-]?\d{1,3}([. \u00a0\u202f])\d{3}(\1\d{3})*(,\d*)?$/;
+const GROUPED_POINT_PATTERN = /^[+-]?\d{1,3}([, \u00a0\u202f])\d{3}(\1\d{3})*(\.\d*)?$/;
+
+/**
+ * Split a row into trimmed fields
+ * A field in double quotes may hold the delimiter, and "" for a quote
+ * (RFC 4180); the quotes are removed.
+ */
+export function splitRow(line, delimiter) {
+  const separator = DELIMITERS[delimiter];
+  if (!line.includes('"')) {
+    const fields = separator === null ? line.trim().split(/\s+/) : line.split(separator);
+    return fields.map(field => field.trim());
+  }
+  return splitQuotedRow(line, separator);
+}
+
+/**
+ * splitRow() character by character, for rows with quotes; a null separator
+ * splits on runs of whitespace
+ */
+function splitQuotedRow(line, separator) {
+  const isSeparator = separator === null ? char => /\s/.test(char) : char => char === separator;
+  if (separator === null) line = line.trim();
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      // Only a quote opening the field starts a quoted field
+      field = '';
+      quoted = true;
+    } else if (isSeparator(char)) {
+      fields.push(field.trim());
+      field = '';
+      if (separator === null) while (i + 1 < line.length && isSeparator(line[i + 1])) i++;
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Parse a number, accepting a decimal comma when `decimalComma` is set
+ * and thousands grouped with the separators of either convention
+ */
+export function parseNumber(text, decimalComma = false) {
+  if (text === undefined || text === '') return NaN;
+  const grouped = (decimalComma ? GROUPED_COMMA_PATTERN : GROUPED_POINT_PATTERN).exec(text);
+  if (grouped) text = text.split(grouped[1]).join('');
+  return Number(decimalComma ? text.replace(/,/g, '.') : text);
+}
+
+/**
+ * Column names of a "# x y z ..." header comment line, or null
+ */
+function headerComment(line) {
+  const match = HEADER_COMMENT_PATTERN.exec(line);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Rows of the sample without empty and comment lines (the last line is
+ * dropped when the sample ends mid-line); a header comment before the first
+ * row is kept, without its '#', as the header row
+ * Returns { lines, headerComment }
+ */
+function sampleLines(text, complete) {
+  const all = text.split(/\r?\n/);
+  if (!complete && all.length > 1) all.pop();
+  const lines = [];
+  let fromComment = false;
+  all.forEach(line => {
+    if (line.trim().length === 0) return;
+    const header = lines.length === 0 ? headerComment(line) : null;
+    if (header !== null) {
+      lines.push(header);
+      fromComment = true;
+    } else if (!COMMENT_PATTERN.test(line)) {
+      lines.push(line);
+    }
+  });
+  return { lines, headerComment: fromComment };
+}
+
+/**
+ * Guess the format of a text sample (the start of the file)
+ * Set `complete` when the sample is the whole file.
+ * Returns a format with suggested columns and `preview` rows (split fields)
+ */
+export function detectDelimitedFormat(text, { complete = false, previewRows = 10 } = {}) {
+  const sample = sampleLines(text, complete);
+  const lines = sample.lines.slice(0, 200);
+  if (lines.length === 0) {
+    return { delimiter: 'whitespace', decimalComma: false, hasHeader: false, headerComment: false, headers: [], columns: [], preview: [] };
+  }
+  const dataLines = lines.length > 1 ? lines.slice(1) : lines;
+
+  let best = null;
+  DELIMITER_ORDER.forEach(delimiter => {
+    const rows = dataLines.map(line => splitRow(line, delimiter));
+    const counts = new Map();
+    rows.forEach(row => counts.set(row.length, (counts.get(row.length) || 0) + 1));
+    const [columnCount, rowsWithCount] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    if (columnCount < 2) return;
+
+    // With comma delimiters only quoted fields can hold a decimal comma
+    const decimalComma = rows.some(row => row.some(field => DECIMAL_COMMA_PATTERN.test(field)));
+    let fields = 0;
+    let numeric = 0;
+    rows.forEach(row => row.forEach(field => {
+      fields++;
+      if (Number.isFinite(parseNumber(field, decimalComma))) numeric++;
+    }));
+
+    const score = (rowsWithCount / rows.length) * (numeric / fields);
+    // Ties go to the delimiter earlier in the preference order
+    if (!best || score > best.score + 1e-9) best = { delimiter, decimalComma, score };
+  });
+  if (!best) best = { delimiter: 'whitespace', decimalComma: false };
+
+  // A first row that is mostly text while the data is numeric is a header
+  const first = splitRow(lines[0], best.delimiter);
+  const firstNumeric = first.filter(field => Number.isFinite(parseNumber(field, best.decimalComma))).length;
+  const hasHeader = sample.headerComment || (lines.length > 1 && firstNumeric < first.length / 2);
+
+  const format = { delimiter: best.delimiter, decimalComma: best.decimalComma, hasHeader, headerComment: sample.headerComment };
+  const { headers, preview, columnCount } = previewDelimitedText(text, format, { complete, previewRows });
+  return { ...format, headers, columns: suggestColumnMapping(headers, columnCount), preview };
+}
+
+/**
+ * Split a text sample with the given delimiter and header setting
+ * Returns { headers, preview (first rows, split), columnCount }
+ */
+export function previewDelimitedText(text, { delimiter, hasHeader }, { complete = false, previewRows = 10 } = {}) {
+  const lines = sampleLines(text, complete).lines.slice(0, 200);
+  const headers = hasHeader && lines.length > 0 ? splitRow(lines[0], delimiter) : [];
+  const rows = (hasHeader ? lines.slice(1) : lines).map(line => splitRow(line, delimiter));
+  const columnCount = rows.reduce((max, row) => Math.max(max, row.length), headers.length);
+  return { headers, preview: rows.slice(0, previewRows), columnCount };
+}
+
+/**
+ * Whether the format is plain whitespace separated x y z [r g b], or has
+ * its columns named in a "# x y z ..." header comment, which the XYZ parser
+ * reads without any column mapping
+ */
+export function isPlainXYZ(format) {
+  if (format.delimiter !== 'whitespace' || format.decimalComma) return false;
+  if (format.hasHeader) return Boolean(format.headerComment);
+  return format.columns.length === 3 || format.columns.length === 6;
+}
+
+/**
+ * Column targets from the header names; without a header the columns are
+ * read as x, y, z[, r, g, b] like plain XYZ files. Columns that match no
+ * attribute are kept as scalar fields.
+ */
+export function suggestColumnMapping(headers, columnCount) {
+  const used = new Set();
+  return Array.from({ length: columnCount }, (_, c) => {
+    const header = headers[c];
+    if (!header) {
+      const defaults = columnCount >= 6 ? ['x', 'y', 'z', 'red', 'green', 'blue'] : ['x', 'y', 'z'];
+      return headers.length === 0 && c < defaults.length ? defaults[c] : 'scalar';
+    }
+    const key = header.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const target = Object.keys(HEADER_ALIASES).find(name => !used.has(name) && HEADER_ALIASES[name].includes(key));
+    if (target) {
+      used.add(target);
+      return target;
+    }
+    return 'scalar';
+  });
+}
+
+/**
+ * Scalar field name of a column kept as 'scalar'
+ */
+export function columnName(format, c) {
+  const header = format.headers && format.headers[c];
+  return header ? header.trim() : `field${c + 1}`;
+}
+
+/**
+ * File name pattern a column mapping is remembered for: digit runs become
+ * '*', so survey_2023_01.csv and survey_2024_07.csv share one mapping
+ */
+export function filePattern(name) {
+  return name.toLowerCase().replace(/\d+/g, '*');
+}
+
+/**
+ * Line parser for parseXYZStream that reads rows with the given format
+ * Returns false for rows without finite x, y and z (and for the header);
+ * problems go to report(reason) like in parseXYZLine.
+ */
+export function createDelimitedLineParser(format) {
+  const { delimiter, decimalComma } = format;
+  let skipHeader = format.hasHeader;
+
+  // [column, attribute name, component, descriptor]
+  const targets = [];
+  format.columns.forEach((target, c) => {
+    if (target === 'skip' || !(target in COLUMN_TARGETS)) return;
+    if (target === 'scalar') {
+      let name = columnName(format, c);
+      if (POINT_ATTRIBUTES[name] || name === 'position') name = `scalar_${name}`;
+      targets.push([c, name, 0, SCALAR_FIELD]);
+    } else {
+      const [name, component] = COLUMN_TARGETS[target];
+      if (name !== 'position') targets.push([c, name, component, POINT_ATTRIBUTES[name]]);
+    }
+  });
+  const xColumn = format.columns.indexOf('x');
+  const yColumn = format.columns.indexOf('y');
+  const zColumn = format.columns.indexOf('z');
+
+  const requiredColumns = Math.max(xColumn, yColumn, zColumn) + 1;
+
+  return (line, cloud, report = null) => {
+    if (line.trim().length === 0) return false;
+    const problem = (reason) => {
+      if (report) report(reason);
+      return false;
+    };
+    if (skipHeader && format.headerComment && headerComment(line) !== null) {
+      skipHeader = false;
+      return false;
+    }
+    if (COMMENT_PATTERN.test(line)) return problem('comment');
+    if (skipHeader) {
+      skipHeader = false;
+      return false;
+    }
+    if (BAD_ENCODING_PATTERN.test(line)) return problem('badEncoding');
+
+    const fields = splitRow(line, delimiter);
+    if (fields.length < requiredColumns) return problem('tooFewColumns');
+    const x = parseNumber(fields[xColumn], decimalComma);
+    const y = parseNumber(fields[yColumn], decimalComma);
+    const z = parseNumber(fields[zColumn], decimalComma);
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) return problem('invalidCoordinate');
+
+    const i = cloud.addPoint(x, y, z);
+    let invalidValue = false;
+    let colorOutOfRange = false;
+    for (let t = 0; t < targets.length; t++) {
+      const [column, name, component, descriptor] = targets[t];
+      let value = parseNumber(fields[column], decimalComma);
+      if (!Number.isFinite(value)) {
+        invalidValue = true;
+        continue;
+      }
+      if (name === 'color' && !(value >= 0 && value <= 255)) {
+        colorOutOfRange = true;
+        value = Math.max(0, Math.min(255, Math.round(value)));
+      }
+      const attribute = cloud.addAttribute(name, descriptor);
+      attribute.array[i * attribute.itemSize + component] = value;
+    }
+    if (invalidValue) problem('invalidValue');
+    if (colorOutOfRange) problem('colorOutOfRange');
+    return true;
+  };
+}
+
+/**
+ * Parse a delimited text file
+ * Options: those of parseXYZStream plus `format` (detected from the start
+ * of the file, with the suggested columns, when not given)
+ */
+export async function parseDelimitedText(file, { format = null, ...options } = {}) {
+  if (!format) {
+    const sampleSize = 1 << 16;
+    format = detectDelimitedFormat(await file.slice(0, sampleSize).text(), { complete: file.size <= sampleSize });
+  }
+  if (!['x', 'y', 'z'].every(axis => format.columns.includes(axis))) {
+    throw new Error('Map columns to x, y and z to load delimited text');
+  }
+  const cloud = await parseXYZStream(file, { ...options, lineParser: createDelimitedLineParser(format) });
+  cloud.metadata = { format: 'text', delimiter: format.delimiter, decimalComma: format.decimalComma };
+  return cloud;
+}
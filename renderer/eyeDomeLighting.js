@@ -0,0 +1,131 @@
+import * as THREE from './lib/three.module.js';
+
+/**
+ * Eye-Dome Lighting
+ * Renders the scene into a colour + depth target, then shades every pixel
+ * by how much nearer it is than its neighbours (in log depth), as in
+ * CloudCompare and Potree. Silhouettes and depth steps darken, which makes
+ * unlit clouds readable without normals. Pixels of the background next to
+ * points get a dark outline.
+ */
+
+// Neighbour directions sampled around every pixel
+const NEIGHBOUR_COUNT = 8;
+
+const vertexShader = `
+varying vec2 vUv;
+
+void main() {
+  vUv = uv;
+  gl_Position = vec4(position.xy, 0.0, 1.0);
+}
+`;
+
+const fragmentShader = `
+uniform sampler2D tColor;
+uniform sampler2D tDepth;
+uniform vec2 screenSize;
+uniform float strength;
+uniform float radius;
+uniform float cameraNear;
+uniform float cameraFar;
+uniform vec2 neighbours[${NEIGHBOUR_COUNT}];
+
+varying vec2 vUv;
+
+// log2 of the view distance, 0 for the background
+float logDepth(vec2 uv) {
+  float depth = texture2D(tDepth, uv).x;
+  if (depth >= 1.0) return 0.0;
+  float viewZ = (cameraNear * cameraFar) / ((cameraFar - cameraNear) * depth - cameraFar);
+  return log2(-viewZ);
+}
+
+float response(float depth) {
+  vec2 uvRadius = radius / screenSize;
+  float sum = 0.0;
+  for (int i = 0; i < ${NEIGHBOUR_COUNT}; i++) {
+    float neighbourDepth = logDepth(vUv + uvRadius * neighbours[i]);
+    if (neighbourDepth != 0.0) {
+      sum += depth == 0.0 ? 100.0 : max(0.0, depth - neighbourDepth);
+    }
+  }
+  return sum / ${NEIGHBOUR_COUNT}.0;
+}
+
+void main() {
+  vec4 color = texture2D(tColor, vUv);
+  float shade = exp(-response(logDepth(vUv)) * 300.0 * strength);
+  gl_FragColor = vec4(color.rgb * shade, 1.0);
+}
+`;
+
+export class EyeDomeLighting {
+  constructor(renderer, { strength = 1, radius = 1.4 } = {}) {
+    this.renderer = renderer;
+    this.strength = strength;
+    // In CSS pixels
+    this.radius = radius;
+
+    this.target = new THREE.WebGLRenderTarget(1, 1, { depthTexture: new THREE.DepthTexture(1, 1) });
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        tColor: { value: this.target.texture },
+        tDepth: { value: this.target.depthTexture },
+        screenSize: { value: new THREE.Vector2(1, 1) },
+        strength: { value: strength },
+        radius: { value: radius },
+        cameraNear: { value: 0.1 },
+        cameraFar: { value: 1000 },
+        neighbours: {
+          value: Array.from({ length: NEIGHBOUR_COUNT }, (_, i) => {
+            const angle = 2 * Math.PI * i / NEIGHBOUR_COUNT;
+            return new THREE.Vector2(Math.cos(angle), Math.sin(angle));
+          })
+        }
+      },
+      vertexShader,
+      fragmentShader,
+      depthTest: false,
+      depthWrite: false
+    });
+    this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+    this.quad.frustumCulled = false;
+    this.quadScene = new THREE.Scene();
+    this.quadScene.add(this.quad);
+    this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+    this.setSize(renderer.domElement.clientWidth || 1, renderer.domElement.clientHeight || 1);
+  }
+
+  /**
+   * Size of the view in CSS pixels
+   */
+  setSize(width, height) {
+    const ratio = this.renderer.getPixelRatio();
+    const w = Math.max(1, Math.round(width * ratio));
+    const h = Math.max(1, Math.round(height * ratio));
+    this.target.setSize(w, h);
+    this.material.uniforms.screenSize.value.set(w, h);
+  }
+
+  render(scene, camera) {
+    const { uniforms } = this.material;
+    uniforms.strength.value = this.strength;
+    uniforms.radius.value = this.radius * this.renderer.getPixelRatio();
+    uniforms.cameraNear.value = camera.near;
+    uniforms.cameraFar.value = camera.far;
+
+    this.renderer.setRenderTarget(this.target);
+    this.renderer.render(scene, camera);
+    this.renderer.setRenderTarget(null);
+    this.renderer.render(this.quadScene, this.quadCamera);
+  }
+
+  dispose() {
+    this.target.depthTexture.dispose();
+    this.target.dispose();
+    this.material.dispose();
+    this.quad.geometry.dispose();
+  }
+}
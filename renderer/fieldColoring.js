@@ -0,0 +1,229 @@
+import { sampleColorMap } from './colorMaps.js';
+
+/**
+ * Colouring by field
+ * Turns Z, intensity, any scalar field or the classification of a
+ * PointCloud into colour tables for the point shader (see
+ * setColoringUniforms in pointMaterial.js), and describes the matching
+ * legend.
+ *
+ * A colouring is a plain object:
+ *  { source: 'rgb' | 'z' | attribute name, colorMap, min, max,
+ *    clamp (out-of-range values take the end colours instead of grey),
+ *    equalize (histogram equalisation between min and max) }
+ */
+
+// ASPRS standard classes (LAS 1.4)
+export const CLASSIFICATION_CLASSES = {
+  0: { name: 'Never classified', color: [160, 160, 160] },
+  1: { name: 'Unclassified', color: [210, 210, 210] },
+  2: { name: 'Ground', color: [166, 118, 64] },
+  3: { name: 'Low vegetation', color: [144, 238, 144] },
+  4: { name: 'Medium vegetation', color: [60, 179, 60] },
+  5: { name: 'High vegetation', color: [0, 110, 0] },
+  6: { name: 'Building', color: [220, 60, 50] },
+  7: { name: 'Low point (noise)', color: [255, 0, 255] },
+  8: { name: 'Model key point', color: [255, 215, 0] },
+  9: { name: 'Water', color: [30, 100, 255] },
+  10: { name: 'Rail', color: [120, 70, 160] },
+  11: { name: 'Road surface', color: [90, 90, 90] },
+  13: { name: 'Wire guard', color: [255, 180, 0] },
+  14: { name: 'Wire conductor', color: [255, 240, 120] },
+  15: { name: 'Transmission tower', color: [200, 120, 0] },
+  16: { name: 'Wire connector', color: [230, 150, 80] },
+  17: { name: 'Bridge deck', color: [120, 120, 200] },
+  18: { name: 'High noise', color: [255, 0, 128] }
+};
+
+// Display names of the colouring sources (and of attributes elsewhere in the UI)
+export const SOURCE_LABELS = {
+  rgb: 'RGB',
+  z: 'Z (elevation)',
+  intensity: 'Intensity',
+  classification: 'Classification',
+  returnNumber: 'Return number',
+  numberOfReturns: 'Number of returns',
+  gpsTime: 'GPS time'
+};
+
+// Points without a usable value (and out-of-range ones when not clamping)
+export const NO_VALUE_COLOR = [128, 128, 128];
+
+const EQUALIZE_BINS = 1024;
+
+/**
+ * What the cloud can be coloured by: [{ id, label, kind }], kind being
+ * 'rgb', 'classes' or 'continuous'
+ */
+export function coloringSources(cloud) {
+  const sources = [];
+  if (cloud.hasAttribute('color')) sources.push({ id: 'rgb', label: SOURCE_LABELS.rgb, kind: 'rgb' });
+  sources.push({ id: 'z', label: SOURCE_LABELS.z, kind: 'continuous' });
+  cloud.attributeNames().forEach(name => {
+    if (name === 'position' || cloud.getDescriptor(name).itemSize !== 1) return;
+    sources.push({ id: name, label: SOURCE_LABELS[name] || name, kind: name === 'classification' ? 'classes' : 'continuous' });
+  });
+  return sources;
+}
+
+/**
+ * Values of a source as { values, stride, offset } (Z is read in place
+ * from the positions), or null when the cloud doesn't have it
+ */
+function fieldColumn(cloud, source) {
+  if (source === 'z') return { values: cloud.getAttribute('position'), stride: 3, offset: 2 };
+  const values = cloud.getAttribute(source);
+  return values ? { values, stride: 1, offset: 0 } : null;
+}
+
+/**
+ * Smallest and largest finite value of a source ({ min: 0, max: 0 } when
+ * there are none)
+ * Clouds standing in for a larger one (octree cache nodes) carry the ranges
+ * of the whole cloud in metadata.fieldRanges.
+ */
+export function fieldRange(cloud, source) {
+  const known = cloud.metadata && cloud.metadata.fieldRanges && cloud.metadata.fieldRanges[source];
+  if (known) return { ...known };
+  const column = fieldColumn(cloud, source);
+  let min = Infinity;
+  let max = -Infinity;
+  if (column) {
+    const { values, stride, offset } = column;
+    for (let i = offset; i < values.length; i += stride) {
+      const v = values[i];
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+  }
+  return min <= max ? { min, max } : { min: 0, max: 0 };
+}
+
+/**
+ * Mapping between values and positions (0..1) along the colour map
+ * With `equalize`, positions follow the cumulative histogram of the values
+ * between min and max, so every colour covers about as many points.
+ */
+function fieldScale(column, { min, max, equalize = false }) {
+  const span = max - min;
+  if (!(span > 0)) return { toUnit: () => 0.5, valueAt: () => min };
+  if (!equalize) {
+    return { toUnit: v => (v - min) / span, valueAt: t => min + t * span };
+  }
+
+  const binPosition = v => Math.min(EQUALIZE_BINS, Math.max(0, (v - min) / span * EQUALIZE_BINS));
+  const histogram = new Float64Array(EQUALIZE_BINS);
+  let total = 0;
+  const { values, stride, offset } = column;
+  for (let i = offset; i < values.length; i += stride) {
+    const v = values[i];
+    if (v >= min && v <= max) {
+      histogram[Math.min(EQUALIZE_BINS - 1, Math.floor(binPosition(v)))]++;
+      total++;
+    }
+  }
+  if (total === 0) return { toUnit: v => (v - min) / span, valueAt: t => min + t * span };
+
+  // cdf[b]: share of the values below bin b
+  const cdf = new Float64Array(EQUALIZE_BINS + 1);
+  for (let b = 0; b < EQUALIZE_BINS; b++) cdf[b + 1] = cdf[b] + histogram[b] / total;
+
+  return {
+    toUnit: v => {
+      const position = binPosition(v);
+      const b = Math.min(EQUALIZE_BINS - 1, Math.floor(position));
+      return cdf[b] + (cdf[b + 1] - cdf[b]) * (position - b);
+    },
+    valueAt: t => {
+      let b = 0;
+      while (b < EQUALIZE_BINS - 1 && cdf[b + 1] < t) b++;
+      const share = cdf[b + 1] - cdf[b];
+      const f = share > 0 ? Math.max(0, Math.min(1, (t - cdf[b]) / share)) : 0;
+      return min + (b + f) / EQUALIZE_BINS * span;
+    }
+  };
+}
+
+/**
+ * Colour table for drawing a field in a shader: `size` RGBA entries for
+ * values spread evenly from min to max, so the shader only has to look up
+ * (value - min) / (max - min). Histogram equalisation is baked in.
+ */
+export function fieldColorTable(cloud, coloring, size = 1024) {
+  const column = fieldColumn(cloud, coloring.source);
+  const { min, max } = withDefaultRange(cloud, coloring);
+  const scale = column ? fieldScale(column, { ...coloring, min, max }) : { toUnit: () => 0.5 };
+  const table = new Uint8Array(size * 4);
+  for (let i = 0; i < size; i++) {
+    const value = min + (max - min) * (size > 1 ? i / (size - 1) : 0);
+    const color = sampleColorMap(coloring.colorMap || 'viridis', scale.toUnit(value));
+    for (let c = 0; c < 3; c++) table[i * 4 + c] = Math.round(color[c] * 255);
+    table[i * 4 + 3] = 255;
+  }
+  return table;
+}
+
+/**
+ * RGBA colours of the 256 class values, for lookup in a shader
+ */
+export function classPaletteTable() {
+  const table = new Uint8Array(256 * 4);
+  for (let value = 0; value < 256; value++) {
+    table.set(classColor(value), value * 4);
+    table[value * 4 + 3] = 255;
+  }
+  return table;
+}
+
+/**
+ * What the legend shows for a colouring:
+ *  { kind: 'ramp', title, colorMap, clamp, ticks: [{ position, value }] },
+ *  { kind: 'classes', title, entries: [{ label, color }] } for the classes
+ *  present, or null for RGB
+ */
+export function fieldColorLegend(cloud, coloring, { tickCount = 5 } = {}) {
+  const { source } = coloring;
+  const column = fieldColumn(cloud, source);
+  if (source === 'rgb' || !column) return null;
+  const title = SOURCE_LABELS[source] || source;
+
+  if (source === 'classification') {
+    const present = new Set(column.values);
+    const entries = Array.from(present).sort((a, b) => a - b).map(value => ({
+      label: CLASSIFICATION_CLASSES[value] ? `${value} ${CLASSIFICATION_CLASSES[value].name}` : `${value}`,
+      color: classColor(value)
+    }));
+    return { kind: 'classes', title, entries };
+  }
+
+  const { min, max } = withDefaultRange(cloud, coloring);
+  const scale = fieldScale(column, { ...coloring, min, max });
+  const ticks = Array.from({ length: tickCount }, (_, t) => {
+    const position = tickCount > 1 ? t / (tickCount - 1) : 0;
+    return { position, value: scale.valueAt(position) };
+  });
+  return { kind: 'ramp', title, colorMap: coloring.colorMap || 'viridis', clamp: coloring.clamp !== false, ticks };
+}
+
+function withDefaultRange(cloud, { source, min, max }) {
+  if (Number.isFinite(min) && Number.isFinite(max)) return { min, max };
+  return fieldRange(cloud, source);
+}
+
+/**
+ * Colour of a class: the standard one, or a well separated hue for others
+ */
+export function classColor(value) {
+  if (CLASSIFICATION_CLASSES[value]) return CLASSIFICATION_CLASSES[value].color;
+  const hue = (value * 137.508) % 360;
+  return hslToRgb(hue, 0.65, 0.55);
+}
+
+function hslToRgb(hue, saturation, lightness) {
+  const a = saturation * Math.min(lightness, 1 - lightness);
+  const channel = n => {
+    const k = (n + hue / 30) % 12;
+    return Math.round((lightness - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255);
+  };
+  return [channel(0), channel(8), channel(4)];
+}
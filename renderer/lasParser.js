@@ -0,0 +1,349 @@
+import { PointCloud } from './pointCloud.js';
+
+/**
+ * ASPRS LAS 1.2 - 1.4 reader, with LAZ decompression through the bundled
+ * laz-perf WebAssembly decoder (renderer/lib/laz-perf, works offline).
+ * Point records are mapped into a PointCloud with intensity, return number,
+ * number of returns, classification, GPS time and RGB where the point
+ * format has them. The header scale/offset are applied to the coordinates.
+ */
+
+// Largest header (LAS 1.4) - older versions simply use less of it
+const MAX_HEADER_SIZE = 375;
+const VLR_HEADER_SIZE = 54;
+const EVLR_HEADER_SIZE = 60;
+
+// Yield to the event loop (progress, cancellation) every 65536 points
+const YIELD_INTERVAL = 0xffff;
+
+// Byte offsets of GPS time and RGB within a point record, per point format
+const GPS_TIME_OFFSET = { 1: 20, 3: 20, 4: 20, 5: 20, 6: 22, 7: 22, 8: 22, 9: 22, 10: 22 };
+const RGB_OFFSET = { 2: 20, 3: 28, 5: 28, 7: 30, 8: 30, 10: 30 };
+
+// GeoTIFF keys holding an EPSG code
+const PROJECTED_CS_KEY = 3072;
+const GEOGRAPHIC_CS_KEY = 2048;
+
+/**
+ * Read the public header block
+ */
+export function readLASHeader(buffer) {
+  const view = new DataView(buffer);
+  const signature = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+  if (signature !== 'LASF') throw new Error('Not a LAS file (missing LASF signature)');
+
+  const versionMajor = view.getUint8(24);
+  const versionMinor = view.getUint8(25);
+  const formatByte = view.getUint8(104);
+
+  const header = {
+    versionMajor,
+    versionMinor,
+    globalEncoding: view.getUint16(6, true),
+    systemIdentifier: readString(buffer, 26, 32),
+    generatingSoftware: readString(buffer, 58, 32),
+    headerSize: view.getUint16(94, true),
+    offsetToPointData: view.getUint32(96, true),
+    numberOfVLRs: view.getUint32(100, true),
+    // Bit 7 marks LAZ compression (bit 6 is set by older LASzip versions)
+    compressed: (formatByte & 0x80) !== 0,
+    pointFormat: formatByte & 0x3f,
+    pointRecordLength: view.getUint16(105, true),
+    pointCount: view.getUint32(107, true),
+    scale: [view.getFloat64(131, true), view.getFloat64(139, true), view.getFloat64(147, true)],
+    offset: [view.getFloat64(155, true), view.getFloat64(163, true), view.getFloat64(171, true)],
+    max: [view.getFloat64(179, true), view.getFloat64(195, true), view.getFloat64(211, true)],
+    min: [view.getFloat64(187, true), view.getFloat64(203, true), view.getFloat64(219, true)],
+    evlrStart: 0,
+    numberOfEVLRs: 0
+  };
+
+  if (versionMajor === 1 && versionMinor >= 4 && header.headerSize >= MAX_HEADER_SIZE) {
+    header.evlrStart = Number(view.getBigUint64(235, true));
+    header.numberOfEVLRs = view.getUint32(243, true);
+    // The legacy 32-bit count is 0 when the file has more points than it can hold
+    const pointCount = Number(view.getBigUint64(247, true));
+    if (pointCount > 0) header.pointCount = pointCount;
+  }
+
+  if (header.pointFormat > 10) throw new Error(`Unsupported LAS point format ${header.pointFormat}`);
+  return header;
+}
+
+/**
+ * Read variable length records (or extended ones when `extended` is set)
+ */
+export function readVLRs(buffer, count, extended = false) {
+  const view = new DataView(buffer);
+  const headerSize = extended ? EVLR_HEADER_SIZE : VLR_HEADER_SIZE;
+  const records = [];
+  let offset = 0;
+
+  for (let i = 0; i < count && offset + headerSize <= buffer.byteLength; i++) {
+    const length = extended ? Number(view.getBigUint64(offset + 20, true)) : view.getUint16(offset + 20, true);
+    const descriptionOffset = extended ? 28 : 22;
+    records.push({
+      userId: readString(buffer, offset + 2, 16),
+      recordId: view.getUint16(offset + 18, true),
+      description: readString(buffer, offset + descriptionOffset, 32),
+      data: new Uint8Array(buffer, offset + headerSize, Math.min(length, buffer.byteLength - offset - headerSize))
+    });
+    offset += headerSize + length;
+  }
+
+  return records;
+}
+
+/**
+ * Coordinate reference system from the LASF_Projection records
+ * Returns { wkt, epsg, geographic } (any may be missing) or null
+ */
+export function readCRS(vlrs) {
+  const crs = {};
+  vlrs.filter(vlr => vlr.userId === 'LASF_Projection').forEach(vlr => {
+    if (vlr.recordId === 2112) {
+      crs.wkt = new TextDecoder().decode(vlr.data).replace(/\0+$/, '');
+    } else if (vlr.recordId === 34735) {
+      // GeoKeyDirectory: 4 header shorts, then 4 shorts per key
+      const keys = new DataView(vlr.data.buffer, vlr.data.byteOffset, vlr.data.byteLength);
+      const keyCount = keys.getUint16(6, true);
+      for (let k = 0; k < keyCount; k++) {
+        const base = 8 + k * 8;
+        const keyId = keys.getUint16(base, true);
+        const location = keys.getUint16(base + 2, true);
+        const value = keys.getUint16(base + 6, true);
+        if (location !== 0) continue;
+        if (keyId === PROJECTED_CS_KEY) {
+          crs.epsg = value;
+          delete crs.geographic;
+        } else if (keyId === GEOGRAPHIC_CS_KEY && !crs.epsg) {
+          crs.epsg = value;
+          crs.geographic = true;
+        }
+      }
+    }
+  });
+  return crs.wkt || crs.epsg ? crs : null;
+}
+
+/**
+ * Parse a LAS or LAZ file
+ * Options (same as parseXYZStream):
+ *  - onProgress({ bytesProcessed, totalBytes, pointCount })
+ *  - signal: AbortSignal to cancel the load (rejects with AbortError)
+ * Resolves with a PointCloud; cloud.metadata holds the LAS header details
+ * and the CRS when the file declares one.
+ */
+export async function parseLAS(file, { onProgress, signal } = {}) {
+  const headerBuffer = await file.slice(0, MAX_HEADER_SIZE).arrayBuffer();
+  const header = readLASHeader(headerBuffer);
+
+  const vlrBuffer = await file.slice(header.headerSize, header.offsetToPointData).arrayBuffer();
+  const vlrs = readVLRs(vlrBuffer, header.numberOfVLRs);
+  if (header.numberOfEVLRs > 0) {
+    const evlrBuffer = await file.slice(header.evlrStart).arrayBuffer();
+    vlrs.push(...readVLRs(evlrBuffer, header.numberOfEVLRs, true));
+  }
+
+  const reader = createRecordReader(header);
+  const cloud = reader.cloud;
+  cloud.metadata = {
+    format: header.compressed ? 'laz' : 'las',
+    version: `${header.versionMajor}.${header.versionMinor}`,
+    pointFormat: header.pointFormat,
+    scale: header.scale,
+    offset: header.offset,
+    crs: readCRS(vlrs)
+  };
+
+  const progress = (bytesProcessed) => {
+    if (onProgress) onProgress({ bytesProcessed, totalBytes: file.size, pointCount: cloud.length });
+  };
+
+  if (header.compressed) {
+    await decodeLAZ(file, header, reader, { progress, signal });
+  } else {
+    await decodeLAS(file, header, reader, { progress, signal });
+  }
+
+  reader.finish();
+  progress(file.size);
+  return cloud;
+}
+
+/**
+ * Stream uncompressed point records; a record split across two chunks is
+ * carried over to the next one
+ */
+async function decodeLAS(file, header, reader, { progress, signal }) {
+  const { pointRecordLength, offsetToPointData, pointCount } = header;
+  const end = offsetToPointData + pointCount * pointRecordLength;
+  const stream = file.slice(offsetToPointData, end).stream();
+  const streamReader = stream.getReader();
+  let carry = new Uint8Array(0);
+  let bytesProcessed = offsetToPointData;
+
+  try {
+    while (reader.cloud.length < pointCount) {
+      throwIfAborted(signal);
+      const { done, value } = await streamReader.read();
+      if (done) break;
+      bytesProcessed += value.byteLength;
+
+      let bytes = value;
+      if (carry.length > 0) {
+        bytes = new Uint8Array(carry.length + value.length);
+        bytes.set(carry);
+        bytes.set(value, carry.length);
+      }
+
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      const records = Math.min(Math.floor(bytes.length / pointRecordLength), pointCount - reader.cloud.length);
+      for (let r = 0; r < records; r++) reader.read(view, r * pointRecordLength);
+      carry = bytes.slice(records * pointRecordLength);
+      progress(bytesProcessed);
+    }
+  } finally {
+    streamReader.cancel().catch(() => {});
+  }
+  throwIfAborted(signal);
+}
+
+/**
+ * Decompress LAZ point records with laz-perf
+ * The compressed file is streamed straight into the decoder's memory, so
+ * LAZ files are limited to what the 32-bit WebAssembly heap can hold (~2 GB).
+ */
+async function decodeLAZ(file, header, reader, { progress, signal }) {
+  const LazPerf = await loadLazPerf();
+  const filePtr = LazPerf._malloc(file.size);
+  if (!filePtr) throw new Error('LAZ file is too large for the decoder memory');
+  let pointPtr = 0;
+  let laszip = null;
+
+  try {
+    // Copy the file into the WebAssembly heap chunk by chunk
+    let written = 0;
+    const streamReader = file.stream().getReader();
+    while (true) {
+      throwIfAborted(signal);
+      const { done, value } = await streamReader.read();
+      if (done) break;
+      LazPerf.HEAPU8.set(value, filePtr + written);
+      written += value.byteLength;
+    }
+
+    laszip = new LazPerf.LASZip();
+    laszip.open(filePtr, file.size);
+    const recordLength = laszip.getPointLength();
+    pointPtr = LazPerf._malloc(recordLength);
+
+    for (let i = 0; i < header.pointCount; i++) {
+      laszip.getPoint(pointPtr);
+      const heap = LazPerf.HEAPU8;
+      reader.read(new DataView(heap.buffer, pointPtr, recordLength), 0);
+
+      if ((i & YIELD_INTERVAL) === YIELD_INTERVAL) {
+        progress(Math.round(file.size * i / header.pointCount));
+        await new Promise(resolve => setTimeout(resolve, 0));
+        throwIfAborted(signal);
+      }
+    }
+  } finally {
+    if (laszip) laszip.delete();
+    if (pointPtr) LazPerf._free(pointPtr);
+    LazPerf._free(filePtr);
+  }
+}
+
+let lazPerfPromise = null;
+
+function loadLazPerf() {
+  if (!lazPerfPromise) {
+    lazPerfPromise = import('./lib/laz-perf/laz-perf.js').then(({ default: createLazPerf }) =>
+      createLazPerf({
+        locateFile: (path) => new URL(`./lib/laz-perf/${path}`, import.meta.url).href
+      })
+    );
+  }
+  return lazPerfPromise;
+}
+
+/**
+ * Columns and record decoder for the header's point format
+ */
+function createRecordReader(header) {
+  const format = header.pointFormat;
+  const extended = format >= 6;
+  const gpsTimeOffset = GPS_TIME_OFFSET[format];
+  const rgbOffset = RGB_OFFSET[format];
+  const [sx, sy, sz] = header.scale;
+  const [ox, oy, oz] = header.offset;
+
+  const names = ['intensity', 'returnNumber', 'numberOfReturns', 'classification'];
+  if (gpsTimeOffset !== undefined) names.push('gpsTime');
+  if (rgbOffset !== undefined) names.push('color');
+  const cloud = new PointCloud(header.pointCount, names);
+
+  const position = cloud.getDescriptor('position').array;
+  const intensity = cloud.getDescriptor('intensity').array;
+  const returnNumber = cloud.getDescriptor('returnNumber').array;
+  const numberOfReturns = cloud.getDescriptor('numberOfReturns').array;
+  const classification = cloud.getDescriptor('classification').array;
+  const gpsTime = gpsTimeOffset !== undefined ? cloud.getDescriptor('gpsTime').array : null;
+  // LAS colour is 16 bit, but plenty of writers store 0..255; decided in finish()
+  const rawColor = rgbOffset !== undefined ? new Uint16Array(header.pointCount * 3) : null;
+  let maxColor = 0;
+
+  return {
+    cloud,
+
+    read(view, offset) {
+      const i = cloud.count++;
+      position[i * 3] = view.getInt32(offset, true) * sx + ox;
+      position[i * 3 + 1] = view.getInt32(offset + 4, true) * sy + oy;
+      position[i * 3 + 2] = view.getInt32(offset + 8, true) * sz + oz;
+      intensity[i] = view.getUint16(offset + 12, true);
+
+      const returns = view.getUint8(offset + 14);
+      if (extended) {
+        returnNumber[i] = returns & 0x0f;
+        numberOfReturns[i] = returns >> 4;
+        classification[i] = view.getUint8(offset + 16);
+      } else {
+        returnNumber[i] = returns & 0x07;
+        numberOfReturns[i] = (returns >> 3) & 0x07;
+        classification[i] = view.getUint8(offset + 15) & 0x1f;
+      }
+
+      if (gpsTime) gpsTime[i] = view.getFloat64(offset + gpsTimeOffset, true);
+      if (rawColor) {
+        for (let c = 0; c < 3; c++) {
+          const value = view.getUint16(offset + rgbOffset + c * 2, true);
+          rawColor[i * 3 + c] = value;
+          if (value > maxColor) maxColor = value;
+        }
+      }
+    },
+
+    finish() {
+      cloud.trim();
+      if (!rawColor) return;
+      const color = cloud.getAttribute('color');
+      const shift = maxColor > 255 ? 8 : 0;
+      for (let i = 0; i < color.length; i++) color[i] = rawColor[i] >> shift;
+    }
+  };
+}
+
+function readString(buffer, offset, length) {
+  const bytes = new Uint8Array(buffer, offset, length);
+  const end = bytes.indexOf(0);
+  return String.fromCharCode(...(end === -1 ? bytes : bytes.subarray(0, end))).trim();
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new DOMException('LAS parsing was cancelled', 'AbortError');
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * ASPRS LAS 1.4 writer
+ * Header bounds come from the cloud, the scale keeps `decimalPlaces`
+ * decimals (coarsened only when the extent wouldn't fit 32-bit integers),
+ * and the point format follows the attributes the cloud carries.
+ */
+
+const HEADER_SIZE = 375;
+const VLR_HEADER_SIZE = 54;
+
+// Record length per point format
+const RECORD_LENGTH = { 0: 20, 1: 28, 2: 26, 3: 34, 6: 30, 7: 36 };
+
+const SOFTWARE_NAME = 'CloudStream3D';
+
+/**
+ * Pick the point format for a cloud
+ * The legacy formats 0-3 are the most widely readable and are used unless
+ * the data needs the extended formats 6/7 (classes above 31, more than 7
+ * returns, or too many points for the legacy counters).
+ * RGB selects a format with colour, GPS time one with a time field;
+ * intensity and classification are part of every format.
+ */
+export function chooseLASPointFormat(cloud) {
+  const hasColor = cloud.hasAttribute('color');
+  const hasGpsTime = cloud.hasAttribute('gpsTime');
+
+  if (needsExtendedFormat(cloud)) return hasColor ? 7 : 6;
+  return (hasColor ? 2 : 0) + (hasGpsTime ? 1 : 0);
+}
+
+function needsExtendedFormat(cloud) {
+  if (cloud.length > 0xffffffff) return true;
+  const exceeds = (name, limit) => {
+    const values = cloud.getAttribute(name);
+    return values ? values.some(v => v > limit) : false;
+  };
+  return exceeds('classification', 31) || exceeds('returnNumber', 7) || exceeds('numberOfReturns', 7);
+}
+
+/**
+ * Scale and offset for a cloud
+ * The offset is the rounded centre of the bounds; the scale is
+ * 10^-decimalPlaces unless that would overflow the 32-bit coordinates.
+ */
+export function chooseScaleAndOffset(bounds, decimalPlaces = 6) {
+  const scale = [];
+  const offset = [];
+  ['x', 'y', 'z'].forEach(axis => {
+    const center = Math.round((bounds.min[axis] + bounds.max[axis]) / 2);
+    const halfExtent = Math.max(Math.abs(bounds.max[axis] - center), Math.abs(bounds.min[axis] - center));
+    let s = Math.pow(10, -decimalPlaces);
+    while (halfExtent / s > 0x7fffffff) s *= 10;
+    scale.push(s);
+    offset.push(center);
+  });
+  return { scale, offset };
+}
+
+/**
+ * Write a PointCloud as LAS 1.4
+ * Options:
+ *  - decimalPlaces: coordinate precision to preserve
+ *  - crs: { wkt, epsg, geographic } - defaults to the CRS read from the source file
+ *  - onWarning(message): told when the CRS can't be written
+ * Returns an ArrayBuffer
+ */
+export function exportToLAS(cloud, { decimalPlaces = 6, crs = cloud.metadata.crs, onWarning = () => {} } = {}) {
+  const count = cloud.length;
+  const pointFormat = chooseLASPointFormat(cloud);
+  const recordLength = RECORD_LENGTH[pointFormat];
+  const extended = pointFormat >= 6;
+  const bounds = count > 0 ? cloud.computeBounds() : { min: { x: 0, y: 0, z: 0 }, max: { x: 0, y: 0, z: 0 } };
+  const { scale, offset } = chooseScaleAndOffset(bounds, decimalPlaces);
+
+  // The extended formats only allow a WKT CRS, and there is no WKT to build
+  // from an EPSG code alone
+  if (extended && crs && !crs.wkt) {
+    if (crs.epsg) onWarning(`The coordinate system (EPSG:${crs.epsg}) was left out: LAS point format ${pointFormat} needs it as WKT.`);
+    crs = null;
+  }
+  const vlrs = createCRSRecords(crs);
+  const vlrBytes = vlrs.reduce((sum, vlr) => sum + VLR_HEADER_SIZE + vlr.data.length, 0);
+  const offsetToPointData = HEADER_SIZE + vlrBytes;
+  const buffer = new ArrayBuffer(offsetToPointData + count * recordLength);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  // Point records
+  const position = cloud.getAttribute('position');
+  const intensity = cloud.getAttribute('intensity');
+  const classification = cloud.getAttribute('classification');
+  const returnNumber = cloud.getAttribute('returnNumber');
+  const numberOfReturns = cloud.getAttribute('numberOfReturns');
+  const gpsTime = cloud.getAttribute('gpsTime');
+  const color = cloud.getAttribute('color');
+  const pointsByReturn = new Array(15).fill(0);
+
+  for (let i = 0; i < count; i++) {
+    const base = offsetToPointData + i * recordLength;
+    view.setInt32(base, Math.round((position[i * 3] - offset[0]) / scale[0]), true);
+    view.setInt32(base + 4, Math.round((position[i * 3 + 1] - offset[1]) / scale[1]), true);
+    view.setInt32(base + 8, Math.round((position[i * 3 + 2] - offset[2]) / scale[2]), true);
+    if (intensity) view.setUint16(base + 12, Math.max(0, Math.min(65535, Math.round(intensity[i]))), true);
+
+    // Points without return information are single returns
+    const ret = returnNumber && returnNumber[i] > 0 ? returnNumber[i] : 1;
+    const returns = numberOfReturns && numberOfReturns[i] > 0 ? numberOfReturns[i] : 1;
+    pointsByReturn[Math.min(ret, 15) - 1]++;
+    const cls = classification ? classification[i] : 0;
+
+    let colorOffset = -1;
+    if (extended) {
+      view.setUint8(base + 14, (ret & 0x0f) | ((returns & 0x0f) << 4));
+      view.setUint8(base + 16, cls);
+      if (gpsTime) view.setFloat64(base + 22, gpsTime[i], true);
+      colorOffset = 30;
+    } else {
+      view.setUint8(base + 14, (ret & 0x07) | ((returns & 0x07) << 3));
+      view.setUint8(base + 15, cls & 0x1f);
+      if (pointFormat === 1 || pointFormat === 3) view.setFloat64(base + 20, gpsTime[i], true);
+      colorOffset = pointFormat === 3 ? 28 : 20;
+    }
+
+    if (color) {
+      // 8-bit colour scaled to the full 16-bit range
+      view.setUint16(base + colorOffset, color[i * 3] * 257, true);
+      view.setUint16(base + colorOffset + 2, color[i * 3 + 1] * 257, true);
+      view.setUint16(base + colorOffset + 4, color[i * 3 + 2] * 257, true);
+    }
+  }
+
+  // Public header block
+  bytes.set([76, 65, 83, 70], 0); // LASF
+  // Bit 4: CRS given as WKT (the only kind the extended formats allow)
+  view.setUint16(6, crs && crs.wkt ? 0x10 : 0, true);
+  view.setUint8(24, 1);
+  view.setUint8(25, 4);
+  writeString(bytes, 26, 32, SOFTWARE_NAME);
+  writeString(bytes, 58, 32, SOFTWARE_NAME);
+  const now = new Date();
+  const dayOfYear = Math.floor((now - new Date(now.getFullYear(), 0, 0)) / 86400000);
+  view.setUint16(90, dayOfYear, true);
+  view.setUint16(92, now.getFullYear(), true);
+  view.setUint16(94, HEADER_SIZE, true);
+  view.setUint32(96, offsetToPointData, true);
+  view.setUint32(100, vlrs.length, true);
+  view.setUint8(104, pointFormat);
+  view.setUint16(105, recordLength, true);
+
+  // Legacy counters stay 0 for the extended formats
+  if (!extended) {
+    view.setUint32(107, count, true);
+    for (let r = 0; r < 5; r++) view.setUint32(111 + r * 4, pointsByReturn[r], true);
+  }
+
+  scale.forEach((s, i) => view.setFloat64(131 + i * 8, s, true));
+  offset.forEach((o, i) => view.setFloat64(155 + i * 8, o, true));
+  view.setFloat64(179, bounds.max.x, true);
+  view.setFloat64(187, bounds.min.x, true);
+  view.setFloat64(195, bounds.max.y, true);
+  view.setFloat64(203, bounds.min.y, true);
+  view.setFloat64(211, bounds.max.z, true);
+  view.setFloat64(219, bounds.min.z, true);
+  view.setBigUint64(247, BigInt(count), true);
+  for (let r = 0; r < 15; r++) view.setBigUint64(255 + r * 8, BigInt(pointsByReturn[r]), true);
+
+  // Variable length records
+  let vlrOffset = HEADER_SIZE;
+  vlrs.forEach(vlr => {
+    writeString(bytes, vlrOffset + 2, 16, vlr.userId);
+    view.setUint16(vlrOffset + 18, vlr.recordId, true);
+    view.setUint16(vlrOffset + 20, vlr.data.length, true);
+    writeString(bytes, vlrOffset + 22, 32, vlr.description);
+    bytes.set(vlr.data, vlrOffset + VLR_HEADER_SIZE);
+    vlrOffset += VLR_HEADER_SIZE + vlr.data.length;
+  });
+
+  return buffer;
+}
+
+/**
+ * LASF_Projection records for a CRS: OGC WKT when known, otherwise a
+ * GeoTIFF key directory with the EPSG code (legacy formats only)
+ */
+function createCRSRecords(crs) {
+  if (!crs) return [];
+
+  if (crs.wkt) {
+    const wkt = new TextEncoder().encode(crs.wkt);
+    const data = new Uint8Array(wkt.length + 1); // null terminated
+    data.set(wkt);
+    return [{ userId: 'LASF_Projection', recordId: 2112, description: 'OGC WKT Coordinate System', data }];
+  }
+
+  if (crs.epsg) {
+    const keys = [
+      // GTModelTypeGeoKey: 1 projected, 2 geographic
+      [1024, 0, 1, crs.geographic ? 2 : 1],
+      [crs.geographic ? 2048 : 3072, 0, 1, crs.epsg]
+    ];
+    const directory = new Uint16Array(4 + keys.length * 4);
+    directory.set([1, 1, 0, keys.length]);
+    keys.forEach((key, k) => directory.set(key, 4 + k * 4));
+    const data = new Uint8Array(directory.length * 2);
+    const view = new DataView(data.buffer);
+    directory.forEach((value, i) => view.setUint16(i * 2, value, true));
+    return [{ userId: 'LASF_Projection', recordId: 34735, description: 'GeoKeyDirectoryTag', data }];
+  }
+
+  return [];
+}
+
+function writeString(bytes, offset, length, text) {
+  for (let i = 0; i < Math.min(length, text.length); i++) bytes[offset + i] = text.charCodeAt(i) & 0x7f;
+}
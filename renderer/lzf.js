@@ -0,0 +1,102 @@
+/**
+ * LZF compression (the liblzf format used by PCD binary_compressed data)
+ * A stream of literal runs (control byte < 32: copy the next ctrl + 1 bytes)
+ * and back references (3 bits of length, 13 bits of offset).
+ */
+
+const HASH_BITS = 14;
+const MAX_LITERAL = 32;
+const MAX_OFFSET = 1 << 13;
+const MAX_MATCH = (1 << 8) + (1 << 3);
+
+/**
+ * Decompress `input` into a new array of `outputLength` bytes
+ */
+export function lzfDecompress(input, outputLength) {
+  const output = new Uint8Array(outputLength);
+  let ip = 0;
+  let op = 0;
+
+  while (ip < input.length) {
+    let ctrl = input[ip++];
+    if (ctrl < MAX_LITERAL) {
+      ctrl++;
+      if (op + ctrl > outputLength || ip + ctrl > input.length) throw new Error('Corrupt LZF data (literal run overflows)');
+      output.set(input.subarray(ip, ip + ctrl), op);
+      ip += ctrl;
+      op += ctrl;
+    } else {
+      let length = ctrl >> 5;
+      let ref = op - ((ctrl & 0x1f) << 8) - 1;
+      if (length === 7) length += input[ip++];
+      ref -= input[ip++];
+      length += 2;
+      if (ref < 0 || op + length > outputLength) throw new Error('Corrupt LZF data (back reference out of range)');
+      // byte by byte: the reference may overlap the bytes being written
+      for (let i = 0; i < length; i++) output[op++] = output[ref++];
+    }
+  }
+
+  if (op !== outputLength) throw new Error(`Corrupt LZF data (${op} of ${outputLength} bytes decoded)`);
+  return output;
+}
+
+/**
+ * Compress `input` (Uint8Array); returns a Uint8Array
+ */
+export function lzfCompress(input) {
+  const length = input.length;
+  // Worst case: all literals, one control byte per 32 of them
+  const output = new Uint8Array(length + Math.ceil(length / MAX_LITERAL) + 1);
+  const table = new Int32Array(1 << HASH_BITS).fill(-1);
+  let ip = 0;
+  let op = 1; // control byte of the first literal run
+  let literals = 0;
+
+  const pushLiteral = () => {
+    output[op++] = input[ip++];
+    if (++literals === MAX_LITERAL) {
+      output[op - literals - 1] = literals - 1;
+      literals = 0;
+      op++;
+    }
+  };
+
+  while (ip < length - 2) {
+    const hash = Math.imul((input[ip] << 16) | (input[ip + 1] << 8) | input[ip + 2], 0x9e3779b1) >>> (32 - HASH_BITS);
+    const ref = table[hash];
+    table[hash] = ip;
+    const offset = ip - ref - 1;
+
+    if (ref >= 0 && offset < MAX_OFFSET &&
+        input[ref] === input[ip] && input[ref + 1] === input[ip + 1] && input[ref + 2] === input[ip + 2]) {
+      const maxLength = Math.min(MAX_MATCH, length - ip);
+      let matchLength = 3;
+      while (matchLength < maxLength && input[ref + matchLength] === input[ip + matchLength]) matchLength++;
+
+      // Close the pending literal run (or drop its unused control byte)
+      if (literals > 0) output[op - literals - 1] = literals - 1;
+      else op--;
+
+      const encoded = matchLength - 2;
+      if (encoded < 7) {
+        output[op++] = (offset >> 8) + (encoded << 5);
+      } else {
+        output[op++] = (offset >> 8) + (7 << 5);
+        output[op++] = encoded - 7;
+      }
+      output[op++] = offset & 0xff;
+
+      ip += matchLength;
+      literals = 0;
+      op++;
+    } else {
+      pushLiteral();
+    }
+  }
+  while (ip < length) pushLiteral();
+
+  if (literals > 0) output[op - literals - 1] = literals - 1;
+  else op--;
+  return output.slice(0, op);
+}
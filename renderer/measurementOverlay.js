@@ -0,0 +1,150 @@
+import * as THREE from './lib/three.module.js';
+import { MEASUREMENT_TOOLS, measure, formatQuantity } from './measurements.js';
+import { createPointMaterial, setPointSize, setPointViewport, setVertexColors } from './pointMaterial.js';
+
+/**
+ * Measurement overlay
+ * Draws measurements (see measurements.js) over the cloud: their lines and
+ * points on top of everything, and an HTML label with their quantities
+ * placed by projecting its anchor every frame. Each measurement is drawn
+ * relative to its first point, so large global coordinates stay precise.
+ */
+
+const COLORS = { done: [255, 214, 0], draft: [79, 195, 247] };
+
+export class MeasurementOverlay {
+  constructor(scene, labelContainer) {
+    this.labelContainer = labelContainer;
+    this.group = new THREE.Group();
+    scene.add(this.group);
+    // { object, label, anchor } per drawn measurement
+    this.entries = [];
+
+    this.lineMaterials = {};
+    Object.entries(COLORS).forEach(([state, [r, g, b]]) => {
+      this.lineMaterials[state] = new THREE.LineBasicMaterial({
+        color: new THREE.Color(r / 255, g / 255, b / 255),
+        depthTest: false,
+        depthWrite: false
+      });
+    });
+    this.pointMaterial = createPointMaterial();
+    setPointSize(this.pointMaterial, 'fixed', 7);
+    setVertexColors(this.pointMaterial, true);
+    this.pointMaterial.depthTest = false;
+    this.pointMaterial.depthWrite = false;
+    this.projected = new THREE.Vector3();
+  }
+
+  /**
+   * Draw `measurements`, plus `draft` (the one being picked) when given
+   */
+  setMeasurements(measurements, draft = null) {
+    this.clear();
+    measurements.forEach(measurement => this.add(measurement, 'done'));
+    if (draft && draft.points.length > 0) this.add(draft, 'draft');
+  }
+
+  add({ id, tool, points }, state) {
+    const origin = points[0];
+    const object = new THREE.Group();
+    object.position.set(origin.x, origin.y, origin.z);
+    const local = p => [p.x - origin.x, p.y - origin.y, p.z - origin.z];
+
+    const path = linePath(tool, points);
+    if (path.length >= 2) {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(path.flatMap(local)), 3));
+      const closed = MEASUREMENT_TOOLS[tool].closed && points.length >= 3;
+      const line = new (closed ? THREE.LineLoop : THREE.Line)(geometry, this.lineMaterials[state]);
+      line.renderOrder = 1;
+      line.frustumCulled = false;
+      object.add(line);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(points.flatMap(local)), 3));
+    const colors = new Uint8Array(points.length * 3);
+    points.forEach((_, i) => colors.set(COLORS[state], i * 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3, true));
+    const vertices = new THREE.Points(geometry, this.pointMaterial);
+    vertices.renderOrder = 2;
+    vertices.frustumCulled = false;
+    object.add(vertices);
+    this.group.add(object);
+
+    let label = null;
+    const quantities = measure(tool, points).filter(q => q.kind !== 'count');
+    if (quantities.length > 0) {
+      label = document.createElement('div');
+      label.className = `measurement-label measurement-${state}`;
+      const title = id !== undefined ? `#${id} ${MEASUREMENT_TOOLS[tool].label}` : MEASUREMENT_TOOLS[tool].label;
+      label.textContent = [title, ...quantities.map(q => `${q.label}: ${formatQuantity(q)}`)].join('\n');
+      this.labelContainer.appendChild(label);
+    }
+    const anchor = labelAnchor(tool, points);
+    this.entries.push({ object, label, anchor: new THREE.Vector3(anchor.x, anchor.y, anchor.z) });
+  }
+
+  /**
+   * Move the labels to their anchors; call every frame
+   * width/height: size of the view in CSS pixels
+   */
+  update(camera, width, height) {
+    this.entries.forEach(({ label, anchor }) => {
+      if (!label) return;
+      const p = this.projected.copy(anchor).project(camera);
+      if (p.z < -1 || p.z > 1) {
+        label.style.display = 'none';
+        return;
+      }
+      label.style.display = '';
+      label.style.transform = `translate(${Math.round((p.x + 1) / 2 * width)}px, ${Math.round((1 - p.y) / 2 * height)}px)`;
+    });
+  }
+
+  /**
+   * Size of the drawing buffer, for the point markers
+   */
+  setViewport(height, pixelRatio) {
+    setPointViewport(this.pointMaterial, height, pixelRatio);
+  }
+
+  clear() {
+    this.entries.forEach(({ object, label }) => {
+      this.group.remove(object);
+      object.children.forEach(child => child.geometry.dispose());
+      if (label) label.remove();
+    });
+    this.entries = [];
+  }
+
+  dispose() {
+    this.clear();
+    this.group.removeFromParent();
+    Object.values(this.lineMaterials).forEach(material => material.dispose());
+    this.pointMaterial.dispose();
+  }
+}
+
+// Points the line of a measurement runs through; a height difference is
+// drawn as a vertical leg and a horizontal leg
+function linePath(tool, points) {
+  if (tool === 'height' && points.length === 2) {
+    const [a, b] = points;
+    return [a, { x: a.x, y: a.y, z: b.z }, b];
+  }
+  return points;
+}
+
+function labelAnchor(tool, points) {
+  const last = points[points.length - 1];
+  if (tool === 'angle' && points.length >= 2) return points[1];
+  if (tool === 'area') {
+    const sum = points.reduce((s, p) => ({ x: s.x + p.x, y: s.y + p.y, z: s.z + p.z }), { x: 0, y: 0, z: 0 });
+    return { x: sum.x / points.length, y: sum.y / points.length, z: sum.z / points.length };
+  }
+  if (tool === 'polyline') return last;
+  const first = points[0];
+  return { x: (first.x + last.x) / 2, y: (first.y + last.y) / 2, z: (first.z + last.z) / 2 };
+}
@@ -0,0 +1,149 @@
+/**
+ * Measurements
+ * A measurement is { id, tool, points } with points ({x, y, z}) picked on
+ * the cloud in global coordinates; measure() derives its quantities. Lengths
+ * and areas are in the units of the coordinates.
+ */
+
+/**
+ * Tools and how many points they take (closed tools join the last point
+ * back to the first)
+ */
+export const MEASUREMENT_TOOLS = {
+  distance: { label: 'Distance', minPoints: 2, maxPoints: 2 },
+  polyline: { label: 'Polyline', minPoints: 2, maxPoints: Infinity },
+  area: { label: 'Area', minPoints: 3, maxPoints: Infinity, closed: true },
+  height: { label: 'Height', minPoints: 2, maxPoints: 2 },
+  angle: { label: 'Angle', minPoints: 3, maxPoints: 3 }
+};
+
+/**
+ * Quantities of a measurement: [{ name, label, value, kind }] with kind
+ * 'length', 'area', 'angle' (degrees) or 'count' (and 'percent' for slopes
+ * in profiles); empty until the tool has enough points
+ */
+export function measure(tool, points) {
+  if (points.length < MEASUREMENT_TOOLS[tool].minPoints) return [];
+  switch (tool) {
+    case 'distance': {
+      const [a, b] = points;
+      return [
+        quantity('distance', 'Distance', distance(a, b), 'length'),
+        quantity('horizontal', 'Horizontal', horizontalDistance(a, b), 'length'),
+        quantity('dx', 'ΔX', b.x - a.x, 'length'),
+        quantity('dy', 'ΔY', b.y - a.y, 'length'),
+        quantity('dz', 'ΔZ', b.z - a.z, 'length')
+      ];
+    }
+    case 'polyline':
+      return [
+        quantity('length', 'Length', pathLength(points, distance), 'length'),
+        quantity('horizontal', 'Horizontal length', pathLength(points, horizontalDistance), 'length'),
+        quantity('segments', 'Segments', points.length - 1, 'count')
+      ];
+    case 'area':
+      return [
+        quantity('planimetric', 'Area (planimetric)', planimetricArea(points), 'area'),
+        quantity('surface', 'Area (3D)', surfaceArea(points), 'area'),
+        quantity('perimeter', 'Perimeter', pathLength([...points, points[0]], distance), 'length')
+      ];
+    case 'height': {
+      const [a, b] = points;
+      return [
+        quantity('height', 'Height difference', b.z - a.z, 'length'),
+        quantity('horizontal', 'Horizontal', horizontalDistance(a, b), 'length')
+      ];
+    }
+    case 'angle':
+      return [quantity('angle', 'Angle', angleAt(points[0], points[1], points[2]), 'angle')];
+    default:
+      throw new Error(`Unknown measurement tool: ${tool}`);
+  }
+}
+
+/**
+ * Quantity as display text
+ */
+export function formatQuantity({ value, kind }) {
+  if (kind === 'count') return String(value);
+  if (kind === 'percent') return Number.isFinite(value) ? `${value.toFixed(2)} %` : 'vertical';
+  if (kind === 'angle') return `${value.toFixed(2)}°`;
+  return value.toFixed(3);
+}
+
+/**
+ * CSV of measurements: one row per quantity, then one per point (x, y, z)
+ */
+export function measurementsToCSV(measurements) {
+  const rows = [['measurement', 'tool', 'quantity', 'value', 'x', 'y', 'z']];
+  measurements.forEach(({ id, tool, points }) => {
+    measure(tool, points).forEach(({ name, value }) => {
+      rows.push([id, tool, name, formatNumber(value), '', '', '']);
+    });
+    points.forEach((p, i) => {
+      rows.push([id, tool, `point ${i + 1}`, '', formatNumber(p.x), formatNumber(p.y), formatNumber(p.z)]);
+    });
+  });
+  return rows.map(row => row.join(',')).join('\n') + '\n';
+}
+
+function quantity(name, label, value, kind) {
+  return { name, label, value, kind };
+}
+
+function formatNumber(value) {
+  return String(Number(value.toFixed(6)));
+}
+
+function distance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+}
+
+function horizontalDistance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+function pathLength(points, segmentLength) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) length += segmentLength(points[i - 1], points[i]);
+  return length;
+}
+
+// Coordinates relative to the first point keep the products small
+function planimetricArea(points) {
+  const { x: x0, y: y0 } = points[0];
+  let twice = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    twice += (a.x - x0) * (b.y - y0) - (b.x - x0) * (a.y - y0);
+  }
+  return Math.abs(twice) / 2;
+}
+
+// Area of the polygon in its own (best fit) plane: half the length of the
+// sum of the edge cross products (Newell's method)
+function surfaceArea(points) {
+  const o = points[0];
+  let nx = 0, ny = 0, nz = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const ax = a.x - o.x, ay = a.y - o.y, az = a.z - o.z;
+    const bx = b.x - o.x, by = b.y - o.y, bz = b.z - o.z;
+    nx += ay * bz - az * by;
+    ny += az * bx - ax * bz;
+    nz += ax * by - ay * bx;
+  }
+  return Math.hypot(nx, ny, nz) / 2;
+}
+
+// Angle at b between the legs to a and c, in degrees
+function angleAt(a, b, c) {
+  const ux = a.x - b.x, uy = a.y - b.y, uz = a.z - b.z;
+  const vx = c.x - b.x, vy = c.y - b.y, vz = c.z - b.z;
+  const lengths = Math.hypot(ux, uy, uz) * Math.hypot(vx, vy, vz);
+  if (lengths === 0) return 0;
+  const cos = Math.max(-1, Math.min(1, (ux * vx + uy * vy + uz * vz) / lengths));
+  return Math.acos(cos) * 180 / Math.PI;
+}
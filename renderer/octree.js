@@ -0,0 +1,205 @@
+/**
+ * Level-of-detail octree
+ * Potree-style: every node keeps an evenly spread subsample of the points
+ * in its cube (at most one per cell of a gridSize³ grid) and hands the rest
+ * down to its eight children, so a node plus its ancestors show the region
+ * at the node's spacing. Drawing a parent and its children together adds
+ * detail without drawing any point twice.
+ *
+ * An octree is a plain object (it can be posted between threads):
+ *  { nodes: [{ name, level, min, max, spacing, start, count, children }],
+ *    order, pointCount }
+ * `order` lists point indices of the source cloud node by node: node n owns
+ * order[start .. start + count). children holds 8 node indices (-1: none);
+ * node 0 is the root and names follow Potree ('r', 'r0', 'r07', ...).
+ */
+
+// Report progress every 65536 points
+const PROGRESS_INTERVAL = 0xffff;
+// Duplicated points can't be separated; stop splitting there
+const MAX_DEPTH = 24;
+
+/**
+ * Build the octree of a cloud (only positions are read)
+ */
+export function buildOctree(cloud, { gridSize = 128, maxLeafPoints = 20000, onProgress } = {}) {
+  const position = cloud.getAttribute('position');
+  const pointCount = cloud.length;
+  const nodes = [];
+  const order = new Uint32Array(pointCount);
+  if (pointCount === 0) return { nodes, order, pointCount };
+
+  // Cubic root node, so all cells and children are cubes
+  const bounds = cloud.computeBounds();
+  const size = Math.max(bounds.max.x - bounds.min.x, bounds.max.y - bounds.min.y, bounds.max.z - bounds.min.z) || 1;
+
+  // stamp[cell] === node number: the cell already holds a point of that node
+  const stamp = new Uint32Array(gridSize * gridSize * gridSize);
+  let filled = 0;
+  let lastProgress = 0;
+
+  const build = (indices, min, cubeSize, level, name) => {
+    const node = {
+      name,
+      level,
+      min,
+      max: { x: min.x + cubeSize, y: min.y + cubeSize, z: min.z + cubeSize },
+      spacing: cubeSize / gridSize,
+      start: filled,
+      count: 0,
+      children: [-1, -1, -1, -1, -1, -1, -1, -1]
+    };
+    const nodeIndex = nodes.push(node) - 1;
+
+    if (indices.length <= maxLeafPoints || level >= MAX_DEPTH) {
+      order.set(indices, filled);
+      filled += indices.length;
+      node.count = indices.length;
+    } else {
+      // Keep the first point of every grid cell, hand the others down
+      const id = nodeIndex + 1;
+      const cellsPerUnit = gridSize / cubeSize;
+      const half = cubeSize / 2;
+      const octants = new Uint8Array(indices.length);
+      const childCounts = new Uint32Array(8);
+      for (let k = 0; k < indices.length; k++) {
+        const i = indices[k];
+        const dx = position[i * 3] - min.x;
+        const dy = position[i * 3 + 1] - min.y;
+        const dz = position[i * 3 + 2] - min.z;
+        const cx = Math.min(gridSize - 1, Math.floor(dx * cellsPerUnit));
+        const cy = Math.min(gridSize - 1, Math.floor(dy * cellsPerUnit));
+        const cz = Math.min(gridSize - 1, Math.floor(dz * cellsPerUnit));
+        const cell = cx + gridSize * (cy + gridSize * cz);
+        if (stamp[cell] !== id) {
+          stamp[cell] = id;
+          order[filled++] = i;
+          octants[k] = 8;
+        } else {
+          const octant = (dx >= half ? 1 : 0) | (dy >= half ? 2 : 0) | (dz >= half ? 4 : 0);
+          octants[k] = octant;
+          childCounts[octant]++;
+        }
+      }
+      node.count = filled - node.start;
+
+      const childIndices = Array.from(childCounts, count => new Uint32Array(count));
+      const fill = new Uint32Array(8);
+      for (let k = 0; k < indices.length; k++) {
+        const octant = octants[k];
+        if (octant < 8) childIndices[octant][fill[octant]++] = indices[k];
+      }
+      for (let octant = 0; octant < 8; octant++) {
+        if (childCounts[octant] === 0) continue;
+        const childMin = {
+          x: min.x + (octant & 1 ? half : 0),
+          y: min.y + (octant & 2 ? half : 0),
+          z: min.z + (octant & 4 ? half : 0)
+        };
+        node.children[octant] = build(childIndices[octant], childMin, half, level + 1, name + octant);
+        childIndices[octant] = null;
+      }
+    }
+
+    if (onProgress && filled - lastProgress > PROGRESS_INTERVAL) {
+      lastProgress = filled;
+      onProgress(filled / pointCount);
+    }
+    return nodeIndex;
+  };
+
+  const all = new Uint32Array(pointCount);
+  for (let i = 0; i < pointCount; i++) all[i] = i;
+  build(all, { ...bounds.min }, size, 0, 'r');
+  return { nodes, order, pointCount };
+}
+
+/**
+ * Choose the nodes to draw, most needed first
+ * Nodes are visited by screen-space error (their point spacing in pixels);
+ * a node's children are only considered while that error is above
+ * maxScreenError, and selection stops at the point budget.
+ *  cameraPosition: {x, y, z}
+ *  pixelsPerUnit: pixels covered by one world unit at distance 1
+ *  isVisible(node): frustum test (all nodes when omitted)
+ * Returns node indices.
+ */
+export function selectOctreeNodes(octree, { cameraPosition, pixelsPerUnit, pointBudget, maxScreenError = 1, isVisible = () => true }) {
+  const { nodes } = octree;
+  const selected = [];
+  if (nodes.length === 0 || !isVisible(nodes[0])) return selected;
+
+  const screenError = (node) => {
+    const distance = Math.max(distanceToBox(cameraPosition, node), node.spacing);
+    return node.spacing * pixelsPerUnit / distance;
+  };
+
+  const queue = new NodeQueue();
+  queue.push(0, screenError(nodes[0]));
+  let points = 0;
+  while (queue.size > 0) {
+    const { index, priority } = queue.pop();
+    const node = nodes[index];
+    if (points + node.count > pointBudget) break;
+    points += node.count;
+    selected.push(index);
+    if (priority <= maxScreenError) continue;
+    node.children.forEach(child => {
+      if (child !== -1 && isVisible(nodes[child])) queue.push(child, screenError(nodes[child]));
+    });
+  }
+  return selected;
+}
+
+function distanceToBox(p, { min, max }) {
+  const dx = Math.max(min.x - p.x, 0, p.x - max.x);
+  const dy = Math.max(min.y - p.y, 0, p.y - max.y);
+  const dz = Math.max(min.z - p.z, 0, p.z - max.z);
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+/**
+ * Binary max-heap of node indices by priority
+ */
+class NodeQueue {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(index, priority) {
+    const items = this.items;
+    items.push({ index, priority });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority >= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let largest = i;
+        if (left < items.length && items[left].priority > items[largest].priority) largest = left;
+        if (right < items.length && items[right].priority > items[largest].priority) largest = right;
+        if (largest === i) break;
+        [items[largest], items[i]] = [items[i], items[largest]];
+        i = largest;
+      }
+    }
+    return top;
+  }
+}
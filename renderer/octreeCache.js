@@ -0,0 +1,131 @@
+import { PointCloud } from './pointCloud.js';
+import { coloringSources, fieldRange } from './fieldColoring.js';
+
+/**
+ * Octree cache format
+ * A converted file is a folder holding metadata.json and octree.bin. The
+ * metadata is an octree (see octree.js) whose nodes point into octree.bin
+ * with byteOffset/byteSize instead of into a point order, plus the source
+ * file it was built from, the cloud's own metadata (file format, CRS, ...),
+ * the bounds, the attribute columns and the colour ranges of the whole
+ * cloud. A node's bytes hold its columns one after the
+ * other in metadata.attributes order, each padded to 8 bytes so they can be
+ * viewed as typed arrays in place.
+ *
+ * Reading and writing the files is left to the caller (the Electron main
+ * process, see octreeCache.cjs); this module only turns clouds into bytes
+ * and back.
+ */
+
+export const CACHE_VERSION = 2;
+
+const ARRAY_TYPES = { Float64Array, Float32Array, Uint32Array, Uint16Array, Uint8Array, Int32Array, Int16Array, Int8Array };
+
+/**
+ * Metadata of the cache of `cloud`, with nodes laid out back to back
+ * source: what the cache was built from (checked before it's reused)
+ */
+export function createCacheMetadata(cloud, octree, source) {
+  const attributes = cloud.attributeNames().map(name => {
+    const { array, ArrayType, ...descriptor } = cloud.getDescriptor(name);
+    return { name, type: ArrayType.name, ...descriptor };
+  });
+
+  // Colour ranges of the whole cloud; a node only sees part of it
+  const fieldRanges = {};
+  coloringSources(cloud).forEach(({ id }) => {
+    if (id !== 'rgb' && id !== 'classification') fieldRanges[id] = fieldRange(cloud, id);
+  });
+
+  let byteOffset = 0;
+  const nodes = octree.nodes.map(({ start, ...node }) => {
+    const byteSize = nodeByteSize(node.count, attributes);
+    const entry = { ...node, byteOffset, byteSize };
+    byteOffset += byteSize;
+    return entry;
+  });
+
+  return {
+    version: CACHE_VERSION,
+    source,
+    cloudMetadata: cloud.metadata,
+    pointCount: octree.pointCount,
+    bounds: cloud.computeBounds(),
+    attributes,
+    fieldRanges,
+    nodes
+  };
+}
+
+/**
+ * Bytes of a node with `count` points
+ */
+export function nodeByteSize(count, attributes) {
+  return attributes.reduce((size, attribute) => size + columnByteSize(count, attribute), 0);
+}
+
+/**
+ * Bytes of the points of `cloud` at `indices` (a node of its octree)
+ */
+export function encodeOctreeNode(cloud, indices, attributes) {
+  const bytes = new Uint8Array(nodeByteSize(indices.length, attributes));
+  let offset = 0;
+  attributes.forEach(attribute => {
+    const ArrayType = ARRAY_TYPES[attribute.type];
+    const { itemSize } = attribute;
+    const source = cloud.getAttribute(attribute.name);
+    const target = new ArrayType(bytes.buffer, offset, indices.length * itemSize);
+    for (let i = 0; i < indices.length; i++) {
+      const from = indices[i] * itemSize;
+      for (let c = 0; c < itemSize; c++) target[i * itemSize + c] = source[from + c];
+    }
+    offset += columnByteSize(indices.length, attribute);
+  });
+  return bytes;
+}
+
+/**
+ * PointCloud of a node read back from octree.bin
+ * Its metadata carries the colour ranges of the whole cloud.
+ */
+export function decodeOctreeNode(bytes, metadata, node) {
+  // Typed array views need aligned offsets
+  if (bytes.byteOffset % 8 !== 0) bytes = bytes.slice();
+  const attributes = {};
+  let offset = bytes.byteOffset;
+  metadata.attributes.forEach(({ name, type, ...descriptor }) => {
+    const ArrayType = ARRAY_TYPES[type];
+    // Own buffer per column, so the cloud can be transferred like any other
+    const array = new ArrayType(bytes.buffer, offset, node.count * descriptor.itemSize).slice();
+    attributes[name] = { ...descriptor, array };
+    offset += columnByteSize(node.count, descriptor, ArrayType);
+  });
+  return PointCloud.fromTransferable({
+    count: node.count,
+    attributes,
+    metadata: { fieldRanges: metadata.fieldRanges }
+  });
+}
+
+/**
+ * The whole cloud of a cache, read node by node (so its points come in node
+ * order) with readNode(node), a promise of the node's bytes
+ * Options: onProgress(fraction, pointCount) after every node, and signal,
+ * an AbortSignal to cancel the reading (rejects with AbortError).
+ */
+export async function readWholeCache(metadata, readNode, { onProgress, signal } = {}) {
+  const cloud = new PointCloud(metadata.pointCount);
+  for (let n = 0; n < metadata.nodes.length; n++) {
+    if (signal && signal.aborted) throw new DOMException('Reading the octree cache was cancelled', 'AbortError');
+    const node = metadata.nodes[n];
+    cloud.append(decodeOctreeNode(await readNode(node), metadata, node));
+    if (onProgress) onProgress((n + 1) / metadata.nodes.length, cloud.length);
+  }
+  cloud.metadata = { ...metadata.cloudMetadata };
+  return cloud;
+}
+
+function columnByteSize(count, attribute, ArrayType = ARRAY_TYPES[attribute.type]) {
+  const size = count * attribute.itemSize * ArrayType.BYTES_PER_ELEMENT;
+  return Math.ceil(size / 8) * 8;
+}
@@ -0,0 +1,168 @@
+import * as THREE from './lib/three.module.js';
+import { createCloudGeometry } from './cloudGeometry.js';
+import { selectOctreeNodes } from './octree.js';
+import { bindColoringAttributes } from './pointMaterial.js';
+
+/**
+ * Octree renderer
+ * Draws an octree (see octree.js) within a point budget. Every update picks
+ * the visible nodes by screen-space error, loads the missing ones a few at
+ * a time and turns them into THREE.Points sharing one point material.
+ * Nodes that haven't been drawn for a while are freed once more than
+ * `cacheBudget` points are loaded, so GPU memory stays bounded however big
+ * the cloud is.
+ *
+ * loadNode(node) returns the node's points as a PointCloud (or a promise of
+ * one): gathered from a cloud in memory or read from a cache.
+ * Node geometries are stored relative to `origin` (see localOrigin in
+ * cloudGeometry.js) and placed back at it, so the octree and the group stay
+ * in the cloud's own coordinates.
+ */
+export class OctreeRenderer {
+  constructor(octree, { material, loadNode, pointBudget = 3000000, maxScreenError = 1, maxConcurrentLoads = 4, cacheBudget = null, origin = { x: 0, y: 0, z: 0 } }) {
+    this.octree = octree;
+    this.origin = origin;
+    this.material = material;
+    this.loadNode = loadNode;
+    this.pointBudget = pointBudget;
+    this.maxScreenError = maxScreenError;
+    this.maxConcurrentLoads = maxConcurrentLoads;
+    this.cacheBudget = cacheBudget;
+    this.group = new THREE.Group();
+
+    // node index -> { points (THREE.Points), cloud, lastUsed (update number) }
+    this.loaded = new Map();
+    this.loading = new Set();
+    this.failed = new Set();
+    this.updateCount = 0;
+    this.visibleNodes = 0;
+    this.visiblePoints = 0;
+    // Colouring source bound on every node geometry (see pointMaterial.js)
+    this.coloring = { source: 'rgb', offset: 0 };
+
+    this.frustum = new THREE.Frustum();
+    this.box = new THREE.Box3();
+    this.matrix = new THREE.Matrix4();
+    this.localCamera = new THREE.Vector3();
+  }
+
+  /**
+   * Choose, show and load nodes for the camera; call once per frame
+   * viewportHeight is in the pixels the screen-space error is measured in
+   */
+  update(camera, viewportHeight) {
+    this.updateCount++;
+    this.group.updateMatrixWorld();
+    camera.updateMatrixWorld();
+
+    // Work in the octree's own coordinates
+    this.matrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse).multiply(this.group.matrixWorld);
+    this.frustum.setFromProjectionMatrix(this.matrix);
+    this.matrix.copy(this.group.matrixWorld).invert();
+    this.localCamera.setFromMatrixPosition(camera.matrixWorld).applyMatrix4(this.matrix);
+
+    const selected = selectOctreeNodes(this.octree, {
+      cameraPosition: this.localCamera,
+      pixelsPerUnit: camera.projectionMatrix.elements[5] * viewportHeight / 2,
+      pointBudget: this.pointBudget,
+      maxScreenError: this.maxScreenError,
+      isVisible: node => this.frustum.intersectsBox(this.box.set(node.min, node.max))
+    });
+
+    const wanted = new Set(selected);
+    this.visibleNodes = 0;
+    this.visiblePoints = 0;
+    selected.forEach(index => {
+      const entry = this.loaded.get(index);
+      if (!entry) {
+        this.requestNode(index);
+        return;
+      }
+      entry.points.visible = true;
+      entry.lastUsed = this.updateCount;
+      this.visibleNodes++;
+      this.visiblePoints += this.octree.nodes[index].count;
+    });
+    this.loaded.forEach((entry, index) => {
+      if (!wanted.has(index)) entry.points.visible = false;
+    });
+    this.evictNodes();
+  }
+
+  requestNode(index) {
+    if (this.loading.has(index) || this.failed.has(index) || this.loading.size >= this.maxConcurrentLoads) return;
+    this.loading.add(index);
+    const node = this.octree.nodes[index];
+
+    Promise.resolve()
+      .then(() => this.loadNode(node))
+      .then(cloud => {
+        this.loading.delete(index);
+        if (this.disposed) return;
+        const geometry = createCloudGeometry(cloud, { origin: this.origin });
+        // Adaptive point sizes follow the node's spacing
+        geometry.setAttribute('spacing', new THREE.BufferAttribute(new Float32Array(cloud.length).fill(node.spacing), 1));
+        bindColoringAttributes(geometry, cloud, this.coloring.source, this.coloring.offset);
+
+        const points = new THREE.Points(geometry, this.material);
+        points.position.set(this.origin.x, this.origin.y, this.origin.z);
+        // Nodes are culled by update(), not per object
+        points.frustumCulled = false;
+        points.visible = false;
+        this.group.add(points);
+        this.loaded.set(index, { points, cloud, lastUsed: this.updateCount });
+      })
+      .catch(err => {
+        this.loading.delete(index);
+        this.failed.add(index);
+        console.error(`Could not load octree node ${node.name}:`, err);
+      });
+  }
+
+  /**
+   * Free the least recently drawn hidden nodes beyond the cache budget
+   */
+  evictNodes() {
+    const budget = this.cacheBudget || this.pointBudget * 2;
+    let loadedPoints = 0;
+    this.loaded.forEach((_, index) => { loadedPoints += this.octree.nodes[index].count; });
+    if (loadedPoints <= budget) return;
+
+    const hidden = Array.from(this.loaded.entries())
+      .filter(([, entry]) => !entry.points.visible)
+      .sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    for (const [index, entry] of hidden) {
+      if (loadedPoints <= budget) break;
+      this.unloadNode(index, entry);
+      loadedPoints -= this.octree.nodes[index].count;
+    }
+  }
+
+  unloadNode(index, entry) {
+    this.group.remove(entry.points);
+    entry.points.geometry.dispose();
+    this.loaded.delete(index);
+  }
+
+  /**
+   * Drawn nodes as picking targets: [{ points, cloud }] (see pointPicking.js)
+   */
+  pickTargets() {
+    return Array.from(this.loaded.values())
+      .filter(entry => entry.points.visible)
+      .map(({ points, cloud }) => ({ points, cloud }));
+  }
+
+  /**
+   * Bind a colouring source on all node geometries, now and when loaded
+   */
+  setColoring(source, offset = 0) {
+    this.coloring = { source, offset };
+    this.loaded.forEach(entry => bindColoringAttributes(entry.points.geometry, entry.cloud, source, offset));
+  }
+
+  dispose() {
+    this.disposed = true;
+    this.loaded.forEach((entry, index) => this.unloadNode(index, entry));
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Parse diagnostics
+ * Text parsers report every line they reject (or accept with a problem)
+ * here instead of dropping it silently. Counts are kept per reason with a
+ * few sample lines each; the rejected lines themselves are kept (up to a
+ * limit) so they can be exported and fixed.
+ */
+
+export const DIAGNOSTIC_REASONS = {
+  tooFewColumns: { severity: 'error', message: 'Fewer than 3 columns' },
+  invalidCoordinate: { severity: 'error', message: 'X, Y or Z is not a finite number' },
+  badEncoding: { severity: 'error', message: 'Unreadable characters (wrong text encoding or binary data)' },
+  partialColor: { severity: 'warning', message: 'Incomplete colour columns (need R, G and B); kept as scalar fields' },
+  colorOutOfRange: { severity: 'warning', message: 'RGB value outside 0-255; clamped' },
+  invalidValue: { severity: 'warning', message: 'Non-numeric value in an attribute column; default used' },
+  comment: { severity: 'info', message: 'Comment line' }
+};
+
+export class ParseDiagnostics {
+  constructor({ maxRejectedLines = 10000, samplesPerReason = 5, maxLineLength = 500 } = {}) {
+    this.maxRejectedLines = maxRejectedLines;
+    this.samplesPerReason = samplesPerReason;
+    this.maxLineLength = maxLineLength;
+    this.linesRead = 0;
+    this.pointCount = 0;
+    this.counts = {};
+    this.samples = {};
+    // { line, reason, text } of rejected lines, in file order
+    this.rejectedLines = [];
+    this.rejectedLinesTruncated = false;
+  }
+
+  /**
+   * Record a problem on a line (1-based line number)
+   */
+  report(lineNumber, reason, text) {
+    const line = text.replace(/\r$/, '').slice(0, this.maxLineLength);
+    this.counts[reason] = (this.counts[reason] || 0) + 1;
+    if (!this.samples[reason]) this.samples[reason] = [];
+    if (this.samples[reason].length < this.samplesPerReason) this.samples[reason].push({ line: lineNumber, text: line });
+
+    if (severityOf(reason) !== 'error') return;
+    if (this.rejectedLines.length < this.maxRejectedLines) {
+      this.rejectedLines.push({ line: lineNumber, reason, text: line });
+    } else {
+      this.rejectedLinesTruncated = true;
+    }
+  }
+
+  get rejectedCount() {
+    return this.countBySeverity('error');
+  }
+
+  get warningCount() {
+    return this.countBySeverity('warning');
+  }
+
+  countBySeverity(severity) {
+    return Object.entries(this.counts)
+      .filter(([reason]) => severityOf(reason) === severity)
+      .reduce((sum, [, count]) => sum + count, 0);
+  }
+
+  /**
+   * Whether the load deserves the user's attention
+   */
+  hasProblems() {
+    return this.rejectedCount > 0 || this.warningCount > 0 || (this.linesRead > 0 && this.pointCount === 0);
+  }
+
+  /**
+   * Per-reason summary, errors first: [{ reason, severity, message, count, samples }]
+   */
+  summary() {
+    const order = { error: 0, warning: 1, info: 2 };
+    return Object.keys(this.counts)
+      .map(reason => ({
+        reason,
+        severity: severityOf(reason),
+        message: DIAGNOSTIC_REASONS[reason] ? DIAGNOSTIC_REASONS[reason].message : reason,
+        count: this.counts[reason],
+        samples: this.samples[reason] || []
+      }))
+      .sort((a, b) => order[a.severity] - order[b.severity] || b.count - a.count);
+  }
+
+  /**
+   * Rejected lines as tab separated text (line number, reason, original text)
+   */
+  exportRejectedLines() {
+    const rows = this.rejectedLines.map(({ line, reason, text }) => `${line}\t${reason}\t${text}`);
+    return ['line\treason\ttext', ...rows].join('\n') + '\n';
+  }
+
+  /**
+   * Plain object that can be posted between threads
+   */
+  toJSON() {
+    const { linesRead, pointCount, counts, samples, rejectedLines, rejectedLinesTruncated } = this;
+    return { linesRead, pointCount, counts, samples, rejectedLines, rejectedLinesTruncated };
+  }
+
+  static fromJSON(data) {
+    return Object.assign(new ParseDiagnostics(), data);
+  }
+}
+
+function severityOf(reason) {
+  return DIAGNOSTIC_REASONS[reason] ? DIAGNOSTIC_REASONS[reason].severity : 'error';
+}
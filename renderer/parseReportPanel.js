@@ -0,0 +1,66 @@
+import { ParseDiagnostics } from './parseDiagnostics.js';
+
+/**
+ * Parse report panel
+ * Shown after a load that rejected lines, accepted some with problems or
+ * produced no points at all: counts per reason with sample lines, and an
+ * export of the rejected lines.
+ */
+
+/**
+ * Show the report for `data` (ParseDiagnostics or its toJSON() form);
+ * hides the panel when there is nothing to report
+ */
+export function showParseReport(data, fileName = 'cloud') {
+  const panel = document.getElementById('parseReport');
+  const diagnostics = data instanceof ParseDiagnostics ? data : ParseDiagnostics.fromJSON(data);
+  if (!diagnostics.hasProblems()) {
+    hideParseReport();
+    return;
+  }
+
+  const rejected = diagnostics.rejectedCount;
+  document.getElementById('parseReportSummary').textContent =
+    `${diagnostics.linesRead.toLocaleString()} lines read: ${diagnostics.pointCount.toLocaleString()} points loaded, ` +
+    `${rejected.toLocaleString()} lines rejected, ${diagnostics.warningCount.toLocaleString()} with warnings.`;
+
+  const list = document.getElementById('parseReportReasons');
+  list.innerHTML = '';
+  diagnostics.summary().forEach(({ severity, message, count, samples }) => {
+    const item = document.createElement('li');
+    item.className = `parse-${severity}`;
+    item.textContent = `${message}: ${count.toLocaleString()}`;
+    const sampleList = document.createElement('ul');
+    samples.forEach(({ line, text }) => {
+      const sample = document.createElement('li');
+      sample.textContent = `line ${line}: ${text}`;
+      sampleList.appendChild(sample);
+    });
+    item.appendChild(sampleList);
+    list.appendChild(item);
+  });
+
+  const exportButton = document.getElementById('exportRejected');
+  exportButton.disabled = rejected === 0;
+  exportButton.textContent = diagnostics.rejectedLinesTruncated
+    ? `Export First ${diagnostics.rejectedLines.length.toLocaleString()} Rejected Lines`
+    : 'Export Rejected Lines';
+  exportButton.onclick = () => {
+    const blob = new Blob([diagnostics.exportRejectedLines()], { type: 'text/tab-separated-values' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${fileName.replace(/\.[^.]+$/, '')}_rejected.tsv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+  document.getElementById('closeParseReport').onclick = hideParseReport;
+
+  panel.style.display = 'block';
+}
+
+export function hideParseReport() {
+  document.getElementById('parseReport').style.display = 'none';
+}
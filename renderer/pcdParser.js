@@ -0,0 +1,342 @@
+import { PointCloud, POINT_ATTRIBUTES, SCALAR_FIELD } from './pointCloud.js';
+import { lzfDecompress } from './lzf.js';
+
+/**
+ * PCD (Point Cloud Library) reader: DATA ascii, binary and binary_compressed
+ * FIELDS/SIZE/TYPE/COUNT describe the record layout. x/y/z, packed rgb/rgba
+ * and normal_x/y/z map to position, color and normal, the LAS-like fields to
+ * their attributes, and other single-value fields become named scalar
+ * fields (multi-value descriptor fields such as FPFH histograms are skipped).
+ * Points with a NaN coordinate (invalid points of organized clouds) are
+ * dropped. The VIEWPOINT sensor pose is kept in cloud.metadata.viewpoint,
+ * the points themselves stay in the file's frame as in PCL.
+ */
+
+// The header is plain text and small; anything beyond this is not a PCD file
+const MAX_HEADER_SIZE = 1 << 16;
+
+// TYPE + SIZE -> DataView getter
+const GETTERS = {
+  F4: 'getFloat32', F8: 'getFloat64',
+  I1: 'getInt8', I2: 'getInt16', I4: 'getInt32', I8: 'getBigInt64',
+  U1: 'getUint8', U2: 'getUint16', U4: 'getUint32', U8: 'getBigUint64'
+};
+
+// Field name (lower case) -> [attribute, component]
+const FIELD_ATTRIBUTES = {
+  x: ['position', 0], y: ['position', 1], z: ['position', 2],
+  normal_x: ['normal', 0], normal_y: ['normal', 1], normal_z: ['normal', 2],
+  intensity: ['intensity', 0],
+  classification: ['classification', 0],
+  gps_time: ['gpsTime', 0],
+  return_number: ['returnNumber', 0],
+  number_of_returns: ['numberOfReturns', 0]
+};
+
+const PACKED_COLOR_FIELDS = ['rgb', 'rgba'];
+
+// Reinterpret float bits as the packed 0xAARRGGBB colour
+const colorFloat = new Float32Array(1);
+const colorBits = new Uint32Array(colorFloat.buffer);
+
+/**
+ * Parse the header text (everything up to and including the DATA line)
+ * Returns { version, fields: [{ name, size, type, count, offset }],
+ * recordSize, width, height, points, viewpoint, data }
+ */
+export function parsePCDHeader(text) {
+  const entries = {};
+  text.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (trimmed.length === 0 || trimmed.startsWith('#')) return;
+    const [keyword, ...values] = trimmed.split(/\s+/);
+    entries[keyword.toUpperCase()] = values;
+  });
+
+  if (!entries.FIELDS) throw new Error('Not a PCD file (missing FIELDS)');
+  if (!entries.DATA) throw new Error('PCD header has no DATA line');
+  const data = entries.DATA[0].toLowerCase();
+  if (!['ascii', 'binary', 'binary_compressed'].includes(data)) throw new Error(`Unsupported PCD data type: ${data}`);
+
+  let offset = 0;
+  const fields = entries.FIELDS.map((name, f) => {
+    // PCD 0.6 files may leave out TYPE/COUNT
+    const size = entries.SIZE ? parseInt(entries.SIZE[f], 10) : 4;
+    const type = entries.TYPE ? entries.TYPE[f].toUpperCase() : 'F';
+    const count = entries.COUNT ? parseInt(entries.COUNT[f], 10) : 1;
+    if (!GETTERS[type + size]) throw new Error(`Unsupported PCD field type ${type}${size} for ${name}`);
+    const field = { name, size, type, count, offset };
+    offset += size * count;
+    return field;
+  });
+
+  const width = entries.WIDTH ? parseInt(entries.WIDTH[0], 10) : 0;
+  const height = entries.HEIGHT ? parseInt(entries.HEIGHT[0], 10) : 1;
+  return {
+    version: entries.VERSION ? entries.VERSION[0] : null,
+    fields,
+    recordSize: offset,
+    width,
+    height,
+    points: entries.POINTS ? parseInt(entries.POINTS[0], 10) : width * height,
+    // tx ty tz qw qx qy qz
+    viewpoint: entries.VIEWPOINT ? entries.VIEWPOINT.map(Number) : [0, 0, 0, 1, 0, 0, 0],
+    data
+  };
+}
+
+/**
+ * Parse a PCD file
+ * Options (same as parseXYZStream):
+ *  - onProgress({ bytesProcessed, totalBytes, pointCount })
+ *  - signal: AbortSignal to cancel the load (rejects with AbortError)
+ * Resolves with a PointCloud
+ */
+export async function parsePCD(file, { onProgress, signal } = {}) {
+  const headerBytes = new Uint8Array(await file.slice(0, MAX_HEADER_SIZE).arrayBuffer());
+  const dataStart = findDataStart(headerBytes);
+  const header = parsePCDHeader(new TextDecoder().decode(headerBytes.subarray(0, dataStart)));
+
+  const writer = createPointWriter(header);
+  const cloud = writer.cloud;
+  cloud.metadata = {
+    format: 'pcd',
+    encoding: header.data,
+    viewpoint: header.viewpoint,
+    organized: header.height > 1 ? { width: header.width, height: header.height } : null
+  };
+
+  const progress = (bytesProcessed) => {
+    if (onProgress) onProgress({ bytesProcessed, totalBytes: file.size, pointCount: cloud.length });
+  };
+
+  const decode = { ascii: decodeASCII, binary: decodeBinary, binary_compressed: decodeCompressed }[header.data];
+  await decode(file.slice(dataStart), header, writer, {
+    progress: bytes => progress(dataStart + bytes),
+    signal
+  });
+
+  cloud.trim();
+  progress(file.size);
+  return cloud;
+}
+
+/**
+ * Byte offset right after the DATA line
+ */
+function findDataStart(bytes) {
+  const marker = [...'DATA'].map(c => c.charCodeAt(0));
+  for (let i = 0; i + marker.length <= bytes.length; i++) {
+    if (i > 0 && bytes[i - 1] !== 10) continue;
+    let match = true;
+    for (let m = 0; m < marker.length && match; m++) match = bytes[i + m] === marker[m];
+    if (!match) continue;
+    const newline = bytes.indexOf(10, i + marker.length);
+    if (newline !== -1) return newline + 1;
+  }
+  throw new Error('PCD header is missing the DATA line');
+}
+
+/**
+ * Columns for the fields and a setter per field
+ * Values are written to slot cloud.count; commit() keeps the point unless a
+ * coordinate is NaN.
+ */
+function createPointWriter(header) {
+  const cloud = new PointCloud(header.points);
+  const position = cloud.getDescriptor('position').array;
+
+  const setters = header.fields.map(field => {
+    const key = field.name.toLowerCase();
+    if (field.count !== 1 || field.name === '_') return null;
+
+    if (PACKED_COLOR_FIELDS.includes(key) && field.size === 4) {
+      const color = cloud.addAttribute('color').array;
+      return (i, value) => {
+        color[i * 3] = (value >>> 16) & 0xff;
+        color[i * 3 + 1] = (value >>> 8) & 0xff;
+        color[i * 3 + 2] = value & 0xff;
+      };
+    }
+
+    const known = FIELD_ATTRIBUTES[key];
+    let name = known ? known[0] : field.name;
+    const component = known ? known[1] : 0;
+    // A scalar field must not take over a multi-component attribute
+    if (!known && POINT_ATTRIBUTES[name] && POINT_ATTRIBUTES[name].itemSize > 1) name = `scalar_${name}`;
+    const attribute = cloud.addAttribute(name, POINT_ATTRIBUTES[name] || SCALAR_FIELD);
+    const itemSize = attribute.itemSize;
+    return (i, value) => {
+      attribute.array[i * itemSize + component] = Number(value);
+    };
+  });
+
+  // Binary readers per field; packed colours are read as raw bits
+  const readers = header.fields.map(field => {
+    const getter = PACKED_COLOR_FIELDS.includes(field.name.toLowerCase()) && field.size === 4
+      ? 'getUint32'
+      : GETTERS[field.type + field.size];
+    return (view, offset) => view[getter](offset, true);
+  });
+
+  return {
+    cloud,
+    setters,
+    readers,
+    set(f, value) {
+      const setter = setters[f];
+      if (setter) setter(cloud.count, value);
+    },
+    commit() {
+      const i = cloud.count;
+      if (Number.isNaN(position[i * 3]) || Number.isNaN(position[i * 3 + 1]) || Number.isNaN(position[i * 3 + 2])) return;
+      cloud.count++;
+    }
+  };
+}
+
+/**
+ * Stream fixed-size binary records; a record split across two chunks is
+ * carried over to the next one
+ */
+async function decodeBinary(blob, header, writer, { progress, signal }) {
+  const { fields, recordSize, points } = header;
+  const streamReader = blob.stream().getReader();
+  let carry = new Uint8Array(0);
+  let bytesProcessed = 0;
+  let record = 0;
+
+  try {
+    while (record < points) {
+      throwIfAborted(signal);
+      const { done, value } = await streamReader.read();
+      if (done) break;
+      bytesProcessed += value.byteLength;
+
+      let bytes = value;
+      if (carry.length > 0) {
+        bytes = new Uint8Array(carry.length + value.length);
+        bytes.set(carry);
+        bytes.set(value, carry.length);
+      }
+
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      const records = Math.min(Math.floor(bytes.length / recordSize), points - record);
+      for (let r = 0; r < records; r++) {
+        const base = r * recordSize;
+        for (let f = 0; f < fields.length; f++) {
+          if (writer.setters[f]) writer.set(f, writer.readers[f](view, base + fields[f].offset));
+        }
+        writer.commit();
+      }
+      record += records;
+      carry = bytes.slice(records * recordSize);
+      progress(bytesProcessed);
+    }
+  } finally {
+    streamReader.cancel().catch(() => {});
+  }
+  throwIfAborted(signal);
+}
+
+/**
+ * binary_compressed: compressed and uncompressed sizes followed by LZF data
+ * laid out field by field (all x, then all y, ...), so the whole block is
+ * decompressed at once
+ */
+async function decodeCompressed(blob, header, writer, { progress, signal }) {
+  const { fields, points } = header;
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  throwIfAborted(signal);
+  const sizes = new DataView(bytes.buffer, bytes.byteOffset, 8);
+  const compressedSize = sizes.getUint32(0, true);
+  const uncompressedSize = sizes.getUint32(4, true);
+  const data = lzfDecompress(bytes.subarray(8, 8 + compressedSize), uncompressedSize);
+  const view = new DataView(data.buffer);
+
+  // Start of each field's column
+  let columnStart = 0;
+  const starts = fields.map(field => {
+    const start = columnStart;
+    columnStart += field.size * field.count * points;
+    return start;
+  });
+  if (columnStart > data.length) throw new Error('PCD compressed data is shorter than the header declares');
+
+  for (let i = 0; i < points; i++) {
+    for (let f = 0; f < fields.length; f++) {
+      if (writer.setters[f]) writer.set(f, writer.readers[f](view, starts[f] + i * fields[f].size * fields[f].count));
+    }
+    writer.commit();
+  }
+  progress(blob.size);
+}
+
+/**
+ * Stream ASCII records, one per line, carrying split lines over
+ * Packed colours may be written as the float (bits) or as the integer
+ * value (what PCL itself writes).
+ */
+async function decodeASCII(blob, header, writer, { progress, signal }) {
+  const { fields, points } = header;
+  const packed = fields.map(field => PACKED_COLOR_FIELDS.includes(field.name.toLowerCase()) && field.size === 4);
+  const decoder = new TextDecoder('utf-8');
+  const streamReader = blob.stream().getReader();
+  let carry = '';
+  let bytesProcessed = 0;
+  let record = 0;
+
+  const parseLine = (line) => {
+    const trimmed = line.trim();
+    if (trimmed.length === 0) return;
+    const tokens = trimmed.split(/\s+/);
+    let t = 0;
+    for (let f = 0; f < fields.length; f++) {
+      if (writer.setters[f]) {
+        const token = tokens[t];
+        let value = Number(token);
+        if (packed[f] && !/^\d+$/.test(token)) {
+          colorFloat[0] = value;
+          value = colorBits[0];
+        }
+        writer.set(f, value);
+      }
+      t += fields[f].count;
+    }
+    writer.commit();
+    record++;
+  };
+
+  try {
+    while (record < points) {
+      throwIfAborted(signal);
+      const { done, value } = await streamReader.read();
+      const text = carry + (done ? decoder.decode() : decoder.decode(value, { stream: true }));
+      if (!done) bytesProcessed += value.byteLength;
+
+      let start = 0;
+      let newline = text.indexOf('\n', start);
+      while (newline !== -1 && record < points) {
+        parseLine(text.slice(start, newline));
+        start = newline + 1;
+        newline = text.indexOf('\n', start);
+      }
+      carry = text.slice(start);
+
+      if (done) {
+        if (record < points) parseLine(carry);
+        break;
+      }
+      progress(bytesProcessed);
+    }
+  } finally {
+    streamReader.cancel().catch(() => {});
+  }
+  throwIfAborted(signal);
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new DOMException('PCD parsing was cancelled', 'AbortError');
+  }
+}
@@ -0,0 +1,166 @@
+import { lzfCompress } from './lzf.js';
+
+/**
+ * PCD (Point Cloud Library) v0.7 writer: DATA ascii, binary or
+ * binary_compressed
+ * Colour is written as the packed float `rgb` field PCL and ROS expect,
+ * normals as normal_x/y/z and every other attribute as one field in its own
+ * type. Positions are float unless that would lose the requested decimals.
+ */
+
+const SOFTWARE_NAME = 'CloudStream3D';
+
+// Field names of the multi-value attributes
+const COMPONENT_NAMES = {
+  position: ['x', 'y', 'z'],
+  normal: ['normal_x', 'normal_y', 'normal_z']
+};
+
+// Names other tools (PDAL) use for the LAS-like attributes
+const FIELD_NAMES = {
+  gpsTime: 'gps_time',
+  returnNumber: 'return_number',
+  numberOfReturns: 'number_of_returns'
+};
+
+const TYPES = new Map([
+  [Int8Array, { type: 'I', size: 1, setter: 'setInt8' }],
+  [Uint8Array, { type: 'U', size: 1, setter: 'setUint8' }],
+  [Int16Array, { type: 'I', size: 2, setter: 'setInt16' }],
+  [Uint16Array, { type: 'U', size: 2, setter: 'setUint16' }],
+  [Int32Array, { type: 'I', size: 4, setter: 'setInt32' }],
+  [Uint32Array, { type: 'U', size: 4, setter: 'setUint32' }],
+  [Float32Array, { type: 'F', size: 4, setter: 'setFloat32' }],
+  [Float64Array, { type: 'F', size: 8, setter: 'setFloat64' }]
+]);
+
+export const PCD_FORMATS = ['ascii', 'binary', 'binary_compressed'];
+
+/**
+ * Write a PointCloud as PCD
+ * Options:
+ *  - format: 'ascii', 'binary' or 'binary_compressed'
+ *  - decimalPlaces: coordinate precision to preserve
+ *  - viewpoint: sensor pose [tx, ty, tz, qw, qx, qy, qz] - defaults to the
+ *    one read from the source file
+ * Returns a string for ASCII, otherwise an ArrayBuffer
+ */
+export function exportToPCD(cloud, { format = 'binary', decimalPlaces = 6, viewpoint = cloud.metadata.viewpoint } = {}) {
+  if (!PCD_FORMATS.includes(format)) throw new Error(`Unknown PCD format: ${format}`);
+
+  const count = cloud.length;
+  const fields = createFields(cloud, decimalPlaces);
+  const header = [
+    `# .PCD v0.7 - Point Cloud Data file format (${SOFTWARE_NAME})`,
+    'VERSION 0.7',
+    `FIELDS ${fields.map(field => field.name).join(' ')}`,
+    `SIZE ${fields.map(field => field.size).join(' ')}`,
+    `TYPE ${fields.map(field => field.type).join(' ')}`,
+    `COUNT ${fields.map(() => 1).join(' ')}`,
+    `WIDTH ${count}`,
+    'HEIGHT 1',
+    `VIEWPOINT ${(viewpoint || [0, 0, 0, 1, 0, 0, 0]).join(' ')}`,
+    `POINTS ${count}`,
+    `DATA ${format}`
+  ].join('\n') + '\n';
+
+  if (format === 'ascii') {
+    const lines = [header.slice(0, -1)];
+    for (let i = 0; i < count; i++) {
+      lines.push(fields.map(field => formatValue(field, i, decimalPlaces)).join(' '));
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  const headerBytes = new TextEncoder().encode(header);
+  const recordSize = fields.reduce((sum, field) => sum + field.size, 0);
+  const data = new DataView(new ArrayBuffer(count * recordSize));
+
+  if (format === 'binary') {
+    let offset = 0;
+    for (let i = 0; i < count; i++) {
+      for (const field of fields) {
+        data[field.setter](offset, field.value(i), true);
+        offset += field.size;
+      }
+    }
+    return concat(headerBytes, new Uint8Array(data.buffer));
+  }
+
+  // binary_compressed stores the data field by field before compressing it
+  let offset = 0;
+  for (const field of fields) {
+    for (let i = 0; i < count; i++) {
+      data[field.setter](offset, field.value(i), true);
+      offset += field.size;
+    }
+  }
+  const compressed = lzfCompress(new Uint8Array(data.buffer));
+  const sizes = new DataView(new ArrayBuffer(8));
+  sizes.setUint32(0, compressed.length, true);
+  sizes.setUint32(4, data.byteLength, true);
+  return concat(headerBytes, new Uint8Array(sizes.buffer), compressed);
+}
+
+/**
+ * Field layout of the cloud: { name, type, size, setter, value(i), packed }
+ */
+function createFields(cloud, decimalPlaces) {
+  const fields = [];
+  cloud.attributeNames().forEach(name => {
+    const values = cloud.getAttribute(name);
+    const itemSize = cloud.getDescriptor(name).itemSize;
+
+    if (name === 'color') {
+      // 0x00RRGGBB stored in the bits of a float
+      fields.push({
+        name: 'rgb', type: 'F', size: 4, setter: 'setUint32', packed: true,
+        value: i => ((values[i * 3] << 16) | (values[i * 3 + 1] << 8) | values[i * 3 + 2]) >>> 0
+      });
+      return;
+    }
+
+    let type = TYPES.get(values.constructor);
+    if (name === 'position') type = TYPES.get(positionsFitFloat(cloud, decimalPlaces) ? Float32Array : Float64Array);
+    if (!type) return;
+
+    const names = COMPONENT_NAMES[name] || [FIELD_NAMES[name] || name];
+    names.slice(0, itemSize).forEach((fieldName, component) => {
+      fields.push({
+        name: fieldName, ...type, position: name === 'position',
+        value: i => values[i * itemSize + component]
+      });
+    });
+  });
+  return fields;
+}
+
+/**
+ * Whether float32 keeps `decimalPlaces` decimals of every coordinate
+ * (24-bit mantissa: the step at |v| is at most |v| * 2^-23)
+ */
+function positionsFitFloat(cloud, decimalPlaces) {
+  if (cloud.length === 0) return true;
+  const { min, max } = cloud.computeBounds();
+  const largest = Math.max(Math.abs(min.x), Math.abs(min.y), Math.abs(min.z), Math.abs(max.x), Math.abs(max.y), Math.abs(max.z));
+  return largest * Math.pow(2, -23) <= 0.5 * Math.pow(10, -decimalPlaces);
+}
+
+function formatValue(field, i, decimalPlaces) {
+  const value = field.value(i);
+  // PCL writes packed colours as their integer value
+  if (field.packed) return String(value);
+  if (field.position) return value.toFixed(decimalPlaces);
+  if (field.type === 'F' && field.size === 4) return String(Number(value.toPrecision(7)));
+  return String(value);
+}
+
+function concat(...parts) {
+  const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes.buffer;
+}
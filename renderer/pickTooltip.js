@@ -0,0 +1,44 @@
+import { formatPickedValues } from './pointPicking.js';
+
+/**
+ * Pick tooltip
+ * Values of the picked point (see pointValues) next to the pointer, with a
+ * button copying them as tab-separated text.
+ */
+
+// Gap between the pointer and the tooltip
+const OFFSET = 12;
+
+/**
+ * Show `values` at `at` ({ x, y } in page pixels)
+ */
+export function showPickTooltip(values, at) {
+  const tooltip = document.getElementById('pickTooltip');
+  const table = document.getElementById('pickValues');
+  table.innerHTML = '';
+  values.forEach(({ label, text }) => {
+    const row = table.insertRow();
+    row.insertCell().textContent = label;
+    row.insertCell().textContent = text;
+  });
+
+  const copyButton = document.getElementById('copyPickValues');
+  copyButton.textContent = 'Copy';
+  copyButton.onclick = () => {
+    navigator.clipboard.writeText(formatPickedValues(values))
+      .then(() => { copyButton.textContent = 'Copied'; })
+      .catch(err => alert(`Could not copy the values: ${err.message}`));
+  };
+  document.getElementById('closePickTooltip').onclick = hidePickTooltip;
+
+  // Keep the whole tooltip inside the window
+  tooltip.style.display = 'block';
+  const left = Math.min(at.x + OFFSET, window.innerWidth - tooltip.offsetWidth - OFFSET);
+  const top = Math.min(at.y + OFFSET, window.innerHeight - tooltip.offsetHeight - OFFSET);
+  tooltip.style.left = `${Math.max(0, left)}px`;
+  tooltip.style.top = `${Math.max(0, top)}px`;
+}
+
+export function hidePickTooltip() {
+  document.getElementById('pickTooltip').style.display = 'none';
+}
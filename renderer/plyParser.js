@@ -0,0 +1,321 @@
+import { PointCloud, POINT_ATTRIBUTES, SCALAR_FIELD } from './pointCloud.js';
+
+/**
+ * PLY reader (ASCII, binary little endian and binary big endian)
+ * The header's element/property declarations drive the decoding: x/y/z,
+ * red/green/blue and nx/ny/nz map to position, color and normal, the LAS-like
+ * properties to their attributes, and every other scalar property of the
+ * vertex element becomes a named scalar field. Other elements (faces, edges)
+ * are skipped.
+ */
+
+// The header is plain text and small; anything beyond this is not a PLY file
+const MAX_HEADER_SIZE = 1 << 20;
+
+const TYPES = {
+  char: { getter: 'getInt8', size: 1 },
+  uchar: { getter: 'getUint8', size: 1 },
+  short: { getter: 'getInt16', size: 2 },
+  ushort: { getter: 'getUint16', size: 2 },
+  int: { getter: 'getInt32', size: 4 },
+  uint: { getter: 'getUint32', size: 4 },
+  float: { getter: 'getFloat32', size: 4 },
+  double: { getter: 'getFloat64', size: 8 }
+};
+// Alternative type names used by some writers
+const TYPE_ALIASES = {
+  int8: 'char', uint8: 'uchar', int16: 'short', uint16: 'ushort',
+  int32: 'int', uint32: 'uint', float32: 'float', float64: 'double'
+};
+
+// Vertex property name (lower case) -> [attribute, component]
+const PROPERTY_ATTRIBUTES = {
+  x: ['position', 0], y: ['position', 1], z: ['position', 2],
+  nx: ['normal', 0], ny: ['normal', 1], nz: ['normal', 2],
+  red: ['color', 0], green: ['color', 1], blue: ['color', 2],
+  diffuse_red: ['color', 0], diffuse_green: ['color', 1], diffuse_blue: ['color', 2],
+  intensity: ['intensity', 0],
+  classification: ['classification', 0],
+  class: ['classification', 0],
+  gps_time: ['gpsTime', 0],
+  gpstime: ['gpsTime', 0],
+  return_number: ['returnNumber', 0],
+  returnnumber: ['returnNumber', 0],
+  number_of_returns: ['numberOfReturns', 0],
+  numberofreturns: ['numberOfReturns', 0]
+};
+
+/**
+ * Parse the header text (everything up to and including end_header)
+ * Returns { format, elements: [{ name, count, properties }], comments }
+ */
+export function parsePLYHeader(text) {
+  const lines = text.split(/\r?\n/);
+  if (lines[0].trim() !== 'ply') throw new Error('Not a PLY file (missing "ply" magic)');
+
+  const header = { format: null, elements: [], comments: [] };
+  for (let l = 1; l < lines.length; l++) {
+    const words = lines[l].trim().split(/\s+/);
+    const keyword = words[0];
+    if (keyword === 'end_header') break;
+
+    if (keyword === 'format') {
+      if (!['ascii', 'binary_little_endian', 'binary_big_endian'].includes(words[1])) {
+        throw new Error(`Unsupported PLY format: ${words[1]}`);
+      }
+      header.format = words[1];
+    } else if (keyword === 'element') {
+      header.elements.push({ name: words[1], count: parseInt(words[2], 10), properties: [] });
+    } else if (keyword === 'property') {
+      const element = header.elements[header.elements.length - 1];
+      if (!element) throw new Error('PLY property declared before any element');
+      if (words[1] === 'list') {
+        element.properties.push({ name: words[4], list: true, countType: plyType(words[2]), type: plyType(words[3]) });
+      } else {
+        element.properties.push({ name: words[2], list: false, type: plyType(words[1]) });
+      }
+    } else if (keyword === 'comment' || keyword === 'obj_info') {
+      header.comments.push(words.slice(1).join(' '));
+    }
+  }
+
+  if (!header.format) throw new Error('PLY header has no format line');
+  return header;
+}
+
+function plyType(name) {
+  const type = TYPES[TYPE_ALIASES[name] || name];
+  if (!type) throw new Error(`Unknown PLY property type: ${name}`);
+  return type;
+}
+
+/**
+ * Parse a PLY file
+ * Options (same as parseXYZStream):
+ *  - onProgress({ bytesProcessed, totalBytes, pointCount })
+ *  - signal: AbortSignal to cancel the load (rejects with AbortError)
+ * Resolves with a PointCloud of the vertex element
+ */
+export async function parsePLY(file, { onProgress, signal } = {}) {
+  const headerBytes = new Uint8Array(await file.slice(0, MAX_HEADER_SIZE).arrayBuffer());
+  const dataStart = findDataStart(headerBytes);
+  const header = parsePLYHeader(new TextDecoder().decode(headerBytes.subarray(0, dataStart)));
+
+  const vertexIndex = header.elements.findIndex(element => element.name === 'vertex');
+  if (vertexIndex === -1) throw new Error('PLY file has no vertex element');
+
+  const writer = createVertexWriter(header.elements[vertexIndex]);
+  const cloud = writer.cloud;
+  cloud.metadata = { format: 'ply', encoding: header.format, comments: header.comments };
+
+  const progress = (bytesProcessed) => {
+    if (onProgress) onProgress({ bytesProcessed, totalBytes: file.size, pointCount: cloud.length });
+  };
+
+  const decode = header.format === 'ascii' ? decodeASCII : decodeBinary;
+  await decode(file.slice(dataStart), header, vertexIndex, writer, {
+    progress: bytes => progress(dataStart + bytes),
+    signal
+  });
+
+  cloud.trim();
+  progress(file.size);
+  return cloud;
+}
+
+/**
+ * Byte offset right after the end_header line
+ */
+function findDataStart(bytes) {
+  const marker = [...'end_header'].map(c => c.charCodeAt(0));
+  for (let i = 0; i + marker.length <= bytes.length; i++) {
+    if (i > 0 && bytes[i - 1] !== 10) continue;
+    let match = true;
+    for (let m = 0; m < marker.length && match; m++) match = bytes[i + m] === marker[m];
+    if (!match) continue;
+    const newline = bytes.indexOf(10, i + marker.length);
+    if (newline !== -1) return newline + 1;
+  }
+  throw new Error('PLY header is missing end_header');
+}
+
+/**
+ * Columns for the vertex element and a setter per property
+ * Values are written to slot cloud.count; commit() makes the point count.
+ */
+function createVertexWriter(element) {
+  const cloud = new PointCloud(element.count);
+
+  const setters = element.properties.map(property => {
+    if (property.list) return null;
+    const known = PROPERTY_ATTRIBUTES[property.name.toLowerCase().replace(/^scalar_/, '')];
+    let name = known ? known[0] : property.name.replace(/^scalar_/, '');
+    const component = known ? known[1] : 0;
+    // A scalar property must not take over a multi-component attribute
+    if (!known && POINT_ATTRIBUTES[name] && POINT_ATTRIBUTES[name].itemSize > 1) name = `scalar_${name}`;
+
+    const attribute = cloud.addAttribute(name, POINT_ATTRIBUTES[name] || SCALAR_FIELD);
+    const itemSize = attribute.itemSize;
+
+    if (name === 'color') {
+      // Float colours are 0..1, 16-bit ones use the full range
+      const scale = property.type.getter.startsWith('getFloat') ? 255 : property.type.size === 2 ? 1 / 257 : 1;
+      return (i, value) => {
+        attribute.array[i * 3 + component] = Math.max(0, Math.min(255, Math.round(value * scale)));
+      };
+    }
+    return (i, value) => {
+      attribute.array[i * itemSize + component] = value;
+    };
+  });
+
+  return {
+    cloud,
+    set(p, value) {
+      const setter = setters[p];
+      if (setter) setter(cloud.count, value);
+    },
+    commit() {
+      cloud.count++;
+    }
+  };
+}
+
+/**
+ * Stream binary records; a record split across two chunks is carried over
+ * to the next one. Elements before the vertex element are skipped, the
+ * ones after it are never read.
+ */
+async function decodeBinary(blob, header, vertexIndex, writer, { progress, signal }) {
+  const littleEndian = header.format === 'binary_little_endian';
+  const streamReader = blob.stream().getReader();
+  let carry = new Uint8Array(0);
+  let bytesProcessed = 0;
+  let elementIndex = 0;
+  let record = 0;
+
+  try {
+    while (elementIndex <= vertexIndex) {
+      throwIfAborted(signal);
+      const { done, value } = await streamReader.read();
+      if (done) break;
+      bytesProcessed += value.byteLength;
+
+      let bytes = value;
+      if (carry.length > 0) {
+        bytes = new Uint8Array(carry.length + value.length);
+        bytes.set(carry);
+        bytes.set(value, carry.length);
+      }
+
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      let offset = 0;
+      while (elementIndex <= vertexIndex) {
+        const element = header.elements[elementIndex];
+        if (record === element.count) {
+          elementIndex++;
+          record = 0;
+          continue;
+        }
+        const isVertex = elementIndex === vertexIndex;
+        const end = readBinaryRecord(element, view, offset, littleEndian, isVertex ? writer.set : null);
+        if (end < 0) break;
+        if (isVertex) writer.commit();
+        offset = end;
+        record++;
+      }
+      carry = bytes.slice(offset);
+      progress(bytesProcessed);
+    }
+  } finally {
+    streamReader.cancel().catch(() => {});
+  }
+  throwIfAborted(signal);
+}
+
+/**
+ * Read one record at `offset`; returns the offset after it, or -1 when the
+ * record runs past the end of the view
+ */
+function readBinaryRecord(element, view, offset, littleEndian, set) {
+  const { properties } = element;
+  for (let p = 0; p < properties.length; p++) {
+    const property = properties[p];
+    if (property.list) {
+      if (offset + property.countType.size > view.byteLength) return -1;
+      const n = view[property.countType.getter](offset, littleEndian);
+      offset += property.countType.size + n * property.type.size;
+    } else {
+      if (offset + property.type.size > view.byteLength) return -1;
+      if (set) set(p, view[property.type.getter](offset, littleEndian));
+      offset += property.type.size;
+    }
+  }
+  return offset > view.byteLength ? -1 : offset;
+}
+
+/**
+ * Stream ASCII records, one per line, carrying split lines over
+ */
+async function decodeASCII(blob, header, vertexIndex, writer, { progress, signal }) {
+  const vertex = header.elements[vertexIndex];
+  // Lines of the elements declared before the vertex element
+  let skip = header.elements.slice(0, vertexIndex).reduce((sum, element) => sum + element.count, 0);
+  const decoder = new TextDecoder('utf-8');
+  const streamReader = blob.stream().getReader();
+  let carry = '';
+  let bytesProcessed = 0;
+
+  const parseLine = (line) => {
+    const trimmed = line.trim();
+    if (trimmed.length === 0) return;
+    if (skip > 0) {
+      skip--;
+      return;
+    }
+    const tokens = trimmed.split(/\s+/);
+    let t = 0;
+    for (let p = 0; p < vertex.properties.length; p++) {
+      const property = vertex.properties[p];
+      if (property.list) {
+        t += 1 + Number(tokens[t]);
+      } else {
+        writer.set(p, Number(tokens[t++]));
+      }
+    }
+    writer.commit();
+  };
+
+  try {
+    while (writer.cloud.length < vertex.count) {
+      throwIfAborted(signal);
+      const { done, value } = await streamReader.read();
+      const text = carry + (done ? decoder.decode() : decoder.decode(value, { stream: true }));
+      if (!done) bytesProcessed += value.byteLength;
+
+      let start = 0;
+      let newline = text.indexOf('\n', start);
+      while (newline !== -1 && writer.cloud.length < vertex.count) {
+        parseLine(text.slice(start, newline));
+        start = newline + 1;
+        newline = text.indexOf('\n', start);
+      }
+      carry = text.slice(start);
+
+      if (done) {
+        if (writer.cloud.length < vertex.count) parseLine(carry);
+        break;
+      }
+      progress(bytesProcessed);
+    }
+  } finally {
+    streamReader.cancel().catch(() => {});
+  }
+  throwIfAborted(signal);
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new DOMException('PLY parsing was cancelled', 'AbortError');
+  }
+}
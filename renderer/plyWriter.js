@@ -0,0 +1,116 @@
+/**
+ * PLY writer (ASCII or binary)
+ * Every attribute of the cloud becomes a vertex property: position as
+ * double x/y/z, color as uchar red/green/blue, normal as float nx/ny/nz and
+ * everything else as one scalar property in its own type. Triangles can be
+ * added as a face element.
+ */
+
+const SOFTWARE_NAME = 'CloudStream3D';
+
+// Component property names of the multi-value attributes
+const COMPONENT_NAMES = {
+  position: ['x', 'y', 'z'],
+  color: ['red', 'green', 'blue'],
+  normal: ['nx', 'ny', 'nz']
+};
+
+// Names other tools (PDAL, CloudCompare) use for the LAS-like attributes
+const PROPERTY_NAMES = {
+  gpsTime: 'gps_time',
+  returnNumber: 'return_number',
+  numberOfReturns: 'number_of_returns'
+};
+
+const TYPES = new Map([
+  [Int8Array, { name: 'char', setter: 'setInt8', size: 1 }],
+  [Uint8Array, { name: 'uchar', setter: 'setUint8', size: 1 }],
+  [Int16Array, { name: 'short', setter: 'setInt16', size: 2 }],
+  [Uint16Array, { name: 'ushort', setter: 'setUint16', size: 2 }],
+  [Int32Array, { name: 'int', setter: 'setInt32', size: 4 }],
+  [Uint32Array, { name: 'uint', setter: 'setUint32', size: 4 }],
+  [Float32Array, { name: 'float', setter: 'setFloat32', size: 4 }],
+  [Float64Array, { name: 'double', setter: 'setFloat64', size: 8 }]
+]);
+
+export const PLY_FORMATS = ['ascii', 'binary_little_endian', 'binary_big_endian'];
+
+/**
+ * Write a PointCloud as PLY
+ * Options:
+ *  - format: 'ascii', 'binary_little_endian' or 'binary_big_endian'
+ *  - decimalPlaces: coordinate precision of the ASCII output
+ *  - faces: triangle vertex indices (3 per face) into the cloud, or null
+ * Returns a string for ASCII, otherwise an ArrayBuffer
+ */
+export function exportToPLY(cloud, { format = 'binary_little_endian', decimalPlaces = 6, faces = null } = {}) {
+  if (!PLY_FORMATS.includes(format)) throw new Error(`Unknown PLY format: ${format}`);
+
+  const count = cloud.length;
+  const faceCount = faces ? Math.floor(faces.length / 3) : 0;
+  const columns = [];
+  cloud.attributeNames().forEach(name => {
+    const descriptor = cloud.getDescriptor(name);
+    const values = cloud.getAttribute(name);
+    // Positions keep full precision whatever their storage
+    const type = TYPES.get(name === 'position' ? Float64Array : values.constructor);
+    if (!type) return;
+    const names = COMPONENT_NAMES[name] || [PROPERTY_NAMES[name] || name];
+    names.slice(0, descriptor.itemSize).forEach((property, component) => {
+      columns.push({ property, type, values, itemSize: descriptor.itemSize, component, isPosition: name === 'position' });
+    });
+  });
+
+  const header = [
+    'ply',
+    `format ${format} 1.0`,
+    `comment generated by ${SOFTWARE_NAME}`,
+    `element vertex ${count}`,
+    ...columns.map(column => `property ${column.type.name} ${column.property}`)
+  ];
+  if (faceCount > 0) {
+    header.push(`element face ${faceCount}`, 'property list uchar int vertex_indices');
+  }
+  header.push('end_header');
+  const headerText = header.join('\n') + '\n';
+
+  if (format === 'ascii') {
+    const lines = [headerText.slice(0, -1)];
+    for (let i = 0; i < count; i++) {
+      lines.push(columns.map(column => formatValue(column, column.values[i * column.itemSize + column.component], decimalPlaces)).join(' '));
+    }
+    for (let f = 0; f < faceCount; f++) {
+      lines.push(`3 ${faces[f * 3]} ${faces[f * 3 + 1]} ${faces[f * 3 + 2]}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  const littleEndian = format === 'binary_little_endian';
+  const headerBytes = new TextEncoder().encode(headerText);
+  const recordSize = columns.reduce((sum, column) => sum + column.type.size, 0);
+  const buffer = new ArrayBuffer(headerBytes.length + count * recordSize + faceCount * 13);
+  const view = new DataView(buffer);
+  new Uint8Array(buffer).set(headerBytes);
+
+  let offset = headerBytes.length;
+  for (let i = 0; i < count; i++) {
+    for (let c = 0; c < columns.length; c++) {
+      const column = columns[c];
+      view[column.type.setter](offset, column.values[i * column.itemSize + column.component], littleEndian);
+      offset += column.type.size;
+    }
+  }
+  for (let f = 0; f < faceCount; f++) {
+    view.setUint8(offset, 3);
+    for (let v = 0; v < 3; v++) view.setInt32(offset + 1 + v * 4, faces[f * 3 + v], littleEndian);
+    offset += 13;
+  }
+  return buffer;
+}
+
+function formatValue(column, value, decimalPlaces) {
+  if (column.isPosition) return value.toFixed(decimalPlaces);
+  // Print float32 values with the precision they actually have
+  if (column.type.name === 'float') return String(Number(value.toPrecision(7)));
+  return String(value);
+}
@@ -0,0 +1,269 @@
+/**
+ * Point Cloud Model
+ * Columnar storage shared by the parser, reducers, exporters and renderer.
+ * Every attribute is one typed array (x,y,z,x,y,z,...) instead of one object
+ * per point, so 20M+ point clouds stay within a reasonable heap.
+ */
+
+/**
+ * Declared attribute schema
+ * itemSize: components per point, ArrayType: backing typed array,
+ * normalized: integer values map to 0..1 when rendered,
+ * defaultValue: fill value for points that don't carry the attribute,
+ * categorical: values are labels (reducers pick the most common, not the mean),
+ * componentNames: column names of the components in text exports
+ */
+export const POINT_ATTRIBUTES = {
+  position: { itemSize: 3, ArrayType: Float64Array, defaultValue: 0, componentNames: ['x', 'y', 'z'] },
+  color: { itemSize: 3, ArrayType: Uint8Array, normalized: true, defaultValue: 255, componentNames: ['red', 'green', 'blue'] },
+  intensity: { itemSize: 1, ArrayType: Float32Array, defaultValue: 0 },
+  classification: { itemSize: 1, ArrayType: Uint8Array, defaultValue: 0, categorical: true },
+  normal: { itemSize: 3, ArrayType: Float32Array, defaultValue: 0, componentNames: ['nx', 'ny', 'nz'] },
+  returnNumber: { itemSize: 1, ArrayType: Uint8Array, defaultValue: 0, categorical: true },
+  numberOfReturns: { itemSize: 1, ArrayType: Uint8Array, defaultValue: 0, categorical: true },
+  gpsTime: { itemSize: 1, ArrayType: Float64Array, defaultValue: 0 }
+};
+
+/**
+ * Descriptor for any other named per-point value (extra PLY/PCD properties,
+ * additional XYZ columns, ...)
+ */
+export const SCALAR_FIELD = { itemSize: 1, ArrayType: Float32Array, defaultValue: 0, scalarField: true };
+
+/**
+ * Attribute, component and descriptor a named column is stored in: the
+ * component names of the schema (x, red, nx, ...), the single-value schema
+ * attributes by name, and a scalar field for anything else
+ */
+export function resolveColumn(name) {
+  const key = name.toLowerCase();
+  for (const [attribute, descriptor] of Object.entries(POINT_ATTRIBUTES)) {
+    const component = descriptor.componentNames ? descriptor.componentNames.indexOf(key) : -1;
+    if (component !== -1) return { attribute, component, descriptor };
+  }
+  const descriptor = POINT_ATTRIBUTES[name];
+  if (descriptor && descriptor.itemSize === 1) return { attribute: name, component: 0, descriptor };
+  // A scalar field must not take over a multi-component attribute
+  return { attribute: descriptor ? `scalar_${name}` : name, component: 0, descriptor: SCALAR_FIELD };
+}
+
+export class PointCloud {
+  constructor(capacity = 0, attributeNames = []) {
+    this.count = 0;
+    this.capacity = capacity;
+    this.attributes = new Map();
+    // Source information that isn't per point (file format, CRS, ...)
+    this.metadata = {};
+    this.addAttribute('position');
+    attributeNames.forEach(name => this.addAttribute(name));
+  }
+
+  get length() {
+    return this.count;
+  }
+
+  hasAttribute(name) {
+    return this.attributes.has(name);
+  }
+
+  attributeNames() {
+    return Array.from(this.attributes.keys());
+  }
+
+  /**
+   * Add an attribute column, filled with its default value
+   */
+  addAttribute(name, descriptor = POINT_ATTRIBUTES[name]) {
+    if (this.attributes.has(name)) return this.attributes.get(name);
+    if (!descriptor) throw new Error(`Unknown point attribute: ${name}`);
+
+    const array = new descriptor.ArrayType(this.capacity * descriptor.itemSize);
+    if (descriptor.defaultValue) array.fill(descriptor.defaultValue);
+    const attribute = { ...descriptor, array };
+    this.attributes.set(name, attribute);
+    return attribute;
+  }
+
+  removeAttribute(name) {
+    if (name !== 'position') this.attributes.delete(name);
+  }
+
+  /**
+   * Get the values of an attribute for the points in use (a view, not a copy)
+   */
+  getAttribute(name) {
+    const attribute = this.attributes.get(name);
+    if (!attribute) return null;
+    return attribute.array.subarray(0, this.count * attribute.itemSize);
+  }
+
+  getDescriptor(name) {
+    return this.attributes.get(name) || null;
+  }
+
+  /**
+   * Make room for at least `capacity` points
+   */
+  reserve(capacity) {
+    if (capacity <= this.capacity) return;
+    this.attributes.forEach(attribute => {
+      const array = new attribute.ArrayType(capacity * attribute.itemSize);
+      array.set(attribute.array.subarray(0, this.count * attribute.itemSize));
+      if (attribute.defaultValue) array.fill(attribute.defaultValue, this.count * attribute.itemSize);
+      attribute.array = array;
+    });
+    this.capacity = capacity;
+  }
+
+  /**
+   * Release unused capacity
+   */
+  trim() {
+    if (this.capacity === this.count) return this;
+    this.attributes.forEach(attribute => {
+      attribute.array = attribute.array.slice(0, this.count * attribute.itemSize);
+    });
+    this.capacity = this.count;
+    return this;
+  }
+
+  /**
+   * Append a point and return its index
+   * Other attributes keep their default value until set
+   */
+  addPoint(x, y, z) {
+    if (this.count === this.capacity) this.reserve(Math.max(1024, this.capacity * 2));
+    const i = this.count++;
+    const position = this.attributes.get('position').array;
+    position[i * 3] = x;
+    position[i * 3 + 1] = y;
+    position[i * 3 + 2] = z;
+    return i;
+  }
+
+  getX(i) { return this.attributes.get('position').array[i * 3]; }
+  getY(i) { return this.attributes.get('position').array[i * 3 + 1]; }
+  getZ(i) { return this.attributes.get('position').array[i * 3 + 2]; }
+
+  setColor(i, r, g, b) {
+    const color = this.addAttribute('color').array;
+    color[i * 3] = r;
+    color[i * 3 + 1] = g;
+    color[i * 3 + 2] = b;
+  }
+
+  /**
+   * Append all points of another cloud
+   * Attributes missing on either side are filled with their default value
+   */
+  append(other) {
+    other.attributes.forEach((attribute, name) => this.addAttribute(name, attribute));
+    const needed = this.count + other.count;
+    if (needed > this.capacity) this.reserve(Math.max(needed, this.capacity * 2));
+    this.attributes.forEach((attribute, name) => {
+      const source = other.getAttribute(name);
+      if (source) attribute.array.set(source, this.count * attribute.itemSize);
+    });
+    this.count += other.count;
+    return this;
+  }
+
+  /**
+   * Create a new cloud containing the points at the given indices
+   */
+  select(indices) {
+    const result = new PointCloud(indices.length);
+    result.metadata = { ...this.metadata };
+    this.attributes.forEach((attribute, name) => {
+      const target = result.addAttribute(name, attribute).array;
+      const source = attribute.array;
+      const size = attribute.itemSize;
+      for (let i = 0; i < indices.length; i++) {
+        const from = indices[i] * size;
+        for (let c = 0; c < size; c++) target[i * size + c] = source[from + c];
+      }
+    });
+    result.count = indices.length;
+    return result;
+  }
+
+  /**
+   * Create a new cloud containing the points from start up to (not including) end
+   */
+  slice(start, end = this.count) {
+    const result = new PointCloud(0);
+    result.metadata = { ...this.metadata };
+    result.attributes.clear();
+    this.attributes.forEach((attribute, name) => {
+      result.attributes.set(name, {
+        ...attribute,
+        array: attribute.array.slice(start * attribute.itemSize, end * attribute.itemSize)
+      });
+    });
+    result.count = result.capacity = Math.max(0, end - start);
+    return result;
+  }
+
+  clone() {
+    return this.slice(0, this.count);
+  }
+
+  computeBounds() {
+    const position = this.getAttribute('position');
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    for (let i = 0; i < position.length; i += 3) {
+      const x = position[i], y = position[i + 1], z = position[i + 2];
+      if (x < min.x) min.x = x;
+      if (x > max.x) max.x = x;
+      if (y < min.y) min.y = y;
+      if (y > max.y) max.y = y;
+      if (z < min.z) min.z = z;
+      if (z > max.z) max.z = z;
+    }
+    return { min, max };
+  }
+
+  /**
+   * Plain-object form of the cloud that can be posted to a Web Worker
+   * Pass getTransferList() of the result as the transfer list to move the
+   * columns instead of copying them (the cloud is unusable afterwards).
+   */
+  toTransferable() {
+    this.trim();
+    const attributes = {};
+    this.attributes.forEach((attribute, name) => {
+      const { ArrayType, ...descriptor } = attribute;
+      attributes[name] = descriptor;
+    });
+    return { count: this.count, attributes, metadata: this.metadata };
+  }
+
+  static getTransferList(data) {
+    return Object.values(data.attributes).map(attribute => attribute.array.buffer);
+  }
+
+  static fromTransferable(data) {
+    const cloud = new PointCloud(0);
+    cloud.attributes.clear();
+    Object.entries(data.attributes).forEach(([name, attribute]) => {
+      cloud.attributes.set(name, { ...attribute, ArrayType: attribute.array.constructor });
+    });
+    cloud.count = cloud.capacity = data.count;
+    cloud.metadata = data.metadata || {};
+    return cloud;
+  }
+
+  /**
+   * Build a cloud from {x, y, z, r, g, b} objects (r/g/b may be null)
+   */
+  static fromPoints(points) {
+    const hasColor = points.some(p => p.r !== null && p.r !== undefined);
+    const cloud = new PointCloud(points.length, hasColor ? ['color'] : []);
+    points.forEach(p => {
+      const i = cloud.addPoint(p.x, p.y, p.z);
+      if (hasColor && p.r !== null && p.r !== undefined) cloud.setColor(i, p.r, p.g, p.b);
+    });
+    return cloud;
+  }
+}
@@ -1,202 +1,558 @@
 /**
  * Point Cloud Reduction Module
  * Provides methods for reducing point cloud density
+ * All methods take a PointCloud and return a new PointCloud
+ * options.onProgress(fraction) is called periodically during long loops
  */
 
+import { PointCloud } from './pointCloud.js';
+import { getSpatialIndex } from './spatialIndex.js';
+
+// Report progress every 65536 points
+const PROGRESS_INTERVAL = 0xffff;
+
 /**
  * Method 1: Grid-based Voxel Downsampling
  * Divides space into voxels and keeps one point per voxel (the centroid)
+ * The voxel size is searched so the result lands within `tolerance` (a
+ * fraction of the target count) of the requested percentage. Passing
+ * options.voxelSize (in file units) uses that size instead and ignores
+ * the percentage. options.onVoxelSize(size) reports the size used.
  */
-export function voxelDownsampling(points, targetPercentage) {
-  if (targetPercentage >= 100) return [...points];
-  if (points.length === 0) return [];
-  
-  const targetCount = Math.max(1, Math.floor(points.length * targetPercentage / 100));
+export function voxelDownsampling(cloud, targetPercentage, {
+  voxelSize = null,
+  tolerance = 0.02,
+  onVoxelSize,
+  onProgress
+} = {}) {
+  if (cloud.length === 0) return cloud.clone();
+  if (!(voxelSize > 0) && targetPercentage >= 100) return cloud.clone();
   
   // Calculate bounds for voxel grid
-  let minX = Infinity, maxX = -Infinity;
-  let minY = Infinity, maxY = -Infinity;
-  let minZ = Infinity, maxZ = -Infinity;
-  
-  points.forEach(p => {
-    minX = Math.min(minX, p.x);
-    maxX = Math.max(maxX, p.x);
-    minY = Math.min(minY, p.y);
-    maxY = Math.max(maxY, p.y);
-    minZ = Math.min(minZ, p.z);
-    maxZ = Math.max(maxZ, p.z);
-  });
+  const bounds = cloud.computeBounds();
+  const { min, max } = bounds;
+  const extent = Math.max(max.x - min.x, max.y - min.y, max.z - min.z);
   
-  const sizeX = maxX - minX;
-  const sizeY = maxY - minY;
-  const sizeZ = maxZ - minZ;
+  if (!(voxelSize > 0)) {
+    const targetCount = Math.max(1, Math.floor(cloud.length * targetPercentage / 100));
+    // All points at the same spot: nothing to search
+    if (extent === 0) return cloud.slice(0, targetCount);
+    voxelSize = findVoxelSize(cloud, targetCount, { tolerance, bounds, onProgress });
+  }
+  if (onVoxelSize) onVoxelSize(voxelSize);
   
-  // Estimate the volume and compute voxel grid dimensions
-  const volume = sizeX * sizeY * sizeZ;
-  if (volume === 0) return points.slice(0, targetCount);
+  return voxelCentroids(cloud, voxelSize, bounds, onProgress);
+}
+
+/**
+ * Search the voxel size that keeps about targetCount points
+ * The voxel count falls roughly as a power of the voxel size, so the search
+ * interpolates in log-log space and falls back to bisection when the
+ * interpolation leaves the bracket. Returns the best size found.
+ */
+export function findVoxelSize(cloud, targetCount, {
+  tolerance = 0.02,
+  maxIterations = 30,
+  bounds = cloud.computeBounds(),
+  onProgress
+} = {}) {
+  const { min, max } = bounds;
+  const extent = Math.max(max.x - min.x, max.y - min.y, max.z - min.z);
+  if (extent === 0 || targetCount >= cloud.length) return extent / 1e6 || 1;
   
-  // Use a smoother approach for voxel size calculation
-  // At 100%, we want very small voxels (almost no reduction)
-  // At lower percentages, voxels get larger
+  // Bracket: one voxel for the whole cloud .. the point spacing if the
+  // points filled the bounding cube, made smaller until it keeps more than
+  // targetCount (surfaces and lines are denser than that)
+  let hiSize = extent * 1.01, hiCount = 1;
+  let loSize = extent / Math.max(2, Math.cbrt(cloud.length));
+  let loCount = countVoxels(cloud, loSize, bounds);
+  const minSize = loSize / 1000;
+  while (loCount <= targetCount) {
+    if (loSize <= minSize) return loSize; // duplicates: can't keep more points
+    hiSize = loSize;
+    hiCount = loCount;
+    loSize = Math.max(minSize, loSize / Math.max(2, targetCount / loCount));
+    loCount = countVoxels(cloud, loSize, bounds);
+  }
   
-  // Calculate reduction factor (inverted: 1.0 at 100%, increases as percentage decreases)
-  const reductionFactor = 100.0 / Math.max(targetPercentage, 1);
+  let best = { size: loSize, error: Math.abs(loCount - targetCount) };
   
-  // Use cube root for 3D scaling, but apply a dampening factor for smoothness
-  // Add a small offset to make the transition more gradual
-  const scaleFactor = Math.pow(reductionFactor, 1.5); // Using 1.5 instead of 1/3 for smoother transitions
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    if (onProgress) onProgress(iteration / maxIterations);
+    
+    let size = Math.exp(
+      Math.log(loSize) + (Math.log(targetCount) - Math.log(loCount)) *
+      (Math.log(hiSize) - Math.log(loSize)) / (Math.log(hiCount) - Math.log(loCount))
+    );
+    const span = hiSize / loSize;
+    if (!(size > loSize * Math.pow(span, 0.05) && size < hiSize / Math.pow(span, 0.05))) {
+      size = Math.sqrt(loSize * hiSize);
+    }
+    
+    const count = countVoxels(cloud, size, bounds);
+    const error = Math.abs(count - targetCount);
+    if (error < best.error) best = { size, error };
+    if (error <= tolerance * targetCount) break;
+    
+    if (count > targetCount) {
+      loSize = size;
+      loCount = count;
+    } else {
+      hiSize = size;
+      hiCount = count;
+    }
+    if (hiSize / loSize < 1 + 1e-9) break;
+  }
   
-  // Estimate average point spacing
-  const avgSpacing = Math.pow(volume / points.length, 1/3);
+  return best.size;
+}
+
+/**
+ * Number of occupied voxels for a given voxel size
+ */
+export function countVoxels(cloud, voxelSize, bounds = cloud.computeBounds()) {
+  const position = cloud.getAttribute('position');
+  const voxels = new VoxelTable(voxelSize, bounds);
+  for (let i = 0; i < cloud.length; i++) {
+    voxels.voxelOf(position[i * 3], position[i * 3 + 1], position[i * 3 + 2]);
+  }
+  return voxels.size;
+}
+
+/**
+ * Number of points in the voxel of every point, for a given voxel size
+ */
+export function voxelOccupancy(cloud, voxelSize, bounds = cloud.computeBounds()) {
+  const { slotOf, voxelCount } = assignVoxels(cloud, voxelSize, bounds);
+  const counts = new Uint32Array(voxelCount);
+  for (let i = 0; i < cloud.length; i++) counts[slotOf[i]]++;
+  const occupancy = new Uint32Array(cloud.length);
+  for (let i = 0; i < cloud.length; i++) occupancy[i] = counts[slotOf[i]];
+  return occupancy;
+}
+
+/**
+ * The voxel of every point: { slotOf, voxelCount }, with the occupied voxels
+ * numbered in the order they are first met
+ */
+function assignVoxels(cloud, voxelSize, bounds, onProgress) {
+  const position = cloud.getAttribute('position');
+  const count = cloud.length;
+  const voxels = new VoxelTable(voxelSize, bounds);
+  const slotOf = new Uint32Array(count);
+  for (let i = 0; i < count; i++) {
+    if (onProgress && (i & PROGRESS_INTERVAL) === 0) onProgress(i / count);
+    slotOf[i] = voxels.voxelOf(position[i * 3], position[i * 3 + 1], position[i * 3 + 2]);
+  }
+  return { slotOf, voxelCount: voxels.size };
+}
+
+/**
+ * Occupied voxels of a grid, numbered in the order they are added
+ * An open-addressing hash table in typed arrays: a Set or Map can't hold more
+ * than 2^24 entries, fewer than the voxels of a large cloud. A voxel is keyed
+ * by one number when the grid cells can be counted exactly, else by its
+ * three grid coordinates.
+ */
+class VoxelTable {
+  constructor(voxelSize, { min, max }) {
+    this.voxelSize = voxelSize;
+    this.origin = min;
+    this.nx = Math.floor((max.x - min.x) / voxelSize) + 1;
+    this.ny = Math.floor((max.y - min.y) / voxelSize) + 1;
+    const nz = Math.floor((max.z - min.z) / voxelSize) + 1;
+    this.width = this.nx * this.ny * nz <= Number.MAX_SAFE_INTEGER ? 1 : 3;
+    this.size = 0;
+    this.keys = null;
+    this.slots = null;
+    this.resize(1024);
+  }
+
+  /**
+   * Number of the voxel holding (x, y, z), adding the voxel if it is new
+   */
+  voxelOf(x, y, z) {
+    const vx = Math.floor((x - this.origin.x) / this.voxelSize);
+    const vy = Math.floor((y - this.origin.y) / this.voxelSize);
+    const vz = Math.floor((z - this.origin.z) / this.voxelSize);
+    const a = this.width === 1 ? vx + this.nx * (vy + this.ny * vz) : vx;
+    const h = this.find(a, vy, vz);
+    if (this.slots[h] >= 0) return this.slots[h];
+    this.store(h, a, vy, vz, this.size);
+    // Keep the table at most 70% full
+    if (++this.size * 10 > this.slots.length * 7) this.resize(this.slots.length * 2);
+    return this.size - 1;
+  }
+
+  // Index of the entry for the key, or of the empty entry where it belongs
+  find(a, b, c) {
+    const { keys, slots, mask, width } = this;
+    let h = (width === 1 ? hashVoxel(a, a / 4294967296, 0) : hashVoxel(a, b, c)) & mask;
+    while (slots[h] >= 0) {
+      const k = h * width;
+      if (keys[k] === a && (width === 1 || (keys[k + 1] === b && keys[k + 2] === c))) return h;
+      h = (h + 1) & mask;
+    }
+    return h;
+  }
+
+  store(h, a, b, c, slot) {
+    const k = h * this.width;
+    this.keys[k] = a;
+    if (this.width === 3) {
+      this.keys[k + 1] = b;
+      this.keys[k + 2] = c;
+    }
+    this.slots[h] = slot;
+  }
+
+  resize(capacity) {
+    const { keys, slots, width } = this;
+    this.mask = capacity - 1;
+    this.keys = new Float64Array(capacity * width);
+    this.slots = new Int32Array(capacity).fill(-1);
+    if (!slots) return;
+    for (let h = 0; h < slots.length; h++) {
+      if (slots[h] < 0) continue;
+      const k = h * width;
+      const a = keys[k], b = width === 3 ? keys[k + 1] : 0, c = width === 3 ? keys[k + 2] : 0;
+      this.store(this.find(a, b, c), a, b, c, slots[h]);
+    }
+  }
+}
+
+// Mix three integers (taken modulo 2^32) into a 32-bit hash
+function hashVoxel(a, b, c) {
+  let h = Math.imul(a | 0, 0x9e3779b1) ^ Math.imul(b | 0, 0x85ebca77) ^ Math.imul(c | 0, 0xc2b2ae3d);
+  h ^= h >>> 15;
+  h = Math.imul(h, 0x2c1b3c6d);
+  h ^= h >>> 12;
+  return h >>> 0;
+}
+
+/**
+ * Group points into voxels of the given size and return one point per voxel
+ * Attributes are averaged over the points in the voxel (rounded for integer
+ * attributes such as colour); categorical ones take the most common value
+ */
+function voxelCentroids(cloud, voxelSize, bounds, onProgress) {
+  const count = cloud.length;
   
-  // Voxel size is based on average spacing multiplied by scale factor
-  // Use a minimum multiplier to avoid too-small voxels at high percentages
-  const voxelSize = avgSpacing * Math.max(scaleFactor - 0.98, 0.001);
+  // Assign each point to a voxel slot
+  const { slotOf, voxelCount } = assignVoxels(cloud, voxelSize, bounds, onProgress);
+  const pointsPerVoxel = new Uint32Array(voxelCount);
+  for (let i = 0; i < count; i++) pointsPerVoxel[slotOf[i]]++;
   
-  // Group points into voxels
-  const voxelMap = new Map();
+  // Points grouped by voxel (offsets into `members`), for the categorical attributes
+  const voxelStart = new Uint32Array(voxelCount + 1);
+  for (let slot = 0; slot < voxelCount; slot++) voxelStart[slot + 1] = voxelStart[slot] + pointsPerVoxel[slot];
+  let members = null;
+  const groupPoints = () => {
+    if (members) return;
+    members = new Uint32Array(count);
+    const fill = voxelStart.slice(0, voxelCount);
+    for (let i = 0; i < count; i++) members[fill[slotOf[i]]++] = i;
+  };
   
-  points.forEach(p => {
-    const vx = Math.floor((p.x - minX) / voxelSize);
-    const vy = Math.floor((p.y - minY) / voxelSize);
-    const vz = Math.floor((p.z - minZ) / voxelSize);
-    const key = `${vx},${vy},${vz}`;
+  // Calculate centroid (and mean attributes) for each voxel; labels such as
+  // classification take the most common value instead of the mean
+  const result = new PointCloud(voxelCount);
+  result.metadata = { ...cloud.metadata };
+  cloud.attributes.forEach((attribute, name) => {
+    const source = cloud.getAttribute(name);
+    const size = attribute.itemSize;
+    const target = result.addAttribute(name, attribute).array;
     
-    if (!voxelMap.has(key)) {
-      voxelMap.set(key, []);
+    if (attribute.categorical) {
+      groupPoints();
+      for (let slot = 0; slot < voxelCount; slot++) {
+        for (let c = 0; c < size; c++) {
+          target[slot * size + c] = mostCommon(source, members, voxelStart[slot], voxelStart[slot + 1], size, c);
+        }
+      }
+      return;
     }
-    voxelMap.get(key).push(p);
-  });
-  
-  // Calculate centroid for each voxel
-  const interiorResult = [];
-  voxelMap.forEach(voxelPoints => {
-    let sumX = 0, sumY = 0, sumZ = 0;
-    let sumR = 0, sumG = 0, sumB = 0;
-    let hasColor = false;
     
-    voxelPoints.forEach(p => {
-      sumX += p.x;
-      sumY += p.y;
-      sumZ += p.z;
-      if (p.r !== null) {
-        hasColor = true;
-        sumR += p.r;
-        sumG += p.g;
-        sumB += p.b;
-      }
-    });
+    const sums = new Float64Array(voxelCount * size);
+    for (let i = 0; i < count; i++) {
+      const slot = slotOf[i];
+      for (let c = 0; c < size; c++) sums[slot * size + c] += source[i * size + c];
+    }
     
-    const count = voxelPoints.length;
-    interiorResult.push({
-      x: sumX / count,
-      y: sumY / count,
-      z: sumZ / count,
-      r: hasColor ? Math.round(sumR / count) : null,
-      g: hasColor ? Math.round(sumG / count) : null,
-      b: hasColor ? Math.round(sumB / count) : null
-    });
+    const isInteger = !(target instanceof Float32Array || target instanceof Float64Array);
+    for (let slot = 0; slot < voxelCount; slot++) {
+      for (let c = 0; c < size; c++) {
+        const mean = sums[slot * size + c] / pointsPerVoxel[slot];
+        target[slot * size + c] = isInteger ? Math.round(mean) : mean;
+      }
+    }
   });
   
+  // Averaged normals are shorter than unit length
+  const normal = result.getDescriptor('normal');
+  if (normal) normalizeVectors(normal.array);
+  result.count = voxelCount;
+  
   // Return downsampled interior points
-  return interiorResult;
+  return result;
+}
+
+/**
+ * Most common value of component `c` among members[start..end) (ties go to
+ * the value seen first)
+ */
+const valueCounts = new Map();
+function mostCommon(source, members, start, end, size, c) {
+  if (end - start === 1) return source[members[start] * size + c];
+  valueCounts.clear();
+  let best = 0;
+  let bestCount = 0;
+  for (let m = start; m < end; m++) {
+    const value = source[members[m] * size + c];
+    const n = (valueCounts.get(value) || 0) + 1;
+    valueCounts.set(value, n);
+    if (n > bestCount) {
+      best = value;
+      bestCount = n;
+    }
+  }
+  return best;
+}
+
+function normalizeVectors(vectors) {
+  for (let i = 0; i < vectors.length; i += 3) {
+    const length = Math.hypot(vectors[i], vectors[i + 1], vectors[i + 2]);
+    if (length === 0) continue;
+    vectors[i] /= length;
+    vectors[i + 1] /= length;
+    vectors[i + 2] /= length;
+  }
 }
 
 /**
  * Method 2: Z-Gradient Based Downsampling
  * Keeps more points in areas with high Z-variation (slopes, edges)
+ * The slope of each point comes from a plane fitted to its k nearest
+ * neighbours in XY, so it doesn't depend on file units.
+ * Options:
+ *  - neighbours: neighbourhood size for the slope estimate
+ *  - seed: random seed; the same seed gives the same result
+ *  - minDensity: share of the kept points spread evenly over the XY extent,
+ *    so flat areas keep a minimum density instead of vanishing
  */
-export function zGradientDownsampling(points, targetPercentage) {
-  if (targetPercentage >= 100) return [...points];
-  if (points.length === 0) return [];
+export function zGradientDownsampling(cloud, targetPercentage, {
+  neighbours = 8,
+  seed = 1,
+  minDensity = 0.2,
+  onProgress
+} = {}) {
+  if (targetPercentage >= 100) return cloud.clone();
+  if (cloud.length === 0) return cloud.clone();
   
-  const targetCount = Math.max(1, Math.floor(points.length * targetPercentage / 100));
+  const count = cloud.length;
+  const targetCount = Math.max(1, Math.floor(count * targetPercentage / 100));
+  const random = createRandom(seed);
   
   // Calculate Z-gradient importance for all points
-  const pointsWithGradient = points.map((p, idx) => {
-    // Sample nearby points to estimate local Z-gradient
-    let maxZDiff = 0;
-    const sampleSize = Math.min(10, points.length - 1);
+  const gradients = computeSlopes(cloud, neighbours, onProgress);
+  const randoms = new Float64Array(count); // Add randomness for tie-breaking
+  for (let i = 0; i < count; i++) randoms[i] = random();
+  
+  // Reserve part of the budget for even XY coverage
+  const keep = new Uint8Array(count);
+  let kept = selectEvenCoverage(cloud, Math.round(targetCount * minDensity), randoms, keep);
+  
+  // Sort by gradient (descending) - keep high-gradient points
+  const order = Array.from({ length: count }, (_, i) => i);
+  order.sort((a, b) => (gradients[b] - gradients[a]) || (randoms[b] - randoms[a]));
+  
+  // Fill the rest of the budget with the steepest points
+  for (let i = 0; i < count && kept < targetCount; i++) {
+    if (!keep[order[i]]) {
+      keep[order[i]] = 1;
+      kept++;
+    }
+  }
+  
+  // Keep the points in their original order
+  const indices = new Uint32Array(kept);
+  for (let i = 0, n = 0; i < count; i++) {
+    if (keep[i]) indices[n++] = i;
+  }
+  return cloud.select(indices);
+}
+
+/**
+ * Slope (|dz/dxy|) of each point from a least-squares plane through the point
+ * and its k nearest XY neighbours
+ */
+function computeSlopes(cloud, neighbours, onProgress) {
+  const count = cloud.length;
+  const position = cloud.getAttribute('position');
+  const index = getSpatialIndex(cloud, 2);
+  const slopes = new Float32Array(count);
+  const k = Math.max(2, Math.min(neighbours, count - 1));
+  
+  for (let idx = 0; idx < count; idx++) {
+    if (onProgress && (idx & PROGRESS_INTERVAL) === 0) onProgress(idx / count);
+    const px = position[idx * 3], py = position[idx * 3 + 1], pz = position[idx * 3 + 2];
+    const { indices } = index.knn(px, py, pz, k, { exclude: idx });
     
-    for (let i = 0; i < sampleSize; i++) {
-      const neighborIdx = Math.floor(Math.random() * points.length);
-      if (neighborIdx !== idx) {
-        const neighbor = points[neighborIdx];
-        const dx = p.x - neighbor.x;
-        const dy = p.y - neighbor.y;
-        const dz = Math.abs(p.z - neighbor.z);
-        const xyDist = Math.sqrt(dx * dx + dy * dy);
-        
-        // Only consider nearby points (within reasonable XY distance)
-        if (xyDist > 0 && xyDist < 10) {
-          const gradient = dz / xyDist; // Z change per unit XY distance
-          maxZDiff = Math.max(maxZDiff, gradient);
-        }
-      }
+    // Centred sums over the point and its neighbours (relative to the point)
+    let n = 1, sx = 0, sy = 0, sz = 0, sxx = 0, syy = 0, sxy = 0, sxz = 0, syz = 0;
+    let maxGradient = 0;
+    for (let j = 0; j < indices.length; j++) {
+      const q = indices[j] * 3;
+      const dx = position[q] - px;
+      const dy = position[q + 1] - py;
+      const dz = position[q + 2] - pz;
+      n++;
+      sx += dx; sy += dy; sz += dz;
+      sxx += dx * dx; syy += dy * dy; sxy += dx * dy;
+      sxz += dx * dz; syz += dy * dz;
+      
+      const xyDist = Math.sqrt(dx * dx + dy * dy);
+      if (xyDist > 0) maxGradient = Math.max(maxGradient, Math.abs(dz) / xyDist);
     }
     
-    return {
-      point: p,
-      gradient: maxZDiff,
-      random: Math.random() // Add randomness for tie-breaking
-    };
-  });
-  
-  // Sort by gradient (descending) - keep high-gradient points
-  pointsWithGradient.sort((a, b) => {
-    const gradientDiff = b.gradient - a.gradient;
-    if (Math.abs(gradientDiff) < 0.001) {
-      return b.random - a.random; // Use random for similar gradients
+    const cxx = sxx - sx * sx / n;
+    const cyy = syy - sy * sy / n;
+    const cxy = sxy - sx * sy / n;
+    const cxz = sxz - sx * sz / n;
+    const cyz = syz - sy * sz / n;
+    const det = cxx * cyy - cxy * cxy;
+    
+    if (det > 1e-12 * (cxx + cyy) * (cxx + cyy)) {
+      // z = a*x + b*y + c
+      const a = (cxz * cyy - cyz * cxy) / det;
+      const b = (cyz * cxx - cxz * cxy) / det;
+      slopes[idx] = Math.sqrt(a * a + b * b);
+    } else {
+      // Neighbours on a line (or duplicates): no plane, use the steepest pair
+      slopes[idx] = maxGradient;
     }
-    return gradientDiff;
-  });
+  }
+  
+  return slopes;
+}
+
+/**
+ * Mark about `budget` points spread evenly over the XY extent, one per grid cell
+ * Returns the number of points marked in `keep`
+ */
+function selectEvenCoverage(cloud, budget, randoms, keep) {
+  if (budget <= 0) return 0;
+  
+  const count = cloud.length;
+  const position = cloud.getAttribute('position');
+  const { min, max } = cloud.computeBounds();
+  const area = Math.max((max.x - min.x) * (max.y - min.y), Number.MIN_VALUE);
+  const cellSize = Math.sqrt(area / budget) || 1;
+  const nx = Math.floor((max.x - min.x) / cellSize) + 1;
+  
+  // The point with the highest random value represents its cell
+  const cells = new Map();
+  for (let i = 0; i < count; i++) {
+    const cx = Math.floor((position[i * 3] - min.x) / cellSize);
+    const cy = Math.floor((position[i * 3 + 1] - min.y) / cellSize);
+    const key = cx + cy * nx;
+    const current = cells.get(key);
+    if (current === undefined || randoms[i] > randoms[current]) cells.set(key, i);
+  }
   
-  // Take top targetCount points
-  return pointsWithGradient.slice(0, targetCount).map(item => item.point);
+  // Occupied cells can outnumber the budget on irregular outlines
+  const candidates = Array.from(cells.values()).sort((a, b) => randoms[b] - randoms[a]);
+  const selected = Math.min(budget, candidates.length);
+  for (let i = 0; i < selected; i++) keep[candidates[i]] = 1;
+  return selected;
+}
+
+/**
+ * Small seeded PRNG (mulberry32) returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
 }
 
 /**
  * Apply the selected reduction method
  */
-export function reducePointCloud(points, method, targetPercentage) {
+export function reducePointCloud(cloud, method, targetPercentage, options = {}) {
   switch (method) {
     case 'voxel':
-      return voxelDownsampling(points, targetPercentage);
+      return voxelDownsampling(cloud, targetPercentage, options);
     case 'zgradient':
-      return zGradientDownsampling(points, targetPercentage);
+      return zGradientDownsampling(cloud, targetPercentage, options);
     default:
-      return points;
+      return cloud;
   }
 }
 
 /**
  * Invert Z-values of all points
+ * Normals are mirrored with the points (their Z component flips too)
  */
-export function invertZValues(points) {
-  return points.map(p => ({
-    x: p.x,
-    y: p.y,
-    z: -p.z,
-    r: p.r,
-    g: p.g,
-    b: p.b
-  }));
+export function invertZValues(cloud) {
+  const result = cloud.clone();
+  const position = result.getAttribute('position');
+  for (let i = 2; i < position.length; i += 3) {
+    position[i] = -position[i];
+  }
+  const normal = result.getAttribute('normal');
+  if (normal) {
+    for (let i = 2; i < normal.length; i += 3) normal[i] = -normal[i];
+  }
+  return result;
 }
 
 /**
  * Export points to XYZ format string
+ * Plain x y z [r g b] lines; when the cloud carries other attributes every
+ * one of them gets a column, named in a "# x y z ..." header line that
+ * parseXYZ reads back
  */
-export function exportToXYZ(points, decimalPlaces = 6) {
-  let output = '';
-  points.forEach(p => {
-    const x = p.x.toFixed(decimalPlaces);
-    const y = p.y.toFixed(decimalPlaces);
-    const z = p.z.toFixed(decimalPlaces);
-    if (p.r !== null && p.g !== null && p.b !== null) {
-      output += `${x} ${y} ${z} ${p.r} ${p.g} ${p.b}\n`;
-    } else {
-      output += `${x} ${y} ${z}\n`;
+export function exportToXYZ(cloud, decimalPlaces = 6) {
+  const position = cloud.getAttribute('position');
+  const columns = [];
+  cloud.attributeNames().forEach(name => {
+    if (name === 'position') return;
+    const descriptor = cloud.getDescriptor(name);
+    const values = cloud.getAttribute(name);
+    const names = descriptor.componentNames || [name];
+    for (let c = 0; c < descriptor.itemSize; c++) {
+      columns.push({ attribute: name, name: names[c] || `${name}${c}`, values, itemSize: descriptor.itemSize, component: c, format: valueFormatter(values) });
     }
   });
-  return output;
+
+  const plain = columns.every(column => column.attribute === 'color');
+  const lines = new Array(cloud.length);
+  for (let i = 0; i < cloud.length; i++) {
+    let line = `${position[i * 3].toFixed(decimalPlaces)} ${position[i * 3 + 1].toFixed(decimalPlaces)} ${position[i * 3 + 2].toFixed(decimalPlaces)}`;
+    for (let c = 0; c < columns.length; c++) {
+      const column = columns[c];
+      line += ' ' + column.format(column.values[i * column.itemSize + column.component]);
+    }
+    lines[i] = line + '\n';
+  }
+  if (!plain) lines.unshift(`# x y z ${columns.map(column => column.name).join(' ')}\n`);
+  return lines.join('');
+}
+
+// float32 values are printed with the fewest digits that read back the same
+function valueFormatter(values) {
+  if (!(values instanceof Float32Array)) return value => String(value);
+  return value => {
+    for (let digits = 6; digits < 9; digits++) {
+      const text = String(Number(value.toPrecision(digits)));
+      if (Math.fround(Number(text)) === value) return text;
+    }
+    return String(Number(value.toPrecision(9)));
+  };
 }
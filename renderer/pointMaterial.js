@@ -0,0 +1,297 @@
+import * as THREE from './lib/three.module.js';
+import { fieldColorTable, classPaletteTable, NO_VALUE_COLOR } from './fieldColoring.js';
+import { CLIP_MODES, MAX_CLIP_PLANES, clippingActive, localClipping } from './clipping.js';
+
+/**
+ * Point material
+ * ShaderMaterial for point clouds. Sizes are fixed pixels, attenuated world
+ * units or adaptive (a multiple of the local point spacing, from the
+ * `spacing` attribute). Splats are cut round in the fragment shader, and
+ * paraboloid splats also bulge towards the viewer in depth so overlapping
+ * splats intersect like a surface. Colours come from the RGB attribute, a
+ * field looked up in a colour table texture, or the class palette; changing
+ * them only touches uniforms and textures, never the geometry. Clipping
+ * (see clipping.js) hides or dims points in the vertex shader the same way.
+ */
+
+export const SIZE_MODES = { fixed: 0, attenuated: 1, adaptive: 2 };
+const COLOR_MODES = { rgb: 0, field: 1, z: 2, classes: 3 };
+const COLOR_TABLE_SIZE = 1024;
+
+const vertexShader = `
+uniform float size;
+uniform int sizeMode;
+uniform float pixelRatio;
+uniform float viewportHeight;
+uniform float minSize;
+uniform float maxSize;
+
+uniform int colorMode;
+uniform float fieldMin;
+uniform float fieldMax;
+uniform bool clampRange;
+uniform sampler2D colorTable;
+uniform sampler2D classPalette;
+uniform vec3 noValueColor;
+
+uniform int clipMode;
+uniform bool clipBoxEnabled;
+uniform vec3 clipBoxMin;
+uniform vec3 clipBoxMax;
+uniform int clipPlaneCount;
+uniform vec4 clipPlanes[${MAX_CLIP_PLANES}];
+
+attribute float field;
+attribute float spacing;
+
+varying vec3 vColor;
+#ifdef PARABOLOID_SPLATS
+varying vec3 vViewPosition;
+varying float vRadius;
+#endif
+
+vec3 fieldColor(float value) {
+  if (value != value) return noValueColor;
+  float span = fieldMax - fieldMin;
+  float t = span > 0.0 ? (value - fieldMin) / span : 0.5;
+  if (!clampRange && (t < 0.0 || t > 1.0)) return noValueColor;
+  t = clamp(t, 0.0, 1.0);
+  return texture2D(colorTable, vec2((t * ${COLOR_TABLE_SIZE - 1}.0 + 0.5) / ${COLOR_TABLE_SIZE}.0, 0.5)).rgb;
+}
+
+bool inClipRegion(vec3 p) {
+  if (clipBoxEnabled && (any(lessThan(p, clipBoxMin)) || any(greaterThan(p, clipBoxMax)))) return false;
+  for (int i = 0; i < ${MAX_CLIP_PLANES}; i++) {
+    if (i >= clipPlaneCount) break;
+    if (dot(clipPlanes[i].xyz, p) + clipPlanes[i].w < 0.0) return false;
+  }
+  return true;
+}
+
+void main() {
+  bool dimmed = false;
+  if (clipMode != ${CLIP_MODES.off}) {
+    bool inside = inClipRegion(position);
+    if ((clipMode == ${CLIP_MODES.inside} && !inside) || (clipMode == ${CLIP_MODES.outside} && inside)) {
+      // Outside the clip volume: nothing is rasterised
+      gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+      gl_PointSize = 0.0;
+      return;
+    }
+    dimmed = clipMode == ${CLIP_MODES.highlight} && !inside;
+  }
+
+  vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+  gl_Position = projectionMatrix * mvPosition;
+
+  // Device pixels per world unit at this depth
+  float pixelsPerUnit = projectionMatrix[1][1] * viewportHeight * 0.5 / -mvPosition.z;
+  float pointSize = size * pixelRatio;
+  if (sizeMode == ${SIZE_MODES.attenuated}) pointSize = size * pixelsPerUnit;
+  else if (sizeMode == ${SIZE_MODES.adaptive}) pointSize = size * spacing * pixelsPerUnit;
+  gl_PointSize = clamp(pointSize, minSize * pixelRatio, maxSize * pixelRatio);
+
+#ifdef PARABOLOID_SPLATS
+  vViewPosition = mvPosition.xyz;
+  vRadius = gl_PointSize * 0.5 / pixelsPerUnit;
+#endif
+
+  if (colorMode == ${COLOR_MODES.field}) {
+    vColor = fieldColor(field);
+  } else if (colorMode == ${COLOR_MODES.z}) {
+    vColor = fieldColor(position.z);
+  } else if (colorMode == ${COLOR_MODES.classes}) {
+    vColor = texture2D(classPalette, vec2((field + 0.5) / 256.0, 0.5)).rgb;
+  } else {
+#ifdef USE_COLOR
+    vColor = color;
+#else
+    vColor = vec3(1.0);
+#endif
+  }
+  // Points outside the clip region in 'highlight' mode fade to grey
+  if (dimmed) vColor = mix(vColor, vec3(0.3), 0.75);
+}
+`;
+
+const fragmentShader = `
+varying vec3 vColor;
+#ifdef PARABOLOID_SPLATS
+uniform mat4 projectionMatrix;
+varying vec3 vViewPosition;
+varying float vRadius;
+#endif
+
+void main() {
+  vec2 coord = gl_PointCoord * 2.0 - 1.0;
+  float r2 = dot(coord, coord);
+  if (r2 > 1.0) discard;
+
+#ifdef PARABOLOID_SPLATS
+  // The centre of the splat is nearer to the viewer than its rim
+  vec4 clipPosition = projectionMatrix * vec4(vViewPosition + vec3(0.0, 0.0, (1.0 - r2) * vRadius), 1.0);
+  gl_FragDepthEXT = clipPosition.z / clipPosition.w * 0.5 + 0.5;
+#endif
+
+  gl_FragColor = vec4(vColor, 1.0);
+}
+`;
+
+let classPalette = null;
+
+export function createPointMaterial() {
+  if (!classPalette) classPalette = dataTexture(classPaletteTable(), 256, THREE.NearestFilter);
+  return new THREE.ShaderMaterial({
+    uniforms: {
+      size: { value: 3 },
+      sizeMode: { value: SIZE_MODES.fixed },
+      pixelRatio: { value: 1 },
+      viewportHeight: { value: 1 },
+      minSize: { value: 1 },
+      maxSize: { value: 64 },
+      colorMode: { value: COLOR_MODES.rgb },
+      fieldMin: { value: 0 },
+      fieldMax: { value: 1 },
+      clampRange: { value: true },
+      colorTable: { value: null },
+      classPalette: { value: classPalette },
+      noValueColor: { value: new THREE.Color(...NO_VALUE_COLOR.map(v => v / 255)) },
+      clipMode: { value: CLIP_MODES.off },
+      clipBoxEnabled: { value: false },
+      clipBoxMin: { value: new THREE.Vector3() },
+      clipBoxMax: { value: new THREE.Vector3() },
+      clipPlaneCount: { value: 0 },
+      clipPlanes: { value: Array.from({ length: MAX_CLIP_PLANES }, () => new THREE.Vector4()) }
+    },
+    vertexShader,
+    fragmentShader,
+    extensions: { fragDepth: true }
+  });
+}
+
+/**
+ * Size of the drawing buffer (device pixels), needed for world-unit sizes
+ */
+export function setPointViewport(material, height, pixelRatio) {
+  material.uniforms.viewportHeight.value = height * pixelRatio;
+  material.uniforms.pixelRatio.value = pixelRatio;
+}
+
+/**
+ * Point size: pixels ('fixed'), world units ('attenuated') or a multiple of
+ * the point spacing ('adaptive')
+ */
+export function setPointSize(material, mode, size) {
+  material.uniforms.sizeMode.value = SIZE_MODES[mode];
+  material.uniforms.size.value = size;
+}
+
+/**
+ * Splat shape: 'round' or 'paraboloid'
+ */
+export function setSplatShape(material, shape) {
+  const paraboloid = shape === 'paraboloid';
+  if (paraboloid === ('PARABOLOID_SPLATS' in material.defines)) return;
+  if (paraboloid) material.defines.PARABOLOID_SPLATS = '';
+  else delete material.defines.PARABOLOID_SPLATS;
+  material.needsUpdate = true;
+}
+
+/**
+ * Clip the points (see clipping.js); `origin` is the local origin the
+ * geometries drawn with the material are relative to
+ */
+export function setClipping(material, clipping, origin) {
+  const { uniforms } = material;
+  if (!clippingActive(clipping)) {
+    uniforms.clipMode.value = CLIP_MODES.off;
+    return;
+  }
+  const { box, planes } = localClipping(clipping, origin);
+  uniforms.clipMode.value = CLIP_MODES[clipping.mode];
+  uniforms.clipBoxEnabled.value = box !== null;
+  if (box) {
+    uniforms.clipBoxMin.value.set(box.min.x, box.min.y, box.min.z);
+    uniforms.clipBoxMax.value.set(box.max.x, box.max.y, box.max.z);
+  }
+  uniforms.clipPlaneCount.value = planes.length;
+  planes.forEach((plane, i) => uniforms.clipPlanes.value[i].fromArray(plane));
+}
+
+/**
+ * Offset subtracted from a source before it goes to the GPU: the minimum of
+ * double columns such as GPS time (which floats can't hold as they are), 0
+ * for everything else
+ */
+export function fieldOffset(cloud, source) {
+  const values = source === 'z' ? null : cloud.getAttribute(source);
+  if (!(values instanceof Float64Array)) return 0;
+  let offset = Infinity;
+  for (let i = 0; i < values.length; i++) if (values[i] < offset) offset = values[i];
+  return Number.isFinite(offset) ? offset : 0;
+}
+
+/**
+ * Material side of a colouring (shared by all geometries drawn with it);
+ * `cloud` supplies the values for histogram equalisation
+ */
+export function setColoringUniforms(material, cloud, coloring, offset = 0) {
+  const { uniforms } = material;
+  const { source } = coloring;
+  if (source === 'rgb') {
+    uniforms.colorMode.value = COLOR_MODES.rgb;
+    return;
+  }
+  if (source === 'classification') {
+    uniforms.colorMode.value = COLOR_MODES.classes;
+    return;
+  }
+
+  uniforms.colorMode.value = source === 'z' ? COLOR_MODES.z : COLOR_MODES.field;
+  uniforms.fieldMin.value = coloring.min - offset;
+  uniforms.fieldMax.value = coloring.max - offset;
+  uniforms.clampRange.value = coloring.clamp !== false;
+  if (uniforms.colorTable.value) uniforms.colorTable.value.dispose();
+  uniforms.colorTable.value = dataTexture(fieldColorTable(cloud, coloring, COLOR_TABLE_SIZE), COLOR_TABLE_SIZE, THREE.LinearFilter);
+}
+
+/**
+ * Whether the material reads the RGB attribute
+ */
+export function setVertexColors(material, hasColor) {
+  if (material.vertexColors === hasColor) return;
+  material.vertexColors = hasColor;
+  material.needsUpdate = true;
+}
+
+/**
+ * Geometry side of a colouring: point the `field` attribute at the column
+ * of the source (no copy). Double columns such as GPS time aren't in the
+ * geometry; they get a float copy with `offset` subtracted.
+ */
+export function bindColoringAttributes(geometry, cloud, source, offset = 0) {
+  if (source === 'rgb' || source === 'z') return;
+  if (geometry.hasAttribute(source)) {
+    geometry.setAttribute('field', geometry.getAttribute(source));
+    return;
+  }
+  const values = cloud.getAttribute(source);
+  if (!values) return;
+  const copies = geometry.userData.fieldCopies || (geometry.userData.fieldCopies = {});
+  const key = `${source}@${offset}`;
+  if (!copies[key]) {
+    const relative = new Float32Array(values.length);
+    for (let i = 0; i < values.length; i++) relative[i] = values[i] - offset;
+    copies[key] = new THREE.BufferAttribute(relative, 1);
+  }
+  geometry.setAttribute('field', copies[key]);
+}
+
+function dataTexture(rgba, width, filter) {
+  const texture = new THREE.DataTexture(rgba, width, 1, THREE.RGBAFormat);
+  texture.minFilter = filter;
+  texture.magFilter = filter;
+  texture.wrapS = THREE.ClampToEdgeWrapping;
+  texture.needsUpdate = true;
+  return texture;
+}
@@ -0,0 +1,132 @@
+import * as THREE from './lib/three.module.js';
+import { CLASSIFICATION_CLASSES, SOURCE_LABELS } from './fieldColoring.js';
+import { createPointMaterial, setPointSize, setVertexColors } from './pointMaterial.js';
+
+/**
+ * Point picking
+ * Finds the point under the pointer by projecting the drawn points to the
+ * screen: of the points within `radius` pixels, the one nearest to the
+ * pointer on the front-most surface wins (points further back are hidden
+ * behind it). Values are read from the PointCloud a drawn object was built
+ * from, so they are the model's double-precision global coordinates (of the
+ * reduced or Z-inverted cloud when that is what is drawn).
+ */
+
+// Points up to this much (relative) further from the camera than the
+// nearest one under the pointer count as the same surface
+const DEPTH_TOLERANCE = 0.01;
+
+// Labels of the components of multi-value attributes
+const COMPONENT_LABELS = {
+  position: ['X', 'Y', 'Z'],
+  color: ['Red', 'Green', 'Blue'],
+  normal: ['Normal X', 'Normal Y', 'Normal Z']
+};
+
+/**
+ * Point under the pointer
+ * targets: [{ points (THREE.Points), cloud (PointCloud it was built from) }]
+ * pointer: { x, y } in CSS pixels from the top left of the view
+ * viewport: { width, height } of the view in CSS pixels
+ * isShown(cloud, index), when given, skips the points it returns false for
+ * (clipped away, see pointShownTest in clipping.js)
+ * Returns { cloud, points, index, screenDistance } or null.
+ */
+export function pickPoint(targets, camera, pointer, viewport, { radius = 6, isShown = null } = {}) {
+  camera.updateMatrixWorld();
+  const matrix = new THREE.Matrix4();
+  const radiusSquared = radius * radius;
+  const candidates = [];
+  let nearest = Infinity;
+
+  targets.forEach(({ points, cloud }) => {
+    if (!points.visible) return;
+    points.updateMatrixWorld();
+    matrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse).multiply(points.matrixWorld);
+    const e = matrix.elements;
+    const position = points.geometry.getAttribute('position').array;
+    for (let i = 0, k = 0; k < position.length; i++, k += 3) {
+      const x = position[k], y = position[k + 1], z = position[k + 2];
+      const w = e[3] * x + e[7] * y + e[11] * z + e[15];
+      const clipZ = e[2] * x + e[6] * y + e[10] * z + e[14];
+      // Behind the camera or outside the near/far planes
+      if (w <= 0 || clipZ < -w || clipZ > w) continue;
+      const dx = ((e[0] * x + e[4] * y + e[8] * z + e[12]) / w + 1) * 0.5 * viewport.width - pointer.x;
+      const dy = (1 - (e[1] * x + e[5] * y + e[9] * z + e[13]) / w) * 0.5 * viewport.height - pointer.y;
+      const distanceSquared = dx * dx + dy * dy;
+      if (distanceSquared > radiusSquared) continue;
+      if (isShown && !isShown(cloud, i)) continue;
+      candidates.push({ cloud, points, index: i, depth: w, screenDistance: Math.sqrt(distanceSquared) });
+      if (w < nearest) nearest = w;
+    }
+  });
+
+  let best = null;
+  candidates.forEach(candidate => {
+    if (candidate.depth > nearest * (1 + DEPTH_TOLERANCE)) return;
+    if (!best || candidate.screenDistance < best.screenDistance) best = candidate;
+  });
+  if (!best) return null;
+  const { depth, ...picked } = best;
+  return picked;
+}
+
+/**
+ * Every value of a point: [{ attribute, label, value, text }], position first
+ */
+export function pointValues(cloud, index) {
+  const values = [];
+  cloud.attributeNames().forEach(name => {
+    const { itemSize, componentNames } = cloud.getDescriptor(name);
+    const column = cloud.getAttribute(name);
+    for (let c = 0; c < itemSize; c++) {
+      const value = column[index * itemSize + c];
+      const labels = COMPONENT_LABELS[name] || componentNames;
+      values.push({
+        attribute: name,
+        label: labels ? labels[c] : SOURCE_LABELS[name] || name,
+        value,
+        text: formatValue(name, value, column)
+      });
+    }
+  });
+  return values;
+}
+
+/**
+ * Values as tab-separated "label value" lines, for the clipboard
+ */
+export function formatPickedValues(values) {
+  return values.map(({ label, text }) => `${label}\t${text}`).join('\n');
+}
+
+/**
+ * Marker drawn over the picked point: a fixed-size disc on top of
+ * everything; place it with marker.position (global coordinates)
+ */
+export function createPickMarker() {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(3), 3));
+  geometry.setAttribute('color', new THREE.BufferAttribute(new Uint8Array([255, 214, 0]), 3, true));
+  const material = createPointMaterial();
+  setPointSize(material, 'fixed', 14);
+  setVertexColors(material, true);
+  material.depthTest = false;
+  material.depthWrite = false;
+
+  const marker = new THREE.Points(geometry, material);
+  marker.renderOrder = 1;
+  marker.frustumCulled = false;
+  marker.visible = false;
+  return marker;
+}
+
+function formatValue(name, value, column) {
+  if (name === 'classification') {
+    return CLASSIFICATION_CLASSES[value] ? `${value} (${CLASSIFICATION_CLASSES[value].name})` : String(value);
+  }
+  // Print floats with the precision they have
+  if (column instanceof Float32Array) return String(Number(value.toPrecision(7)));
+  if (column instanceof Float64Array) return String(Number(value.toFixed(6)));
+  return String(value);
+}
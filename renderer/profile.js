@@ -0,0 +1,169 @@
+/**
+ * Profiles
+ * A profile line is { start, end, width } in the cloud's own coordinates;
+ * only X and Y of its ends count. The points whose horizontal position lies
+ * between the ends and within width / 2 of the line make up a vertical
+ * cross-section, where each point sits at its distance along the line and
+ * its Z.
+ */
+
+/**
+ * Points of `cloud` in the corridor of `line`, ordered by distance along it
+ * Returns { line, cloud (the points, a new PointCloud), distance and offset
+ * (Float64Arrays: along the line, and sideways, left of it positive), length }.
+ */
+export function extractProfile(cloud, line) {
+  const { start, end, width } = line;
+  const length = Math.hypot(end.x - start.x, end.y - start.y);
+  const ux = length > 0 ? (end.x - start.x) / length : 0;
+  const uy = length > 0 ? (end.y - start.y) / length : 0;
+  const halfWidth = width / 2;
+  const position = cloud.getAttribute('position');
+
+  const found = [];
+  if (length > 0) {
+    for (let i = 0; i < cloud.length; i++) {
+      const rx = position[i * 3] - start.x;
+      const ry = position[i * 3 + 1] - start.y;
+      const along = rx * ux + ry * uy;
+      if (along < 0 || along > length) continue;
+      const offset = ry * ux - rx * uy;
+      if (Math.abs(offset) <= halfWidth) found.push({ index: i, along, offset });
+    }
+  }
+  found.sort((a, b) => a.along - b.along);
+
+  return {
+    line,
+    cloud: cloud.select(found.map(f => f.index)),
+    distance: Float64Array.from(found, f => f.along),
+    offset: Float64Array.from(found, f => f.offset),
+    length
+  };
+}
+
+/**
+ * Corners ({ x, y }) of the corridor of a profile line, going round
+ */
+export function profileCorridor({ start, end, width }) {
+  const length = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+  // Half the width, to the left of the line
+  const lx = -(end.y - start.y) / length * width / 2;
+  const ly = (end.x - start.x) / length * width / 2;
+  return [
+    { x: start.x + lx, y: start.y + ly },
+    { x: end.x + lx, y: end.y + ly },
+    { x: end.x - lx, y: end.y - ly },
+    { x: start.x - lx, y: start.y - ly }
+  ];
+}
+
+/**
+ * Mapping between profile coordinates (distance, z) and the pixels of a
+ * `width` x `height` plot with `margin` ({ left, right, top, bottom })
+ * round it; with equalScale a unit is as long across as it is up
+ * Returns { toPlot(distance, z) => { x, y }, fromPlot(x, y) => { distance, z },
+ * minZ, maxZ and maxDistance (what the plot spans), exaggeration (how much
+ * Z is stretched) }.
+ */
+export function profileTransform(profile, width, height, { margin, equalScale = false }) {
+  let minZ = Infinity, maxZ = -Infinity;
+  const position = profile.cloud.getAttribute('position');
+  for (let i = 2; i < position.length; i += 3) {
+    if (position[i] < minZ) minZ = position[i];
+    if (position[i] > maxZ) maxZ = position[i];
+  }
+  if (minZ > maxZ) minZ = maxZ = 0;
+  // Keep flat profiles (and empty ones) from dividing by zero
+  const zSpan = Math.max(maxZ - minZ, 1e-6);
+  const length = Math.max(profile.length, 1e-6);
+  const plotWidth = Math.max(1, width - margin.left - margin.right);
+  const plotHeight = Math.max(1, height - margin.top - margin.bottom);
+
+  let scaleX = plotWidth / length;
+  let scaleY = plotHeight / zSpan;
+  if (equalScale) scaleX = scaleY = Math.min(scaleX, scaleY);
+  // Centre Z in the plot
+  const zBase = (minZ + maxZ) / 2 - plotHeight / scaleY / 2;
+
+  return {
+    minZ: zBase,
+    maxZ: zBase + plotHeight / scaleY,
+    maxDistance: plotWidth / scaleX,
+    exaggeration: scaleY / scaleX,
+    toPlot: (distance, z) => ({
+      x: margin.left + distance * scaleX,
+      y: margin.top + plotHeight - (z - zBase) * scaleY
+    }),
+    fromPlot: (x, y) => ({
+      distance: (x - margin.left) / scaleX,
+      z: zBase + (margin.top + plotHeight - y) / scaleY
+    })
+  };
+}
+
+/**
+ * Index of the profile point drawn nearest to plot position `at`, within
+ * `radius` pixels, or -1
+ */
+export function nearestProfilePoint(profile, transform, at, radius = 8) {
+  const position = profile.cloud.getAttribute('position');
+  let nearest = -1;
+  let best = radius * radius;
+  for (let i = 0; i < profile.distance.length; i++) {
+    const p = transform.toPlot(profile.distance[i], position[i * 3 + 2]);
+    const d = (p.x - at.x) ** 2 + (p.y - at.y) ** 2;
+    if (d <= best) {
+      best = d;
+      nearest = i;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Quantities between two profile positions ({ distance, z }), in the form
+ * measure() (measurements.js) gives them
+ */
+export function measureProfile(a, b) {
+  const along = b.distance - a.distance;
+  const dz = b.z - a.z;
+  return [
+    { name: 'distance', label: 'Distance', value: Math.hypot(along, dz), kind: 'length' },
+    { name: 'along', label: 'Along', value: along, kind: 'length' },
+    { name: 'dz', label: 'ΔZ', value: dz, kind: 'length' },
+    { name: 'slope', label: 'Slope', value: along !== 0 ? dz / along * 100 : NaN, kind: 'percent' }
+  ];
+}
+
+/**
+ * Round tick values covering min..max, about `count` of them
+ */
+export function profileTicks(min, max, count = 6) {
+  const span = max - min;
+  if (!(span > 0)) return [min];
+  const rough = span / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+  const ticks = [];
+  for (let n = Math.ceil(min / step); n * step <= max; n++) ticks.push(Number((n * step).toPrecision(12)));
+  return ticks;
+}
+
+/**
+ * CSV of the profile points: distance along, offset, x, y, z
+ */
+export function profileToCSV(profile, decimalPlaces = 6) {
+  const position = profile.cloud.getAttribute('position');
+  const lines = ['distance,offset,x,y,z'];
+  for (let i = 0; i < profile.distance.length; i++) {
+    lines.push([
+      profile.distance[i],
+      profile.offset[i],
+      position[i * 3],
+      position[i * 3 + 1],
+      position[i * 3 + 2]
+    ].map(value => value.toFixed(decimalPlaces)).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
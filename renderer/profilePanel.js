@@ -0,0 +1,154 @@
+import { sampleColorMap } from './colorMaps.js';
+import { formatQuantity } from './measurements.js';
+import { profileTransform, nearestProfilePoint, measureProfile, profileTicks } from './profile.js';
+
+/**
+ * Profile panel
+ * Plots a profile (see profile.js) as distance along the line against Z,
+ * in the cloud's RGB or coloured by Z. Two clicks in the plot measure
+ * between them, snapping to the nearest point; a third starts over.
+ */
+
+const HEIGHT = 240;
+const MARGIN = { left: 64, right: 14, top: 10, bottom: 26 };
+const SNAP_RADIUS = 8;
+const MEASURE_COLOR = '#d81b60';
+
+// The profile shown, the ends picked for measuring ({ distance, z }) and
+// the plot mapping of the last drawing
+let shown = null;
+let measured = [];
+let transform = null;
+
+/**
+ * Show `profile`; onExport('csv' | 'xyz') saves its points, onClose is
+ * called when the panel is closed
+ */
+export function showProfilePanel(profile, { onExport, onClose }) {
+  shown = profile;
+  measured = [];
+  const canvas = document.getElementById('profileCanvas');
+  canvas.onclick = e => {
+    if (!transform) return;
+    const at = { x: e.offsetX, y: e.offsetY };
+    const i = nearestProfilePoint(shown, transform, at, SNAP_RADIUS);
+    if (measured.length >= 2) measured = [];
+    measured.push(i >= 0 ? { distance: shown.distance[i], z: shown.cloud.getZ(i) } : transform.fromPlot(at.x, at.y));
+    drawProfile();
+  };
+  canvas.onmousemove = e => {
+    if (!transform) return;
+    const { distance, z } = transform.fromPlot(e.offsetX, e.offsetY);
+    document.getElementById('profileCursor').textContent = `Distance ${distance.toFixed(2)}, Z ${z.toFixed(2)}`;
+  };
+  document.getElementById('profileEqualScale').onchange = drawProfile;
+  document.getElementById('exportProfileCSV').onclick = () => onExport('csv');
+  document.getElementById('exportProfileXYZ').onclick = () => onExport('xyz');
+  document.getElementById('exportProfileCSV').disabled = profile.cloud.length === 0;
+  document.getElementById('exportProfileXYZ').disabled = profile.cloud.length === 0;
+  document.getElementById('closeProfile').onclick = onClose;
+
+  document.getElementById('profilePanel').style.display = 'block';
+  drawProfile();
+}
+
+export function hideProfilePanel() {
+  shown = null;
+  transform = null;
+  document.getElementById('profilePanel').style.display = 'none';
+}
+
+function drawProfile() {
+  if (!shown) return;
+  const canvas = document.getElementById('profileCanvas');
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  canvas.width = width * ratio;
+  canvas.height = HEIGHT * ratio;
+  canvas.style.height = `${HEIGHT}px`;
+  const ctx = canvas.getContext('2d');
+  ctx.scale(ratio, ratio);
+  ctx.font = '11px Arial, sans-serif';
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, width, HEIGHT);
+
+  const equalScale = document.getElementById('profileEqualScale').checked;
+  transform = profileTransform(shown, width, HEIGHT, { margin: MARGIN, equalScale });
+  drawAxes(ctx, width);
+  drawPoints(ctx);
+  drawMeasurement(ctx);
+
+  const { line, cloud, length } = shown;
+  document.getElementById('profileInfo').textContent =
+    `${cloud.length.toLocaleString()} points, length ${length.toFixed(2)}, corridor width ${line.width}, ` +
+    `vertical exaggeration ×${transform.exaggeration.toPrecision(3)}`;
+  document.getElementById('profileMeasurement').textContent = measured.length === 2
+    ? measureProfile(measured[0], measured[1]).map(q => `${q.label} ${formatQuantity(q)}`).join(', ')
+    : 'Click two points to measure.';
+}
+
+// Grid lines with distance ticks along the bottom and Z up the left
+function drawAxes(ctx, width) {
+  const bottom = HEIGHT - MARGIN.bottom;
+  ctx.strokeStyle = '#e0e0e0';
+  ctx.fillStyle = '#333';
+  ctx.lineWidth = 1;
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  profileTicks(0, transform.maxDistance, Math.max(2, Math.floor(width / 90))).forEach(distance => {
+    const { x } = transform.toPlot(distance, 0);
+    line(ctx, x, MARGIN.top, x, bottom);
+    ctx.fillText(String(distance), x, bottom + 4);
+  });
+
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  profileTicks(transform.minZ, transform.maxZ, 5).forEach(z => {
+    const { y } = transform.toPlot(0, z);
+    line(ctx, MARGIN.left, y, width - MARGIN.right, y);
+    ctx.fillText(String(z), MARGIN.left - 4, y);
+  });
+
+  ctx.strokeStyle = '#888';
+  ctx.strokeRect(MARGIN.left + 0.5, MARGIN.top + 0.5, width - MARGIN.left - MARGIN.right - 1, bottom - MARGIN.top - 1);
+}
+
+function drawPoints(ctx) {
+  const { cloud, distance } = shown;
+  const color = cloud.getAttribute('color');
+  const position = cloud.getAttribute('position');
+  let minZ = Infinity, maxZ = -Infinity;
+  for (let i = 0; i < cloud.length; i++) {
+    minZ = Math.min(minZ, position[i * 3 + 2]);
+    maxZ = Math.max(maxZ, position[i * 3 + 2]);
+  }
+  for (let i = 0; i < cloud.length; i++) {
+    const z = position[i * 3 + 2];
+    const rgb = color
+      ? [color[i * 3], color[i * 3 + 1], color[i * 3 + 2]]
+      : sampleColorMap('viridis', maxZ > minZ ? (z - minZ) / (maxZ - minZ) : 0.5).map(c => Math.round(c * 255));
+    const { x, y } = transform.toPlot(distance[i], z);
+    ctx.fillStyle = `rgb(${rgb.join(',')})`;
+    ctx.fillRect(x - 1, y - 1, 2, 2);
+  }
+}
+
+function drawMeasurement(ctx) {
+  const ends = measured.map(p => transform.toPlot(p.distance, p.z));
+  ctx.strokeStyle = ctx.fillStyle = MEASURE_COLOR;
+  ctx.lineWidth = 1.5;
+  if (ends.length === 2) line(ctx, ends[0].x, ends[0].y, ends[1].x, ends[1].y);
+  ends.forEach(({ x, y }) => {
+    ctx.beginPath();
+    ctx.arc(x, y, 3.5, 0, Math.PI * 2);
+    ctx.fill();
+  });
+}
+
+function line(ctx, x0, y0, x1, y1) {
+  ctx.beginPath();
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x1, y1);
+  ctx.stroke();
+}
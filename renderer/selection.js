@@ -0,0 +1,108 @@
+/**
+ * Selection
+ * Screen-space selection of points: a polygon drawn over the view (a lasso,
+ * or the corners of a rectangle) selects every point that projects into it
+ * through the camera, however deep. A selection is a mask, a Uint8Array
+ * with 1 for each selected point of the cloud.
+ */
+
+/**
+ * Corners of the rectangle spanned by two pointer positions
+ */
+export function rectanglePolygon(a, b) {
+  return [{ x: a.x, y: a.y }, { x: b.x, y: a.y }, { x: b.x, y: b.y }, { x: a.x, y: b.y }];
+}
+
+/**
+ * Area of a polygon in square pixels (however it winds)
+ */
+export function polygonArea(polygon) {
+  let twice = 0;
+  for (let i = 0; i < polygon.length; i++) {
+    const a = polygon[i];
+    const b = polygon[(i + 1) % polygon.length];
+    twice += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(twice) / 2;
+}
+
+/**
+ * Whether (x, y) is inside the polygon (even-odd rule, so a lasso that
+ * crosses itself leaves holes where it overlaps)
+ */
+export function pointInPolygon(x, y, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Mask of the points of `cloud` that project into `polygon` ({ x, y } in
+ * CSS pixels from the top left of the view)
+ * viewport: { width, height } of the view in CSS pixels
+ * invertZ: the cloud is drawn with Z negated
+ * skip: mask of points to leave out (removed by edits)
+ * isShown(x, y, z): whether a point at that drawn position is drawn
+ * (see positionShownTest in clipping.js)
+ */
+export function selectPoints(cloud, camera, polygon, viewport, { invertZ = false, skip = null, isShown = null } = {}) {
+  const mask = new Uint8Array(cloud.length);
+  if (polygon.length < 3) return mask;
+  camera.updateMatrixWorld();
+  const e = camera.projectionMatrix.clone().multiply(camera.matrixWorldInverse).elements;
+
+  // Points outside the polygon's bounds are skipped before the full test
+  let left = Infinity, right = -Infinity, top = Infinity, bottom = -Infinity;
+  polygon.forEach(({ x, y }) => {
+    left = Math.min(left, x);
+    right = Math.max(right, x);
+    top = Math.min(top, y);
+    bottom = Math.max(bottom, y);
+  });
+
+  const position = cloud.getAttribute('position');
+  const zSign = invertZ ? -1 : 1;
+  for (let i = 0; i < cloud.length; i++) {
+    if (skip && skip[i]) continue;
+    const x = position[i * 3], y = position[i * 3 + 1], z = position[i * 3 + 2] * zSign;
+    const w = e[3] * x + e[7] * y + e[11] * z + e[15];
+    const clipZ = e[2] * x + e[6] * y + e[10] * z + e[14];
+    // Behind the camera or outside the near/far planes
+    if (w <= 0 || clipZ < -w || clipZ > w) continue;
+    const sx = ((e[0] * x + e[4] * y + e[8] * z + e[12]) / w + 1) * 0.5 * viewport.width;
+    const sy = (1 - (e[1] * x + e[5] * y + e[9] * z + e[13]) / w) * 0.5 * viewport.height;
+    if (sx < left || sx > right || sy < top || sy > bottom) continue;
+    if (!pointInPolygon(sx, sy, polygon)) continue;
+    if (isShown && !isShown(x, y, z)) continue;
+    mask[i] = 1;
+  }
+  return mask;
+}
+
+/**
+ * Combine a new selection with the current one (null for none):
+ * 'replace', 'add' or 'subtract'
+ */
+export function combineSelection(current, mask, mode = 'replace') {
+  if (!current || mode === 'replace') return mask;
+  const result = new Uint8Array(mask.length);
+  for (let i = 0; i < mask.length; i++) {
+    result[i] = mode === 'add' ? current[i] | mask[i] : current[i] & (mask[i] ^ 1);
+  }
+  return result;
+}
+
+/**
+ * Indices where the mask is 1
+ */
+export function maskIndices(mask) {
+  let count = 0;
+  for (let i = 0; i < mask.length; i++) count += mask[i];
+  const indices = new Uint32Array(count);
+  for (let i = 0, k = 0; i < mask.length; i++) if (mask[i]) indices[k++] = i;
+  return indices;
+}
@@ -0,0 +1,238 @@
+/**
+ * Spatial Index Module
+ * k-d tree over the positions of a PointCloud for nearest-neighbour,
+ * radius and box queries. Build it once per cloud through getSpatialIndex()
+ * so the stats panel, reducers and picking share the same tree.
+ */
+
+// Ranges this small are scanned linearly instead of being split further
+const LEAF_SIZE = 16;
+
+export class KDTree {
+  /**
+   * dimensions: 3 for XYZ distances, 2 for XY-only (top-view) distances
+   */
+  constructor(cloud, dimensions = 3) {
+    this.position = cloud.getAttribute('position');
+    this.dimensions = dimensions;
+    this.count = cloud.length;
+    this.indices = new Uint32Array(this.count);
+    for (let i = 0; i < this.count; i++) this.indices[i] = i;
+    // Split axis of the node whose median sits at this slot of `indices`
+    this.axes = new Uint8Array(this.count);
+
+    if (this.count > 0) {
+      const { min, max } = cloud.computeBounds();
+      this.build(0, this.count, [min.x, min.y, min.z], [max.x, max.y, max.z]);
+    }
+  }
+
+  /**
+   * Split the range at the median of the widest side of its bounding box
+   * The box is narrowed at each split instead of rescanning the points
+   */
+  build(start, end, lo, hi) {
+    if (end - start <= LEAF_SIZE) return;
+
+    let axis = 0;
+    for (let a = 1; a < this.dimensions; a++) {
+      if (hi[a] - lo[a] > hi[axis] - lo[axis]) axis = a;
+    }
+    const mid = (start + end) >> 1;
+    this.select(start, end - 1, mid, axis);
+    this.axes[mid] = axis;
+
+    const split = this.position[this.indices[mid] * 3 + axis];
+    const leftHi = hi.slice();
+    leftHi[axis] = split;
+    const rightLo = lo.slice();
+    rightLo[axis] = split;
+    this.build(start, mid, lo, leftHi);
+    this.build(mid + 1, end, rightLo, hi);
+  }
+
+  /**
+   * Quickselect: partially sort indices[left..right] so that slot k holds
+   * the median along the axis
+   */
+  select(left, right, k, axis) {
+    const { position, indices } = this;
+    while (right > left) {
+      const pivot = position[indices[(left + right) >> 1] * 3 + axis];
+      let i = left, j = right;
+      while (i <= j) {
+        while (position[indices[i] * 3 + axis] < pivot) i++;
+        while (position[indices[j] * 3 + axis] > pivot) j--;
+        if (i <= j) {
+          const tmp = indices[i];
+          indices[i] = indices[j];
+          indices[j] = tmp;
+          i++;
+          j--;
+        }
+      }
+      if (k <= j) right = j;
+      else if (k >= i) left = i;
+      else return;
+    }
+  }
+
+  distanceSq(index, x, y, z) {
+    const p = index * 3;
+    const dx = this.position[p] - x;
+    const dy = this.position[p + 1] - y;
+    if (this.dimensions === 2) return dx * dx + dy * dy;
+    const dz = this.position[p + 2] - z;
+    return dx * dx + dy * dy + dz * dz;
+  }
+
+  /**
+   * K nearest neighbours of (x, y, z), closest first
+   * options.exclude: point index to skip (usually the query point itself)
+   * Returns { indices, distances }
+   */
+  knn(x, y, z, k, { exclude = -1 } = {}) {
+    const heapIndex = new Uint32Array(k);
+    const heapDist = new Float64Array(k);
+    let size = 0;
+    const query = [x, y, z];
+
+    // max-heap on distance so the worst candidate is always on top
+    const offer = (index) => {
+      if (index === exclude) return;
+      const d = this.distanceSq(index, x, y, z);
+      if (size < k) {
+        let c = size++;
+        while (c > 0) {
+          const parent = (c - 1) >> 1;
+          if (heapDist[parent] >= d) break;
+          heapDist[c] = heapDist[parent];
+          heapIndex[c] = heapIndex[parent];
+          c = parent;
+        }
+        heapDist[c] = d;
+        heapIndex[c] = index;
+      } else if (d < heapDist[0]) {
+        let c = 0;
+        while (true) {
+          let child = 2 * c + 1;
+          if (child >= k) break;
+          if (child + 1 < k && heapDist[child + 1] > heapDist[child]) child++;
+          if (heapDist[child] <= d) break;
+          heapDist[c] = heapDist[child];
+          heapIndex[c] = heapIndex[child];
+          c = child;
+        }
+        heapDist[c] = d;
+        heapIndex[c] = index;
+      }
+    };
+
+    const search = (start, end) => {
+      if (end - start <= LEAF_SIZE) {
+        for (let i = start; i < end; i++) offer(this.indices[i]);
+        return;
+      }
+      const mid = (start + end) >> 1;
+      const axis = this.axes[mid];
+      offer(this.indices[mid]);
+
+      const diff = query[axis] - this.position[this.indices[mid] * 3 + axis];
+      if (diff < 0) {
+        search(start, mid);
+        if (size < k || diff * diff < heapDist[0]) search(mid + 1, end);
+      } else {
+        search(mid + 1, end);
+        if (size < k || diff * diff < heapDist[0]) search(start, mid);
+      }
+    };
+
+    if (k > 0) search(0, this.count);
+
+    // Sort the heap contents closest first
+    const order = Array.from({ length: size }, (_, i) => i).sort((a, b) => heapDist[a] - heapDist[b]);
+    return {
+      indices: Uint32Array.from(order, i => heapIndex[i]),
+      distances: Float64Array.from(order, i => Math.sqrt(heapDist[i]))
+    };
+  }
+
+  /**
+   * All points within `radius` of (x, y, z), in no particular order
+   */
+  radiusSearch(x, y, z, radius) {
+    const result = [];
+    const radiusSq = radius * radius;
+    const query = [x, y, z];
+
+    const search = (start, end) => {
+      if (end - start <= LEAF_SIZE) {
+        for (let i = start; i < end; i++) {
+          if (this.distanceSq(this.indices[i], x, y, z) <= radiusSq) result.push(this.indices[i]);
+        }
+        return;
+      }
+      const mid = (start + end) >> 1;
+      const axis = this.axes[mid];
+      if (this.distanceSq(this.indices[mid], x, y, z) <= radiusSq) result.push(this.indices[mid]);
+
+      const diff = query[axis] - this.position[this.indices[mid] * 3 + axis];
+      if (diff - radius <= 0) search(start, mid);
+      if (diff + radius >= 0) search(mid + 1, end);
+    };
+
+    search(0, this.count);
+    return result;
+  }
+
+  /**
+   * All points inside the axis-aligned box [min, max] ({x, y, z} corners)
+   * A 2D tree ignores the Z range.
+   */
+  boxSearch(min, max) {
+    const result = [];
+    const lo = [min.x, min.y, this.dimensions === 2 ? -Infinity : min.z];
+    const hi = [max.x, max.y, this.dimensions === 2 ? Infinity : max.z];
+    const inside = (index) => {
+      const p = index * 3;
+      return this.position[p] >= lo[0] && this.position[p] <= hi[0] &&
+        this.position[p + 1] >= lo[1] && this.position[p + 1] <= hi[1] &&
+        this.position[p + 2] >= lo[2] && this.position[p + 2] <= hi[2];
+    };
+
+    const search = (start, end) => {
+      if (end - start <= LEAF_SIZE) {
+        for (let i = start; i < end; i++) {
+          if (inside(this.indices[i])) result.push(this.indices[i]);
+        }
+        return;
+      }
+      const mid = (start + end) >> 1;
+      const axis = this.axes[mid];
+      if (inside(this.indices[mid])) result.push(this.indices[mid]);
+
+      const split = this.position[this.indices[mid] * 3 + axis];
+      if (lo[axis] <= split) search(start, mid);
+      if (hi[axis] >= split) search(mid + 1, end);
+    };
+
+    search(0, this.count);
+    return result;
+  }
+}
+
+// One tree per cloud and dimensionality; clouds are never modified in place
+const indexCache = new WeakMap();
+
+/**
+ * Get (building on first use) the shared k-d tree for a cloud
+ */
+export function getSpatialIndex(cloud, dimensions = 3) {
+  let trees = indexCache.get(cloud);
+  if (!trees) {
+    trees = {};
+    indexCache.set(cloud, trees);
+  }
+  if (!trees[dimensions]) trees[dimensions] = new KDTree(cloud, dimensions);
+  return trees[dimensions];
+}
@@ -1,63 +1,27 @@
 import * as THREE from './lib/three.module.js';
 import { ConvexGeometry } from './lib/ConvexGeometry.js';
 
-export function generateSurface(points) {
-  if (!points || points.length === 0) return null;
+export function generateSurface(cloud) {
+  if (!cloud || cloud.length === 0) return null;
+
+  const position = cloud.getAttribute('position');
+  const color = cloud.getAttribute('color');
 
   // Try to detect a regular grid (X x Y) and triangulate it for a smooth mesh
-  const xs = Array.from(new Set(points.map(p => p.x))).sort((a, b) => a - b);
-  const ys = Array.from(new Set(points.map(p => p.y))).sort((a, b) => a - b);
+  const indices = triangulateGrid(cloud);
 
   let geometry = null;
 
-  if (xs.length * ys.length === points.length) {
-    // Build grid index map (x index + y index * nx)
-    const nx = xs.length;
-    const ny = ys.length;
-    const map = new Map();
-    const vertices = new Float32Array(points.length * 3);
-    const colors = [];
-
-    // create a lookup for quick access
-    const pointMap = new Map();
-    points.forEach((p, i) => pointMap.set(`${p.x},${p.y}`, p));
-
-    let idx = 0;
-    for (let j = 0; j < ny; j++) {
-      for (let i = 0; i < nx; i++) {
-        const key = `${xs[i]},${ys[j]}`;
-        const p = pointMap.get(key);
-        if (!p) return fallback(points);
-        vertices[idx * 3 + 0] = p.x;
-        vertices[idx * 3 + 1] = p.y;
-        vertices[idx * 3 + 2] = p.z;
-        if (p.r !== null) colors.push(p.r / 255, p.g / 255, p.b / 255);
-        idx++;
-      }
-    }
-
+  if (indices) {
     const geom = new THREE.BufferGeometry();
-    geom.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-    if (colors.length > 0) geom.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-
-    const indices = [];
-    for (let j = 0; j < ny - 1; j++) {
-      for (let i = 0; i < nx - 1; i++) {
-        const a = i + j * nx;
-        const b = (i + 1) + j * nx;
-        const c = i + (j + 1) * nx;
-        const d = (i + 1) + (j + 1) * nx;
-        // two triangles per grid cell
-        indices.push(a, c, b);
-        indices.push(b, c, d);
-      }
-    }
-    geom.setIndex(indices);
+    geom.setAttribute('position', new THREE.Float32BufferAttribute(Float32Array.from(position), 3));
+    if (color) geom.setAttribute('color', new THREE.Uint8BufferAttribute(color, 3, true));
+    geom.setIndex(new THREE.Uint32BufferAttribute(indices, 1));
     geom.computeVertexNormals();
 
     geometry = geom;
   } else {
-    geometry = fallback(points);
+    geometry = fallback(cloud);
   }
 
   if (!geometry) return null;
@@ -71,10 +35,62 @@ export function generateSurface(points) {
   return new THREE.Mesh(geometry, material);
 }
 
-function fallback(points) {
+/**
+ * Triangles of a cloud that forms a regular X x Y grid
+ * Returns the vertex indices (into the cloud, 3 per triangle), or null when
+ * the points are not a complete grid
+ */
+export function triangulateGrid(cloud) {
+  if (!cloud || cloud.length === 0) return null;
+
+  const position = cloud.getAttribute('position');
+  const xs = uniqueSorted(position, 0);
+  const ys = uniqueSorted(position, 1);
+  if (xs.length * ys.length !== cloud.length || xs.length < 2 || ys.length < 2) return null;
+
+  const nx = xs.length;
+  const ny = ys.length;
+
+  // create a lookup for quick access: grid cell (x index + y index * nx) -> point
+  const xIndex = new Map(xs.map((x, i) => [x, i]));
+  const yIndex = new Map(ys.map((y, j) => [y, j]));
+  const grid = new Int32Array(nx * ny).fill(-1);
+  for (let p = 0; p < cloud.length; p++) {
+    const cell = xIndex.get(position[p * 3]) + yIndex.get(position[p * 3 + 1]) * nx;
+    if (grid[cell] !== -1) return null;
+    grid[cell] = p;
+  }
+
+  const indices = new Uint32Array((nx - 1) * (ny - 1) * 6);
+  let n = 0;
+  for (let j = 0; j < ny - 1; j++) {
+    for (let i = 0; i < nx - 1; i++) {
+      const a = grid[i + j * nx];
+      const b = grid[(i + 1) + j * nx];
+      const c = grid[i + (j + 1) * nx];
+      const d = grid[(i + 1) + (j + 1) * nx];
+      // two triangles per grid cell
+      indices[n++] = a; indices[n++] = c; indices[n++] = b;
+      indices[n++] = b; indices[n++] = c; indices[n++] = d;
+    }
+  }
+  return indices;
+}
+
+function uniqueSorted(position, axis) {
+  const values = new Set();
+  for (let i = axis; i < position.length; i += 3) values.add(position[i]);
+  return Array.from(values).sort((a, b) => a - b);
+}
+
+function fallback(cloud) {
   // fallback: try convex hull based mesh
   try {
-    const verts = points.map(p => new THREE.Vector3(p.x, p.y, p.z));
+    const position = cloud.getAttribute('position');
+    const verts = [];
+    for (let i = 0; i < position.length; i += 3) {
+      verts.push(new THREE.Vector3(position[i], position[i + 1], position[i + 2]));
+    }
     return new ConvexGeometry(verts);
   } catch (e) {
     // last resort: return null so caller can handle
@@ -0,0 +1,101 @@
+/**
+ * Worker Pool
+ * Runs tasks on a fixed set of Web Workers and queues the rest.
+ * A running task is cancelled by terminating its worker and starting a
+ * fresh one in its place, so even a long synchronous reduction stops at once.
+ */
+
+export class WorkerPool {
+  constructor(workerUrl, size = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1))) {
+    this.workerUrl = workerUrl;
+    this.workers = [];
+    this.queue = [];
+    this.nextId = 1;
+
+    for (let i = 0; i < size; i++) {
+      this.workers.push({ worker: this.createWorker(), task: null });
+    }
+  }
+
+  createWorker() {
+    return new Worker(this.workerUrl, { type: 'module' });
+  }
+
+  /**
+   * Queue a task
+   * Returns { promise, cancel } - the promise rejects with an AbortError
+   * when the task is cancelled.
+   */
+  run(task, payload, { transfer = [], onProgress } = {}) {
+    const job = { id: this.nextId++, task, payload, transfer, onProgress };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+
+    this.queue.push(job);
+    this.dispatch();
+
+    return { promise: job.promise, cancel: () => this.cancel(job) };
+  }
+
+  dispatch() {
+    for (const slot of this.workers) {
+      if (this.queue.length === 0) return;
+      if (slot.task) continue;
+      this.start(slot, this.queue.shift());
+    }
+  }
+
+  start(slot, job) {
+    slot.task = job;
+    slot.worker.onmessage = (e) => {
+      const { id, type } = e.data;
+      if (id !== job.id) return;
+
+      if (type === 'progress') {
+        if (job.onProgress) job.onProgress(e.data.progress);
+        return;
+      }
+
+      slot.task = null;
+      if (type === 'result') job.resolve(e.data.result);
+      else job.reject(new Error(e.data.message));
+      this.dispatch();
+    };
+    slot.worker.onerror = (e) => {
+      e.preventDefault();
+      slot.task = null;
+      job.reject(new Error(e.message || 'Worker failed'));
+      this.replaceWorker(slot);
+      this.dispatch();
+    };
+    slot.worker.postMessage({ id: job.id, task: job.task, payload: job.payload }, job.transfer);
+  }
+
+  cancel(job) {
+    const queued = this.queue.indexOf(job);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+    } else {
+      const slot = this.workers.find(s => s.task === job);
+      if (!slot) return; // already finished
+      slot.task = null;
+      this.replaceWorker(slot);
+    }
+
+    job.reject(new DOMException(`Worker task "${job.task}" was cancelled`, 'AbortError'));
+    this.dispatch();
+  }
+
+  replaceWorker(slot) {
+    slot.worker.terminate();
+    slot.worker = this.createWorker();
+  }
+
+  terminate() {
+    this.workers.forEach(slot => slot.worker.terminate());
+    this.workers = [];
+    this.queue = [];
+  }
+}
@@ -1,29 +1,252 @@
+import { PointCloud, POINT_ATTRIBUTES, SCALAR_FIELD, resolveColumn } from './pointCloud.js';
+
+const COMMENT_PATTERN = /^(#|\/\/)/;
+// U+FFFD is what the decoder makes of bytes that aren't UTF-8
+const BAD_ENCODING_PATTERN = /[\uFFFD\u0000]/;
+
+const COLOR_TARGETS = [0, 1, 2].map(component => ({ attribute: 'color', component, descriptor: POINT_ATTRIBUTES.color }));
+// Unnamed extra columns: field7, field8, ... (1-based column number)
+const fieldTargets = [];
+
 /**
  * Parse XYZ point cloud file
  * Optimized for handling large files (10M+ points)
  * Uses line-by-line processing to handle large datasets efficiently
+ * options.diagnostics: ParseDiagnostics collecting the rejected lines
+ * Returns a PointCloud
  */
-export function parseXYZ(text) {
-  const points = [];
+export function parseXYZ(text, { diagnostics = null } = {}) {
+  const cloud = new PointCloud();
   const lines = text.split(/\r?\n/);
-  
-  for (const line of lines) {
+  const parseLine = createXYZLineParser();
+
+  lines.forEach((line, n) => {
+    const report = diagnostics ? reason => diagnostics.report(n + 1, reason, line) : null;
+    parseLine(line, cloud, report);
+  });
+
+  if (diagnostics) {
+    diagnostics.linesRead = text.endsWith('\n') ? lines.length - 1 : lines.length;
+    diagnostics.pointCount = cloud.length;
+  }
+  return cloud.trim();
+}
+
+/**
+ * Parse a single XYZ line and append the point to the cloud
+ * Columns are x y z, then r g b when the line has at least six; every other
+ * column is kept as a scalar field named after its position (field4, ...).
+ * Returns false for empty, comment or otherwise invalid lines; report(reason)
+ * (optional) is told why a line was rejected or what was wrong with it
+ * (reasons in parseDiagnostics.js)
+ */
+export function parseXYZLine(line, cloud, report = null) {
+  return parseColumns(line, cloud, report, null);
+}
+
+/**
+ * Line parser (parseXYZLine contract) that also understands a column header
+ * comment such as "# x y z red green blue intensity Deviation", as written
+ * by exportToXYZ, and stores the columns under those names
+ */
+export function createXYZLineParser() {
+  let namedTargets = null;
+  return (line, cloud, report = null) => {
     const trimmed = line.trim();
-    if (trimmed.length === 0) continue;
-    
-    const p = trimmed.split(/\s+/).map(Number);
-    // require at least 3 finite numbers (skip comments/invalid lines)
-    if (p.length >= 3 && Number.isFinite(p[0]) && Number.isFinite(p[1]) && Number.isFinite(p[2])) {
-      points.push({
-        x: p[0],
-        y: p[1],
-        z: p[2],
-        r: p[3] ?? null,
-        g: p[4] ?? null,
-        b: p[5] ?? null
-      });
+    if (COMMENT_PATTERN.test(trimmed)) {
+      const names = trimmed.replace(COMMENT_PATTERN, '').trim().split(/\s+/);
+      if (names.length >= 3 && names.slice(0, 3).join(' ').toLowerCase() === 'x y z') {
+        namedTargets = names.map(resolveColumn);
+      }
+    }
+    return parseColumns(line, cloud, report, namedTargets);
+  };
+}
+
+function parseColumns(line, cloud, report, namedTargets) {
+  const trimmed = line.trim();
+  if (trimmed.length === 0) return false;
+  const problem = (reason) => {
+    if (report) report(reason);
+    return false;
+  };
+
+  if (COMMENT_PATTERN.test(trimmed)) return problem('comment');
+  if (BAD_ENCODING_PATTERN.test(trimmed)) return problem('badEncoding');
+
+  const p = trimmed.split(/\s+/).map(Number);
+  // require at least 3 finite numbers
+  if (p.length < 3) return problem('tooFewColumns');
+  if (!Number.isFinite(p[0]) || !Number.isFinite(p[1]) || !Number.isFinite(p[2])) return problem('invalidCoordinate');
+
+  const i = cloud.addPoint(p[0], p[1], p[2]);
+  let invalidValue = false;
+  let colorOutOfRange = false;
+  for (let c = 3; c < p.length; c++) {
+    const { attribute, component, descriptor } = columnTarget(c, p.length, namedTargets);
+    let value = p[c];
+    if (attribute === 'color' && !(value >= 0 && value <= 255)) {
+      colorOutOfRange = true;
+      value = Number.isFinite(value) ? Math.max(0, Math.min(255, Math.round(value))) : 0;
+    } else if (!Number.isFinite(value)) {
+      invalidValue = true;
+      continue;
+    }
+    const column = cloud.addAttribute(attribute, descriptor);
+    column.array[i * column.itemSize + component] = value;
+  }
+
+  if (invalidValue) problem('invalidValue');
+  if (colorOutOfRange) problem('colorOutOfRange');
+  if (!namedTargets && p.length > 3 && p.length < 6) problem('partialColor');
+  return true;
+}
+
+function columnTarget(c, count, namedTargets) {
+  if (namedTargets) {
+    if (namedTargets[c]) return namedTargets[c];
+  } else if (c < 6 && count >= 6) {
+    return COLOR_TARGETS[c - 3];
+  }
+  if (!fieldTargets[c]) fieldTargets[c] = { attribute: `field${c + 1}`, component: 0, descriptor: SCALAR_FIELD };
+  return fieldTargets[c];
+}
+
+/**
+ * Incremental XYZ parser
+ * Consumes the file as byte chunks (push) without ever holding the whole
+ * text in memory. A line split across two chunks is carried over until the
+ * rest of it arrives. Parsed points are emitted through onBatch in groups
+ * of batchSize, each batch being a PointCloud. `lineParser` reads one line
+ * into a cloud (same contract as parseXYZLine), e.g. for delimited text;
+ * the default one follows column header comments.
+ * Problems are reported to `diagnostics` (a ParseDiagnostics) when given.
+ */
+export class XYZStreamParser {
+  constructor({ batchSize = 100000, onBatch = () => {}, lineParser = createXYZLineParser(), diagnostics = null } = {}) {
+    this.batchSize = batchSize;
+    this.onBatch = onBatch;
+    this.lineParser = lineParser;
+    this.diagnostics = diagnostics;
+    this.lineNumber = 0;
+    this.decoder = new TextDecoder('utf-8');
+    this.carry = '';
+    this.batch = new PointCloud(Math.min(batchSize, 65536));
+    this.bytesProcessed = 0;
+    this.pointCount = 0;
+  }
+
+  /**
+   * Feed the next chunk (Uint8Array) of the file
+   */
+  push(chunk) {
+    this.bytesProcessed += chunk.byteLength;
+    const text = this.carry + this.decoder.decode(chunk, { stream: true });
+
+    let start = 0;
+    let newline = text.indexOf('\n', start);
+    while (newline !== -1) {
+      this.parseLine(text.slice(start, newline));
+      start = newline + 1;
+      newline = text.indexOf('\n', start);
     }
+    // keep the incomplete last line for the next chunk
+    this.carry = text.slice(start);
+  }
+
+  /**
+   * Flush the remaining text and any pending batch
+   */
+  end() {
+    const rest = this.carry + this.decoder.decode();
+    this.carry = '';
+    if (rest.length > 0) this.parseLine(rest);
+    this.flush();
+  }
+
+  parseLine(line) {
+    const lineNumber = ++this.lineNumber;
+    const report = this.diagnostics ? reason => this.diagnostics.report(lineNumber, reason, line) : null;
+    if (!this.lineParser(line, this.batch, report)) return;
+    this.pointCount++;
+    if (this.batch.length >= this.batchSize) this.flush();
+  }
+
+  flush() {
+    if (this.batch.length === 0) return;
+    const batch = this.batch.trim();
+    this.batch = new PointCloud(Math.min(this.batchSize, 65536));
+    this.onBatch(batch);
+  }
+}
+
+/**
+ * Parse an XYZ file incrementally
+ * source can be a File/Blob, a ReadableStream or any async iterable of
+ * Uint8Array chunks (e.g. a Node read stream).
+ * Options:
+ *  - onBatch(cloud): called for every parsed batch
+ *  - onProgress({ bytesProcessed, totalBytes, pointCount }): called per chunk
+ *  - signal: AbortSignal to cancel the load mid-way (rejects with AbortError)
+ *  - batchSize: points per batch
+ *  - lineParser(line, cloud, report): replaces parseXYZLine
+ *  - diagnostics: ParseDiagnostics collecting the rejected lines
+ * Resolves with a PointCloud holding all parsed points.
+ */
+export async function parseXYZStream(source, { onBatch, onProgress, signal, batchSize, lineParser, diagnostics } = {}) {
+  const cloud = new PointCloud();
+  const parser = new XYZStreamParser({
+    batchSize,
+    lineParser,
+    diagnostics,
+    onBatch: (batch) => {
+      cloud.append(batch);
+      if (onBatch) onBatch(batch);
+    }
+  });
+  const totalBytes = source.size ?? null;
+
+  for await (const chunk of iterateChunks(source)) {
+    throwIfAborted(signal);
+    parser.push(chunk);
+    if (onProgress) {
+      onProgress({ bytesProcessed: parser.bytesProcessed, totalBytes, pointCount: parser.pointCount });
+    }
+  }
+  throwIfAborted(signal);
+  parser.end();
+  if (diagnostics) {
+    diagnostics.linesRead = parser.lineNumber;
+    diagnostics.pointCount = parser.pointCount;
+  }
+  if (onProgress) {
+    onProgress({ bytesProcessed: parser.bytesProcessed, totalBytes, pointCount: parser.pointCount });
+  }
+
+  return cloud.trim();
+}
+
+async function* iterateChunks(source) {
+  const stream = typeof source.stream === 'function' ? source.stream() : source;
+  if (typeof stream.getReader !== 'function') {
+    yield* stream;
+    return;
+  }
+
+  const reader = stream.getReader();
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new DOMException('XYZ parsing was cancelled', 'AbortError');
   }
-  
-  return points;
 }
@@ -0,0 +1,53 @@
+import { parseXYZ } from '../renderer/xyzParser.js';
+import { exportToXYZ, invertZValues, voxelDownsampling } from '../renderer/pointCloudReducer.js';
+import { PointCloud, SCALAR_FIELD } from '../renderer/pointCloud.js';
+import { ParseDiagnostics } from '../renderer/parseDiagnostics.js';
+
+// Cloud with every kind of per-point attribute
+const cloud = new PointCloud(8, ['color', 'intensity', 'classification', 'normal', 'gpsTime']);
+cloud.addAttribute('deviation', SCALAR_FIELD);
+for (let p = 0; p < 8; p++) {
+  cloud.addPoint(598000.125 + (p % 2) * 0.1, 6642000.5 + Math.floor(p / 2) * 0.1, p * 0.01);
+  cloud.setColor(p, p * 30, 255 - p * 30, 7);
+  cloud.getAttribute('intensity')[p] = p * 100.5;
+  cloud.getAttribute('classification')[p] = p < 3 ? 6 : 2;
+  cloud.getAttribute('normal').set([0.6, 0, p < 4 ? 0.8 : -0.8], p * 3);
+  cloud.getAttribute('gpsTime')[p] = 412345.123456789 + p;
+  cloud.getAttribute('deviation')[p] = p / 7;
+}
+
+// XYZ export writes a header naming every column; parseXYZ reads it back
+const text = exportToXYZ(cloud, 3);
+console.log('Exported XYZ:');
+console.log(text.split('\n').slice(0, 3).join('\n'));
+
+const diagnostics = new ParseDiagnostics();
+const reread = parseXYZ(text, { diagnostics });
+const same = (name, tolerance = 0) => Array.from(reread.getAttribute(name))
+  .every((v, i) => Math.abs(v - cloud.getAttribute(name)[i]) <= tolerance);
+console.log('\nRe-read:', reread.length, 'points, attributes:', reread.attributeNames().join(', '));
+console.log('Positions preserved:', same('position', 0.0005), 'colors:', same('color'),
+  'intensity:', same('intensity'), 'classification:', same('classification'),
+  'normals:', same('normal'), 'GPS time:', same('gpsTime'), 'deviation:', same('deviation'));
+console.log('Problems reported:', diagnostics.hasProblems());
+
+// Plain clouds keep the plain x y z r g b output
+const plain = PointCloud.fromPoints([{ x: 1, y: 2, z: 3, r: 10, g: 20, b: 30 }]);
+console.log('\nPlain export:', JSON.stringify(exportToXYZ(plain, 2)));
+
+// Extra columns without a header become numbered scalar fields
+const extra = parseXYZ('0 0 0 255 0 0 0.5 12\n1 1 1 0 255 0 0.25 13\n');
+console.log('Unnamed columns:', extra.attributeNames().join(', '), Array.from(extra.getAttribute('field8')));
+
+// One voxel: classification takes the most common value, normals stay unit length
+const reduced = voxelDownsampling(cloud, 50, { voxelSize: 10 });
+const normal = Array.from(reduced.getAttribute('normal'), v => +v.toFixed(3));
+console.log('\nOne voxel:', reduced.length, 'point, classification', reduced.getAttribute('classification')[0],
+  'normal', normal, 'length', +Math.hypot(...normal).toFixed(3));
+console.log('Mean intensity:', reduced.getAttribute('intensity')[0], 'mean deviation:', +reduced.getAttribute('deviation')[0].toFixed(3));
+
+// Inversion mirrors the normals with the points
+const inverted = invertZValues(cloud.slice(0, 1));
+console.log('\nInverted point z:', inverted.getZ(0), 'normal:', Array.from(inverted.getAttribute('normal'), v => +v.toFixed(3)));
+
+console.log('\n✓ Per-point attributes tested successfully!');
@@ -0,0 +1,100 @@
+import {
+  detectDelimitedFormat,
+  parseDelimitedText,
+  suggestColumnMapping,
+  isPlainXYZ,
+  filePattern,
+  parseNumber,
+  splitRow
+} from '../renderer/delimitedText.js';
+import { PointCloud } from '../renderer/pointCloud.js';
+import { exportToXYZ } from '../renderer/pointCloudReducer.js';
+
+const samples = {
+  'semicolon, decimal comma, header': `Easting;Northing;Elevation;Intensity;Class
+598000,125;6642000,5;12,75;310;2
+598001,250;6642001,5;12,80;295;2
+598002,375;6642002,5;13,05;402;6
+`,
+  'CSV with quoted header': `"X","Y","Z","Red","Green","Blue","Deviation"
+1.5,2.5,3.5,255,0,0,0.01
+4.5,5.5,6.5,0,255,0,-0.02
+`,
+  'tab separated, no header': '1\t2\t3\n4\t5\t6\n7\t8\t9\n',
+  'plain XYZ': '# comment\n1 2 3\n4 5 6 128 128 128\n7 8 9\n'
+};
+
+for (const [label, text] of Object.entries(samples)) {
+  const format = detectDelimitedFormat(text, { complete: true });
+  console.log(`${label}:`);
+  console.log('  delimiter:', format.delimiter, 'decimal comma:', format.decimalComma, 'header:', format.hasHeader);
+  console.log('  columns:', format.columns.join(', '), 'plain XYZ:', isPlainXYZ(format));
+  console.log('  first row:', format.preview[0].join(' | '));
+}
+
+console.log('\nMapping without header, 7 columns:', suggestColumnMapping([], 7).join(', '));
+console.log('File pattern:', filePattern('Survey_2024-03_block12.CSV'));
+
+// Parse with the detected format, streamed in small chunks
+const semicolon = samples['semicolon, decimal comma, header'];
+const chunks = [];
+for (let i = 0; i < semicolon.length; i += 7) chunks.push(semicolon.slice(i, i + 7));
+const cloud = await parseDelimitedText(new Blob(chunks));
+console.log('\nParsed semicolon file:', cloud.length, 'points, attributes:', cloud.attributeNames().join(', '));
+console.log('Positions:', Array.from(cloud.getAttribute('position')));
+console.log('Intensity:', Array.from(cloud.getAttribute('intensity')), 'classification:', Array.from(cloud.getAttribute('classification')));
+
+// A user mapping that skips a column and keeps another as a scalar field
+const csv = samples['CSV with quoted header'];
+const format = detectDelimitedFormat(csv, { complete: true });
+format.columns = ['x', 'y', 'z', 'skip', 'skip', 'skip', 'scalar'];
+const mapped = await parseDelimitedText(new Blob([csv]), { format });
+console.log('\nMapped CSV:', mapped.length, 'points, attributes:', mapped.attributeNames().join(', '));
+console.log('Deviation:', Array.from(mapped.getAttribute('Deviation'), v => +v.toFixed(3)));
+
+try {
+  await parseDelimitedText(new Blob([csv]), { format: { ...format, columns: ['x', 'y', 'skip'] } });
+  console.log('Missing z: accepted!');
+} catch (err) {
+  console.log('Missing z:', err.message);
+}
+
+// Thousands separators: dots or spaces with a decimal comma, commas or
+// spaces with a decimal point
+const numbers = [['1.234,56', true], ['1 234 567,5', true], ['1\u00a0234,5', true], ['-12,5', true], ['1.234.56', true],
+  ['1,234.56', false], ['1 234.5', false], ['1,234,567', false], ['12,34', false], ['1.234,56', false]];
+console.log('\nNumbers:', numbers.map(([text, comma]) => `${JSON.stringify(text)}${comma ? ' (decimal comma)' : ''} -> ${parseNumber(text, comma)}`).join(', '));
+const grouped = 'Easting;Northing;Elevation\n598.000,125;6.642.000,5;1.012,75\n598.001,25;6.642.001,5;1.013\n';
+const groupedFormat = detectDelimitedFormat(grouped, { complete: true });
+const groupedCloud = await parseDelimitedText(new Blob([grouped]), { format: groupedFormat });
+console.log('Grouped decimal comma file: decimal comma', groupedFormat.decimalComma, 'positions', Array.from(groupedCloud.getAttribute('position')).join(' '));
+
+// Quoted fields may hold the delimiter (decimal commas in a comma-delimited
+// file, a text column) and doubled quotes
+console.log('\nQuoted row:', JSON.stringify(splitRow('"1,5", "2,5" ,"say ""hi"", then go",7', 'comma')));
+const quoted = 'X,Y,Z,Site\n"598000,5","6642000,25","12,75","Pier 3, north"\n"598001,5","6642001,25","12,8","Pier 3, south"\n';
+const quotedFormat = detectDelimitedFormat(quoted, { complete: true });
+const quotedCloud = await parseDelimitedText(new Blob([quoted]), { format: quotedFormat });
+console.log('Quoted decimal comma CSV: delimiter', quotedFormat.delimiter, 'decimal comma', quotedFormat.decimalComma,
+  'columns', quotedFormat.columns.join(', '), 'first row', quotedFormat.preview[0].join(' | '));
+console.log('Positions:', Array.from(quotedCloud.getAttribute('position')).join(' '));
+
+// A cloud saved by exportToXYZ reads back with its header comment naming
+// the columns, so attribute names, types and categories survive
+const saved = new PointCloud();
+[[1.5, 2.5, 3.5, 310, 2], [4.5, 5.5, 6.5, 295, 6]].forEach(([x, y, z, intensity, classification]) => {
+  const i = saved.addPoint(x, y, z);
+  saved.addAttribute('intensity').array[i] = intensity;
+  saved.addAttribute('classification').array[i] = classification;
+});
+const xyz = exportToXYZ(saved.trim(), 2);
+const reread = detectDelimitedFormat(xyz, { complete: true });
+console.log('\nSaved XYZ header:', xyz.split('\n')[0]);
+console.log('Detected header:', reread.hasHeader, 'from comment:', reread.headerComment, 'columns:', reread.columns.join(', '),
+  'plain XYZ:', isPlainXYZ(reread));
+const roundTrip = await parseDelimitedText(new Blob([xyz]), { format: reread });
+console.log('Read back:', roundTrip.length, 'points, attributes:', roundTrip.attributeNames().join(', '));
+console.log('Intensity:', Array.from(roundTrip.getAttribute('intensity')), 'classification:', Array.from(roundTrip.getAttribute('classification')),
+  'categorical:', roundTrip.getDescriptor('classification').categorical);
+
+console.log('\n✓ Delimited text import tested successfully!');
@@ -0,0 +1,70 @@
+import { COLOR_MAPS, sampleColorMap, colorMapLUT } from '../renderer/colorMaps.js';
+import { coloringSources, fieldRange, fieldColorTable, classPaletteTable, fieldColorLegend, NO_VALUE_COLOR } from '../renderer/fieldColoring.js';
+import { PointCloud, SCALAR_FIELD } from '../renderer/pointCloud.js';
+
+// Colour map ends
+const hex = color => '#' + color.map(v => Math.round(v * 255).toString(16).padStart(2, '0')).join('');
+Object.keys(COLOR_MAPS).forEach(name => {
+  console.log(`${name}: ${hex(sampleColorMap(name, 0))} .. ${hex(sampleColorMap(name, 0.5))} .. ${hex(sampleColorMap(name, 1))}`);
+});
+const lut = colorMapLUT('viridis', 4);
+console.log('Viridis LUT (4 entries):', Array.from(lut));
+
+// Skewed intensities: most points dark, a few very bright
+const cloud = new PointCloud(100, ['intensity', 'classification']);
+cloud.addAttribute('deviation', SCALAR_FIELD);
+for (let p = 0; p < 100; p++) {
+  cloud.addPoint(p, 0, p / 10);
+  cloud.getAttribute('intensity')[p] = p < 90 ? p : 1000 + p;
+  cloud.getAttribute('classification')[p] = p % 3 === 0 ? 2 : p % 3 === 1 ? 6 : 64;
+  cloud.getAttribute('deviation')[p] = p === 5 ? NaN : p - 50;
+}
+
+console.log('\nSources:', coloringSources(cloud).map(source => `${source.id} (${source.kind})`).join(', '));
+console.log('Intensity range:', fieldRange(cloud, 'intensity'), 'Z range:', fieldRange(cloud, 'z'));
+
+// Point colours the way the point shader picks them from the colour table
+// (setColoringUniforms in pointMaterial.js): NaN, and out-of-range values
+// when not clamping, are grey; others take the nearest table entry
+const TABLE_SIZE = 1024;
+const shaderColors = coloring => {
+  const { min, max } = { ...fieldRange(cloud, coloring.source), ...coloring };
+  const table = fieldColorTable(cloud, { ...coloring, min, max }, TABLE_SIZE);
+  const values = cloud.getAttribute(coloring.source);
+  return Array.from(values, v => {
+    const t = max > min ? (v - min) / (max - min) : 0.5;
+    if (Number.isNaN(v) || (coloring.clamp === false && (t < 0 || t > 1))) return NO_VALUE_COLOR;
+    const entry = Math.round(Math.max(0, Math.min(1, t)) * (TABLE_SIZE - 1)) * 4;
+    return Array.from(table.subarray(entry, entry + 3));
+  });
+};
+
+// Linear scale puts 90% of the points in the bottom tenth of the map
+const linear = shaderColors({ source: 'intensity', colorMap: 'greyscale' });
+const equalized = shaderColors({ source: 'intensity', colorMap: 'greyscale', equalize: true });
+console.log('\nPoint 45 linear:', linear[45], 'equalized:', equalized[45]);
+const distinct = colors => new Set(colors.slice(0, 90).map(color => color.join())).size;
+console.log('Distinct colours among the 90 dark points, linear:', distinct(linear), 'equalized:', distinct(equalized));
+console.log('Equalized legend ticks:', fieldColorLegend(cloud, { source: 'intensity', equalize: true }).ticks.map(tick => +tick.value.toFixed(1)));
+
+// Range, clamping and missing values
+const clamped = shaderColors({ source: 'deviation', colorMap: 'turbo', min: -10, max: 10 });
+const unclamped = shaderColors({ source: 'deviation', colorMap: 'turbo', min: -10, max: 10, clamp: false });
+console.log('\nBelow range clamped:', clamped[0], 'equals min colour:', clamped[0].join() === clamped[40].join());
+console.log('Below range unclamped:', unclamped[0], 'NaN value:', clamped[5], 'grey is', NO_VALUE_COLOR);
+console.log('Legend:', JSON.stringify(fieldColorLegend(cloud, { source: 'deviation', colorMap: 'turbo', min: -10, max: 10 })));
+
+// Classes use the standard colours; unknown ones get a generated colour.
+// The shader looks each class value up in the palette
+const palette = classPaletteTable();
+const classColorAt = p => {
+  const value = cloud.getAttribute('classification')[p];
+  return Array.from(palette.subarray(value * 4, value * 4 + 3));
+};
+console.log('\nGround:', classColorAt(0), 'building:', classColorAt(1), 'class 64:', classColorAt(2));
+console.log('Class legend:', fieldColorLegend(cloud, { source: 'classification' }).entries.map(entry => entry.label).join(', '));
+
+// RGB keeps the cloud's own colours, without a legend
+console.log('RGB legend:', fieldColorLegend(cloud, { source: 'rgb' }));
+
+console.log('\n✓ Field colouring tested successfully!');
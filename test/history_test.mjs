@@ -0,0 +1,70 @@
+import { CommandHistory } from '../renderer/commandHistory.js';
+
+console.log('Testing the command history...\n');
+
+// A value changed through commands, like the reduction settings in the app
+let value = 0;
+const set = (label, to, options = {}) => {
+  const from = value;
+  return { label, details: `to ${to}`, bytes: 0, do: () => { value = to; }, undo: () => { value = from; }, ...options };
+};
+
+let changes = 0;
+const history = new CommandHistory({ onChange: () => changes++ });
+history.execute(set('Set', 1), 0);
+history.execute(set('Set', 2), 10);
+console.log('After two commands:', value, 'undo:', history.undoLabel, 'redo:', history.redoLabel);
+history.undo();
+console.log('Undone:', value, 'redo:', history.redoLabel);
+history.redo();
+console.log('Redone:', value, 'entries:', history.entries().map(e => `${e.label} ${e.details}`).join(', '));
+
+// A new command forgets what was undone
+history.undo();
+history.execute(set('Set', 5), 20);
+console.log('Undo then a new command:', value, 'redo left:', history.redoLabel,
+  'entries:', history.entries().map(e => e.details).join(', '));
+
+// Commands with one merge key in quick succession are one entry (a slider
+// drag) undoing back to before the first
+history.clear();
+value = 10;
+[11, 12, 13].forEach((to, i) => history.execute(set('Slider', to, { mergeKey: 'slider' }), 1000 + i * 100));
+console.log('\nSlider dragged to', value, 'in', history.entries().length, 'entry:', history.entries()[0].details);
+history.execute(set('Slider', 20, { mergeKey: 'slider' }), 5000);
+console.log('Dragged again later:', history.entries().length, 'entries');
+history.undo();
+history.undo();
+console.log('Undid both drags:', value);
+history.redo();
+history.execute(set('Slider', 30, { mergeKey: 'slider' }), 5050);
+console.log('No merging into a redone command after undo:', history.entries().length, 'entries');
+
+// Jumping to a point in the history undoes or redoes the commands between
+history.clear();
+value = 0;
+[1, 2, 3, 4].forEach((to, i) => history.execute(set('Set', to), i * 10));
+history.jumpTo(1);
+console.log('\nJumped to the first command:', value, 'done:', history.entries().filter(e => e.done).length);
+history.jumpTo(3);
+console.log('Jumped to the third:', value);
+history.jumpTo(0);
+console.log('Jumped to the start:', value);
+history.jumpTo(10);
+console.log('Jumped past the end:', value);
+
+// The oldest commands are forgotten beyond the entry and memory limits
+const limited = new CommandHistory({ maxEntries: 3, maxBytes: 1000 });
+value = 0;
+[1, 2, 3, 4, 5].forEach((to, i) => limited.execute(set('Set', to), i * 10000));
+console.log('\nLimited to 3 entries:', limited.entries().map(e => e.details).join(', '), 'forgotten:', limited.dropped);
+limited.execute(set('Big', 6, { bytes: 600 }), 60000);
+limited.execute(set('Big', 7, { bytes: 600 }), 70000);
+console.log('Limited to 1000 bytes:', limited.entries().map(e => e.details).join(', '), 'holding', limited.bytes, 'bytes, forgotten:', limited.dropped);
+limited.execute(set('Huge', 8, { bytes: 5000 }), 80000);
+console.log('One command over the limit is still kept:', limited.entries().map(e => e.details).join(', '));
+
+console.log('\nUndo with nothing done:', new CommandHistory().undo(), 'redo:', new CommandHistory().redo());
+console.log('Change notifications:', changes);
+
+console.log('\n✓ Command history tested successfully!');
@@ -0,0 +1,51 @@
+import { MEASUREMENT_TOOLS, measure, formatQuantity, measurementsToCSV } from '../renderer/measurements.js';
+
+const print = (tool, points) => {
+  console.log(`${MEASUREMENT_TOOLS[tool].label}:`);
+  measure(tool, points).forEach(q => console.log(`  ${q.label}: ${formatQuantity(q)}`));
+};
+
+// A 3-4-12 box diagonal: horizontal 5, distance 13
+const a = { x: 0, y: 0, z: 0 };
+const b = { x: 3, y: 4, z: 12 };
+print('distance', [a, b]);
+
+// Polyline along three edges of a unit cube
+print('polyline', [{ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }, { x: 1, y: 1, z: 0 }, { x: 1, y: 1, z: 1 }]);
+
+// A 10 x 10 square tilted up by 45° along X: planimetric 100, 3D 141.421
+const tilted = [
+  { x: 0, y: 0, z: 0 },
+  { x: 10, y: 0, z: 10 },
+  { x: 10, y: 10, z: 10 },
+  { x: 0, y: 10, z: 0 }
+];
+print('area', tilted);
+
+print('height', [{ x: 1, y: 1, z: 2.5 }, { x: 4, y: 5, z: -1 }]);
+print('angle', [{ x: 1, y: 0, z: 0 }, { x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: 7 }]);
+print('angle', [{ x: 1, y: 0, z: 0 }, { x: 0, y: 0, z: 0 }, { x: 1, y: 1, z: 0 }]);
+
+// Too few points measure nothing
+console.log('\nArea with two points:', measure('area', tilted.slice(0, 2)));
+
+// UTM coordinates keep their precision: a 0.25 x 0.5 rectangle
+const e = 598300.125, n = 6642900.5;
+const utm = [
+  { x: e, y: n, z: 85.25 },
+  { x: e + 0.25, y: n, z: 85.25 },
+  { x: e + 0.25, y: n + 0.5, z: 85.25 },
+  { x: e, y: n + 0.5, z: 85.25 }
+];
+const utmArea = measure('area', utm);
+console.log('\nUTM rectangle area:', utmArea[0].value, 'perimeter:', utmArea[2].value);
+console.log('UTM distance:', measure('distance', [utm[0], utm[2]])[0].value.toFixed(9));
+
+console.log('\nCSV:');
+process.stdout.write(measurementsToCSV([
+  { id: 1, tool: 'distance', points: [a, b] },
+  { id: 2, tool: 'angle', points: [{ x: 1, y: 0, z: 0 }, { x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: 7 }] },
+  { id: 3, tool: 'area', points: utm }
+]));
+
+console.log('\n✓ Measurements tested successfully!');
@@ -0,0 +1,129 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { decodeOctreeNode, readWholeCache } from '../renderer/octreeCache.js';
+import { fieldRange } from '../renderer/fieldColoring.js';
+
+const require = createRequire(import.meta.url);
+const { OctreeCacheStore } = require('../octreeCache.cjs');
+
+// 60,000 coloured points with an intensity column, as XYZ text
+const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'octree-cache-'));
+const filePath = path.join(folder, 'terrain.xyz');
+const lines = ['# x y z red green blue intensity'];
+for (let i = 0; i < 60000; i++) {
+  const x = (i % 300) * 0.5;
+  const y = Math.floor(i / 300) * 0.5;
+  lines.push(`${x} ${y} ${(Math.sin(x / 7) * 3).toFixed(3)} ${i % 256} 128 ${255 - (i % 256)} ${i % 1000}`);
+}
+fs.writeFileSync(filePath, lines.join('\n') + '\n');
+
+const store = new OctreeCacheStore(path.join(folder, 'cache'));
+try {
+  console.log('Cache before converting:', await store.find(filePath));
+
+  let progressMessages = 0;
+  const conversion = store.convert(filePath, null, () => progressMessages++);
+  const { id, metadata, diagnostics } = await conversion.promise;
+  console.log('Converted:', metadata.pointCount, 'points in', metadata.nodes.length, 'nodes; lines rejected:', diagnostics.rejectedLines.length);
+  console.log('Attributes:', metadata.attributes.map(a => `${a.name}:${a.type}`).join(', '));
+  console.log('Intensity range:', metadata.fieldRanges.intensity, 'Z range:', metadata.fieldRanges.z);
+
+  // Reopening finds the cache without parsing
+  const found = await store.find(filePath);
+  console.log('\nFound on reopen:', found !== null && found.id === id);
+
+  // Nodes read back hold every point once, with its attributes
+  let total = 0;
+  let sumIntensity = 0;
+  let colorsMatch = true;
+  for (const node of found.metadata.nodes) {
+    const cloud = decodeOctreeNode(await store.readNode(id, node.byteOffset, node.byteSize), found.metadata, node);
+    total += cloud.length;
+    const intensity = cloud.getAttribute('intensity');
+    const color = cloud.getAttribute('color');
+    const position = cloud.getAttribute('position');
+    for (let i = 0; i < cloud.length; i++) {
+      sumIntensity += intensity[i];
+      // Red and blue add up to 255 on every line
+      if (color[i * 3] + color[i * 3 + 2] !== 255) colorsMatch = false;
+      if (position[i * 3] < node.min.x || position[i * 3] > node.max.x) colorsMatch = false;
+    }
+  }
+  let expectedIntensity = 0;
+  for (let i = 0; i < 60000; i++) expectedIntensity += i % 1000;
+  console.log('Points read back:', total, 'intensity sum matches:', sumIntensity === expectedIntensity, 'colours and bounds consistent:', colorsMatch);
+
+  // The root stands in for the whole cloud when picking colour ranges
+  const root = found.metadata.nodes[0];
+  const sample = decodeOctreeNode(await store.readNode(id, root.byteOffset, root.byteSize), found.metadata, root);
+  console.log('Root sample:', sample.length, 'points, intensity range of the whole cloud:', fieldRange(sample, 'intensity'));
+
+  // Reductions and saving read the whole cloud back, with its own metadata
+  const readNode = node => store.readNode(id, node.byteOffset, node.byteSize);
+  let wholeProgress = 0;
+  const whole = await readWholeCache(found.metadata, readNode, { onProgress: fraction => { wholeProgress = fraction; } });
+  const wholeIntensity = whole.getAttribute('intensity').reduce((sum, value) => sum + value, 0);
+  console.log('Whole cloud:', whole.length, 'points, attributes:', whole.attributeNames().join(', '),
+    'intensity sum matches:', wholeIntensity === expectedIntensity, 'progress:', wholeProgress);
+  const lasPath = path.join(folder, 'lion.las');
+  fs.copyFileSync(new URL('./fixtures/lion.las', import.meta.url), lasPath);
+  const las = await store.convert(lasPath).promise;
+  const lasCloud = await readWholeCache(las.metadata, node => store.readNode(las.id, node.byteOffset, node.byteSize));
+  console.log('Whole LAS cloud:', lasCloud.length, 'points, format', lasCloud.metadata.format, lasCloud.metadata.version,
+    'point format', lasCloud.metadata.pointFormat, 'scale', lasCloud.metadata.scale);
+  await store.remove(las.id);
+  await readWholeCache(found.metadata, readNode, { signal: AbortSignal.abort() }).then(
+    () => console.log('Cancelled reading finished!'), err => console.log('Cancelled reading:', err.name));
+
+  // A different column format or a modified file needs a new conversion
+  console.log('\nFound with another format:', await store.find(filePath, { delimiter: ',' }));
+  const later = new Date(Date.now() + 60000);
+  fs.utimesSync(filePath, later, later);
+  console.log('Found after the file changed:', await store.find(filePath));
+
+  // Cancelling mid-way leaves the old cache and no partial one
+  const cancelled = store.convert(filePath, null, () => cancelled.cancel());
+  const cancelledResult = await cancelled.promise;
+  const folders = fs.readdirSync(path.join(folder, 'cache'));
+  console.log('Cancelled conversion:', cancelledResult, 'cache folders:', folders.length, 'partial:', folders.filter(name => name.endsWith('.partial')).length);
+  console.log('Progress messages received:', progressMessages > 0);
+
+  // Converting an edited file replaces the cache of its earlier version
+  fs.appendFileSync(filePath, '150 150 0 0 0 0 0\n');
+  const edited = await store.convert(filePath).promise;
+  const cachesAfterEdit = await store.list();
+  console.log('\nAfter converting the edited file:', cachesAfterEdit.length, 'cache, new id:', edited.id !== id,
+    'source path recorded:', cachesAfterEdit[0].source.path === filePath);
+
+  // Past the size limit the least recently used caches go, not the new one
+  const otherPath = path.join(folder, 'other.xyz');
+  fs.writeFileSync(otherPath, lines.slice(0, 20001).join('\n') + '\n');
+  store.maxBytes = (await store.usage()).bytes + 1;
+  const other = await store.convert(otherPath).promise;
+  console.log('Over the size limit, caches left:', (await store.list()).map(cache => cache.id === other.id ? 'other' : 'terrain').join(', '));
+  store.maxBytes = Infinity;
+
+  // Only whole nodes of the metadata are read, and reading another cache
+  // closes the one read before
+  const terrain = await store.convert(filePath).promise;
+  const node = terrain.metadata.nodes[1];
+  for (const [label, offset, size] of [['too large', node.byteOffset, 1e12], ['misaligned', node.byteOffset + 1, node.byteSize], ['negative', -8, 8]]) {
+    await store.readNode(terrain.id, offset, size).then(() => console.log(`Read ${label} range!`), err => console.log(`Read ${label} range:`, err.message.replace(/[0-9a-f]{40}/, '<id>')));
+  }
+  await store.readNode(other.id, other.metadata.nodes[0].byteOffset, other.metadata.nodes[0].byteSize);
+  console.log('Open caches after switching:', Array.from(store.handles.keys()).map(key => key === other.id ? 'other' : 'terrain').join(', '));
+  await store.closeHandle(other.id);
+  console.log('Open caches after releasing:', store.handles.size);
+
+  // Clearing keeps the cache in use
+  const usage = await store.usage();
+  const freed = await store.clear(other.id);
+  console.log('Usage:', usage.count, 'caches; cleared:', freed.count, 'bytes freed:', freed.bytes > 0,
+    'left:', (await store.list()).map(cache => cache.id === other.id ? 'other' : 'terrain').join(', '));
+  console.log('\n✓ Octree cache tested successfully!');
+} finally {
+  await store.close();
+  fs.rmSync(folder, { recursive: true, force: true });
+}
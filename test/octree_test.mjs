@@ -0,0 +1,62 @@
+import { buildOctree, selectOctreeNodes } from '../renderer/octree.js';
+import { PointCloud } from '../renderer/pointCloud.js';
+
+// 200,000 points on a wavy surface, 100 x 100 units
+const cloud = new PointCloud(0);
+for (let i = 0; i < 200000; i++) {
+  const x = (i % 500) / 5;
+  const y = Math.floor(i / 500) / 4;
+  cloud.addPoint(x, y, Math.sin(x / 10) * Math.cos(y / 10) * 5);
+}
+
+const start = Date.now();
+const octree = buildOctree(cloud, { gridSize: 64, maxLeafPoints: 5000 });
+console.log(`Built ${octree.nodes.length} nodes for ${octree.pointCount} points in ${Date.now() - start} ms`);
+
+// Every point belongs to exactly one node
+const seen = new Uint8Array(cloud.length);
+let covered = 0;
+octree.nodes.forEach(node => {
+  for (let k = node.start; k < node.start + node.count; k++) {
+    if (seen[octree.order[k]]++ === 0) covered++;
+  }
+});
+console.log('Points covered once:', covered === cloud.length && seen.every(v => v === 1));
+
+// Inner nodes hold at most one point per grid cell, leaves at most maxLeafPoints
+const inner = octree.nodes.filter(node => node.children.some(child => child !== -1));
+const leaves = octree.nodes.filter(node => node.children.every(child => child === -1));
+console.log('Inner nodes within 64³ cells:', inner.every(node => node.count <= 64 ** 3),
+  'leaves within 5000 points:', leaves.every(node => node.count <= 5000));
+
+// Spacing halves with every level; children sit inside their parent
+const nested = octree.nodes.every(node => node.children.every(child => {
+  if (child === -1) return true;
+  const c = octree.nodes[child];
+  return c.level === node.level + 1 && c.spacing === node.spacing / 2 && c.name.startsWith(node.name) &&
+    ['x', 'y', 'z'].every(axis => c.min[axis] >= node.min[axis] && c.max[axis] <= node.max[axis]);
+}));
+console.log('Root', octree.nodes[0].name, 'spacing', octree.nodes[0].spacing, '- children nested with half spacing:', nested);
+
+// Selection: root first, within the budget, more detail close up
+const pixelsPerUnit = 800;
+const far = selectOctreeNodes(octree, { cameraPosition: { x: 50, y: 50, z: 1000 }, pixelsPerUnit, pointBudget: 1e6 });
+const near = selectOctreeNodes(octree, { cameraPosition: { x: 50, y: 50, z: 10 }, pixelsPerUnit, pointBudget: 1e6 });
+const count = selection => selection.reduce((sum, index) => sum + octree.nodes[index].count, 0);
+console.log('\nFar camera:', far.length, 'nodes,', count(far), 'points; near camera:', near.length, 'nodes,', count(near), 'points');
+console.log('Root selected first:', far[0] === 0 && near[0] === 0);
+
+const budget = 20000;
+const limited = selectOctreeNodes(octree, { cameraPosition: { x: 50, y: 50, z: 10 }, pixelsPerUnit, pointBudget: budget });
+console.log(`Budget of ${budget}:`, count(limited), 'points in', limited.length, 'nodes, within budget:', count(limited) <= budget);
+
+// Only nodes overlapping the left half are visible
+const leftHalf = selectOctreeNodes(octree, {
+  cameraPosition: { x: 50, y: 50, z: 10 },
+  pixelsPerUnit,
+  pointBudget: 1e6,
+  isVisible: node => node.min.x < 50
+});
+console.log('Left half only:', leftHalf.length, 'nodes, all visible:', leftHalf.every(index => octree.nodes[index].min.x < 50));
+
+console.log('\n✓ Octree tested successfully!');
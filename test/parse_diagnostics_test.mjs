@@ -0,0 +1,57 @@
+import { parseXYZ, parseXYZStream } from '../renderer/xyzParser.js';
+import { parseDelimitedText } from '../renderer/delimitedText.js';
+import { ParseDiagnostics } from '../renderer/parseDiagnostics.js';
+
+// One line for every kind of problem
+const text = [
+  'X Y Z R G B',
+  '# exported by hand',
+  '1 2 3 255 0 0',
+  '4 5',
+  '6 7 8 10',
+  '9 10 11 300 -5 20',
+  '12 abc 14',
+  '',
+  'bro�ken 1 2',
+  '15 16 17'
+].join('\n') + '\n';
+
+const diagnostics = new ParseDiagnostics();
+const cloud = parseXYZ(text, { diagnostics });
+console.log('Text parser:', cloud.length, 'points from', diagnostics.linesRead, 'lines,',
+  diagnostics.rejectedCount, 'rejected,', diagnostics.warningCount, 'warnings');
+diagnostics.summary().forEach(({ severity, reason, count, samples }) => {
+  console.log(`  ${severity} ${reason}: ${count} (lines ${samples.map(s => s.line).join(', ')})`);
+});
+console.log('Clamped colours:', Array.from(cloud.getAttribute('color')));
+console.log('Rejected lines export:');
+console.log(diagnostics.exportRejectedLines().trim());
+
+// The streaming parser reports the same line numbers
+const chunks = [];
+const bytes = new TextEncoder().encode(text);
+for (let i = 0; i < bytes.length; i += 5) chunks.push(bytes.slice(i, i + 5));
+const streamed = new ParseDiagnostics();
+await parseXYZStream(new Blob(chunks), { diagnostics: streamed });
+const sameReport = JSON.stringify(streamed.toJSON()) === JSON.stringify(diagnostics.toJSON());
+console.log('\nStream report matches text parser:', sameReport);
+
+// A file that loads no points is reported even without rejected lines
+const empty = new ParseDiagnostics();
+parseXYZ('# only comments\n', { diagnostics: empty });
+console.log('Comment-only file has problems:', empty.hasProblems());
+
+// Delimited text: short rows, bad values and out-of-range colours
+const csv = 'x;y;z;red;green;blue;intensity\n1,5;2;3;10;20;30;5\n4;5\n7;8;9;10;20;999;n/a\n';
+const delimited = new ParseDiagnostics();
+const parsed = await parseDelimitedText(new Blob([csv]), { diagnostics: delimited });
+console.log('\nDelimited text:', parsed.length, 'points');
+delimited.summary().forEach(({ severity, reason, count, samples }) => {
+  console.log(`  ${severity} ${reason}: ${count} (lines ${samples.map(s => s.line).join(', ')})`);
+});
+
+// Round trip through the worker message form
+const copy = ParseDiagnostics.fromJSON(JSON.parse(JSON.stringify(diagnostics)));
+console.log('\nRestored from JSON:', copy.rejectedCount, 'rejected,', copy.summary().length, 'reasons');
+
+console.log('\n✓ Parse diagnostics tested successfully!');
@@ -1,7 +1,30 @@
 import fs from 'fs';
-import { parseXYZ } from '../renderer/xyzParser.js';
+import { parseXYZ, parseXYZStream } from '../renderer/xyzParser.js';
 
-const text = fs.readFileSync(new URL('../samples/sample.xyz', import.meta.url), 'utf8');
-const points = parseXYZ(text);
-console.log('Parsed points:', points.length);
-console.log(points.slice(0, 6));
+const samplePath = new URL('../samples/sample.xyz', import.meta.url);
+const text = fs.readFileSync(samplePath, 'utf8');
+const cloud = parseXYZ(text);
+console.log('Parsed points:', cloud.length);
+console.log('Positions:', Array.from(cloud.getAttribute('position')));
+console.log('Colors:', Array.from(cloud.getAttribute('color')));
+
+// Stream the same file in tiny chunks so lines are split across chunk boundaries
+let batches = 0;
+const streamed = await parseXYZStream(fs.createReadStream(samplePath, { highWaterMark: 7 }), {
+  batchSize: 2,
+  onBatch: () => batches++
+});
+console.log('\nStreamed points:', streamed.length, 'in', batches, 'batches');
+const sameColumns = ['position', 'color'].every(name =>
+  JSON.stringify(Array.from(streamed.getAttribute(name))) === JSON.stringify(Array.from(cloud.getAttribute(name))));
+console.log('Stream matches text parser:', streamed.length === cloud.length && sameColumns);
+
+// Cancel mid-load
+const controller = new AbortController();
+controller.abort();
+try {
+  await parseXYZStream(fs.createReadStream(samplePath), { signal: controller.signal });
+  console.log('Cancellation: not cancelled');
+} catch (err) {
+  console.log('Cancellation:', err.name);
+}
@@ -0,0 +1,80 @@
+import { parsePCD } from '../renderer/pcdParser.js';
+import { exportToPCD } from '../renderer/pcdWriter.js';
+import { lzfCompress, lzfDecompress } from '../renderer/lzf.js';
+import { PointCloud, SCALAR_FIELD } from '../renderer/pointCloud.js';
+
+// ASCII file as PCL writes it: packed rgb as an integer, normals,
+// a curvature field, a 3-value descriptor field and one invalid (NaN) point
+const asciiPCD = `# .PCD v0.7 - Point Cloud Data file format
+VERSION 0.7
+FIELDS x y z rgb normal_x normal_y normal_z curvature descriptor
+SIZE 4 4 4 4 4 4 4 4 4
+TYPE F F F F F F F F F
+COUNT 1 1 1 1 1 1 1 1 3
+WIDTH 2
+HEIGHT 2
+VIEWPOINT 1 2 3 1 0 0 0
+POINTS 4
+DATA ascii
+0 0 0 16711680 0 0 1 0.01 1 2 3
+1 0 0.5 65280 0 0 1 0.02 4 5 6
+nan nan nan 0 0 0 1 0 7 8 9
+0 1 1 2.3418052e-38 0 0 1 0.04 10 11 12
+`;
+
+const ascii = await parsePCD(new Blob([asciiPCD]));
+console.log('ASCII PCD:');
+console.log('Points:', ascii.length, 'attributes:', ascii.attributeNames().join(', '));
+console.log('Positions:', Array.from(ascii.getAttribute('position')));
+console.log('Colors:', Array.from(ascii.getAttribute('color')));
+console.log('Normals:', Array.from(ascii.getAttribute('normal')));
+console.log('Curvature:', Array.from(ascii.getAttribute('curvature'), v => +v.toFixed(3)));
+console.log('Viewpoint:', ascii.metadata.viewpoint, 'organized:', ascii.metadata.organized);
+
+// LZF on repetitive and incompressible data
+const repetitive = new Uint8Array(10000).map((_, i) => i % 37);
+const noise = new Uint8Array(10000).map((_, i) => (i * 2654435761) >>> 24);
+for (const [label, data] of [['repetitive', repetitive], ['noise', noise]]) {
+  const compressed = lzfCompress(data);
+  const restored = lzfDecompress(compressed, data.length);
+  console.log(`\nLZF ${label}: ${data.length} -> ${compressed.length} bytes, restored:`, restored.every((v, i) => v === data[i]));
+}
+
+// Georeferenced cloud with every kind of attribute
+const cloud = new PointCloud(6, ['color', 'intensity', 'classification', 'normal']);
+cloud.addAttribute('curvature', SCALAR_FIELD);
+cloud.metadata.viewpoint = [10, 20, 30, 1, 0, 0, 0];
+for (let p = 0; p < 6; p++) {
+  cloud.addPoint(598000.125 + p, 6642000.5 - p, p * 0.25);
+  cloud.setColor(p, p * 40, 255 - p * 40, 7);
+  cloud.getAttribute('intensity')[p] = p * 100;
+  cloud.getAttribute('classification')[p] = p % 3;
+  cloud.getAttribute('normal').set([0, 0, 1], p * 3);
+  cloud.getAttribute('curvature')[p] = p / 8;
+}
+
+for (const format of ['ascii', 'binary', 'binary_compressed']) {
+  const written = exportToPCD(cloud, { format, decimalPlaces: 3 });
+  const bytes = typeof written === 'string' ? new TextEncoder().encode(written) : new Uint8Array(written);
+  // Small chunks exercise records split across chunk boundaries
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += 7) chunks.push(bytes.slice(i, i + 7));
+  const reread = await parsePCD(new Blob(chunks));
+  const header = new TextDecoder().decode(bytes.subarray(0, 400)).split('\n');
+
+  const same = (name, tolerance = 0) => Array.from(reread.getAttribute(name))
+    .every((v, i) => Math.abs(v - cloud.getAttribute(name)[i]) <= tolerance);
+  console.log(`\nRound trip, ${format}:`);
+  console.log(header.find(line => line.startsWith('TYPE')), '/', header.find(line => line.startsWith('SIZE')));
+  console.log('Points:', reread.length, 'attributes:', reread.attributeNames().join(', '));
+  console.log('Positions preserved:', same('position', 0.0005), 'colors:', same('color'),
+    'intensity:', same('intensity'), 'classification:', same('classification'),
+    'normals:', same('normal'), 'curvature:', same('curvature'));
+  console.log('Viewpoint:', reread.metadata.viewpoint);
+}
+
+// A local cloud fits float coordinates
+const local = PointCloud.fromPoints([{ x: 1.5, y: 2.25, z: -3 }]);
+console.log('\nLocal cloud header:', exportToPCD(local, { format: 'ascii', decimalPlaces: 3 }).split('\n').find(line => line.startsWith('SIZE')));
+
+console.log('\n✓ PCD reader and writer tested successfully!');
@@ -0,0 +1,85 @@
+import { parsePLY } from '../renderer/plyParser.js';
+import { exportToPLY } from '../renderer/plyWriter.js';
+import { triangulateGrid } from '../renderer/surfaceGenerator.js';
+import { PointCloud, SCALAR_FIELD } from '../renderer/pointCloud.js';
+
+// ASCII file as CloudCompare writes it: float normals, uchar colours and a
+// scalar field, followed by faces
+const asciiPLY = `ply
+format ascii 1.0
+comment made by hand
+element vertex 3
+property float x
+property float y
+property float z
+property float nx
+property float ny
+property float nz
+property uchar red
+property uchar green
+property uchar blue
+property float scalar_Deviation
+element face 1
+property list uchar int vertex_indices
+end_header
+0 0 0 0 0 1 255 0 0 0.5
+1 0 0.5 0 0 1 0 255 0 -0.25
+0 1 1 0 0 1 0 0 255 2
+3 0 1 2
+`;
+
+const ascii = await parsePLY(new Blob([asciiPLY]));
+console.log('ASCII PLY:');
+console.log('Attributes:', ascii.attributeNames().join(', '));
+console.log('Positions:', Array.from(ascii.getAttribute('position')));
+console.log('Normals:', Array.from(ascii.getAttribute('normal')));
+console.log('Colors:', Array.from(ascii.getAttribute('color')));
+console.log('Deviation:', Array.from(ascii.getAttribute('Deviation')));
+
+// A 3 x 3 grid with every kind of attribute
+const grid = new PointCloud(9, ['color', 'intensity', 'classification', 'gpsTime']);
+grid.addAttribute('Deviation', SCALAR_FIELD);
+for (let j = 0; j < 3; j++) {
+  for (let i = 0; i < 3; i++) {
+    const p = grid.addPoint(598000.125 + i, 6642000.5 + j, i * j * 0.25);
+    grid.setColor(p, i * 100, j * 100, 50);
+    grid.getAttribute('intensity')[p] = p * 10;
+    grid.getAttribute('classification')[p] = 2;
+    grid.getAttribute('gpsTime')[p] = 1000.5 + p;
+    grid.getAttribute('Deviation')[p] = p / 4;
+  }
+}
+const faces = triangulateGrid(grid);
+console.log('\nGrid faces:', faces.length / 3, 'triangles, first', Array.from(faces.subarray(0, 6)));
+console.log('Non-grid faces:', triangulateGrid(PointCloud.fromPoints([{ x: 0, y: 0, z: 0 }, { x: 1, y: 2, z: 0 }])));
+
+// Round trip through every encoding
+for (const format of ['ascii', 'binary_little_endian', 'binary_big_endian']) {
+  const written = exportToPLY(grid, { format, decimalPlaces: 3, faces });
+  // Small chunks exercise records split across chunk boundaries
+  const bytes = typeof written === 'string' ? new TextEncoder().encode(written) : new Uint8Array(written);
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += 7) chunks.push(bytes.slice(i, i + 7));
+  const reread = await parsePLY(new Blob(chunks));
+
+  const same = (name, tolerance = 0) => Array.from(reread.getAttribute(name))
+    .every((v, i) => Math.abs(v - grid.getAttribute(name)[i]) <= tolerance);
+  console.log(`\nRound trip, ${format}:`);
+  console.log('Points:', reread.length, 'attributes:', reread.attributeNames().join(', '));
+  console.log('Positions preserved:', same('position', 0.0005),
+    'colors:', same('color'), 'intensity:', same('intensity'),
+    'classification:', same('classification'), 'GPS time:', same('gpsTime'),
+    'Deviation:', same('Deviation'));
+}
+
+// Cancellation
+const controller = new AbortController();
+controller.abort();
+try {
+  await parsePLY(new Blob([asciiPLY]), { signal: controller.signal });
+  console.log('\nCancellation: not cancelled!');
+} catch (err) {
+  console.log('\nCancellation:', err.name);
+}
+
+console.log('\n✓ PLY reader and writer tested successfully!');
@@ -0,0 +1,37 @@
+import { PointCloud } from '../renderer/pointCloud.js';
+
+// Build a cloud point by point; colour is added half way through
+const cloud = new PointCloud();
+for (let i = 0; i < 3000; i++) {
+  const idx = cloud.addPoint(i, i * 2, i * 3);
+  if (i >= 1500) cloud.setColor(idx, 10, 20, 30);
+}
+console.log('Points:', cloud.length, 'capacity:', cloud.capacity);
+console.log('Attributes:', cloud.attributeNames());
+console.log('First color (default white):', Array.from(cloud.getAttribute('color').slice(0, 3)));
+console.log('Last color:', Array.from(cloud.getAttribute('color').slice(-3)));
+
+cloud.trim();
+console.log('Trimmed capacity:', cloud.capacity);
+
+// Append a cloud without colour
+const other = new PointCloud(2);
+other.addPoint(-1, -1, -1);
+other.addPoint(-2, -2, -2);
+cloud.append(other);
+console.log('After append:', cloud.length, 'last point:', cloud.getX(cloud.length - 1), cloud.getY(cloud.length - 1), cloud.getZ(cloud.length - 1));
+
+// Subsets
+const subset = cloud.select([0, 1500, 3001]);
+console.log('Selected positions:', Array.from(subset.getAttribute('position')));
+console.log('Selected colors:', Array.from(subset.getAttribute('color')));
+console.log('Bounds:', cloud.computeBounds());
+
+// Object conversion
+const fromObjects = PointCloud.fromPoints([
+  { x: 0, y: 0, z: 0, r: 255, g: 0, b: 0 },
+  { x: 1, y: 1, z: 1, r: null, g: null, b: null }
+]);
+console.log('From objects:', Array.from(fromObjects.getAttribute('color')));
+
+console.log('\n✓ PointCloud model tested successfully!');
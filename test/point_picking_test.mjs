@@ -0,0 +1,75 @@
+import * as THREE from '../renderer/lib/three.module.js';
+import { pickPoint, pointValues, formatPickedValues } from '../renderer/pointPicking.js';
+import { createCloudGeometry, localOrigin } from '../renderer/cloudGeometry.js';
+import { invertZValues, reducePointCloud } from '../renderer/pointCloudReducer.js';
+import { PointCloud } from '../renderer/pointCloud.js';
+
+// A 50 x 50 grid in UTM coordinates with colour, intensity and classification
+const cloud = new PointCloud(0, ['color', 'intensity', 'classification']);
+for (let i = 0; i < 50; i++) {
+  for (let j = 0; j < 50; j++) {
+    const p = cloud.addPoint(598300.125 + i, 6642900.5 + j, 85.25 + i * 0.1);
+    cloud.setColor(p, i * 5, j * 5, 100);
+    cloud.getAttribute('intensity')[p] = p * 0.5;
+    cloud.getAttribute('classification')[p] = i < 25 ? 2 : 6;
+  }
+}
+
+const viewport = { width: 800, height: 600 };
+const camera = new THREE.PerspectiveCamera(60, viewport.width / viewport.height, 0.1, 1000);
+camera.up.set(0, 0, 1);
+camera.position.set(598325, 6642880, 150);
+camera.lookAt(598325, 6642925, 85);
+camera.updateMatrixWorld();
+
+// Draw a cloud the way the app does: local geometry placed at its origin
+const draw = (pointCloud) => {
+  const origin = localOrigin(pointCloud.computeBounds());
+  const points = new THREE.Points(createCloudGeometry(pointCloud, { origin }));
+  points.position.set(origin.x, origin.y, origin.z);
+  return { points, cloud: pointCloud };
+};
+const screenOf = (pointCloud, index) => {
+  const position = pointCloud.getAttribute('position');
+  const v = new THREE.Vector3(position[index * 3], position[index * 3 + 1], position[index * 3 + 2]).project(camera);
+  return { x: (v.x + 1) / 2 * viewport.width, y: (1 - v.y) / 2 * viewport.height };
+};
+
+const target = draw(cloud);
+const wanted = 30 * 50 + 12;
+const at = screenOf(cloud, wanted);
+const picked = pickPoint([target], camera, { x: at.x + 2, y: at.y - 1 }, viewport);
+console.log('Picked index:', picked.index, 'expected:', wanted, 'screen distance:', picked.screenDistance.toFixed(2));
+
+const values = pointValues(cloud, picked.index);
+console.log('\nValues:');
+console.log(formatPickedValues(values));
+
+console.log('\nEmpty space:', pickPoint([target], camera, { x: 5, y: 5 }, viewport));
+
+// Of two points under the pointer, the one nearer to the camera is picked
+const stacked = new PointCloud(0);
+stacked.addPoint(598325.5, 6642925.5, 90);
+const halfway = new THREE.Vector3(598325.5, 6642925.5, 90).lerp(camera.position, 0.5);
+stacked.addPoint(halfway.x, halfway.y, halfway.z);
+const stackedTarget = draw(stacked);
+const front = pickPoint([target, stackedTarget], camera, screenOf(stacked, 0), viewport);
+console.log('Stacked points: picked z =', front.cloud.getZ(front.index), 'of', stacked.getZ(0), 'and', stacked.getZ(1));
+
+// Hidden objects are skipped
+stackedTarget.points.visible = false;
+console.log('Hidden object skipped:', pickPoint([stackedTarget], camera, screenOf(stacked, 0), viewport));
+
+// Reduced and Z-inverted clouds report their own values
+const reduced = reducePointCloud(cloud, 'voxel', 20);
+const reducedPick = pickPoint([draw(reduced)], camera, screenOf(reduced, 7), viewport);
+console.log('\nReduced cloud (' + reduced.length + ' points): picked', reducedPick.index, 'X', pointValues(reduced, reducedPick.index)[0].text);
+
+const inverted = invertZValues(cloud);
+camera.position.set(598325, 6642880, -20);
+camera.lookAt(598325, 6642925, -85);
+camera.updateMatrixWorld();
+const invertedPick = pickPoint([draw(inverted)], camera, screenOf(inverted, wanted), viewport);
+console.log('Inverted Z: picked', invertedPick.index, 'Z', pointValues(inverted, invertedPick.index)[2].text);
+
+console.log('\n✓ Point picking tested successfully!');
@@ -0,0 +1,99 @@
+import { computePointSpacing } from '../renderer/cloudStats.js';
+import { fieldColorTable, classPaletteTable } from '../renderer/fieldColoring.js';
+import { createCloudGeometry, localOrigin } from '../renderer/cloudGeometry.js';
+import {
+  createPointMaterial,
+  setPointSize,
+  setSplatShape,
+  fieldOffset,
+  setColoringUniforms,
+  setVertexColors,
+  bindColoringAttributes
+} from '../renderer/pointMaterial.js';
+import { PointCloud } from '../renderer/pointCloud.js';
+
+// Two flat grids: spacing 1 on the left, 0.25 on the right
+const cloud = new PointCloud(0, ['intensity', 'classification', 'gpsTime']);
+const addGrid = (x0, step, n) => {
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      const p = cloud.addPoint(x0 + i * step, j * step, 0);
+      cloud.getAttribute('intensity')[p] = i;
+      cloud.getAttribute('classification')[p] = x0 === 0 ? 2 : 6;
+      cloud.getAttribute('gpsTime')[p] = 412345678.25 + p * 0.001;
+    }
+  }
+};
+addGrid(0, 1, 40);
+addGrid(100, 0.25, 40);
+
+const spacing = computePointSpacing(cloud);
+const mean = (from, to) => spacing.slice(from, to).reduce((sum, v) => sum + v, 0) / (to - from);
+console.log('Estimated spacing, coarse grid:', mean(0, 1600).toFixed(2), 'fine grid:', mean(1600, 3200).toFixed(2));
+
+// Colour tables for the shader
+const linear = fieldColorTable(cloud, { source: 'intensity', colorMap: 'greyscale', min: 0, max: 39 }, 8);
+const equalized = fieldColorTable(cloud, { source: 'z', colorMap: 'greyscale', min: -1, max: 1, equalize: true }, 8);
+console.log('\nLinear table (R):', Array.from({ length: 8 }, (_, i) => linear[i * 4]));
+console.log('Equalized table, all points at z = 0 (R):', Array.from({ length: 8 }, (_, i) => equalized[i * 4]));
+const palette = classPaletteTable();
+console.log('Class palette, ground:', Array.from(palette.subarray(8, 12)), 'building:', Array.from(palette.subarray(24, 28)));
+
+// Material uniforms follow the colouring without touching the other attributes
+const geometry = createCloudGeometry(cloud);
+const material = createPointMaterial();
+setPointSize(material, 'adaptive', 1.5);
+setSplatShape(material, 'paraboloid');
+console.log('\nSize mode:', material.uniforms.sizeMode.value, 'size:', material.uniforms.size.value, 'defines:', Object.keys(material.defines));
+
+// As applyColoring in app.js does it: the material uniforms, then the
+// geometry's field attribute
+const applyColoring = coloring => {
+  const offset = fieldOffset(cloud, coloring.source);
+  setColoringUniforms(material, cloud, coloring, offset);
+  setVertexColors(material, cloud.hasAttribute('color'));
+  bindColoringAttributes(geometry, cloud, coloring.source, offset);
+};
+
+const intensityColoring = { source: 'intensity', colorMap: 'viridis', min: 0, max: 39 };
+applyColoring(intensityColoring);
+const table = material.uniforms.colorTable.value.image.data;
+const expectedTable = fieldColorTable(cloud, intensityColoring, table.length / 4);
+console.log('Intensity: mode', material.uniforms.colorMode.value, 'field is the intensity column:',
+  geometry.getAttribute('field') === geometry.getAttribute('intensity'), 'range', material.uniforms.fieldMin.value, material.uniforms.fieldMax.value,
+  'colour table:', table.length / 4, 'entries, same as fieldColorTable:',
+  table.every((v, i) => v === expectedTable[i]), 'vertex colours:', material.vertexColors);
+
+applyColoring({ source: 'classification' });
+console.log('Classification: mode', material.uniforms.colorMode.value, 'field is the class column:',
+  geometry.getAttribute('field') === geometry.getAttribute('classification'));
+
+// GPS time isn't in the geometry (doubles): a float copy relative to its minimum
+const gps = cloud.getAttribute('gpsTime');
+applyColoring({ source: 'gpsTime', min: gps[0], max: gps[gps.length - 1] });
+const field = geometry.getAttribute('field').array;
+console.log('GPS time: range', material.uniforms.fieldMin.value, '..', +material.uniforms.fieldMax.value.toFixed(3),
+  'last value', +field[field.length - 1].toFixed(3));
+
+applyColoring({ source: 'z', min: -1, max: 1, clamp: false });
+console.log('Z: mode', material.uniforms.colorMode.value, 'clamp', material.uniforms.clampRange.value);
+
+// UTM coordinates: floats can't hold millimetres at 6.6 million, offsets from a local origin can
+const utm = new PointCloud(0);
+for (let i = 0; i < 1000; i++) utm.addPoint(598342.137 + i * 0.001, 6642911.552 + i * 0.003, 85.25 + i * 0.002);
+const origin = localOrigin(utm.computeBounds());
+const maxError = (positions, offset) => {
+  const original = utm.getAttribute('position');
+  let error = 0;
+  for (let i = 0; i < original.length; i++) {
+    error = Math.max(error, Math.abs(positions[i] + offset[i % 3] - original[i]));
+  }
+  return error;
+};
+const globalGeometry = createCloudGeometry(utm);
+const localGeometry = createCloudGeometry(utm, { origin });
+console.log('\nLocal origin:', origin);
+console.log('Largest position error, global floats:', maxError(globalGeometry.getAttribute('position').array, [0, 0, 0]).toFixed(4),
+  'relative to the origin:', maxError(localGeometry.getAttribute('position').array, [origin.x, origin.y, origin.z]).toFixed(6));
+
+console.log('\n✓ Point rendering tested successfully!');
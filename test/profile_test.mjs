@@ -0,0 +1,72 @@
+import {
+  extractProfile,
+  profileCorridor,
+  profileTransform,
+  nearestProfilePoint,
+  measureProfile,
+  profileTicks,
+  profileToCSV
+} from '../renderer/profile.js';
+import { formatQuantity } from '../renderer/measurements.js';
+import { exportToXYZ } from '../renderer/pointCloudReducer.js';
+import { PointCloud } from '../renderer/pointCloud.js';
+
+// A road across a 40 x 20 m UTM patch, every 0.25 m: flat verges at 85 m
+// with a 0.5 m high, 8 m wide crown in the middle of X
+const x0 = 598300, y0 = 6642900;
+const surface = x => 85 + Math.max(0, 0.5 - Math.abs(x - 20) / 8);
+const cloud = new PointCloud(0, ['color']);
+for (let i = 0; i <= 160; i++) {
+  for (let j = 0; j <= 80; j++) {
+    const p = cloud.addPoint(x0 + i * 0.25, y0 + j * 0.25, surface(i * 0.25));
+    cloud.setColor(p, 120, 120, 120);
+  }
+}
+console.log('Points:', cloud.length);
+
+// Across the road along X, 1 m corridor: 5 rows of 161 points
+const line = { start: { x: x0 + 0.1, y: y0 + 10, z: 85 }, end: { x: x0 + 39.9, y: y0 + 10, z: 85 }, width: 1 };
+const profile = extractProfile(cloud, line);
+const sorted = profile.distance.every((d, i) => i === 0 || d >= profile.distance[i - 1]);
+const maxOffset = Math.max(...profile.offset.map(Math.abs));
+let worstZ = 0;
+for (let i = 0; i < profile.cloud.length; i++) {
+  worstZ = Math.max(worstZ, Math.abs(profile.cloud.getZ(i) - surface(profile.distance[i] + 0.1)));
+}
+console.log('\nProfile along X: length', profile.length.toFixed(2), 'points', profile.cloud.length,
+  'sorted', sorted, 'max offset', maxOffset, 'worst Z error', worstZ.toExponential(1));
+console.log('Keeps attributes:', profile.cloud.attributeNames().join(', '));
+
+// A diagonal line: the corridor is a rotated rectangle
+const diagonal = { start: { x: x0 + 5, y: y0 + 5 }, end: { x: x0 + 15, y: y0 + 15 }, width: 2 };
+console.log('\nDiagonal corridor:', profileCorridor(diagonal).map(c => `(${(c.x - x0).toFixed(3)}, ${(c.y - y0).toFixed(3)})`).join(' '));
+const diagonalProfile = extractProfile(cloud, diagonal);
+console.log('Diagonal profile:', diagonalProfile.cloud.length, 'points, length', diagonalProfile.length.toFixed(3),
+  'offsets', Math.min(...diagonalProfile.offset).toFixed(3), 'to', Math.max(...diagonalProfile.offset).toFixed(3));
+console.log('Zero-length line:', extractProfile(cloud, { ...line, end: line.start }).cloud.length, 'points');
+
+// Plot mapping: stretched to fill the plot, or equal scale
+const margin = { left: 60, right: 10, top: 10, bottom: 30 };
+const stretched = profileTransform(profile, 800, 240, { margin });
+const equal = profileTransform(profile, 800, 240, { margin, equalScale: true });
+console.log('\nVertical exaggeration:', stretched.exaggeration.toFixed(2), 'equal scale:', equal.exaggeration);
+const crownAt = stretched.toPlot(19.9, 85.5);
+const back = stretched.fromPlot(crownAt.x, crownAt.y);
+console.log('Crown on the plot:', crownAt.x.toFixed(1), crownAt.y.toFixed(1), 'and back:', back.distance.toFixed(6), back.z.toFixed(6));
+const nearest = nearestProfilePoint(profile, stretched, { x: crownAt.x + 3, y: crownAt.y + 2 });
+console.log('Nearest point to a click by the crown: distance', profile.distance[nearest].toFixed(2), 'Z', profile.cloud.getZ(nearest));
+console.log('Click in empty plot:', nearestProfilePoint(profile, stretched, { x: 5, y: 5 }));
+
+// From the verge to the crown: 0.5 m up over 4 m
+const quantities = measureProfile({ distance: 12, z: 85 }, { distance: 16, z: 85.5 });
+console.log('\nMeasured:', quantities.map(q => `${q.label} ${formatQuantity(q)}`).join(', '));
+console.log('Vertical:', formatQuantity(measureProfile({ distance: 3, z: 1 }, { distance: 3, z: 2 })[3]));
+
+console.log('\nTicks 0..39.8:', profileTicks(0, 39.8).join(' '));
+console.log('Ticks 84.9..85.6:', profileTicks(84.9, 85.6, 5).join(' '));
+
+console.log('\nCSV:');
+console.log(profileToCSV(profile, 3).split('\n').slice(0, 4).join('\n'));
+console.log('XYZ lines:', exportToXYZ(profile.cloud, 3).trim().split('\n').length);
+
+console.log('\n✓ Profiles tested successfully!');
@@ -5,18 +5,16 @@ import {
   voxelDownsampling,
   zGradientDownsampling
 } from '../renderer/pointCloudReducer.js';
+import { PointCloud } from '../renderer/pointCloud.js';
 
 // Create test data
-const testPoints = [];
+const testPoints = new PointCloud(1000, ['color']);
 for (let i = 0; i < 1000; i++) {
-  testPoints.push({
-    x: Math.random() * 100,
-    y: Math.random() * 100,
-    z: Math.random() * 10,
-    r: Math.floor(Math.random() * 255),
-    g: Math.floor(Math.random() * 255),
-    b: Math.floor(Math.random() * 255)
-  });
+  const idx = testPoints.addPoint(Math.random() * 100, Math.random() * 100, Math.random() * 10);
+  testPoints.setColor(idx,
+    Math.floor(Math.random() * 255),
+    Math.floor(Math.random() * 255),
+    Math.floor(Math.random() * 255));
 }
 
 console.log('Original points:', testPoints.length);
@@ -25,14 +23,54 @@ console.log('Original points:', testPoints.length);
 const voxelReduced = voxelDownsampling(testPoints, 50);
 console.log('Voxel downsampling (50%):', voxelReduced.length);
 
+// Voxel downsampling hits the requested percentage (within 2%)
+for (const percent of [10, 25, 75]) {
+  let usedSize;
+  const reduced = voxelDownsampling(testPoints, percent, { onVoxelSize: size => { usedSize = size; } });
+  console.log(`Voxel downsampling (${percent}%):`, reduced.length, 'points, voxel size', usedSize.toFixed(3));
+}
+
+// Fixed voxel size in file units ignores the percentage
+console.log('Voxel downsampling (size 25):', voxelDownsampling(testPoints, 50, { voxelSize: 25 }).length);
+
+// A flat surface is denser than its bounding cube suggests, so the search
+// starts below the cube's point spacing
+const plane = new PointCloud(10000);
+for (let i = 0; i < 10000; i++) plane.addPoint((i % 100) * 0.5, Math.floor(i / 100) * 0.5, 0);
+console.log('Voxel downsampling of a plane (90%):', voxelDownsampling(plane, 90).length);
+
+// Voxels too small to number every cell of the grid are keyed by their
+// grid coordinates
+const far = new PointCloud(3);
+[[0, 0, 0], [1e6, 1e6, 1e6], [1e6, 1e6, 1e6 + 1e-3]].forEach(([x, y, z]) => far.addPoint(x, y, z));
+console.log('Voxel downsampling with 1e-4 voxels over 1e6 units:', voxelDownsampling(far, 100, { voxelSize: 1e-4 }).length, 'of', far.length);
+
 // Test Z-Gradient downsampling
 const zgradReduced = zGradientDownsampling(testPoints, 50);
 console.log('Z-Gradient downsampling (50%):', zgradReduced.length);
 
+// Z-Gradient on terrain: flat half (x < 50) and a steep ramp (x >= 50)
+const terrain = new PointCloud(2500);
+for (let i = 0; i < 50; i++) {
+  for (let j = 0; j < 50; j++) {
+    const x = i * 2, y = j * 2;
+    terrain.addPoint(x, y, x < 50 ? 0 : (x - 50) * 3);
+  }
+}
+const terrainReduced = zGradientDownsampling(terrain, 30, { neighbours: 8, seed: 42 });
+let flatKept = 0;
+for (let i = 0; i < terrainReduced.length; i++) if (terrainReduced.getX(i) < 50) flatKept++;
+console.log('Z-Gradient on terrain (30%):', terrainReduced.length, 'points,', flatKept, 'kept on the flat half');
+const terrainAgain = zGradientDownsampling(terrain, 30, { neighbours: 8, seed: 42 });
+const samePositions = terrainAgain.getAttribute('position').every((v, i) => v === terrainReduced.getAttribute('position')[i]);
+console.log('Same seed gives same result:', samePositions);
+
 // Test Z inversion
-const inverted = invertZValues(testPoints.slice(0, 5));
-console.log('\nOriginal Z values:', testPoints.slice(0, 5).map(p => p.z.toFixed(2)));
-console.log('Inverted Z values:', inverted.map(p => p.z.toFixed(2)));
+const firstFive = testPoints.slice(0, 5);
+const inverted = invertZValues(firstFive);
+const zValues = (cloud) => Array.from({ length: cloud.length }, (_, i) => cloud.getZ(i).toFixed(2));
+console.log('\nOriginal Z values:', zValues(firstFive));
+console.log('Inverted Z values:', zValues(inverted));
 
 // Test export
 const exported = exportToXYZ(testPoints.slice(0, 3));
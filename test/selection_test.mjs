@@ -0,0 +1,134 @@
+import * as THREE from '../renderer/lib/three.module.js';
+import {
+  rectanglePolygon,
+  polygonArea,
+  pointInPolygon,
+  selectPoints,
+  combineSelection,
+  maskIndices
+} from '../renderer/selection.js';
+import { EditableCloud } from '../renderer/cloudEdits.js';
+import { CommandHistory } from '../renderer/commandHistory.js';
+import { positionShownTest, clipPlane } from '../renderer/clipping.js';
+import { invertZValues, exportToXYZ } from '../renderer/pointCloudReducer.js';
+import { PointCloud } from '../renderer/pointCloud.js';
+
+// A 100 x 100 UTM grid, 0.5 m apart, with a 2 m "car" of 5 x 5 points
+// standing 1 m over its middle
+const cloud = new PointCloud(0, ['intensity']);
+for (let i = 0; i < 100; i++) {
+  for (let j = 0; j < 100; j++) {
+    const p = cloud.addPoint(598300 + i * 0.5, 6642900 + j * 0.5, 85);
+    cloud.getAttribute('intensity')[p] = 10;
+  }
+}
+for (let i = 0; i < 5; i++) {
+  for (let j = 0; j < 5; j++) {
+    const p = cloud.addPoint(598324 + i * 0.5, 6642924 + j * 0.5, 86);
+    cloud.getAttribute('intensity')[p] = 99;
+  }
+}
+const carCount = 25;
+console.log('Points:', cloud.length);
+
+const viewport = { width: 800, height: 600 };
+const camera = new THREE.PerspectiveCamera(60, viewport.width / viewport.height, 0.1, 1000);
+camera.up.set(0, 0, 1);
+camera.position.set(598325, 6642895, 110);
+camera.lookAt(598325, 6642925, 85);
+camera.updateMatrixWorld();
+const screenOf = (x, y, z) => {
+  const v = new THREE.Vector3(x, y, z).project(camera);
+  return { x: (v.x + 1) / 2 * viewport.width, y: (1 - v.y) / 2 * viewport.height };
+};
+
+// A rectangle round the car (and the ground under and behind it)
+const a = screenOf(598323.8, 6642923.8, 86);
+const b = screenOf(598326.2, 6642926.2, 86);
+const rectangle = rectanglePolygon(a, b);
+const rectangleMask = selectPoints(cloud, camera, rectangle, viewport);
+const selected = maskIndices(rectangleMask);
+const allInside = Array.from(selected).every(i => {
+  const s = screenOf(cloud.getX(i), cloud.getY(i), cloud.getZ(i));
+  return pointInPolygon(s.x, s.y, rectangle);
+});
+const carSelected = Array.from(selected).filter(i => cloud.getAttribute('intensity')[i] === 99).length;
+console.log('\nRectangle (area', polygonArea(rectangle).toFixed(0), 'px²):', selected.length, 'points, all inside:', allInside, 'car points:', carSelected);
+
+// A lasso through the car keeps only what projects inside it
+const lasso = [
+  screenOf(598323.9, 6642923.9, 86),
+  screenOf(598326.1, 6642923.9, 86),
+  screenOf(598326.1, 6642926.1, 86),
+  screenOf(598325, 6642925, 86),
+  screenOf(598323.9, 6642926.1, 86)
+];
+console.log('Lasso with a notch:', maskIndices(selectPoints(cloud, camera, lasso, viewport)).length, 'points');
+console.log('Too few corners:', maskIndices(selectPoints(cloud, camera, lasso.slice(0, 2), viewport)).length);
+
+// Drawn with Z inverted, the same polygon selects the same points of the
+// inverted cloud as of the original with invertZ
+const flipped = invertZValues(cloud);
+camera.position.set(598325, 6642895, -60);
+camera.lookAt(598325, 6642925, -85);
+camera.updateMatrixWorld();
+const flippedRectangle = rectanglePolygon(screenOf(598323.8, 6642923.8, -86), screenOf(598326.2, 6642926.2, -86));
+const direct = maskIndices(selectPoints(flipped, camera, flippedRectangle, viewport));
+const viaOption = maskIndices(selectPoints(cloud, camera, flippedRectangle, viewport, { invertZ: true }));
+console.log('Inverted Z:', direct.length, 'points, same as invertZ option:', direct.length === viaOption.length && direct.every((v, i) => v === viaOption[i]));
+camera.position.set(598325, 6642895, 110);
+camera.lookAt(598325, 6642925, 85);
+camera.updateMatrixWorld();
+
+// Clipped-away points aren't selected: only what is above 85.5 m is shown
+const aboveGround = positionShownTest({ mode: 'inside', box: null, planes: [clipPlane({ x: 0, y: 0, z: 1 }, { x: 0, y: 0, z: 85.5 })] });
+console.log('With the ground clipped away:', maskIndices(selectPoints(cloud, camera, rectangle, viewport, { isShown: aboveGround })).length, 'points');
+
+// Selections combine
+const carMask = selectPoints(cloud, camera, rectangle, viewport, { isShown: aboveGround });
+console.log('Rectangle minus car:', maskIndices(combineSelection(rectangleMask, carMask, 'subtract')).length,
+  'car plus rectangle:', maskIndices(combineSelection(carMask, rectangleMask, 'add')).length,
+  'replaced:', maskIndices(combineSelection(rectangleMask, carMask)).length);
+
+// Edits: delete the car, split some ground off into a layer, crop, undo
+const edits = new EditableCloud(cloud);
+const history = new CommandHistory();
+history.execute(edits.deleteEdit(carMask));
+console.log('\nAfter', history.undoLabel + ':', edits.cloud.length, 'points, car intensity left:',
+  edits.cloud.getAttribute('intensity').includes(99));
+
+const strip = rectanglePolygon(screenOf(598300, 6642900, 85), screenOf(598310, 6642949.5, 85));
+const stripMask = selectPoints(cloud, camera, strip, viewport, { skip: edits.removed });
+history.execute(edits.splitEdit(stripMask));
+const layer = edits.layers[0];
+console.log('After', history.undoLabel + ':', edits.cloud.length, 'points,', edits.layers.map(l => `${l.name} ${l.cloud.length}`).join(', '));
+
+const crop = rectanglePolygon(screenOf(598315, 6642915, 85), screenOf(598335, 6642935, 85));
+history.execute(edits.cropEdit(selectPoints(cloud, camera, crop, viewport, { skip: edits.removed })));
+console.log('After', history.undoLabel + ':', edits.cloud.length, 'points');
+console.log('Saved XYZ lines:', exportToXYZ(edits.cloud).trim().split('\n').length - 1, '(plus a header)');
+
+// Undo keeps only the removed points, as indices or a bit mask, not copies
+// of the cloud
+console.log('History:', history.entries().map(({ label, details }) => `${label} (${details})`).join('; '));
+console.log('History stores', history.done.map(command => command.bytes).join(' + '), 'bytes; the cloud holds',
+  cloud.getAttribute('position').byteLength + cloud.getAttribute('intensity').byteLength);
+
+history.execute(edits.deleteLayerEdit(edits.layers[0]));
+console.log('\nAfter', history.undoLabel + ':', edits.layers.length, 'layers, history holds', history.bytes, 'bytes');
+while (history.undoLabel) {
+  const label = history.undoLabel;
+  history.undo();
+  console.log('Undid', label + ':', edits.cloud.length, 'points,', edits.layers.length, 'layers');
+}
+console.log('Back to the loaded cloud:', edits.cloud === cloud, 'undone split layer let go of its points:', layer.cloud === null);
+console.log('Undo with nothing left:', history.undo());
+
+// Redo replays the edits, taking the split layer's points from the source
+while (history.redoLabel) {
+  const label = history.redoLabel;
+  history.redo();
+  console.log('Redid', label + ':', edits.cloud.length, 'points,', edits.layers.map(l => `${l.name} ${l.cloud.length}`).join(', ') || 'no layers');
+}
+
+console.log('\n✓ Selection and edits tested successfully!');
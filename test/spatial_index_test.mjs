@@ -0,0 +1,56 @@
+import { PointCloud } from '../renderer/pointCloud.js';
+import { KDTree, getSpatialIndex } from '../renderer/spatialIndex.js';
+
+// Random cloud with a few duplicate points
+const cloud = new PointCloud(5000);
+for (let i = 0; i < 5000; i++) {
+  cloud.addPoint(Math.random() * 100, Math.random() * 100, Math.random() * 10);
+}
+cloud.addPoint(50, 50, 5);
+cloud.addPoint(50, 50, 5);
+
+const tree = getSpatialIndex(cloud);
+console.log('Tree is shared per cloud:', tree === getSpatialIndex(cloud));
+
+const position = cloud.getAttribute('position');
+const bruteForce = (x, y, z, dims) => {
+  const d = [];
+  for (let i = 0; i < cloud.length; i++) {
+    const dx = position[i * 3] - x, dy = position[i * 3 + 1] - y, dz = dims === 2 ? 0 : position[i * 3 + 2] - z;
+    d.push({ i, dist: Math.sqrt(dx * dx + dy * dy + dz * dz) });
+  }
+  return d.sort((a, b) => a.dist - b.dist);
+};
+
+// kNN against brute force (3D and XY-only)
+let knnMismatches = 0;
+const tree2d = new KDTree(cloud, 2);
+for (let q = 0; q < 200; q++) {
+  const x = Math.random() * 100, y = Math.random() * 100, z = Math.random() * 10;
+  for (const [dims, t] of [[3, tree], [2, tree2d]]) {
+    const expected = bruteForce(x, y, z, dims).slice(0, 8).map(d => d.dist.toFixed(9));
+    const actual = Array.from(t.knn(x, y, z, 8).distances, d => d.toFixed(9));
+    if (expected.join() !== actual.join()) knnMismatches++;
+  }
+}
+console.log('kNN mismatches vs brute force:', knnMismatches);
+
+// Excluding the query point itself
+const self = tree.knn(position[0], position[1], position[2], 3, { exclude: 0 });
+console.log('kNN excluding self:', !Array.from(self.indices).includes(0), self.indices.length);
+
+// Radius search
+const radiusResult = tree.radiusSearch(50, 50, 5, 5).sort((a, b) => a - b);
+const radiusExpected = bruteForce(50, 50, 5, 3).filter(d => d.dist <= 5).map(d => d.i).sort((a, b) => a - b);
+console.log('Radius search:', radiusResult.length, 'points, matches brute force:', radiusResult.join() === radiusExpected.join());
+
+// Box search
+const boxResult = tree.boxSearch({ x: 10, y: 20, z: 2 }, { x: 30, y: 60, z: 8 });
+let boxExpected = 0;
+for (let i = 0; i < cloud.length; i++) {
+  const x = position[i * 3], y = position[i * 3 + 1], z = position[i * 3 + 2];
+  if (x >= 10 && x <= 30 && y >= 20 && y <= 60 && z >= 2 && z <= 8) boxExpected++;
+}
+console.log('Box search:', boxResult.length, 'points, expected', boxExpected);
+
+console.log('\n✓ Spatial index tested successfully!');